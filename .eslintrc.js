@@ -1,4 +1,7 @@
 module.exports = {
+  env: {
+    es2020: true,
+  },
   extends: ["airbnb-base", "prettier"],
   plugins: ["prettier"],
   rules: {
@@ -0,0 +1,104 @@
+import { connected } from "./harness";
+
+const { AbortController } = globalThis;
+
+describe("The action() signal option", () => {
+  it("should fail right away if the signal has already fired", () => {
+    const h = connected();
+    h.server.handleAction("Add", (args, res) => res.success({}));
+    const controller = new AbortController();
+    controller.abort();
+    const cb = jest.fn();
+    h.client.action("Add", {}, { signal: controller.signal }, cb);
+    h.scheduler.run();
+
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0][0].name).toBe("AbortError");
+    expect(h.server.received.map((msg) => msg.MessageType)).toEqual([
+      "Handshake",
+    ]);
+  });
+
+  it("should stop waiting for the result if the signal fires", () => {
+    const h = connected();
+    let respond;
+    h.server.handleAction("Add", (args, res) => {
+      respond = () => res.success({});
+    });
+    const controller = new AbortController();
+    const cb = jest.fn();
+    h.client.action("Add", {}, { signal: controller.signal }, cb);
+    h.scheduler.run();
+
+    controller.abort();
+    h.scheduler.run();
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0][0].name).toBe("AbortError");
+
+    respond();
+    h.scheduler.run();
+    expect(cb.mock.calls.length).toBe(1);
+  });
+
+  it("should reject the promise with AbortError", async () => {
+    const h = connected();
+    h.server.handleAction("Add", () => {});
+    const controller = new AbortController();
+    const promise = h.client.action("Add", {}, { signal: controller.signal });
+    controller.abort();
+    h.scheduler.run();
+
+    await expect(promise).rejects.toThrow("The action was aborted.");
+  });
+
+  it("should validate the signal", () => {
+    const h = connected();
+    expect(() => h.client.action("Add", {}, { signal: {} }, () => {})).toThrow(
+      "Options signal must be an AbortSignal.",
+    );
+  });
+});
+
+describe("The feed() signal option", () => {
+  it("should abandon a feed object that has not opened", () => {
+    const h = connected();
+    let respond;
+    h.server.handleFeed("Chat", (args, res) => {
+      respond = () => res.success({});
+    });
+    const controller = new AbortController();
+    const cb = jest.fn();
+    h.client.feed("Chat", { room: "a" }, { signal: controller.signal }, cb);
+    h.scheduler.run();
+
+    controller.abort();
+    h.scheduler.run();
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0][0].name).toBe("AbortError");
+
+    respond();
+    h.scheduler.run();
+    expect(cb.mock.calls.length).toBe(1);
+    expect(h.server.received.map((msg) => msg.MessageType)).toEqual([
+      "Handshake",
+      "FeedOpen",
+      "FeedClose",
+    ]);
+  });
+
+  it("should have no effect once the feed object has opened", () => {
+    const h = connected();
+    h.server.handleFeed("Chat", (args, res) => res.success({}));
+    const controller = new AbortController();
+    const cb = jest.fn();
+    h.client.feed("Chat", { room: "a" }, { signal: controller.signal }, cb);
+    h.scheduler.run();
+    expect(cb.mock.calls[0][0]).toBe(null);
+
+    const onClose = jest.fn();
+    cb.mock.calls[0][1].on("close", onClose);
+    controller.abort();
+    h.scheduler.run();
+    expect(onClose.mock.calls.length).toBe(0);
+  });
+});
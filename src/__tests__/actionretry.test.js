@@ -0,0 +1,185 @@
+import { connected } from "./harness";
+
+describe("Actions with the retry option", () => {
+  let h;
+  let failures;
+  const attempts = () =>
+    h.server.received.filter((msg) => msg.MessageType === "Action");
+  const act = (retry, callback) => {
+    h.client.action("Send", { text: "hi" }, { retry }, callback);
+    h.scheduler.run();
+  };
+  beforeEach(() => {
+    h = connected({ idempotencyKeyField: "key" });
+    failures = 0;
+    h.server.handleAction("Send", (args, res) => {
+      if (failures > 0) {
+        failures -= 1;
+        res.failure("BUSY", {});
+      } else {
+        res.success({ ok: true });
+      }
+    });
+  });
+
+  it("should retry listed errors after the backoff with the same idempotency key", () => {
+    failures = 2;
+    const backoff = jest.fn(() => 100);
+    const callback = jest.fn();
+    act({ backoff, errors: ["RejectionError"] }, callback);
+    expect(attempts().length).toBe(1);
+
+    h.clock.advance(99);
+    h.scheduler.run();
+    expect(attempts().length).toBe(1);
+
+    h.clock.advance(1);
+    h.scheduler.run();
+    h.clock.advance(100);
+    h.scheduler.run();
+
+    const keys = attempts().map((msg) => msg.ActionArgs.key);
+    expect(keys.length).toBe(3);
+    expect(new Set(keys).size).toBe(1);
+    expect(
+      backoff.mock.calls.map(([attempt, err]) => [attempt, err.name]),
+    ).toEqual([
+      [1, "RejectionError"],
+      [2, "RejectionError"],
+    ]);
+    expect(callback.mock.calls).toEqual([[null, { ok: true }]]);
+  });
+
+  it("should report the error from the final attempt", () => {
+    failures = 5;
+    const callback = jest.fn();
+    act({ attempts: 2, backoff: 0, errors: ["RejectionError"] }, callback);
+    h.clock.advance(0);
+    h.scheduler.run();
+
+    expect(attempts().length).toBe(2);
+    expect(callback.mock.calls.length).toBe(1);
+    expect(callback.mock.calls[0][0].name).toBe("RejectionError");
+  });
+
+  it("should not retry errors that are not listed", () => {
+    failures = 1;
+    const callback = jest.fn();
+    act(true, callback);
+
+    expect(attempts().length).toBe(1);
+    expect(callback.mock.calls[0][0].name).toBe("RejectionError");
+  });
+
+  it("should stop retrying if the backoff is negative", () => {
+    failures = 1;
+    const callback = jest.fn();
+    act({ backoff: () => -1, errors: ["RejectionError"] }, callback);
+    h.clock.advance(30000);
+    h.scheduler.run();
+
+    expect(attempts().length).toBe(1);
+    expect(callback.mock.calls[0][0].name).toBe("RejectionError");
+  });
+
+  it("should fail and throw asynchronously if the backoff does not return a number", () => {
+    failures = 1;
+    const callback = jest.fn();
+    h.client.action(
+      "Send",
+      {},
+      { retry: { backoff: () => "soon", errors: ["RejectionError"] } },
+      callback,
+    );
+
+    expect(() => h.scheduler.run()).toThrow(
+      "The option 'retry.backoff' must return a number.",
+    );
+    h.scheduler.run();
+    expect(attempts().length).toBe(1);
+    expect(callback.mock.calls[0][0].name).toBe("RejectionError");
+  });
+
+  it("should fail and throw asynchronously if the backoff throws", () => {
+    failures = 1;
+    const callback = jest.fn();
+    const err = new Error("BAD");
+    h.client.action(
+      "Send",
+      {},
+      {
+        retry: {
+          backoff: () => {
+            throw err;
+          },
+          errors: ["RejectionError"],
+        },
+      },
+      callback,
+    );
+
+    expect(() => h.scheduler.run()).toThrow(err);
+    expect(callback.mock.calls[0][0].name).toBe("RejectionError");
+  });
+
+  it("should not resubmit if aborted during the backoff", () => {
+    failures = 1;
+    const controller = new AbortController();
+    const callback = jest.fn();
+    h.client.action(
+      "Send",
+      {},
+      {
+        signal: controller.signal,
+        retry: { backoff: 100, errors: ["RejectionError"] },
+      },
+      callback,
+    );
+    h.scheduler.run();
+
+    controller.abort();
+    h.scheduler.run();
+    h.clock.advance(100);
+    h.scheduler.run();
+
+    expect(attempts().length).toBe(1);
+    expect(callback.mock.calls.length).toBe(1);
+    expect(callback.mock.calls[0][0].name).toBe("AbortError");
+  });
+
+  it("should await a connection without listening to the client events", () => {
+    failures = 1;
+    const callback = jest.fn();
+    act({ backoff: 100, errors: ["RejectionError"] }, callback);
+    h.server.disconnectAll();
+    h.scheduler.run();
+    h.clock.advance(100); // Reconnects, then resubmits while connecting
+    expect(h.client._connectionWaiters.size).toBe(1);
+    expect(h.client.listenerCount("connect")).toBe(0);
+    expect(h.client.listenerCount("disconnect")).toBe(0);
+
+    h.client.removeAllListeners();
+    h.scheduler.run();
+
+    expect(attempts().length).toBe(2);
+    expect(callback.mock.calls).toEqual([[null, { ok: true }]]);
+  });
+
+  it("should throw on an invalid retry option", () => {
+    const cb = () => {};
+    expect(() => h.client.action("Send", {}, { retry: 1 }, cb)).toThrow(
+      "The option 'retry' must be boolean or an object.",
+    );
+    expect(() =>
+      h.client.action("Send", {}, { retry: { attempts: 0 } }, cb),
+    ).toThrow("The option 'retry.attempts' must be a positive integer.");
+    expect(() =>
+      h.client.action("Send", {}, { retry: { backoff: -1 } }, cb),
+    ).toThrow(
+      "The option 'retry.backoff' must be a non-negative number or a function.",
+    );
+    expect(() =>
+      h.client.action("Send", {}, { retry: { errors: [""] } }, cb),
+    ).toThrow("The option 'retry.errors' must be an array of error names.");
+  });
+});
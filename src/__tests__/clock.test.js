@@ -0,0 +1,85 @@
+import { connected, harness } from "./harness";
+import VirtualClock from "../clock.virtual";
+import { ClientState } from "../states";
+
+describe("The VirtualClock class", () => {
+  it("should fire timers in due order as time advances", () => {
+    const clock = new VirtualClock(100);
+    const fired = [];
+    clock.setTimeout(() => fired.push(["b", clock.now()]), 20);
+    clock.setTimeout(() => fired.push(["a", clock.now()]), 10);
+    clock.setTimeout(() => fired.push(["c", clock.now()]), 20);
+
+    clock.advance(5);
+    expect(fired).toEqual([]);
+    expect(clock.now()).toBe(105);
+
+    clock.advance(15);
+    expect(fired).toEqual([
+      ["a", 110],
+      ["b", 120],
+      ["c", 120],
+    ]);
+  });
+
+  it("should jump to the next timer", () => {
+    const clock = new VirtualClock();
+    const fn = jest.fn();
+    clock.setTimeout(fn, 500);
+    expect(clock.next()).toBe(true);
+    expect(clock.now()).toBe(500);
+    expect(fn.mock.calls.length).toBe(1);
+    expect(clock.next()).toBe(false);
+  });
+
+  it("should not fire cleared timers", () => {
+    const clock = new VirtualClock();
+    const fn = jest.fn();
+    clock.clearTimeout(clock.setTimeout(fn, 10));
+    clock.advance(10);
+    expect(fn.mock.calls.length).toBe(0);
+  });
+});
+
+describe("The clock option", () => {
+  it("should drive response timeouts", () => {
+    const h = connected({ responseTimeoutMs: 1000, reconnect: false });
+    h.server.handleAction("Slow", () => {});
+    const onDisconnect = jest.fn();
+    h.client.on("disconnect", onDisconnect);
+    const cb = jest.fn();
+    h.client.action("Slow", {}, cb);
+    h.scheduler.run();
+
+    h.clock.advance(999);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+
+    h.clock.advance(1);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+    expect(onDisconnect.mock.calls[0][0].name).toBe("ResponseTimeoutError");
+    expect(cb.mock.calls[0][0].name).toBe("ConnectionError");
+  });
+
+  it("should drive connection retries", () => {
+    const h = harness({ connectRetryMs: 2000, connectRetryBackoffMs: 0 });
+    h.server.accepting = false;
+    h.client.connect().catch(() => {});
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+
+    h.server.accepting = true;
+    h.clock.advance(1999);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+
+    h.clock.advance(1);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+  });
+
+  it("should be validated", () => {
+    expect(() => harness({ clock: {} })).toThrow(/clock/);
+  });
+});
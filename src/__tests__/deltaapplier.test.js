@@ -0,0 +1,105 @@
+import deepFreeze from "deep-freeze";
+import applyDeltas from "../deltaapplier";
+import { connected, openFeed } from "./harness";
+
+const feedData = () =>
+  deepFreeze({
+    users: [{ name: "a" }, { name: "b" }],
+    settings: { theme: "dark", limits: { max: 1 } },
+    count: 1,
+  });
+
+describe("The applyDeltas function", () => {
+  it("should copy only the modified nodes and their ancestors", () => {
+    const oldData = feedData();
+    const result = applyDeltas(oldData, [
+      { Operation: "Set", Path: ["users", 1, "name"], Value: "c" },
+    ]);
+
+    expect(result.valid).toBe(true);
+    const newData = result.feedData;
+    expect(newData).toEqual({
+      ...oldData,
+      users: [{ name: "a" }, { name: "c" }],
+    });
+    expect(newData).not.toBe(oldData);
+    expect(newData.users).not.toBe(oldData.users);
+    expect(newData.users[1]).not.toBe(oldData.users[1]);
+    expect(newData.users[0]).toBe(oldData.users[0]);
+    expect(newData.settings).toBe(oldData.settings);
+  });
+
+  it("should leave the original untouched and freeze the copies", () => {
+    const oldData = feedData();
+    const { feedData: newData } = applyDeltas(oldData, [
+      { Operation: "Increment", Path: ["count"], Value: 2 },
+      { Operation: "Set", Path: ["settings", "theme"], Value: "light" },
+      { Operation: "InsertLast", Path: ["users"], Value: { name: "d" } },
+    ]);
+
+    expect(oldData).toEqual(feedData());
+    expect(newData.count).toBe(3);
+    expect(newData.settings.theme).toBe("light");
+    expect(newData.settings.limits).toBe(oldData.settings.limits);
+    expect(newData.users.length).toBe(3);
+    expect(Object.isFrozen(newData)).toBe(true);
+    expect(Object.isFrozen(newData.settings)).toBe(true);
+    expect(Object.isFrozen(newData.users)).toBe(true);
+  });
+
+  it("should copy each node once across several deltas on the same path", () => {
+    const oldData = feedData();
+    const { feedData: newData } = applyDeltas(oldData, [
+      { Operation: "Set", Path: ["settings", "limits", "max"], Value: 2 },
+      { Operation: "Set", Path: ["settings", "limits", "min"], Value: 0 },
+    ]);
+
+    expect(newData.settings.limits).toEqual({ max: 2, min: 0 });
+    expect(oldData.settings.limits).toEqual({ max: 1 });
+  });
+
+  it("should replace the root on a root Set", () => {
+    const oldData = feedData();
+    const { feedData: newData } = applyDeltas(oldData, [
+      { Operation: "Set", Path: [], Value: { fresh: true } },
+    ]);
+
+    expect(newData).toEqual({ fresh: true });
+    expect(oldData).toEqual(feedData());
+  });
+
+  it("should report the offending delta if a delta is invalid", () => {
+    const oldData = feedData();
+    const delta = { Operation: "Increment", Path: ["settings"], Value: 1 };
+    const result = applyDeltas(oldData, [
+      { Operation: "Set", Path: ["count"], Value: 5 },
+      delta,
+    ]);
+
+    expect(result.valid).toBe(false);
+    expect(result.feedDelta).toBe(delta);
+    expect(typeof result.reason).toBe("string");
+    expect(oldData).toEqual(feedData());
+  });
+});
+
+describe("Feed data updated by FeedAction", () => {
+  it("should share unchanged branches with the previous feed data", () => {
+    const h = connected();
+    h.server.handleFeed("Chat", (args, res) =>
+      res.success({ messages: ["a"], members: { x: { online: true } } }),
+    );
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const oldData = feed.data;
+
+    h.server.feedAction("Chat", { room: "a" }, "Post", {}, [
+      { Operation: "InsertLast", Path: ["messages"], Value: "b" },
+    ]);
+    h.scheduler.run();
+
+    expect(feed.data.messages).toEqual(["a", "b"]);
+    expect(feed.data.members).toBe(oldData.members);
+    expect(oldData.messages).toEqual(["a"]);
+    expect(Object.isFrozen(feed.data.messages)).toBe(true);
+  });
+});
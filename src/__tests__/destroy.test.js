@@ -0,0 +1,68 @@
+import { connected, harness, openFeed, serveOpenCount } from "./harness";
+
+describe("The client.destroy() method", () => {
+  it("should fail outstanding callbacks with DestroyedError", () => {
+    const h = connected();
+    h.server.handleAction("Slow", () => {});
+    serveOpenCount(h.server, "Chat");
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const onClose = jest.fn();
+    feed.on("close", onClose);
+    const actionCb = jest.fn();
+    const feedCb = jest.fn();
+    h.client.action("Slow", {}, actionCb);
+    h.client.feed("Chat", { room: "b" }, feedCb);
+
+    h.client.destroy();
+    h.scheduler.run();
+
+    expect(actionCb.mock.calls.length).toBe(1);
+    expect(actionCb.mock.calls[0][0].name).toBe("DestroyedError");
+    expect(feedCb.mock.calls.length).toBe(1);
+    expect(feedCb.mock.calls[0][0].name).toBe("DestroyedError");
+    expect(onClose.mock.calls.length).toBe(0);
+  });
+
+  it("should clear all library timers and stop emitting events", () => {
+    const h = harness({ connectRetryMs: 1000 });
+    h.server.accepting = false;
+    const events = [];
+    ["connecting", "connect", "disconnect"].forEach((evt) => {
+      h.client.on(evt, () => events.push(evt));
+    });
+    h.client.connect().catch(() => {});
+    h.scheduler.run();
+    expect(events).toEqual(["connecting", "disconnect"]);
+
+    h.client.destroy();
+    h.scheduler.run();
+    expect(h.clock.next()).toBe(false);
+    expect(events).toEqual(["connecting", "disconnect"]);
+  });
+
+  it("should detach from the transport", () => {
+    const h = connected();
+    expect(h.transport.listenerCount("message")).toBeGreaterThan(0);
+
+    h.client.destroy();
+    h.scheduler.run();
+    expect(h.transport.listenerCount("message")).toBe(0);
+  });
+
+  it("should make subsequent method calls throw DestroyedError", () => {
+    const h = connected();
+    serveOpenCount(h.server, "Chat");
+    const feed = openFeed(h, "Chat", { room: "a" });
+
+    h.client.destroy();
+    expect(h.client.destroyed).toBe(true);
+    expect(() => h.client.destroy()).toThrow(
+      "The client has already been destroyed.",
+    );
+    expect(() => h.client.connect()).toThrow("The client has been destroyed.");
+    expect(() => h.client.action("Add", {})).toThrow(
+      "The client has been destroyed.",
+    );
+    expect(() => feed.close()).toThrow("The client has been destroyed.");
+  });
+});
@@ -0,0 +1,119 @@
+import { EventEmitter } from "events";
+import { connected, harness, openFeed, serveOpenCount } from "./harness";
+import ManualEnvironment from "../environment.manual";
+import BrowserEnvironment from "../environment.browser";
+import { ClientState, FeedState } from "../states";
+
+// Minimal stand-in for a browser window and document
+const fakeWindow = () => {
+  const target = () => {
+    const emitter = new EventEmitter();
+    emitter.addEventListener = emitter.on;
+    emitter.removeEventListener = emitter.off;
+    return emitter;
+  };
+  const win = target();
+  win.navigator = { onLine: true };
+  win.document = target();
+  win.document.visibilityState = "visible";
+  return win;
+};
+
+describe("The environment option", () => {
+  it("should suspend connection retries while offline", () => {
+    const environment = new ManualEnvironment();
+    const h = harness({ environment, connectRetryMs: 1000 });
+    h.server.accepting = false;
+    h.client.connect().catch(() => {});
+    h.scheduler.run();
+
+    environment.setOnline(false);
+    h.server.accepting = true;
+    h.clock.advance(60000);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+
+    environment.setOnline(true);
+    h.clock.advance(0);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+  });
+
+  it("should disconnect after hiddenDisconnectMs and reconnect when visible", () => {
+    const environment = new ManualEnvironment();
+    const h = connected({ environment, hiddenDisconnectMs: 5000 });
+    serveOpenCount(h.server, "Chat");
+    const feed = openFeed(h, "Chat", { room: "a" });
+
+    environment.setVisible(false);
+    h.clock.advance(4999);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+
+    h.clock.advance(1);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+    expect(feed.state).toBe(FeedState.REOPENING);
+
+    environment.setVisible(true);
+    h.clock.advance(0);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+    expect(feed.state).toBe(FeedState.OPEN);
+    expect(feed.data).toEqual({ opens: 2 });
+  });
+
+  it("should leave the connection to the application after connect() while hidden", () => {
+    const environment = new ManualEnvironment();
+    const h = connected({ environment, hiddenDisconnectMs: 5000 });
+
+    environment.setVisible(false);
+    h.clock.advance(5000);
+    h.scheduler.run();
+    h.client.connect();
+    h.scheduler.run();
+    h.clock.advance(5000);
+    h.scheduler.run();
+
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+  });
+
+  it("should stop listening to the environment when destroyed", () => {
+    const environment = new ManualEnvironment();
+    const h = harness({ environment });
+    expect(environment.listenerCount("online")).toBe(1);
+    h.client.destroy();
+    expect(environment.listenerCount("online")).toBe(0);
+  });
+});
+
+describe("The BrowserEnvironment class", () => {
+  it("should report and emit connectivity and visibility", () => {
+    const win = fakeWindow();
+    const environment = new BrowserEnvironment(win);
+    const events = [];
+    ["online", "offline", "visible", "hidden"].forEach((evt) => {
+      environment.on(evt, () => events.push(evt));
+    });
+    expect(environment.online()).toBe(true);
+    expect(environment.visible()).toBe(true);
+
+    win.navigator.onLine = false;
+    win.emit("offline");
+    win.document.visibilityState = "hidden";
+    win.document.emit("visibilitychange");
+    expect(environment.online()).toBe(false);
+    expect(environment.visible()).toBe(false);
+    expect(events).toEqual(["offline", "hidden"]);
+
+    environment.destroy();
+    win.emit("online");
+    expect(events).toEqual(["offline", "hidden"]);
+  });
+
+  it("should throw if there is no window", () => {
+    expect(() => new BrowserEnvironment()).toThrow(
+      "BrowserEnvironment requires a window with a document.",
+    );
+  });
+});
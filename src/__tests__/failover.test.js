@@ -0,0 +1,130 @@
+import FeedmeClient from "../client";
+import FailoverTransport from "../transport.failover";
+import ManualScheduler from "../scheduler.manual";
+import VirtualClock from "../clock.virtual";
+import { FakeServer } from "../testing";
+import { ClientState } from "../states";
+
+// Returns a client using a FailoverTransport over one FakeServer per endpoint,
+// each of which answers the Where action with its own index
+const endpoints = (count, options = {}) => {
+  const scheduler = new ManualScheduler();
+  const clock = new VirtualClock();
+  const servers = [];
+  for (let i = 0; i < count; i += 1) {
+    const server = new FakeServer({ scheduler: scheduler.schedule });
+    server.handleAction("Where", (args, res) => res.success({ idx: i }));
+    servers.push(server);
+  }
+  const transport = new FailoverTransport(
+    servers.map((server) => server.transport()),
+    options,
+  );
+  const client = new FeedmeClient(transport, {
+    scheduler: scheduler.schedule,
+    clock,
+    reconnect: false,
+  });
+  return { scheduler, clock, servers, transport, client };
+};
+
+// Returns the index reported by the server that answers the Where action
+const where = (f) => {
+  let result = null;
+  f.client.action("Where", {}, (err, data) => {
+    result = data.idx;
+  });
+  f.scheduler.run();
+  return result;
+};
+
+describe("The FailoverTransport class", () => {
+  it("should connect to the first endpoint that accepts", () => {
+    const f = endpoints(3);
+    const onEndpoint = jest.fn();
+    const onEndpointFailure = jest.fn();
+    f.transport.on("endpoint", onEndpoint);
+    f.transport.on("endpointFailure", onEndpointFailure);
+    f.servers[0].accepting = false;
+
+    f.client.connect();
+    f.scheduler.run();
+
+    expect(f.client.state).toBe(ClientState.CONNECTED);
+    expect(f.transport.activeEndpoint()).toBe(1);
+    expect(onEndpoint.mock.calls).toEqual([[1]]);
+    expect(onEndpointFailure.mock.calls.map(([idx]) => idx)).toEqual([0]);
+    expect(f.transport.scores()).toEqual([0.5, 1, 1]);
+    expect(where(f)).toBe(1);
+  });
+
+  it("should fail the connection with endpointErrors once every endpoint fails", () => {
+    const f = endpoints(2);
+    f.servers[0].accepting = false;
+    f.servers[1].accepting = false;
+    const cb = jest.fn();
+
+    f.client.connect(cb);
+    f.scheduler.run();
+
+    expect(f.client.state).toBe(ClientState.DISCONNECTED);
+    expect(f.transport.activeEndpoint()).toBe(-1);
+    const err = cb.mock.calls[0][0];
+    expect(err.name).toBe("ConnectionError");
+    expect(err.transportError.endpointErrors.length).toBe(2);
+  });
+
+  it("should fail over when the active endpoint disconnects", () => {
+    const f = endpoints(2);
+    f.client.connect();
+    f.scheduler.run();
+    expect(where(f)).toBe(0);
+
+    f.servers[0].accepting = false;
+    f.servers[0].disconnectAll(new Error("Gone."));
+    f.scheduler.run();
+    expect(f.client.state).toBe(ClientState.DISCONNECTED);
+
+    f.client.connect();
+    f.scheduler.run();
+    expect(f.transport.activeEndpoint()).toBe(1);
+    expect(where(f)).toBe(1);
+  });
+
+  it("should return to the last good endpoint first if sticky", () => {
+    const f = endpoints(2);
+    f.client.connect();
+    f.scheduler.run();
+    f.servers[0].disconnectAll(new Error("Gone."));
+    f.scheduler.run();
+
+    f.client.connect();
+    f.scheduler.run();
+
+    expect(f.transport.activeEndpoint()).toBe(0);
+    expect(f.transport.scores()).toEqual([0.75, 1]);
+  });
+
+  it("should try endpoints in score order if not sticky", () => {
+    const f = endpoints(2, { sticky: false });
+    f.client.connect();
+    f.scheduler.run();
+    f.servers[0].disconnectAll(new Error("Gone."));
+    f.scheduler.run();
+
+    f.client.connect();
+    f.scheduler.run();
+
+    expect(f.transport.scores()).toEqual([0.5, 1]);
+    expect(f.transport.activeEndpoint()).toBe(1);
+  });
+
+  it("should throw on invalid transports", () => {
+    expect(() => new FailoverTransport([])).toThrow(
+      "Transports must be a non-empty array.",
+    );
+    expect(() => new FailoverTransport([{}])).toThrow(
+      "Each transport must implement on(), state(), connect(), send(), and disconnect().",
+    );
+  });
+});
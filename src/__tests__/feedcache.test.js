@@ -0,0 +1,162 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { connected, openFeed, serveOpenCount } from "./harness";
+import MemoryStorage from "../storage.memory";
+import FsStorage from "../storage.fs";
+import IndexedDbStorage from "../storage.indexeddb";
+import { FeedState } from "../states";
+
+const storageGet = (storage, key) =>
+  new Promise((resolve, reject) => {
+    storage.get(key, (err, value) => (err ? reject(err) : resolve(value)));
+  });
+
+const storageSet = (storage, key, value) =>
+  new Promise((resolve, reject) => {
+    storage.set(key, value, (err) => (err ? reject(err) : resolve()));
+  });
+
+const storageDelete = (storage, key) =>
+  new Promise((resolve, reject) => {
+    storage.delete(key, (err) => (err ? reject(err) : resolve()));
+  });
+
+const cachedValues = (storage) => Object.values(storage._values);
+
+describe("The feedCache option", () => {
+  it("should write feed data on open and on each feed action", () => {
+    const storage = new MemoryStorage();
+    const h = connected({ feedCache: storage });
+    serveOpenCount(h.server, "Chat");
+    openFeed(h, "Chat", { room: "a" });
+    expect(cachedValues(storage)).toEqual([{ opens: 1 }]);
+
+    h.server.feedAction("Chat", { room: "a" }, "Post", {}, [
+      { Operation: "Set", Path: ["opens"], Value: 5 },
+    ]);
+    h.scheduler.run();
+    expect(cachedValues(storage)).toEqual([{ opens: 5 }]);
+  });
+
+  it("should return cached data right away, then open with current data", () => {
+    const storage = new MemoryStorage();
+    const first = connected({ feedCache: storage });
+    serveOpenCount(first.server, "Chat");
+    openFeed(first, "Chat", { room: "a" });
+    first.client.destroy();
+
+    const h = connected({ feedCache: storage });
+    h.server.handleFeed("Chat", (args, res) => res.success({ opens: 2 }));
+    const cb = jest.fn();
+    h.client.feed("Chat", { room: "a" }, cb);
+    h.scheduler.step(); // Cache read
+    h.scheduler.step(); // Callback
+
+    expect(cb.mock.calls.length).toBe(1);
+    const feed = cb.mock.calls[0][1];
+    expect(feed.state).toBe(FeedState.REOPENING);
+    expect(feed.data).toEqual({ opens: 1 });
+
+    const onOpen = jest.fn();
+    feed.on("open", onOpen);
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.OPEN);
+    expect(feed.data).toEqual({ opens: 2 });
+    expect(onOpen.mock.calls.length).toBe(1);
+  });
+
+  it("should delete cached data when the server rejects the feed", () => {
+    const storage = new MemoryStorage();
+    const first = connected({ feedCache: storage });
+    serveOpenCount(first.server, "Chat");
+    openFeed(first, "Chat", { room: "a" });
+    first.client.destroy();
+
+    const h = connected({ feedCache: storage });
+    h.server.handleFeed("Chat", (args, res) => res.failure("GONE"));
+    let feed;
+    h.client.feed("Chat", { room: "a" }, (err, f) => {
+      feed = f;
+    });
+    h.scheduler.step();
+    h.scheduler.step();
+    const onClose = jest.fn();
+    feed.on("close", onClose);
+    h.scheduler.run();
+
+    expect(onClose.mock.calls[0][0].name).toBe("RejectionError");
+    expect(cachedValues(storage)).toEqual([]);
+  });
+
+  it("should be validated", () => {
+    expect(() => connected({ feedCache: {} })).toThrow(/feedCache/);
+  });
+});
+
+describe("The MemoryStorage adapter", () => {
+  it("should get, set, and delete values", async () => {
+    const storage = new MemoryStorage();
+    expect(await storageGet(storage, "k")).toBe(null);
+    await storageSet(storage, "k", { a: 1 });
+    expect(await storageGet(storage, "k")).toEqual({ a: 1 });
+    await storageDelete(storage, "k");
+    expect(await storageGet(storage, "k")).toBe(null);
+  });
+});
+
+describe("The FsStorage adapter", () => {
+  let dirPath;
+  beforeEach(() => {
+    dirPath = fs.mkdtempSync(path.join(os.tmpdir(), "feedme-client-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+  });
+
+  it("should get, set, and delete values", async () => {
+    const storage = new FsStorage(dirPath);
+    expect(await storageGet(storage, "k/1")).toBe(null);
+    await storageSet(storage, "k/1", { a: 1 });
+    expect(await storageGet(storage, "k/1")).toEqual({ a: 1 });
+    expect(await storageGet(new FsStorage(dirPath), "k/1")).toEqual({ a: 1 });
+    await storageDelete(storage, "k/1");
+    expect(await storageGet(storage, "k/1")).toBe(null);
+    expect(fs.readdirSync(dirPath)).toEqual([]);
+  });
+});
+
+describe("The IndexedDbStorage adapter", () => {
+  it("should fail if IndexedDB is not available", async () => {
+    const storage = new IndexedDbStorage("db", "store", null);
+    await expect(storageGet(storage, "k")).rejects.toThrow(
+      "IndexedDB is not available.",
+    );
+  });
+
+  it("should use the supplied IndexedDB factory", async () => {
+    const records = new Map();
+    const request = (fn) => {
+      const req = {};
+      setTimeout(() => {
+        req.result = fn();
+        req.onsuccess();
+      }, 0);
+      return req;
+    };
+    const store = {
+      get: (key) => request(() => records.get(key)),
+      put: (value, key) => request(() => records.set(key, value)),
+      delete: (key) => request(() => records.delete(key)),
+    };
+    const db = { transaction: () => ({ objectStore: () => store }) };
+    const idbFactory = { open: () => request(() => db) };
+
+    const storage = new IndexedDbStorage("db", "store", idbFactory);
+    expect(await storageGet(storage, "k")).toBe(null);
+    await storageSet(storage, "k", { a: 1 });
+    expect(await storageGet(storage, "k")).toEqual({ a: 1 });
+    await storageDelete(storage, "k");
+    expect(await storageGet(storage, "k")).toBe(null);
+  });
+});
@@ -0,0 +1,128 @@
+import { changedPaths, pathAffected } from "../deltaapplier";
+import { connected, openFeed } from "./harness";
+
+describe("The changedPaths function", () => {
+  it("should list the node changed by each delta", () => {
+    expect(
+      changedPaths([
+        { Operation: "Set", Path: ["a", "b"], Value: 1 },
+        { Operation: "InsertLast", Path: ["list"], Value: 1 },
+        { Operation: "Increment", Path: ["count"], Value: 1 },
+      ]),
+    ).toEqual([["a", "b"], ["list"], ["count"]]);
+  });
+
+  it("should list the array for deltas that shift its elements", () => {
+    expect(
+      changedPaths([
+        { Operation: "InsertBefore", Path: ["list", 2], Value: 1 },
+        { Operation: "Delete", Path: ["other", 0] },
+        { Operation: "Delete", Path: ["obj", "key"] },
+      ]),
+    ).toEqual([["list"], ["other"], ["obj", "key"]]);
+  });
+
+  it("should omit duplicates and paths beneath another listed path", () => {
+    expect(
+      changedPaths([
+        { Operation: "Set", Path: ["a", "b"], Value: 1 },
+        { Operation: "Set", Path: ["a"], Value: {} },
+        { Operation: "Set", Path: ["c"], Value: 1 },
+        { Operation: "Set", Path: ["c"], Value: 2 },
+      ]),
+    ).toEqual([["a"], ["c"]]);
+  });
+});
+
+describe("The pathAffected function", () => {
+  const paths = [["users", 1, "name"]];
+
+  it("should be true on, above, and below a changed path", () => {
+    expect(pathAffected(["users", 1, "name"], paths)).toBe(true);
+    expect(pathAffected(["users"], paths)).toBe(true);
+    expect(pathAffected([], paths)).toBe(true);
+    expect(pathAffected(["users", 1, "name", "first"], paths)).toBe(true);
+  });
+
+  it("should be false for other paths, comparing elements as strings", () => {
+    expect(pathAffected(["users", 0], paths)).toBe(false);
+    expect(pathAffected(["settings"], paths)).toBe(false);
+    expect(pathAffected(["users", "1"], paths)).toBe(true);
+  });
+});
+
+describe("Feed action events", () => {
+  let h;
+  let feed;
+  const deltas = [
+    { Operation: "Set", Path: ["users", 0, "name"], Value: "c" },
+    { Operation: "Increment", Path: ["count"], Value: 1 },
+  ];
+  const post = () => {
+    h.server.feedAction("Users", {}, "Rename", { id: 0 }, deltas);
+    h.scheduler.run();
+  };
+  beforeEach(() => {
+    h = connected();
+    h.server.handleFeed("Users", (args, res) =>
+      res.success({ users: [{ name: "a" }, { name: "b" }], count: 0 }),
+    );
+    feed = openFeed(h, "Users", {});
+  });
+
+  it("should carry the feed deltas and changed paths", () => {
+    const oldData = feed.data;
+    const onAction = jest.fn();
+    const onActionName = jest.fn();
+    feed.on("action", onAction);
+    feed.on("action:Rename", onActionName);
+    post();
+
+    expect(onAction.mock.calls).toEqual([
+      [
+        "Rename",
+        { id: 0 },
+        feed.data,
+        oldData,
+        deltas,
+        [["users", 0, "name"], ["count"]],
+      ],
+    ]);
+    expect(onActionName.mock.calls).toEqual([
+      [
+        { id: 0 },
+        feed.data,
+        oldData,
+        deltas,
+        [["users", 0, "name"], ["count"]],
+      ],
+    ]);
+    expect(Object.isFrozen(onAction.mock.calls[0][5])).toBe(true);
+  });
+
+  it("should emit change:path for affected paths only", () => {
+    const onName = jest.fn();
+    const onUsers = jest.fn();
+    const onOther = jest.fn();
+    const onAny = jest.fn();
+    feed.on("change:users.0.name", onName);
+    feed.on("change:users", onUsers);
+    feed.on("change:users.1", onOther);
+    feed.on("change:", onAny);
+    post();
+
+    expect(onName.mock.calls).toEqual([["c", "a", "Rename", { id: 0 }]]);
+    expect(onUsers.mock.calls[0][0]).toEqual([{ name: "c" }, { name: "b" }]);
+    expect(onOther.mock.calls.length).toBe(0);
+    expect(onAny.mock.calls[0][0]).toBe(feed.data);
+  });
+
+  it("should emit change:path after action", () => {
+    const order = [];
+    feed.on("change:count", () => order.push("change"));
+    feed.on("action", () => order.push("action"));
+    post();
+
+    expect(order).toEqual(["action", "change"]);
+  });
+});
@@ -0,0 +1,215 @@
+import FeedNameArgs from "feedme-util/feednameargs";
+import FeedRegistry from "../feedregistry";
+import { connected, harness, serveOpenCount } from "./harness";
+import { FeedState } from "../states";
+
+const chat = FeedNameArgs("Chat", { room: "a" });
+
+describe("The FeedRegistry class", () => {
+  it("should return one registry per client", () => {
+    const h = harness();
+    expect(FeedRegistry.for(h.client)).toBe(FeedRegistry.for(h.client));
+    expect(FeedRegistry.for(harness().client)).not.toBe(
+      FeedRegistry.for(h.client),
+    );
+  });
+
+  it("should return a stable loading snapshot without creating an entry", () => {
+    const h = connected();
+    serveOpenCount(h.server, "Chat");
+    const registry = new FeedRegistry(h.client);
+
+    const snapshot = registry.snapshot(chat);
+    expect(snapshot).toEqual({
+      feed: null,
+      data: null,
+      error: null,
+      loading: true,
+    });
+    expect(registry.snapshot(chat)).toBe(snapshot);
+    expect(registry._entries.size).toBe(0);
+  });
+
+  it("should open acquired feeds and notify subscribers", () => {
+    const h = connected();
+    serveOpenCount(h.server, "Chat");
+    const registry = new FeedRegistry(h.client);
+    const onChange = jest.fn();
+    registry.subscribe(chat, onChange);
+
+    registry.acquire(chat);
+    h.scheduler.run();
+
+    const { feed, data, error, loading } = registry.snapshot(chat);
+    expect(feed.state).toBe(FeedState.OPEN);
+    expect(data).toEqual({ opens: 1 });
+    expect(error).toBe(null);
+    expect(loading).toBe(false);
+    expect(onChange).toHaveBeenCalled();
+
+    h.server.feedAction("Chat", { room: "a" }, "Post", {}, [
+      { Operation: "Set", Path: ["posted"], Value: true },
+    ]);
+    h.scheduler.run();
+    expect(registry.snapshot(chat).data).toEqual({ opens: 1, posted: true });
+  });
+
+  it("should subscribe without creating an entry", () => {
+    const h = connected();
+    const registry = new FeedRegistry(h.client);
+
+    const unsubscribe = registry.subscribe(chat, () => {});
+    expect(registry._entries.size).toBe(0);
+    expect(h.client.listenerCount("connect")).toBe(0);
+
+    unsubscribe();
+    expect(registry._subscribers.size).toBe(0);
+  });
+
+  it("should listen to the client only while there are entries", () => {
+    const h = connected();
+    serveOpenCount(h.server, "Chat");
+    const registry = new FeedRegistry(h.client);
+    const before = h.client.listenerCount("connect");
+
+    registry.acquire(chat);
+    registry.acquire(FeedNameArgs("Chat", { room: "b" }));
+    expect(h.client.listenerCount("connect")).toBe(before + 1);
+
+    registry.release(chat);
+    registry.release(FeedNameArgs("Chat", { room: "b" }));
+    h.clock.advance(0);
+    expect(h.client.listenerCount("connect")).toBe(before);
+  });
+
+  it("should keep notifying subscribers after an entry is replaced", () => {
+    const h = connected();
+    serveOpenCount(h.server, "Chat");
+    const registry = new FeedRegistry(h.client);
+    const onChange = jest.fn();
+    registry.subscribe(chat, onChange);
+
+    registry.acquire(chat);
+    h.scheduler.run();
+    registry.release(chat);
+    h.clock.advance(0);
+    h.scheduler.run();
+    expect(registry.snapshot(chat).loading).toBe(true);
+
+    onChange.mockClear();
+    registry.acquire(chat);
+    h.scheduler.run();
+    expect(onChange).toHaveBeenCalled();
+    expect(registry.snapshot(chat).data).toEqual({ opens: 2 });
+  });
+
+  it("should open acquired feeds once the client connects", () => {
+    const h = harness();
+    serveOpenCount(h.server, "Chat");
+    const registry = new FeedRegistry(h.client);
+    registry.acquire(chat);
+
+    h.client.connect();
+    h.scheduler.run();
+
+    expect(registry.snapshot(chat).data).toEqual({ opens: 1 });
+  });
+
+  it("should close released feeds on a zero-delay timer from the client clock", () => {
+    const h = connected();
+    serveOpenCount(h.server, "Chat");
+    const registry = new FeedRegistry(h.client);
+    registry.acquire(chat);
+    h.scheduler.run();
+    const { feed } = registry.snapshot(chat);
+
+    registry.release(chat);
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.OPEN);
+
+    h.clock.advance(0);
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.CLOSED);
+    expect(registry.snapshot(chat).loading).toBe(true);
+  });
+
+  it("should keep a feed open if reacquired before the timer fires", () => {
+    const h = connected();
+    serveOpenCount(h.server, "Chat");
+    const registry = new FeedRegistry(h.client);
+    registry.acquire(chat);
+    h.scheduler.run();
+    const { feed } = registry.snapshot(chat);
+
+    registry.release(chat);
+    registry.acquire(chat);
+    h.clock.advance(0);
+    h.scheduler.run();
+
+    expect(feed.state).toBe(FeedState.OPEN);
+    expect(registry.snapshot(chat).feed).toBe(feed);
+  });
+
+  it("should close a feed released while opening once it opens", () => {
+    const h = connected();
+    serveOpenCount(h.server, "Chat");
+    const registry = new FeedRegistry(h.client);
+
+    registry.acquire(chat);
+    registry.release(chat);
+    h.clock.advance(0);
+    h.scheduler.run();
+
+    expect(registry.snapshot(chat).loading).toBe(true);
+    expect(() =>
+      h.server.feedAction("Chat", { room: "a" }, "Post", {}),
+    ).toThrow("The feed is not open on any connection.");
+  });
+
+  it("should retry rejected feeds only when the client reconnects", () => {
+    const h = connected();
+    let reject = true;
+    h.server.handleFeed("Chat", (args, res) => {
+      if (reject) {
+        res.failure("NOPE", {});
+      } else {
+        res.success({ ok: true });
+      }
+    });
+    const registry = new FeedRegistry(h.client);
+    registry.acquire(chat);
+    h.scheduler.run();
+    expect(registry.snapshot(chat).error.name).toBe("RejectionError");
+
+    reject = false;
+    registry.acquire(chat);
+    h.scheduler.run();
+    expect(registry.snapshot(chat).data).toBe(null);
+
+    h.client.disconnect();
+    h.scheduler.run();
+    h.client.connect();
+    h.scheduler.run();
+    expect(registry.snapshot(chat).data).toEqual({ ok: true });
+    expect(registry.snapshot(chat).error).toBe(null);
+  });
+
+  it("should expose the error and reopen on connect if the server terminates the feed", () => {
+    const h = connected();
+    serveOpenCount(h.server, "Chat");
+    const registry = new FeedRegistry(h.client);
+    registry.acquire(chat);
+    h.scheduler.run();
+
+    h.server.feedTermination("Chat", { room: "a" }, "DONE");
+    h.scheduler.run();
+    expect(registry.snapshot(chat).feed).toBe(null);
+    expect(registry.snapshot(chat).error.name).toBe("TerminationError");
+
+    h.client.disconnect();
+    h.scheduler.run();
+    h.client.connect();
+    h.scheduler.run();
+    expect(registry.snapshot(chat).data).toEqual({ opens: 2 });
+  });
+});
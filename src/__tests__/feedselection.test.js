@@ -0,0 +1,130 @@
+import { connected, openFeed } from "./harness";
+
+describe("The feed.select() method", () => {
+  let h;
+  let feed;
+  const act = (deltas) => {
+    h.server.feedAction("Board", {}, "Edit", {}, deltas);
+    h.scheduler.run();
+  };
+  beforeEach(() => {
+    h = connected();
+    h.server.handleFeed("Board", (args, res) =>
+      res.success({ title: "t", cards: [{ text: "a" }, { text: "b" }] }),
+    );
+    feed = openFeed(h, "Board", {});
+  });
+
+  it("should expose the value at a path and emit change when it changes", () => {
+    const selection = feed.select("cards.1.text");
+    const onChange = jest.fn();
+    selection.on("change", onChange);
+    expect(selection.value).toBe("b");
+
+    act([{ Operation: "Set", Path: ["title"], Value: "u" }]);
+    act([{ Operation: "Set", Path: ["cards", 0, "text"], Value: "c" }]);
+    expect(onChange.mock.calls.length).toBe(0);
+
+    act([{ Operation: "Set", Path: ["cards", 1, "text"], Value: "d" }]);
+    expect(onChange.mock.calls).toEqual([["d", "b"]]);
+    expect(selection.value).toBe("d");
+  });
+
+  it("should accept array paths and keep unchanged subtrees by reference", () => {
+    const selection = feed.select(["cards", 0]);
+    const card = selection.value;
+    const onChange = jest.fn();
+    selection.on("change", onChange);
+
+    act([{ Operation: "Set", Path: ["cards", 1, "text"], Value: "d" }]);
+    expect(onChange.mock.calls.length).toBe(0);
+    expect(selection.value).toBe(card);
+  });
+
+  it("should evaluate function selectors on every action but emit only on change", () => {
+    const selector = jest.fn((data) => data.cards.length);
+    const selection = feed.select(selector);
+    const onChange = jest.fn();
+    selection.on("change", onChange);
+
+    act([{ Operation: "Set", Path: ["title"], Value: "u" }]);
+    expect(selector.mock.calls.length).toBe(2);
+    expect(onChange.mock.calls.length).toBe(0);
+
+    act([{ Operation: "InsertLast", Path: ["cards"], Value: { text: "e" } }]);
+    expect(onChange.mock.calls).toEqual([[3, 2]]);
+  });
+
+  it("should compare using the equal option", () => {
+    const reference = feed.select((data) => data.cards.map((c) => c.text));
+    const deep = feed.select((data) => data.cards.map((c) => c.text), {
+      equal: "deep",
+    });
+    const custom = feed.select("title", {
+      equal: (a, b) => a.toLowerCase() === b.toLowerCase(),
+    });
+    const onReference = jest.fn();
+    const onDeep = jest.fn();
+    const onCustom = jest.fn();
+    reference.on("change", onReference);
+    deep.on("change", onDeep);
+    custom.on("change", onCustom);
+
+    act([{ Operation: "Set", Path: ["title"], Value: "T" }]);
+
+    expect(onReference.mock.calls.length).toBe(1);
+    expect(onDeep.mock.calls.length).toBe(0);
+    expect(onCustom.mock.calls.length).toBe(0);
+  });
+
+  it("should call subscribers immediately and on change", () => {
+    const selection = feed.select("title");
+    const run = jest.fn();
+    const unsubscribe = selection.subscribe(run);
+
+    act([{ Operation: "Set", Path: ["title"], Value: "u" }]);
+    unsubscribe();
+    act([{ Operation: "Set", Path: ["title"], Value: "v" }]);
+
+    expect(run.mock.calls).toEqual([["t"], ["u"]]);
+  });
+
+  it("should be destroyed when the feed object closes", () => {
+    const selection = feed.select("title");
+    const onDestroy = jest.fn();
+    selection.on("destroy", onDestroy);
+
+    feed.close(() => {});
+    h.scheduler.run();
+
+    expect(selection.destroyed).toBe(true);
+    expect(selection.value).toBe("t");
+    expect(onDestroy.mock.calls.length).toBe(1);
+    expect(() => feed.select("title")).toThrow("The feed object is closed.");
+  });
+
+  it("should stop tracking when destroyed", () => {
+    const selection = feed.select("title");
+    const onChange = jest.fn();
+    selection.on("change", onChange);
+    selection.destroy();
+    selection.destroy();
+
+    act([{ Operation: "Set", Path: ["title"], Value: "u" }]);
+
+    expect(onChange.mock.calls.length).toBe(0);
+    expect(selection.value).toBe("t");
+  });
+
+  it("should throw on invalid arguments", () => {
+    expect(() => feed.select(1)).toThrow(
+      "Selector must be a string, an array, or a function.",
+    );
+    expect(() => feed.select(["a", {}])).toThrow(
+      "Selector paths must contain only strings and integers.",
+    );
+    expect(() => feed.select("a", { equal: "shallow" })).toThrow(
+      "The option 'equal' must be 'reference', 'deep', or a function.",
+    );
+  });
+});
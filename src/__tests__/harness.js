@@ -0,0 +1,78 @@
+import FeedmeClient from "../client";
+import ManualScheduler from "../scheduler.manual";
+import VirtualClock from "../clock.virtual";
+import { FakeServer } from "../testing";
+
+/**
+ * Shared test fixture: a client connected in memory to a FakeServer, with a
+ * ManualScheduler and a VirtualClock shared by both so that tests are fully
+ * deterministic. Run harness.scheduler.run() to deliver deferred events and
+ * messages, and harness.clock.advance(ms) to fire timers.
+ * @param {Object} [options] Client options
+ * @returns {Object} { scheduler, clock, server, transport, client }
+ */
+const harness = function harness(options = {}) {
+  const scheduler = new ManualScheduler();
+  const clock = new VirtualClock();
+  const server = new FakeServer({ scheduler: scheduler.schedule });
+  const transport = server.transport();
+  const client = new FeedmeClient(transport, {
+    scheduler: scheduler.schedule,
+    clock,
+    ...options,
+  });
+  return { scheduler, clock, server, transport, client };
+};
+
+/**
+ * As harness(), with the client connected.
+ * @param {Object} [options] Client options
+ * @returns {Object} { scheduler, clock, server, transport, client }
+ */
+const connected = function connected(options = {}) {
+  const h = harness(options);
+  h.client.connect();
+  h.scheduler.run();
+  return h;
+};
+
+/**
+ * Opens a feed and returns the feed object once the server responds.
+ * @param {Object} h Harness
+ * @param {string} name
+ * @param {Object} args
+ * @returns {FeedmeClientFeed}
+ * @throws {Error}
+ */
+const openFeed = function openFeed(h, name, args) {
+  let result = null;
+  h.client.feed(name, args, (err, feed) => {
+    if (err) {
+      throw err;
+    }
+    result = feed;
+  });
+  h.scheduler.run();
+  if (!result) {
+    throw new Error("The feed did not open.");
+  }
+  return result;
+};
+
+/**
+ * Serves a feed whose data counts the number of times it has been opened, so
+ * that tests can tell when it was reopened.
+ * @param {FakeServer} server
+ * @param {string} name
+ */
+const serveOpenCount = function serveOpenCount(server, name) {
+  let opens = 0;
+  server.handleFeed(name, (args, res) => {
+    opens += 1;
+    res.success({ opens });
+  });
+};
+
+// Exports
+
+export { harness, connected, openFeed, serveOpenCount };
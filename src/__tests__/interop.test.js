@@ -0,0 +1,147 @@
+import { connected, openFeed } from "./harness";
+import { ClientState } from "../states";
+
+// Consumes an iterator as for await would, returning the values
+const drain = async (iterator, values = []) => {
+  const { value, done } = await iterator.next();
+  return done ? values : drain(iterator, [...values, value]);
+};
+
+describe("Feed objects as async iterables", () => {
+  let h;
+  let feed;
+  const post = (id) => {
+    h.server.feedAction("Chat", {}, "Post", { id }, [
+      { Operation: "InsertLast", Path: ["messages"], Value: id },
+    ]);
+    h.scheduler.run();
+  };
+  beforeEach(() => {
+    h = connected();
+    h.server.handleFeed("Chat", (args, res) => res.success({ messages: [] }));
+    feed = openFeed(h, "Chat", {});
+  });
+
+  it("should yield buffered actions and finish when the app closes the feed", async () => {
+    const iterator = feed[Symbol.asyncIterator]();
+    post(1);
+    post(2);
+    feed.close(() => {});
+    h.scheduler.run();
+
+    const actions = await drain(iterator);
+    const ids = actions.map((action) => action.actionData.id);
+    expect(actions[0].actionName).toBe("Post");
+    expect(actions[0].changedPaths).toEqual([["messages"]]);
+    expect(ids).toEqual([1, 2]);
+    expect(feed.listenerCount("action")).toBe(0);
+  });
+
+  it("should resolve a waiting next() when an action arrives", async () => {
+    const iterator = feed[Symbol.asyncIterator]();
+    const pending = iterator.next();
+    post(1);
+
+    const { value, done } = await pending;
+    expect(done).toBe(false);
+    expect(value.newFeedData).toEqual({ messages: [1] });
+    expect(value.oldFeedData).toEqual({ messages: [] });
+  });
+
+  it("should reject once with the error if the server terminates the feed", async () => {
+    const iterator = feed[Symbol.asyncIterator]();
+    const pending = iterator.next();
+    h.server.feedTermination("Chat", {}, "DONE");
+    h.scheduler.run();
+
+    await expect(pending).rejects.toMatchObject({ name: "TerminationError" });
+    await expect(iterator.next()).resolves.toEqual({
+      value: undefined,
+      done: true,
+    });
+  });
+
+  it("should stop listening on return()", async () => {
+    const iterator = feed[Symbol.asyncIterator]();
+    post(1);
+
+    await expect(iterator.return()).resolves.toEqual({
+      value: undefined,
+      done: true,
+    });
+    post(2);
+
+    expect(feed.listenerCount("action")).toBe(0);
+    await expect(iterator.next()).resolves.toMatchObject({ done: true });
+  });
+});
+
+describe("Feed objects as Observables", () => {
+  let h;
+  let feed;
+  beforeEach(() => {
+    h = connected();
+    h.server.handleFeed("Chat", (args, res) => res.success({ messages: [] }));
+    feed = openFeed(h, "Chat", {});
+  });
+
+  it("should be recognized as an Observable", () => {
+    const observable = feed.observe();
+    const key = Symbol.observable || "@@observable";
+    expect(observable[key]()).toBe(observable);
+  });
+
+  it("should emit actions and complete when the app closes the feed", () => {
+    const observer = { next: jest.fn(), error: jest.fn(), complete: jest.fn() };
+    const subscription = feed.observe().subscribe(observer);
+    h.server.feedAction("Chat", {}, "Post", { id: 1 }, []);
+    h.scheduler.run();
+    feed.close(() => {});
+    h.scheduler.run();
+
+    expect(observer.next.mock.calls.length).toBe(1);
+    expect(observer.next.mock.calls[0][0].actionData).toEqual({ id: 1 });
+    expect(observer.complete.mock.calls.length).toBe(1);
+    expect(observer.error.mock.calls.length).toBe(0);
+    expect(subscription.closed).toBe(true);
+  });
+
+  it("should error if the feed is closed by a disconnect", () => {
+    const error = jest.fn();
+    feed.observe().subscribe(() => {}, error);
+    h.server.disconnectAll();
+    h.scheduler.run();
+
+    expect(error.mock.calls[0][0].name).toBe("ConnectionError");
+  });
+
+  it("should stop listening on unsubscribe", () => {
+    const next = jest.fn();
+    const subscription = feed.observe().subscribe(next);
+    subscription.unsubscribe();
+    h.server.feedAction("Chat", {}, "Post", {}, []);
+    h.scheduler.run();
+
+    expect(next.mock.calls.length).toBe(0);
+    expect(feed.listenerCount("close")).toBe(0);
+  });
+});
+
+describe("The client.observe() method", () => {
+  it("should emit the current state and each new state", () => {
+    const h = connected({ reconnect: false });
+    const next = jest.fn();
+    const subscription = h.client.observe().subscribe({ next });
+    h.client.disconnect();
+    h.scheduler.run();
+    subscription.unsubscribe();
+    h.client.connect();
+    h.scheduler.run();
+
+    expect(next.mock.calls.map(([state]) => state)).toEqual([
+      ClientState.CONNECTED,
+      ClientState.DISCONNECTING,
+      ClientState.DISCONNECTED,
+    ]);
+  });
+});
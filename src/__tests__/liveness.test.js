@@ -0,0 +1,65 @@
+import { connected } from "./harness";
+import { ClientState } from "../states";
+
+describe("The livenessTimeoutMs option", () => {
+  it("should disconnect with LivenessError if the server goes silent", () => {
+    const h = connected({ livenessTimeoutMs: 5000, reconnect: false });
+    const onDisconnect = jest.fn();
+    h.client.on("disconnect", onDisconnect);
+    h.server.responsive = false;
+
+    h.clock.advance(4999);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+
+    h.clock.advance(1);
+    h.scheduler.run();
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+    const err = onDisconnect.mock.calls[0][0];
+    expect(err.name).toBe("LivenessError");
+    expect(err).toBeInstanceOf(Error);
+  });
+
+  it("should count messages from the server as activity", () => {
+    const h = connected({ livenessTimeoutMs: 5000 });
+    h.server.handleAction("Ping", (args, res) => res.success({}));
+
+    h.clock.advance(4000);
+    h.client.action("Ping", {}, () => {});
+    h.scheduler.run();
+    h.clock.advance(4000);
+    h.scheduler.run();
+
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+  });
+});
+
+describe("The livenessProbeMs option", () => {
+  it("should keep a silent connection alive using transport pings", () => {
+    const h = connected({ livenessTimeoutMs: 5000, livenessProbeMs: 2000 });
+    const onPong = jest.fn();
+    h.transport.on("pong", onPong);
+
+    for (let i = 0; i < 10; i += 1) {
+      h.clock.advance(1000);
+      h.scheduler.run();
+    }
+
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+    expect(onPong.mock.calls.length).toBeGreaterThanOrEqual(4);
+  });
+
+  it("should still disconnect if probes go unanswered", () => {
+    const h = connected({
+      livenessTimeoutMs: 5000,
+      livenessProbeMs: 2000,
+      reconnect: false,
+    });
+    h.server.responsive = false;
+
+    h.clock.advance(5000);
+    h.scheduler.run();
+
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+  });
+});
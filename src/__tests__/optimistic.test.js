@@ -0,0 +1,215 @@
+import { connected, openFeed } from "./harness";
+
+describe("Optimistic mutations", () => {
+  let h;
+  let feed;
+  let responses;
+  const addMessage = (text) => (data) => ({
+    ...data,
+    messages: [...data.messages, text],
+  });
+  const send = (apply, callback = () => {}) => {
+    h.client.action(
+      "Send",
+      {},
+      { optimistic: { feed: { name: "Chat", args: {} }, apply } },
+      callback,
+    );
+    h.scheduler.run();
+  };
+  const reveal = (text) => {
+    h.server.feedAction("Chat", {}, "Send", {}, [
+      { Operation: "InsertLast", Path: ["messages"], Value: text },
+    ]);
+    h.scheduler.run();
+  };
+  const respond = () => {
+    responses.shift().success({});
+    h.scheduler.run();
+  };
+  beforeEach(() => {
+    h = connected();
+    responses = [];
+    h.server.handleFeed("Chat", (args, res) => res.success({ messages: [] }));
+    h.server.handleAction("Send", (args, res) => {
+      responses.push(res);
+    });
+    feed = openFeed(h, "Chat", {});
+  });
+
+  it("should apply the mutation immediately without changing the confirmed data", () => {
+    const onOptimistic = jest.fn();
+    feed.on("optimistic", onOptimistic);
+    send(addMessage("hi"));
+
+    expect(feed.data).toEqual({ messages: ["hi"] });
+    expect(feed.confirmedData).toEqual({ messages: [] });
+    expect(onOptimistic.mock.calls).toEqual([
+      [{ messages: ["hi"] }, { messages: [] }],
+    ]);
+  });
+
+  it("should keep the mutation after success until the server reveals an action", () => {
+    const onOptimistic = jest.fn();
+    const callback = jest.fn();
+    send(addMessage("hi"), callback);
+    feed.on("optimistic", onOptimistic);
+
+    respond();
+    expect(callback.mock.calls.length).toBe(1);
+    expect(feed.data).toEqual({ messages: ["hi"] });
+    expect(onOptimistic.mock.calls.length).toBe(0);
+
+    reveal("hi");
+    expect(feed.data).toEqual({ messages: ["hi"] });
+    expect(feed.data).toBe(feed.confirmedData);
+    expect(onOptimistic.mock.calls.length).toBe(0);
+  });
+
+  it("should keep the mutation if another action is revealed before the result", () => {
+    send(addMessage("hi"));
+    reveal("other");
+    expect(feed.data).toEqual({ messages: ["other", "hi"] });
+
+    respond();
+    expect(feed.data).toEqual({ messages: ["other", "hi"] });
+
+    reveal("hi");
+    expect(feed.data).toEqual({ messages: ["other", "hi"] });
+    expect(feed.data).toBe(feed.confirmedData);
+    expect(h.client._speculations).toEqual({});
+  });
+
+  it("should report old data with the retained mutations on confirmation", () => {
+    const onAction = jest.fn();
+    send(addMessage("a"));
+    send(addMessage("b"));
+    respond();
+    feed.on("action", onAction);
+
+    reveal("a");
+    expect(onAction.mock.calls[0][2]).toEqual({ messages: ["a", "b"] });
+    expect(onAction.mock.calls[0][3]).toEqual({ messages: ["b"] });
+    expect(feed.data).toEqual({ messages: ["a", "b"] });
+  });
+
+  it("should remove the mutation when the feed reopens", () => {
+    send(addMessage("hi"));
+    respond();
+
+    h.server.send({
+      MessageType: "FeedAction",
+      ActionName: "Send",
+      ActionData: {},
+      FeedName: "Chat",
+      FeedArgs: {},
+      FeedDeltas: [{ Operation: "Delete", Path: ["missing"] }],
+    });
+    h.scheduler.run();
+
+    expect(feed.data).toEqual({ messages: [] });
+    expect(feed.data).toBe(feed.confirmedData);
+  });
+
+  it("should roll back the mutation immediately if the action fails", () => {
+    const callback = jest.fn();
+    send(addMessage("hi"), callback);
+
+    responses.shift().failure("NOPE", {});
+    h.scheduler.run();
+
+    expect(callback.mock.calls[0][0].name).toBe("RejectionError");
+    expect(feed.data).toEqual({ messages: [] });
+  });
+
+  it("should track actions with the same apply function independently", () => {
+    const apply = addMessage("hi");
+    send(apply);
+    send(apply);
+    expect(feed.data).toEqual({ messages: ["hi", "hi"] });
+
+    responses.shift().failure("NOPE", {});
+    h.scheduler.run();
+    expect(feed.data).toEqual({ messages: ["hi"] });
+
+    responses.shift().failure("NOPE", {});
+    h.scheduler.run();
+    expect(feed.data).toEqual({ messages: [] });
+    expect(h.client._speculations).toEqual({});
+  });
+
+  it("should roll back only the mutation of the failed action", () => {
+    send(addMessage("a"));
+    send(addMessage("b"));
+    send(addMessage("c"));
+
+    responses.splice(1, 1)[0].failure("NOPE", {});
+    h.scheduler.run();
+    expect(feed.data).toEqual({ messages: ["a", "c"] });
+
+    respond();
+    reveal("a");
+    expect(feed.data).toEqual({ messages: ["a", "c"] });
+    expect(
+      h.client._speculations[feed._feedNameArgs.serial()].layers.length,
+    ).toBe(1);
+  });
+
+  it("should skip mutations that throw and throw the error asynchronously", () => {
+    send(addMessage("a"));
+    const err = new Error("BAD");
+    h.client.action(
+      "Send",
+      {},
+      {
+        optimistic: {
+          feed,
+          apply: () => {
+            throw err;
+          },
+        },
+      },
+      () => {},
+    );
+
+    expect(() => h.scheduler.run()).toThrow(err);
+    h.scheduler.run();
+    expect(feed.data).toEqual({ messages: ["a"] });
+
+    reveal("x");
+    h.scheduler.run();
+    expect(feed.data).toEqual({ messages: ["x", "a"] });
+  });
+
+  it("should skip mutations that do not return an object", () => {
+    h.client.action(
+      "Send",
+      {},
+      { optimistic: { feed, apply: () => null } },
+      () => {},
+    );
+
+    expect(() => h.scheduler.run()).toThrow(
+      "Optimistic mutations must return an object.",
+    );
+    expect(feed.data).toEqual({ messages: [] });
+  });
+
+  it("should throw on an invalid optimistic option", () => {
+    expect(() =>
+      h.client.action("Send", {}, { optimistic: {} }, () => {}),
+    ).toThrow(
+      "The option 'optimistic' must be an object with an apply() function.",
+    );
+    expect(() =>
+      h.client.action(
+        "Send",
+        {},
+        { optimistic: { feed: { name: 1 }, apply: () => ({}) } },
+        () => {},
+      ),
+    ).toThrow(
+      "The option 'optimistic.feed' must have a valid feed name and arguments.",
+    );
+  });
+});
@@ -0,0 +1,112 @@
+import { harness } from "./harness";
+import Outbox from "../outbox";
+import MemoryStorage from "../storage.memory";
+import { ClientState } from "../states";
+
+let scheduler;
+let clock;
+let server;
+let client;
+let responses;
+const setup = (options) => {
+  ({ scheduler, clock, server, client } = harness({
+    outbox: true,
+    ...options,
+  }));
+  responses = [];
+  server.handleAction("Add", (args, res) => {
+    responses.push(() => res.success({ sum: args.a + args.b }));
+  });
+};
+
+const actionNames = () =>
+  server.received
+    .filter((msg) => msg.MessageType === "Action")
+    .map((msg) => `${msg.ActionName}:${msg.ActionArgs.a}`);
+
+describe("The outbox option", () => {
+  it("should submit queued actions in order on connect", () => {
+    setup();
+    const cb1 = jest.fn();
+    const cb2 = jest.fn();
+    client.action("Add", { a: 1, b: 2 }, cb1);
+    client.action("Add", { a: 2, b: 2 }, cb2);
+    client.connect();
+    scheduler.run();
+
+    expect(actionNames()).toEqual(["Add:1", "Add:2"]);
+    responses.forEach((respond) => respond());
+    scheduler.run();
+    expect(cb1.mock.calls).toEqual([[null, { sum: 3 }]]);
+    expect(cb2.mock.calls).toEqual([[null, { sum: 4 }]]);
+  });
+
+  it("should keep submitted actions in storage until they complete", () => {
+    const storage = new MemoryStorage();
+    setup({ outboxStorage: storage });
+    client.action("Add", { a: 1, b: 2 }, () => {});
+    client.connect();
+    scheduler.run();
+
+    expect(actionNames()).toEqual(["Add:1"]);
+    expect(storage._values[Outbox._STORAGE_KEY]).toEqual([
+      { name: "Add", args: { a: 1, b: 2 }, queuedAt: 0 },
+    ]);
+
+    responses[0]();
+    scheduler.run();
+    expect(Outbox._STORAGE_KEY in storage._values).toBe(false);
+  });
+
+  it("should submit restored actions ahead of actions invoked while loading", () => {
+    const storage = new MemoryStorage();
+    storage._values[Outbox._STORAGE_KEY] = [
+      { name: "Add", args: { a: 1, b: 2 }, queuedAt: 0 },
+    ];
+    let finishLoad;
+    const slowStorage = {
+      get: (key, callback) => {
+        finishLoad = () => storage.get(key, callback);
+      },
+      set: storage.set.bind(storage),
+      delete: storage.delete.bind(storage),
+    };
+    setup({ outboxStorage: slowStorage });
+    client.connect();
+    scheduler.run();
+    expect(client.state).toBe(ClientState.CONNECTED);
+
+    client.action("Add", { a: 2, b: 2 }, () => {});
+    scheduler.run();
+    expect(actionNames()).toEqual([]);
+
+    finishLoad();
+    scheduler.run();
+    expect(actionNames()).toEqual(["Add:1", "Add:2"]);
+  });
+
+  it("should fail expired actions via the client callback queue", () => {
+    setup({ outboxExpiryMs: 1000 });
+    const cb = jest.fn();
+    client.action("Add", { a: 1, b: 2 }, cb);
+
+    clock.advance(1000);
+    expect(cb.mock.calls.length).toBe(0);
+
+    scheduler.run();
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0][0].name).toBe("OutboxError");
+
+    client.connect();
+    scheduler.run();
+    expect(actionNames()).toEqual([]);
+  });
+
+  it("should throw OutboxError when full", () => {
+    setup({ outboxMaxSize: 1 });
+    client.action("Add", { a: 1, b: 2 }, () => {});
+    expect(() => {
+      client.action("Add", { a: 2, b: 2 }, () => {});
+    }).toThrow("The outbox is full.");
+  });
+});
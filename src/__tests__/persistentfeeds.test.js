@@ -0,0 +1,105 @@
+import { connected, openFeed, serveOpenCount } from "./harness";
+import { ClientState, FeedState } from "../states";
+
+const chatHarness = (options) => {
+  const h = connected({ reconnect: false, ...options });
+  serveOpenCount(h.server, "Chat");
+  return h;
+};
+
+describe("Feed objects without the persistentFeeds option", () => {
+  it("should close with a ConnectionError when the client disconnects", () => {
+    const h = chatHarness();
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const onClose = jest.fn();
+    feed.on("close", onClose);
+
+    h.server.disconnectAll();
+    h.scheduler.run();
+
+    expect(feed.state).toBe(FeedState.CLOSED);
+    expect(onClose.mock.calls.length).toBe(1);
+    expect(onClose.mock.calls[0][0].name).toBe("ConnectionError");
+  });
+
+  it("should close when the application calls feed.close()", () => {
+    const h = chatHarness();
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const onClose = jest.fn();
+    const onConnect = jest.fn();
+    feed.on("close", onClose);
+    h.client.on("connect", onConnect);
+
+    const cb = jest.fn();
+    feed.close(cb);
+    h.scheduler.run();
+
+    expect(cb.mock.calls).toEqual([[null]]);
+    expect(onClose.mock.calls).toEqual([[]]);
+    expect(feed.state).toBe(FeedState.CLOSED);
+    expect(onConnect.mock.calls.length).toBe(0);
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+  });
+});
+
+describe("Feed objects with the persistentFeeds option", () => {
+  it("should reopen with current data when the client reconnects", () => {
+    const h = chatHarness({ persistentFeeds: true });
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const events = [];
+    feed.on("reopening", (err) => events.push(["reopening", err.name]));
+    feed.on("open", () => events.push(["open"]));
+    feed.on("close", () => events.push(["close"]));
+
+    h.server.disconnectAll();
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.REOPENING);
+    expect(feed.data).toEqual({ opens: 1 });
+    expect(events).toEqual([["reopening", "ConnectionError"]]);
+
+    h.client.connect();
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.OPEN);
+    expect(feed.data).toEqual({ opens: 2 });
+    expect(events).toEqual([["reopening", "ConnectionError"], ["open"]]);
+  });
+
+  it("should close if the application closes a reopening feed", () => {
+    const h = chatHarness({ persistentFeeds: true });
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const onClose = jest.fn();
+    feed.on("close", onClose);
+
+    h.server.disconnectAll();
+    h.scheduler.run();
+    feed.close();
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.CLOSED);
+    expect(onClose.mock.calls).toEqual([[]]);
+
+    h.client.connect();
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.CLOSED);
+    expect(
+      h.server.received.filter((msg) => msg.MessageType === "FeedOpen").length,
+    ).toBe(1);
+  });
+
+  it("should close if the server rejects the reopen request", () => {
+    const h = chatHarness({ persistentFeeds: true });
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const onClose = jest.fn();
+    feed.on("close", onClose);
+
+    h.server.disconnectAll();
+    h.scheduler.run();
+    h.server.handleFeed("Chat", (args, res) => res.failure("GONE"));
+    h.client.connect();
+    h.scheduler.run();
+
+    expect(feed.state).toBe(FeedState.CLOSED);
+    expect(onClose.mock.calls.length).toBe(1);
+    expect(onClose.mock.calls[0][0].name).toBe("RejectionError");
+    expect(onClose.mock.calls[0][0].serverErrorCode).toBe("GONE");
+  });
+});
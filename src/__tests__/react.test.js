@@ -0,0 +1,241 @@
+import { StrictMode, createElement } from "react";
+import TestRenderer from "react-test-renderer";
+import { FeedmeProvider, useAction, useClientState, useFeed } from "../react";
+import { connected, serveOpenCount } from "./harness";
+import { ClientState } from "../states";
+
+const { act } = TestRenderer;
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("The React bindings", () => {
+  let h;
+  let renderer;
+  let result;
+  const Probe = ({ hook }) => {
+    result = hook();
+    return null;
+  };
+  const render = (hook, strict = false) => {
+    const tree = createElement(
+      FeedmeProvider,
+      { client: h.client },
+      createElement(Probe, { hook }),
+    );
+    const element = strict ? createElement(StrictMode, null, tree) : tree;
+    if (renderer) {
+      renderer.update(element);
+    } else {
+      renderer = TestRenderer.create(element);
+    }
+  };
+  const run = () => {
+    act(() => {
+      h.clock.advance(0);
+      h.scheduler.run();
+    });
+  };
+  const received = (type) =>
+    h.server.received.filter((msg) => msg.MessageType === type);
+  beforeEach(() => {
+    h = connected();
+    serveOpenCount(h.server, "Chat");
+    renderer = null;
+    result = null;
+  });
+  afterEach(() => {
+    act(() => {
+      renderer.unmount();
+    });
+  });
+
+  describe("useFeed", () => {
+    it("should open the feed once under StrictMode and expose its data", () => {
+      act(() => {
+        render(() => useFeed("Chat", { room: "a" }), true);
+      });
+      expect(result.loading).toBe(true);
+
+      run();
+      expect(received("FeedOpen").length).toBe(1);
+      expect(received("FeedClose").length).toBe(0);
+      expect(result.loading).toBe(false);
+      expect(result.data).toEqual({ opens: 1 });
+
+      act(() => {
+        h.server.feedAction("Chat", { room: "a" }, "Post", {}, [
+          { Operation: "Set", Path: ["posted"], Value: true },
+        ]);
+        h.scheduler.run();
+      });
+      expect(result.data).toEqual({ opens: 1, posted: true });
+    });
+
+    it("should switch feeds when the arguments change", () => {
+      act(() => {
+        render(() => useFeed("Chat", { room: "a" }));
+      });
+      run();
+      const first = result.feed;
+
+      act(() => {
+        render(() => useFeed("Chat", { room: "b" }));
+      });
+      expect(result.loading).toBe(true);
+      run();
+
+      expect(result.feed).not.toBe(first);
+      expect(result.feed.args).toEqual({ room: "b" });
+      expect(result.data).toEqual({ opens: 2 }); // Counted across arguments
+      expect(received("FeedClose").map((msg) => msg.FeedArgs)).toEqual([
+        { room: "a" },
+      ]);
+    });
+
+    it("should close the feed once the component unmounts", () => {
+      act(() => {
+        render(() => useFeed("Chat", { room: "a" }));
+      });
+      run();
+
+      act(() => {
+        renderer.unmount();
+      });
+      run();
+
+      expect(received("FeedClose").length).toBe(1);
+      renderer = TestRenderer.create(null); // For afterEach
+    });
+  });
+
+  describe("useAction", () => {
+    let responses;
+    beforeEach(() => {
+      responses = [];
+      h.server.handleAction("Send", (args, res) => {
+        responses.push([args, res]);
+      });
+    });
+
+    it("should expose the status of the latest invocation only", async () => {
+      act(() => {
+        render(() => useAction("Send"));
+      });
+      let first;
+      let second;
+      act(() => {
+        first = result[0]({ n: 1 });
+        second = result[0]({ n: 2 });
+        h.scheduler.run();
+      });
+      expect(result[1]).toEqual({ pending: true, error: null, data: null });
+
+      await act(async () => {
+        responses[1][1].success({ n: 2 });
+        h.scheduler.run();
+        await second;
+      });
+      expect(result[1]).toEqual({
+        pending: false,
+        error: null,
+        data: { n: 2 },
+      });
+
+      await act(async () => {
+        responses[0][1].failure("NOPE", {});
+        h.scheduler.run();
+        await expect(first).rejects.toMatchObject({ name: "RejectionError" });
+      });
+      expect(result[1]).toEqual({
+        pending: false,
+        error: null,
+        data: { n: 2 },
+      });
+    });
+
+    it("should not update the status once unmounted", async () => {
+      const onError = jest.spyOn(console, "error").mockImplementation(() => {});
+      act(() => {
+        render(() => useAction("Send"));
+      });
+      let pending;
+      act(() => {
+        pending = result[0]({});
+        h.scheduler.run();
+      });
+      const status = result[1];
+
+      act(() => {
+        renderer.unmount();
+      });
+      await act(async () => {
+        responses[0][1].success({ ok: true });
+        h.scheduler.run();
+        await pending;
+      });
+
+      expect(result[1]).toBe(status);
+      expect(onError).not.toHaveBeenCalled();
+      onError.mockRestore();
+      renderer = TestRenderer.create(null); // For afterEach
+    });
+
+    it("should reject if the client cannot take the action", async () => {
+      act(() => {
+        render(() => useAction("Send"));
+      });
+      act(() => {
+        h.client.disconnect();
+        h.scheduler.run();
+      });
+
+      await act(async () => {
+        await expect(result[0]({})).rejects.toMatchObject({
+          name: "StateError",
+        });
+      });
+      expect(result[1].error.name).toBe("StateError");
+    });
+  });
+
+  describe("useClientState", () => {
+    it("should re-render when the client connects and disconnects", () => {
+      act(() => {
+        render(() => useClientState());
+      });
+      expect(result).toBe(ClientState.CONNECTED);
+
+      act(() => {
+        h.client.disconnect();
+        h.scheduler.run();
+      });
+      expect(result).toBe(ClientState.DISCONNECTED);
+
+      act(() => {
+        h.client.connect();
+        h.scheduler.run();
+      });
+      expect(result).toBe(ClientState.CONNECTED);
+    });
+  });
+
+  it("should throw without a provider or with an invalid client", () => {
+    const onError = jest.spyOn(console, "error").mockImplementation(() => {});
+    expect(() =>
+      act(() => {
+        renderer = TestRenderer.create(
+          createElement(Probe, { hook: () => useFeed("Chat", {}) }),
+        );
+      }),
+    ).toThrow("No FeedmeProvider found.");
+    expect(() =>
+      act(() => {
+        renderer = TestRenderer.create(
+          createElement(FeedmeProvider, { client: {} }),
+        );
+      }),
+    ).toThrow("Client must be a Feedme client.");
+    onError.mockRestore();
+    renderer = TestRenderer.create(null); // For afterEach
+  });
+});
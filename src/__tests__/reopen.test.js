@@ -0,0 +1,100 @@
+import { connected, openFeed, serveOpenCount } from "./harness";
+import { FeedState } from "../states";
+
+const badFeedAction = {
+  MessageType: "FeedAction",
+  ActionName: "Post",
+  ActionData: {},
+  FeedName: "Chat",
+  FeedArgs: { room: "a" },
+  FeedDeltas: [{ Operation: "Delete", Path: ["missing"] }],
+};
+
+const chatHarness = (options) => {
+  const h = connected(options);
+  serveOpenCount(h.server, "Chat");
+  return h;
+};
+
+const messageTypes = (h) =>
+  h.server.received
+    .map((msg) => msg.MessageType)
+    .filter((type) => type === "FeedOpen" || type === "FeedClose");
+
+describe("Bad feed action notifications", () => {
+  it("should close and reopen the server feed", () => {
+    const h = chatHarness();
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const events = [];
+    feed.on("reopening", (err) => events.push(["reopening", err.name]));
+    feed.on("open", () => events.push(["open"]));
+
+    h.server.send(badFeedAction);
+    h.scheduler.run();
+
+    expect(events).toEqual([["reopening", "ServerMessageError"], ["open"]]);
+    expect(messageTypes(h)).toEqual(["FeedOpen", "FeedClose", "FeedOpen"]);
+    expect(feed.state).toBe(FeedState.OPEN);
+    expect(feed.data).toEqual({ opens: 2 });
+  });
+
+  it("should wait out the trailing interval once reopenMaxAttempts is reached", () => {
+    const h = chatHarness({ reopenMaxAttempts: 1, reopenTrailingMs: 1000 });
+    const feed = openFeed(h, "Chat", { room: "a" });
+
+    h.server.send(badFeedAction);
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.OPEN);
+
+    h.server.send(badFeedAction);
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.REOPENING);
+    expect(messageTypes(h)).toEqual([
+      "FeedOpen",
+      "FeedClose",
+      "FeedOpen",
+      "FeedClose",
+    ]);
+
+    h.clock.advance(1000);
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.OPEN);
+    expect(feed.data).toEqual({ opens: 3 });
+  });
+
+  it("should not reopen the feed if reopenMaxAttempts is 0", () => {
+    const h = chatHarness({ reopenMaxAttempts: 0 });
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const onClose = jest.fn();
+    feed.on("close", onClose);
+
+    h.server.send(badFeedAction);
+    h.scheduler.run();
+    h.clock.advance(60000);
+    h.scheduler.run();
+
+    expect(feed.state).toBe(FeedState.CLOSED);
+    expect(onClose.mock.calls.length).toBe(1);
+    expect(onClose.mock.calls[0][0].name).toBe("ServerMessageError");
+    expect(messageTypes(h)).toEqual(["FeedOpen", "FeedClose"]);
+  });
+});
+
+describe("Feed termination", () => {
+  it("should close the feed object with a descriptive TerminationError", () => {
+    const h = chatHarness();
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const onClose = jest.fn();
+    feed.on("close", onClose);
+
+    h.server.feedTermination("Chat", { room: "a" }, "SHUTDOWN", { a: 1 });
+    h.scheduler.run();
+
+    expect(feed.state).toBe(FeedState.CLOSED);
+    const err = onClose.mock.calls[0][0];
+    expect(err.name).toBe("TerminationError");
+    expect(err.message).toBe("The server terminated the feed.");
+    expect(err.serverErrorCode).toBe("SHUTDOWN");
+    expect(err.serverErrorData).toEqual({ a: 1 });
+  });
+});
@@ -0,0 +1,127 @@
+import { connected, harness } from "./harness";
+import retryPolicy, { policies } from "../retrypolicy";
+import { ClientState } from "../states";
+
+const options = {
+  retryPolicy: null,
+  connectRetryMs: 1000,
+  connectRetryBackoffMs: 500,
+  connectRetryMaxMs: 5000,
+};
+
+describe("The built-in retry policies", () => {
+  it("should default to linear", () => {
+    const policy = retryPolicy(options);
+    expect(policy(1, null, "reconnect")).toBe(0);
+    expect(policy(1, null, "retry")).toBe(1500);
+    expect(policy(2, null, "retry")).toBe(2000);
+    expect(policy(100, null, "retry")).toBe(5000);
+  });
+
+  it("should double retries if exponential", () => {
+    const policy = policies.exponential(options);
+    expect(policy(1, null, "reconnect")).toBe(0);
+    expect([1, 2, 3, 4].map((n) => policy(n, null, "retry"))).toEqual([
+      1000, 2000, 4000, 5000,
+    ]);
+  });
+
+  it("should stay within bounds if jittered", () => {
+    const full = policies.fullJitter(options);
+    const decorrelated = policies.decorrelatedJitter(options);
+    for (let attempt = 1; attempt <= 20; attempt += 1) {
+      const fullMs = full(attempt, null, "retry");
+      expect(fullMs).toBeGreaterThanOrEqual(0);
+      expect(fullMs).toBeLessThanOrEqual(
+        Math.min(1000 * 2 ** (attempt - 1), 5000),
+      );
+      const decorrelatedMs = decorrelated(attempt, null, "retry");
+      expect(decorrelatedMs).toBeGreaterThanOrEqual(1000);
+      expect(decorrelatedMs).toBeLessThanOrEqual(5000);
+      expect(full(attempt, null, "reconnect")).toBeLessThanOrEqual(1000);
+      expect(decorrelated(attempt, null, "reconnect")).toBeLessThanOrEqual(
+        1000,
+      );
+    }
+  });
+
+  it("should use a policy function as is", () => {
+    const fn = () => 0;
+    expect(retryPolicy({ ...options, retryPolicy: fn })).toBe(fn);
+  });
+});
+
+describe("The retryPolicy option", () => {
+  it("should number retries from 1 since the last successful connection", () => {
+    const policy = jest.fn(() => 1000);
+    const h = harness({ retryPolicy: policy });
+    h.server.accepting = false;
+    h.client.connect().catch(() => {});
+    h.scheduler.run();
+    h.clock.advance(1000);
+    h.scheduler.run();
+
+    expect(policy.mock.calls.map(([n, , kind]) => [n, kind])).toEqual([
+      [1, "retry"],
+      [2, "retry"],
+    ]);
+    expect(policy.mock.calls[0][1].name).toBe("ConnectionError");
+  });
+
+  it("should number consecutive reconnects within reconnectMaxMs", () => {
+    const policy = jest.fn(() => 0);
+    const h = connected({
+      retryPolicy: policy,
+      reconnectMax: 0,
+      reconnectMaxMs: 10000,
+    });
+
+    const reconnect = () => {
+      h.server.disconnectAll();
+      h.scheduler.run();
+      h.clock.advance(0);
+      h.scheduler.run();
+      expect(h.client.state).toBe(ClientState.CONNECTED);
+    };
+    reconnect();
+    reconnect();
+    h.clock.advance(10000);
+    reconnect();
+
+    expect(policy.mock.calls.map(([n, , kind]) => [n, kind])).toEqual([
+      [1, "reconnect"],
+      [2, "reconnect"],
+      [1, "reconnect"],
+    ]);
+  });
+
+  it("should make no attempt if the policy returns a negative number", () => {
+    const h = connected({ retryPolicy: () => -1 });
+    h.server.disconnectAll();
+    h.scheduler.run();
+
+    h.clock.advance(60000);
+    h.scheduler.run();
+
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+    expect(h.client.nextConnectMs).toBe(-1);
+  });
+
+  it("should throw after disconnecting if the policy does not return a number", () => {
+    const h = connected({ retryPolicy: () => "soon" });
+    const onDisconnecting = jest.fn();
+    h.client.on("disconnecting", onDisconnecting);
+    h.server.disconnectAll();
+
+    expect(() => h.scheduler.run()).toThrow(
+      "The retry policy must return a number.",
+    );
+    h.scheduler.run();
+    expect(onDisconnecting.mock.calls.length).toBe(1);
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+  });
+
+  it("should be validated", () => {
+    expect(() => harness({ retryPolicy: "unknown" })).toThrow(/retryPolicy/);
+  });
+});
@@ -0,0 +1,76 @@
+import FeedmeClient from "../client";
+import ManualScheduler from "../scheduler.manual";
+import macrotask from "../macrotask";
+import { FakeServer } from "../testing";
+import { ClientState } from "../states";
+
+describe("The macrotask function", () => {
+  it("should defer using the default mechanism if there is no scheduler", (done) => {
+    const fn = jest.fn();
+    macrotask(null, fn, 1, 2);
+    expect(fn.mock.calls.length).toBe(0);
+    setTimeout(() => {
+      expect(fn.mock.calls).toEqual([[1, 2]]);
+      done();
+    }, 10);
+  });
+
+  it("should defer using the scheduler if supplied", () => {
+    const scheduler = new ManualScheduler();
+    const fn = jest.fn();
+    macrotask(scheduler.schedule, fn, "a");
+    expect(scheduler.pending).toBe(1);
+    expect(scheduler.run()).toBe(1);
+    expect(fn.mock.calls).toEqual([["a"]]);
+  });
+});
+
+describe("The ManualScheduler class", () => {
+  it("should run functions in order, including those deferred while running", () => {
+    const scheduler = new ManualScheduler();
+    const order = [];
+    scheduler.schedule(() => {
+      order.push(1);
+      scheduler.schedule(() => order.push(3));
+    });
+    scheduler.schedule(() => order.push(2));
+    expect(scheduler.step()).toBe(true);
+    expect(order).toEqual([1]);
+    expect(scheduler.run()).toBe(2);
+    expect(order).toEqual([1, 2, 3]);
+    expect(scheduler.step()).toBe(false);
+  });
+
+  it("should throw if it does not drain", () => {
+    const scheduler = new ManualScheduler();
+    const loop = () => scheduler.schedule(loop);
+    loop();
+    expect(() => scheduler.run(5)).toThrow("Scheduler did not drain.");
+  });
+});
+
+describe("The scheduler option", () => {
+  it("should hold client deferrals until the scheduler runs", () => {
+    const scheduler = new ManualScheduler();
+    const server = new FakeServer({ scheduler: scheduler.schedule });
+    const client = new FeedmeClient(server.transport(), {
+      scheduler: scheduler.schedule,
+    });
+    const onConnect = jest.fn();
+    client.on("connect", onConnect);
+    client.connect();
+    expect(client.state).toBe(ClientState.DISCONNECTED);
+    expect(onConnect.mock.calls.length).toBe(0);
+
+    scheduler.run();
+    expect(client.state).toBe(ClientState.CONNECTED);
+    expect(onConnect.mock.calls.length).toBe(1);
+  });
+
+  it("should be validated", () => {
+    const server = new FakeServer();
+    expect(
+      () => new FeedmeClient(server.transport(), { scheduler: 1 }),
+    ).toThrow(/scheduler/);
+  });
+});
@@ -0,0 +1,299 @@
+import FeedmeClient from "../client";
+import SharedClient from "../client.shared";
+import ManualScheduler from "../scheduler.manual";
+import VirtualClock from "../clock.virtual";
+import { FakeServer } from "../testing";
+import { ClientState, FeedState } from "../states";
+
+// In-memory stand-ins for BroadcastChannel and navigator.locks, and a
+// FakeServer that the leader tab's client connects to over a LoopbackTransport
+const group = () => {
+  const scheduler = new ManualScheduler();
+  const clock = new VirtualClock();
+  const server = new FakeServer({ scheduler: scheduler.schedule });
+
+  const channels = new Set();
+  const createChannel = () => {
+    const channel = {
+      onmessage: null,
+      postMessage(data) {
+        const cloned = JSON.parse(JSON.stringify(data));
+        channels.forEach((other) => {
+          if (other !== channel) {
+            scheduler.schedule(() => {
+              if (other.onmessage) {
+                other.onmessage({ data: cloned });
+              }
+            });
+          }
+        });
+      },
+      close() {
+        channels.delete(channel);
+      },
+    };
+    channels.add(channel);
+    return channel;
+  };
+
+  // Locks are granted in request order and released when the promise
+  // returned by the callback settles, which settles the request promise
+  const waiting = [];
+  const grant = () => {
+    if (waiting.length > 0) {
+      const [fn, resolve] = waiting[0];
+      const held = new Promise((res) => {
+        res(fn());
+      });
+      const release = () => {
+        waiting.shift();
+        grant();
+      };
+      held.then(release, release);
+      resolve(held);
+    }
+  };
+  const locks = {
+    request(name, fn) {
+      return new Promise((resolve) => {
+        waiting.push([fn, resolve]);
+        if (waiting.length === 1) {
+          Promise.resolve().then(grant);
+        }
+      });
+    },
+  };
+
+  const tab = () =>
+    new SharedClient({
+      createClient: () =>
+        new FeedmeClient(server.transport(), {
+          scheduler: scheduler.schedule,
+          clock,
+          connect: true,
+        }),
+      createChannel,
+      locks,
+      scheduler: scheduler.schedule,
+    });
+
+  // Delivers lock grants, messages, and connection attempts until idle
+  const settle = async (rounds = 5) => {
+    await new Promise(setImmediate);
+    clock.advance(0);
+    scheduler.run();
+    if (rounds > 1) {
+      await settle(rounds - 1);
+    }
+  };
+
+  return { scheduler, clock, server, createChannel, locks, tab, settle };
+};
+
+describe("The SharedClient class", () => {
+  let g;
+  let leader;
+  let follower;
+  beforeEach(async () => {
+    g = group();
+    g.server.handleAction("Add", (args, res) =>
+      res.success({ sum: args.a + args.b }),
+    );
+    g.server.handleAction("Fail", (args, res) => res.failure("NOPE", {}));
+    g.server.handleFeed("Chat", (args, res) => res.success({ messages: [] }));
+    g.server.handleFeed("Board", (args, res) =>
+      res.success({ cards: [], meta: { title: "t" } }),
+    );
+    leader = g.tab();
+    follower = g.tab();
+    await g.settle();
+  });
+
+  it("should elect one leader and mirror its client state", () => {
+    expect(leader.leader).toBe(true);
+    expect(follower.leader).toBe(false);
+    expect(leader.state).toBe(ClientState.CONNECTED);
+    expect(follower.state).toBe(ClientState.CONNECTED);
+  });
+
+  it("should serve actions from every tab through the leader", async () => {
+    const ok = jest.fn();
+    const fail = jest.fn();
+    follower.action("Add", { a: 1, b: 2 }, ok);
+    follower.action("Fail", {}, fail);
+    await g.settle();
+
+    expect(ok.mock.calls).toEqual([[null, { sum: 3 }]]);
+    expect(fail.mock.calls[0][0]).toMatchObject({
+      name: "RejectionError",
+      serverErrorCode: "NOPE",
+    });
+  });
+
+  it("should relay feed data and actions to every tab", async () => {
+    const feeds = [leader.feed("Chat", {}), follower.feed("Chat", {})];
+    await g.settle();
+    const [leaderFeed, followerFeed] = await Promise.all(feeds);
+    const onAction = jest.fn();
+    followerFeed.on("action", onAction);
+
+    g.server.feedAction("Chat", {}, "Post", { id: 1 }, [
+      { Operation: "InsertLast", Path: ["messages"], Value: "hi" },
+    ]);
+    await g.settle();
+
+    expect(leaderFeed.data).toEqual({ messages: ["hi"] });
+    expect(followerFeed.data).toEqual({ messages: ["hi"] });
+    expect(onAction.mock.calls[0][0]).toBe("Post");
+    expect(onAction.mock.calls[0][1]).toEqual({ id: 1 });
+  });
+
+  it("should apply feed deltas in follower tabs with structural sharing", async () => {
+    const opening = follower.feed("Board", {});
+    await g.settle();
+    const feed = await opening;
+    const { meta } = feed.data;
+    const onAction = jest.fn();
+    feed.on("action", onAction);
+
+    g.server.feedAction("Board", {}, "Add", {}, [
+      { Operation: "InsertLast", Path: ["cards"], Value: { text: "a" } },
+    ]);
+    await g.settle();
+
+    expect(feed.data).toEqual({ cards: [{ text: "a" }], meta: { title: "t" } });
+    expect(feed.data.meta).toBe(meta);
+    expect(Object.isFrozen(feed.data.cards[0])).toBe(true);
+    expect(onAction.mock.calls[0][4]).toEqual([
+      { Operation: "InsertLast", Path: ["cards"], Value: { text: "a" } },
+    ]);
+    expect(onAction.mock.calls[0][5]).toEqual([["cards"]]);
+  });
+
+  it("should pass error causes to follower tabs", async () => {
+    const err = new Error("Outer.");
+    err.cause = new TypeError("Inner.");
+    leader._client.action = (name, args, callback) => {
+      callback(err);
+    };
+    const cb = jest.fn();
+    follower.action("Add", { a: 1, b: 2 }, cb);
+    await g.settle();
+
+    const followerErr = cb.mock.calls[0][0];
+    expect(followerErr.message).toBe("Outer.");
+    expect(followerErr.cause).toBeInstanceOf(Error);
+    expect(followerErr.cause.name).toBe("TypeError");
+    expect(followerErr.cause.message).toBe("Inner.");
+  });
+
+  it("should throw if action or feed options are passed", () => {
+    expect(() => follower.action("Add", {}, { retry: true }, () => {})).toThrow(
+      "SharedClient does not support options.",
+    );
+    expect(() => follower.action("Add", {}, {})).toThrow(
+      "SharedClient does not support options.",
+    );
+    expect(() => follower.feed("Chat", {}, {}, () => {})).toThrow(
+      "SharedClient does not support options.",
+    );
+    expect(() => follower.feed("Chat", {}, 1)).toThrow(
+      "Callback must be a function.",
+    );
+  });
+
+  it("should reopen feeds through a new leader when the leader leaves", async () => {
+    const opening = follower.feed("Chat", {});
+    await g.settle();
+    const feed = await opening;
+    const events = [];
+    ["reopening", "open", "close"].forEach((evt) => {
+      feed.on(evt, () => events.push(evt));
+    });
+    const onLeader = jest.fn();
+    follower.on("leader", onLeader);
+
+    leader.destroy();
+    await g.settle();
+
+    expect(onLeader.mock.calls.length).toBe(1);
+    expect(follower.leader).toBe(true);
+    expect(follower.state).toBe(ClientState.CONNECTED);
+    expect(feed.state).toBe(FeedState.OPEN);
+    expect(events).toEqual(["reopening", "open"]);
+  });
+
+  it("should fail follower actions awaiting a result when the leader leaves", async () => {
+    g.server.handleAction("Slow", () => {});
+    const cb = jest.fn();
+    follower.action("Slow", {}, cb);
+    await g.settle();
+
+    leader.destroy();
+    await g.settle();
+
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0][0]).toMatchObject({
+      name: "ConnectionError",
+      message: "The tab holding the connection changed.",
+    });
+  });
+
+  it("should close a follower feed on the server once no tab has it open", async () => {
+    const opening = follower.feed("Chat", {});
+    await g.settle();
+    const feed = await opening;
+
+    const onClose = jest.fn();
+    feed.close(onClose);
+    await g.settle();
+
+    expect(onClose.mock.calls).toEqual([[null]]);
+    expect(feed.state).toBe(FeedState.CLOSED);
+    expect(() => g.server.feedAction("Chat", {}, "Post", {})).toThrow(
+      "The feed is not open on any connection.",
+    );
+  });
+
+  it("should fail outstanding callbacks with DestroyedError on destroy", async () => {
+    g.server.handleAction("Slow", () => {});
+    const cb = jest.fn();
+    follower.action("Slow", {}, cb);
+    await g.settle();
+
+    follower.destroy();
+
+    expect(cb.mock.calls[0][0].name).toBe("DestroyedError");
+    expect(follower.destroyed).toBe(true);
+    expect(() => follower.action("Add", { a: 1, b: 2 })).toThrow(
+      "The client has been destroyed.",
+    );
+  });
+
+  it("should release the lock and throw asynchronously if the client cannot be created", async () => {
+    const g2 = group();
+    const err = new Error("NO_CLIENT");
+    const failing = new SharedClient({
+      createClient: () => {
+        throw err;
+      },
+      createChannel: g2.createChannel,
+      locks: g2.locks,
+      scheduler: g2.scheduler.schedule,
+    });
+    const other = g2.tab();
+
+    await expect(g2.settle(1)).rejects.toBe(err);
+    await g2.settle();
+
+    expect(failing.leader).toBe(false);
+    expect(other.leader).toBe(true);
+    expect(failing.state).toBe(ClientState.CONNECTED);
+  });
+
+  it("should throw if locks are unavailable", () => {
+    expect(() => new SharedClient({ createClient: () => null })).toThrow(
+      "The option 'locks' must be supplied where navigator.locks is not available.",
+    );
+  });
+});
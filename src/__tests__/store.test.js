@@ -0,0 +1,129 @@
+import bindFeeds, { feedsReducer } from "../store";
+import { connected, openFeed } from "./harness";
+
+// Minimal Redux-style store
+const reduxStore = (reducer) => {
+  const store = {
+    state: reducer(undefined, {}),
+    actions: [],
+    dispatch(action) {
+      store.actions.push(action);
+      store.state = reducer(store.state, action);
+    },
+  };
+  return store;
+};
+
+describe("The bindFeeds function", () => {
+  let h;
+  let feed;
+  const post = () => {
+    h.server.feedAction("Chat", {}, "Post", { id: 1 }, [
+      { Operation: "InsertLast", Path: ["messages"], Value: "hi" },
+    ]);
+    h.scheduler.run();
+  };
+  beforeEach(() => {
+    h = connected();
+    h.server.handleFeed("Chat", (args, res) => res.success({ messages: [] }));
+    feed = openFeed(h, "Chat", {});
+  });
+
+  it("should dispatch actions that feedsReducer applies", () => {
+    const store = reduxStore(feedsReducer());
+    bindFeeds(store, { chat: feed });
+    expect(store.state).toEqual({ chat: { messages: [] } });
+
+    post();
+    expect(store.state).toEqual({ chat: { messages: ["hi"] } });
+    expect(store.actions[1]).toEqual({
+      type: "feedme/action",
+      key: "chat",
+      feedData: { messages: ["hi"] },
+      actionName: "Post",
+      actionData: { id: 1 },
+    });
+  });
+
+  it("should set the feed data on setState() stores", () => {
+    const setState = jest.fn();
+    bindFeeds({ setState }, { chat: feed });
+    post();
+
+    expect(setState.mock.calls).toEqual([
+      [{ chat: { messages: [] } }],
+      [{ chat: { messages: ["hi"] } }],
+    ]);
+  });
+
+  it("should dispatch close with a serializable error and unbind", () => {
+    const store = reduxStore(feedsReducer({ typePrefix: "app" }));
+    bindFeeds(store, { chat: feed }, { typePrefix: "app" });
+    h.server.feedTermination("Chat", {}, "DONE");
+    h.scheduler.run();
+
+    expect(store.state).toEqual({ chat: null });
+    expect(store.actions[1]).toEqual({
+      type: "app/close",
+      key: "chat",
+      feedData: null,
+      error: {
+        name: "TerminationError",
+        message: "The server terminated the feed.",
+      },
+    });
+    expect(feed.listenerCount("action")).toBe(0);
+  });
+
+  it("should stop updating the store once unbound", () => {
+    const store = reduxStore(feedsReducer());
+    const unbind = bindFeeds(store, { chat: feed });
+    unbind();
+    post();
+
+    expect(store.actions.length).toBe(1);
+    expect(feed.listenerCount("close")).toBe(0);
+  });
+
+  it("should ignore other actions in feedsReducer", () => {
+    const reducer = feedsReducer();
+    const state = { chat: {} };
+    expect(reducer(state, { type: "other/open", key: "x" })).toBe(state);
+  });
+
+  it("should throw on invalid arguments", () => {
+    expect(() => bindFeeds({}, { chat: feed })).toThrow(
+      "Store must have a dispatch() or setState() method.",
+    );
+    expect(() => bindFeeds({ setState() {} }, { chat: {} })).toThrow(
+      "Feeds must be an object of feed objects.",
+    );
+    expect(() =>
+      bindFeeds({ setState() {} }, { chat: feed }, { typePrefix: "" }),
+    ).toThrow("The option 'typePrefix' must be a string.");
+  });
+});
+
+describe("The feed.subscribe() method", () => {
+  it("should run immediately, on change, and with null on close", () => {
+    const h = connected();
+    h.server.handleFeed("Chat", (args, res) => res.success({ messages: [] }));
+    const feed = openFeed(h, "Chat", {});
+    const run = jest.fn();
+    feed.subscribe(run);
+
+    h.server.feedAction("Chat", {}, "Post", {}, [
+      { Operation: "InsertLast", Path: ["messages"], Value: "hi" },
+    ]);
+    h.scheduler.run();
+    feed.close(() => {});
+    h.scheduler.run();
+
+    expect(run.mock.calls).toEqual([
+      [{ messages: [] }],
+      [{ messages: ["hi"] }],
+      [null],
+    ]);
+    expect(feed.listenerCount("action")).toBe(0);
+  });
+});
@@ -0,0 +1,76 @@
+import { connected } from "./harness";
+import { ClientState } from "../states";
+
+const unexpectedResponse = {
+  MessageType: "ActionResponse",
+  CallbackId: "unknown",
+  Success: true,
+  ActionData: {},
+};
+
+const violationResponse = {
+  MessageType: "ViolationResponse",
+  Diagnostics: { Problem: "Something" },
+};
+
+describe("The strictProtocol option", () => {
+  it("should disconnect on unexpected messages if true", () => {
+    const h = connected({ reconnect: false });
+    const onDisconnect = jest.fn();
+    const onBadServerMessage = jest.fn();
+    h.client.on("disconnect", onDisconnect);
+    h.client.on("badServerMessage", onBadServerMessage);
+
+    h.server.send(unexpectedResponse);
+    h.scheduler.run();
+
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+    expect(onDisconnect.mock.calls.length).toBe(1);
+    expect(onDisconnect.mock.calls[0][0].name).toBe("ServerMessageError");
+    expect(onBadServerMessage.mock.calls.length).toBe(0);
+  });
+
+  it("should report unexpected messages and stay connected if false", () => {
+    const h = connected({ strictProtocol: false });
+    const onBadServerMessage = jest.fn();
+    h.client.on("badServerMessage", onBadServerMessage);
+
+    h.server.send(unexpectedResponse);
+    h.scheduler.run();
+
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+    expect(onBadServerMessage.mock.calls.length).toBe(1);
+    const err = onBadServerMessage.mock.calls[0][0];
+    expect(err.name).toBe("ServerMessageError");
+    expect(err.serverMessage).toEqual(unexpectedResponse);
+  });
+
+  it("should report violation responses and stay connected if false", () => {
+    const h = connected({ strictProtocol: false });
+    const onBadClientMessage = jest.fn();
+    h.client.on("badClientMessage", onBadClientMessage);
+
+    h.server.send(violationResponse);
+    h.scheduler.run();
+
+    expect(h.client.state).toBe(ClientState.CONNECTED);
+    expect(onBadClientMessage.mock.calls).toEqual([
+      [violationResponse.Diagnostics],
+    ]);
+  });
+
+  it("should still disconnect on invalid JSON if false", () => {
+    const h = connected({ strictProtocol: false, reconnect: false });
+
+    h.server.send("not json");
+    h.scheduler.run();
+
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+  });
+
+  it("should be validated", () => {
+    expect(() => connected({ strictProtocol: 1 })).toThrow(
+      "The option 'strictProtocol' must be boolean.",
+    );
+  });
+});
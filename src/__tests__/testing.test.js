@@ -0,0 +1,194 @@
+import { connected, harness, openFeed } from "./harness";
+import ManualScheduler from "../scheduler.manual";
+import { FakeServer } from "../testing";
+import { ClientState, FeedState } from "../states";
+
+const transportEvents = (transport) => {
+  const events = [];
+  ["connecting", "connect", "disconnecting", "disconnect", "message"].forEach(
+    (evt) => {
+      transport.on(evt, (arg) => {
+        events.push(arg === undefined ? [evt] : [evt, arg]);
+      });
+    },
+  );
+  return events;
+};
+
+describe("The LoopbackTransport class", () => {
+  let scheduler;
+  let server;
+  let transport;
+  let events;
+  beforeEach(() => {
+    scheduler = new ManualScheduler();
+    server = new FakeServer({ scheduler: scheduler.schedule });
+    transport = server.transport();
+    events = transportEvents(transport);
+  });
+
+  it("should connect once deferred if the server is accepting", () => {
+    transport.connect();
+    expect(transport.state()).toBe("connecting");
+    expect(events).toEqual([["connecting"]]);
+
+    scheduler.run();
+    expect(transport.state()).toBe("connected");
+    expect(events).toEqual([["connecting"], ["connect"]]);
+  });
+
+  it("should fail to connect if the server is not accepting", () => {
+    server.accepting = false;
+    transport.connect();
+    scheduler.run();
+
+    expect(transport.state()).toBe("disconnected");
+    expect(events.map(([evt]) => evt)).toEqual([
+      "connecting",
+      "disconnecting",
+      "disconnect",
+    ]);
+    expect(events[1][1].message).toBe("The server refused the connection.");
+  });
+
+  it("should disconnect and discard messages from the ended connection", () => {
+    transport.connect();
+    scheduler.run();
+    transport.send(
+      JSON.stringify({ MessageType: "Handshake", Versions: ["0.1"] }),
+    );
+    transport.disconnect();
+    expect(transport.state()).toBe("disconnected");
+    scheduler.run();
+
+    expect(events.map(([evt]) => evt)).toEqual([
+      "connecting",
+      "connect",
+      "disconnecting",
+      "disconnect",
+    ]);
+    expect(server.received).toEqual([]);
+  });
+
+  it("should emit pong only while the server is responsive", () => {
+    const onPong = jest.fn();
+    transport.on("pong", onPong);
+    transport.connect();
+    scheduler.run();
+
+    transport.ping();
+    scheduler.run();
+    expect(onPong.mock.calls.length).toBe(1);
+
+    server.responsive = false;
+    transport.ping();
+    scheduler.run();
+    expect(onPong.mock.calls.length).toBe(1);
+  });
+
+  it("should throw if called in the wrong state", () => {
+    expect(() => transport.send("{}")).toThrow("State must be connected.");
+    expect(() => transport.disconnect()).toThrow(
+      "State must be connecting or connected.",
+    );
+    transport.connect();
+    expect(() => transport.connect()).toThrow("State must be disconnected.");
+  });
+});
+
+describe("The FakeServer class", () => {
+  it("should answer actions using the registered handler", async () => {
+    const h = connected();
+    h.server.handleAction("Add", (args, res) =>
+      res.success({ sum: args.a + args.b }),
+    );
+    h.server.handleAction("Fail", (args, res) => res.failure("NOPE", { a: 1 }));
+
+    const add = h.client.action("Add", { a: 1, b: 2 });
+    const fail = h.client.action("Fail", {});
+    const unknown = h.client.action("Unknown", {});
+    h.scheduler.run();
+
+    await expect(add).resolves.toEqual({ sum: 3 });
+    await expect(fail).rejects.toMatchObject({
+      name: "RejectionError",
+      serverErrorCode: "NOPE",
+      serverErrorData: { a: 1 },
+    });
+    await expect(unknown).rejects.toMatchObject({
+      serverErrorCode: "UNKNOWN_ACTION",
+    });
+  });
+
+  it("should throw if a handler responds twice", () => {
+    const h = connected();
+    let res;
+    h.server.handleAction("Add", (args, r) => {
+      res = r;
+    });
+    h.client.action("Add", {}, () => {});
+    h.scheduler.run();
+
+    res.success({});
+    expect(() => res.failure("NOPE")).toThrow("Already responded.");
+  });
+
+  it("should send feed actions and terminations to open feeds", () => {
+    const h = connected();
+    h.server.handleFeed("Chat", (args, res) => res.success({ messages: [] }));
+    const feed = openFeed(h, "Chat", { room: "a" });
+    const onAction = jest.fn();
+    feed.on("action", onAction);
+
+    h.server.feedAction("Chat", { room: "a" }, "Post", { id: 1 }, [
+      { Operation: "InsertLast", Path: ["messages"], Value: "hi" },
+    ]);
+    h.scheduler.run();
+    expect(feed.data).toEqual({ messages: ["hi"] });
+    expect(onAction.mock.calls[0][0]).toBe("Post");
+
+    h.server.feedTermination("Chat", { room: "a" }, "DONE");
+    h.scheduler.run();
+    expect(feed.state).toBe(FeedState.CLOSED);
+    expect(() =>
+      h.server.feedAction("Chat", { room: "a" }, "Post", {}),
+    ).toThrow("The feed is not open on any connection.");
+  });
+
+  it("should record received messages and answer invalid ones with ViolationResponse", () => {
+    const h = connected({ strictProtocol: false });
+    const onBadClientMessage = jest.fn();
+    h.client.on("badClientMessage", onBadClientMessage);
+
+    h.transport.send("not json");
+    h.scheduler.run();
+
+    expect(h.server.received.map((msg) => msg && msg.MessageType)).toEqual([
+      "Handshake",
+      null,
+    ]);
+    expect(onBadClientMessage.mock.calls[0][0]).toEqual({
+      Problem: "Invalid JSON.",
+      Message: "not json",
+    });
+  });
+
+  it("should reject handshakes if handshakeSuccess is false", () => {
+    const h = harness();
+    h.server.handshakeSuccess = false;
+    const cb = jest.fn();
+    h.client.connect(cb);
+    h.scheduler.run();
+
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+    expect(cb.mock.calls[0][0].name).toBe("HandshakeError");
+  });
+
+  it("should disconnect all connections", () => {
+    const h = connected({ reconnect: false });
+    h.server.disconnectAll(new Error("Bye."));
+    h.scheduler.run();
+
+    expect(h.client.state).toBe(ClientState.DISCONNECTED);
+  });
+});
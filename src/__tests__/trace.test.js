@@ -0,0 +1,115 @@
+import { connected } from "./harness";
+import FeedmeClient from "../client";
+import TraceRecorder from "../trace";
+import ReplayTransport from "../transport.replay";
+import ManualScheduler from "../scheduler.manual";
+import VirtualClock from "../clock.virtual";
+import { ClientState } from "../states";
+
+// Records a session against the FakeServer and returns the trace JSON
+const record = () => {
+  const trace = new TraceRecorder();
+  const h = connected({ trace });
+  h.server.handleAction("Add", (args, res) =>
+    res.success({ sum: args.a + args.b }),
+  );
+  h.server.handleFeed("Chat", (args, res) => res.success({ messages: [] }));
+  h.client.action("Add", { a: 1, b: 2 }, () => {});
+  h.client.feed("Chat", { room: "a" }, () => {});
+  h.scheduler.run();
+  h.server.feedAction("Chat", { room: "a" }, "Post", {}, [
+    { Operation: "InsertLast", Path: ["messages"], Value: "hi" },
+  ]);
+  h.scheduler.run();
+  return JSON.stringify(trace);
+};
+
+// Returns a client connected to a ReplayTransport playing back the trace
+const replay = (json) => {
+  const scheduler = new ManualScheduler();
+  const clock = new VirtualClock();
+  const transport = new ReplayTransport(json, {
+    scheduler: scheduler.schedule,
+    clock,
+  });
+  const client = new FeedmeClient(transport, {
+    scheduler: scheduler.schedule,
+    clock,
+  });
+  client.connect();
+  scheduler.run();
+  return { scheduler, clock, transport, client };
+};
+
+describe("The TraceRecorder class", () => {
+  it("should record transport calls, returns, and events", () => {
+    const trace = JSON.parse(record());
+    expect(trace.version).toBe(TraceRecorder.VERSION);
+    const types = trace.entries.map((entry) => entry.type);
+    expect(types.slice(0, 6)).toEqual([
+      "call:connect",
+      "event:connecting",
+      "return",
+      "event:connect",
+      "call:send",
+      "return",
+    ]);
+    expect(types).toContain("event:message");
+    trace.entries.forEach((entry) => {
+      expect(typeof entry.t).toBe("number");
+    });
+  });
+
+  it("should discard the oldest entries beyond maxEntries", () => {
+    const trace = new TraceRecorder(2);
+    trace.record({ t: 1, type: "a" });
+    trace.record({ t: 2, type: "b" });
+    trace.record({ t: 3, type: "c" });
+    expect(trace.entries.map((entry) => entry.type)).toEqual(["b", "c"]);
+    trace.clear();
+    expect(trace.toJSON().entries).toEqual([]);
+  });
+});
+
+describe("The ReplayTransport class", () => {
+  it("should reproduce a recorded session", () => {
+    const r = replay(record());
+    const onDivergence = jest.fn();
+    r.transport.on("divergence", onDivergence);
+    expect(r.client.state).toBe(ClientState.CONNECTED);
+
+    const actionCb = jest.fn();
+    let feed;
+    r.client.action("Add", { a: 1, b: 2 }, actionCb);
+    r.client.feed("Chat", { room: "a" }, (err, f) => {
+      feed = f;
+    });
+    r.scheduler.run();
+
+    expect(onDivergence.mock.calls.length).toBe(0);
+    expect(actionCb.mock.calls).toEqual([[null, { sum: 3 }]]);
+    expect(feed.data).toEqual({ messages: ["hi"] });
+    expect(r.transport.diverged).toBe(false);
+  });
+
+  it("should emit divergence and stop if the library call does not match", () => {
+    const r = replay(record());
+    const onDivergence = jest.fn();
+    r.transport.on("divergence", onDivergence);
+
+    const actionCb = jest.fn();
+    r.client.action("Add", { a: 5, b: 5 }, actionCb);
+    r.scheduler.run();
+
+    expect(r.transport.diverged).toBe(true);
+    expect(onDivergence.mock.calls.length).toBe(1);
+    expect(onDivergence.mock.calls[0][0].type).toBe("call:send");
+    expect(actionCb.mock.calls.length).toBe(0);
+  });
+
+  it("should reject traces without entries", () => {
+    expect(() => new ReplayTransport({})).toThrow(
+      "Trace must have an entries array.",
+    );
+  });
+});
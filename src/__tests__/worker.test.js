@@ -0,0 +1,156 @@
+import FeedmeClient from "../client";
+import WorkerClient, { serveWorker } from "../client.worker";
+import ManualScheduler from "../scheduler.manual";
+import VirtualClock from "../clock.virtual";
+import { FakeServer } from "../testing";
+import { ClientState, FeedState } from "../states";
+
+const { EventTarget, Event } = globalThis;
+
+// Returns a connected pair of event targets standing in for a Worker and its
+// global scope. Messages are delivered by the scheduler as structured clones.
+// Assigning onmessage has no effect, so listeners must be added.
+const ports = (scheduler) => {
+  const worker = new EventTarget();
+  const scope = new EventTarget();
+  const connect = (from, to) => {
+    Object.assign(from, {
+      postMessage(data) {
+        const cloned = JSON.parse(JSON.stringify(data));
+        scheduler.schedule(() => {
+          to.dispatchEvent(
+            Object.assign(new Event("message"), { data: cloned }),
+          );
+        });
+      },
+    });
+  };
+  connect(worker, scope);
+  connect(scope, worker);
+  worker.terminate = jest.fn();
+  return { worker, scope };
+};
+
+describe("The WorkerClient and serveWorker functions", () => {
+  let scheduler;
+  let clock;
+  let server;
+  let worker;
+  let scope;
+  let served;
+  let client;
+  const run = () => {
+    clock.advance(0);
+    scheduler.run();
+  };
+  beforeEach(() => {
+    scheduler = new ManualScheduler();
+    clock = new VirtualClock();
+    server = new FakeServer({ scheduler: scheduler.schedule });
+    server.handleAction("Add", (args, res) =>
+      res.success({ sum: args.a + args.b }),
+    );
+    server.handleFeed("Chat", (args, res) => res.success({ messages: [] }));
+    ({ worker, scope } = ports(scheduler));
+    served = serveWorker(
+      () =>
+        new FeedmeClient(server.transport(), {
+          scheduler: scheduler.schedule,
+          clock,
+          connect: true,
+        }),
+      { scope, scheduler: scheduler.schedule },
+    );
+    client = new WorkerClient(worker, { scheduler: scheduler.schedule });
+    run();
+  });
+
+  it("should make the worker the leader and mirror its client state", () => {
+    expect(served.leader).toBe(true);
+    expect(client.leader).toBe(false);
+    expect(client.state).toBe(ClientState.CONNECTED);
+  });
+
+  it("should serve actions and feeds to the main thread", () => {
+    const actionCb = jest.fn();
+    let feed;
+    client.action("Add", { a: 1, b: 2 }, actionCb);
+    client.feed("Chat", {}, (err, f) => {
+      feed = f;
+    });
+    run();
+    server.feedAction("Chat", {}, "Post", {}, [
+      { Operation: "InsertLast", Path: ["messages"], Value: "hi" },
+    ]);
+    run();
+
+    expect(actionCb.mock.calls).toEqual([[null, { sum: 3 }]]);
+    expect(feed.state).toBe(FeedState.OPEN);
+    expect(feed.data).toEqual({ messages: ["hi"] });
+  });
+
+  it("should post feed actions as deltas applied with structural sharing", () => {
+    server.handleFeed("Board", (args, res) =>
+      res.success({ cards: [], meta: { title: "t" } }),
+    );
+    const posted = [];
+    const { postMessage } = scope;
+    scope.postMessage = (data) => {
+      posted.push(data);
+      postMessage(data);
+    };
+    let feed;
+    client.feed("Board", {}, (err, f) => {
+      feed = f;
+    });
+    run();
+    const { meta } = feed.data;
+
+    server.feedAction("Board", {}, "Add", {}, [
+      { Operation: "InsertLast", Path: ["cards"], Value: "a" },
+    ]);
+    run();
+
+    const actionMsg = posted.find((msg) => msg.type === "feedAction");
+    expect(actionMsg.data).toBe(undefined);
+    expect(actionMsg.feedDeltas.length).toBe(1);
+    expect(feed.data).toEqual({ cards: ["a"], meta: { title: "t" } });
+    expect(feed.data.meta).toBe(meta);
+  });
+
+  it("should throw if action or feed options are passed", () => {
+    expect(() => client.action("Add", {}, { retry: true }, () => {})).toThrow(
+      "SharedClient does not support options.",
+    );
+    expect(() => client.feed("Chat", {}, {})).toThrow(
+      "SharedClient does not support options.",
+    );
+  });
+
+  it("should leave other message listeners in place", () => {
+    const onMessage = jest.fn();
+    worker.addEventListener("message", onMessage);
+    client.action("Add", { a: 1, b: 2 }, () => {});
+    run();
+
+    expect(onMessage).toHaveBeenCalled();
+  });
+
+  it("should stop listening and terminate the worker when destroyed", () => {
+    const onDisconnect = jest.fn();
+    client.on("disconnect", onDisconnect);
+    client.destroy();
+    expect(worker.terminate.mock.calls.length).toBe(1);
+
+    served.disconnect();
+    run();
+    expect(onDisconnect.mock.calls.length).toBe(0);
+  });
+
+  it("should throw on invalid arguments", () => {
+    expect(() => new WorkerClient({})).toThrow("Worker must be a Worker.");
+    expect(() => serveWorker(() => null)).toThrow(
+      "The option 'scope' must be a worker scope.",
+    );
+  });
+});
@@ -4,15 +4,50 @@ import debug from "debug";
 import { EventEmitter } from "events";
 import FeedNameArgs from "feedme-util/feednameargs";
 import _clone from "lodash/clone";
+import deepFreeze from "deep-freeze";
 import Coordinator from "./coordinator";
 import { ClientState, FeedState } from "./states";
-import { ArgumentError, HandshakeError, StateError } from "./errors";
+import {
+  ArgumentError,
+  HandshakeError,
+  StateError,
+  DestroyedError,
+  AbortError,
+  OutboxError,
+  ConnectionError,
+} from "./errors";
 import defaults from "./defaults";
 import promiseCallback from "./promisecallback";
 import FeedmeClientFeed from "./clientfeed";
+import Outbox from "./outbox";
+import retryPolicy, { policies as retryPolicies } from "./retrypolicy";
+import clock from "./clock";
+import { observeState } from "./interop";
+import uniqueId from "./uniqueid";
 
 const dbg = debug("feedme-client:client");
 
+/**
+ * Returns a new idempotency key - a UUID where the platform can generate one.
+ * @returns {string}
+ */
+const idempotencyKey = function idempotencyKey() {
+  const uuidCrypto = globalThis.crypto || null;
+  if (uuidCrypto && check.function(uuidCrypto.randomUUID)) {
+    return uuidCrypto.randomUUID();
+  }
+  const random = () => Math.random().toString(36).slice(2);
+  return `${Date.now().toString(36)}-${random()}${random()}`;
+};
+
+/**
+ * The default backoff for action retries, doubling from one second and capped
+ * at thirty.
+ * @param {number} attempt The attempt that failed, from 1
+ * @returns {number}
+ */
+const actionBackoff = (attempt) => Math.min(1000 * 2 ** (attempt - 1), 30000);
+
 /**
  * Application-facing API details documented in README.
  *
@@ -107,6 +142,26 @@ const FeedmeClient = function FeedmeClient(transport, options = {}) {
     );
   }
 
+  // Check options.livenessTimeoutMs (if specified)
+  if (
+    "livenessTimeoutMs" in options &&
+    (!check.integer(options.livenessTimeoutMs) || options.livenessTimeoutMs < 0)
+  ) {
+    throw new ArgumentError(
+      "The option 'livenessTimeoutMs' must be a non-negative integer.",
+    );
+  }
+
+  // Check options.livenessProbeMs (if specified)
+  if (
+    "livenessProbeMs" in options &&
+    (!check.integer(options.livenessProbeMs) || options.livenessProbeMs < 0)
+  ) {
+    throw new ArgumentError(
+      "The option 'livenessProbeMs' must be a non-negative integer.",
+    );
+  }
+
   // Check options.connectRetryMs (if specified)
   if ("connectRetryMs" in options && !check.integer(options.connectRetryMs)) {
     throw new ArgumentError("The option 'connectRetryMs' must be an integer.");
@@ -175,6 +230,179 @@ const FeedmeClient = function FeedmeClient(transport, options = {}) {
     );
   }
 
+  // Check options.persistentFeeds (if specified)
+  if ("persistentFeeds" in options && !check.boolean(options.persistentFeeds)) {
+    throw new ArgumentError("The option 'persistentFeeds' must be boolean.");
+  }
+
+  // Check options.reopenMaxAttempts (if specified)
+  if (
+    "reopenMaxAttempts" in options &&
+    !check.integer(options.reopenMaxAttempts)
+  ) {
+    throw new ArgumentError(
+      "The option 'reopenMaxAttempts' must be an integer.",
+    );
+  }
+
+  // Check options.reopenTrailingMs (if specified)
+  if (
+    "reopenTrailingMs" in options &&
+    (!check.integer(options.reopenTrailingMs) || options.reopenTrailingMs < 0)
+  ) {
+    throw new ArgumentError(
+      "The option 'reopenTrailingMs' must be a non-negative integer.",
+    );
+  }
+
+  // Check options.strictProtocol (if specified)
+  if ("strictProtocol" in options && !check.boolean(options.strictProtocol)) {
+    throw new ArgumentError("The option 'strictProtocol' must be boolean.");
+  }
+
+  // Check options.feedCache (if specified)
+  if (
+    "feedCache" in options &&
+    options.feedCache !== null &&
+    (!check.object(options.feedCache) ||
+      !check.function(options.feedCache.get) ||
+      !check.function(options.feedCache.set) ||
+      !check.function(options.feedCache.delete))
+  ) {
+    throw new ArgumentError(
+      "The option 'feedCache' must be null or an object with get(), set(), and delete() methods.",
+    );
+  }
+
+  // Check options.outbox (if specified)
+  if ("outbox" in options && !check.boolean(options.outbox)) {
+    throw new ArgumentError("The option 'outbox' must be boolean.");
+  }
+
+  // Check options.idempotencyKeyField (if specified)
+  if (
+    "idempotencyKeyField" in options &&
+    options.idempotencyKeyField !== null &&
+    !check.nonEmptyString(options.idempotencyKeyField)
+  ) {
+    throw new ArgumentError(
+      "The option 'idempotencyKeyField' must be null or a non-empty string.",
+    );
+  }
+
+  // Check options.outboxStorage (if specified)
+  if (
+    "outboxStorage" in options &&
+    options.outboxStorage !== null &&
+    (!check.object(options.outboxStorage) ||
+      !check.function(options.outboxStorage.get) ||
+      !check.function(options.outboxStorage.set) ||
+      !check.function(options.outboxStorage.delete))
+  ) {
+    throw new ArgumentError(
+      "The option 'outboxStorage' must be null or an object with get(), set(), and delete() methods.",
+    );
+  }
+
+  // Check options.outboxExpiryMs (if specified)
+  if (
+    "outboxExpiryMs" in options &&
+    (!check.integer(options.outboxExpiryMs) || options.outboxExpiryMs < 0)
+  ) {
+    throw new ArgumentError(
+      "The option 'outboxExpiryMs' must be a non-negative integer.",
+    );
+  }
+
+  // Check options.outboxMaxSize (if specified)
+  if (
+    "outboxMaxSize" in options &&
+    (!check.integer(options.outboxMaxSize) || options.outboxMaxSize < 0)
+  ) {
+    throw new ArgumentError(
+      "The option 'outboxMaxSize' must be a non-negative integer.",
+    );
+  }
+
+  // Check options.retryPolicy (if specified)
+  if (
+    "retryPolicy" in options &&
+    options.retryPolicy !== null &&
+    !check.function(options.retryPolicy) &&
+    !(
+      check.string(options.retryPolicy) &&
+      Object.prototype.hasOwnProperty.call(retryPolicies, options.retryPolicy)
+    )
+  ) {
+    throw new ArgumentError(
+      `The option 'retryPolicy' must be null, a function, or one of: ${Object.keys(
+        retryPolicies,
+      ).join(", ")}.`,
+    );
+  }
+
+  // Check options.environment (if specified)
+  if (
+    "environment" in options &&
+    options.environment !== null &&
+    (!check.object(options.environment) ||
+      !check.function(options.environment.online) ||
+      !check.function(options.environment.visible) ||
+      !check.function(options.environment.on) ||
+      !check.function(options.environment.off))
+  ) {
+    throw new ArgumentError(
+      "The option 'environment' must be null or an object with online(), visible(), on(), and off() methods.",
+    );
+  }
+
+  // Check options.hiddenDisconnectMs (if specified)
+  if (
+    "hiddenDisconnectMs" in options &&
+    (!check.integer(options.hiddenDisconnectMs) ||
+      options.hiddenDisconnectMs < 0)
+  ) {
+    throw new ArgumentError(
+      "The option 'hiddenDisconnectMs' must be a non-negative integer.",
+    );
+  }
+
+  // Check options.clock (if specified)
+  if (
+    "clock" in options &&
+    options.clock !== null &&
+    (!check.object(options.clock) ||
+      !check.function(options.clock.setTimeout) ||
+      !check.function(options.clock.clearTimeout) ||
+      !check.function(options.clock.now))
+  ) {
+    throw new ArgumentError(
+      "The option 'clock' must be null or an object with setTimeout(), clearTimeout(), and now() methods.",
+    );
+  }
+
+  // Check options.trace (if specified)
+  if (
+    "trace" in options &&
+    options.trace !== null &&
+    (!check.object(options.trace) || !check.function(options.trace.record))
+  ) {
+    throw new ArgumentError(
+      "The option 'trace' must be null or an object with a record() method.",
+    );
+  }
+
+  // Check options.scheduler (if specified)
+  if (
+    "scheduler" in options &&
+    options.scheduler !== null &&
+    !check.function(options.scheduler)
+  ) {
+    throw new ArgumentError(
+      "The option 'scheduler' must be null or a function.",
+    );
+  }
+
   EventEmitter.call(this);
 
   /**
@@ -184,12 +412,20 @@ const FeedmeClient = function FeedmeClient(transport, options = {}) {
    */
   this._options = Object.assign(_clone(defaults), options); // Don't modify defaults
 
+  /**
+   * Source of timers - options.clock or the real clock.
+   * @memberof FeedmeClient
+   * @instance
+   * @type {Object}
+   */
+  this._clock = this._options.clock || clock;
+
   /**
    * @memberof FeedmeClient
    * @instance
    * @type {Coordinator}
    */
-  this._coordinator = new Coordinator(transport, options); // Intentionally cascade ArgumentError, TransportError
+  this._coordinator = new Coordinator(transport, this._options); // Intentionally cascade ArgumentError, TransportError
 
   /**
    * Outward-facing Client state. Usually the same as the Coordinator state, but
@@ -230,6 +466,14 @@ const FeedmeClient = function FeedmeClient(transport, options = {}) {
    */
   this._connectRetryAttempts = 0;
 
+  /**
+   * Returns the delay before each retry or reconnect - see retrypolicy.js.
+   * @memberof FeedmeClient
+   * @instance
+   * @type {Function}
+   */
+  this._retryPolicy = retryPolicy(this._options);
+
   /**
    * The error that was emitted with the latest disconnecting event.
    * @memberof FeedmeClient
@@ -252,8 +496,9 @@ const FeedmeClient = function FeedmeClient(transport, options = {}) {
   this._nextConnectMs = -1;
 
   /**
-   * App calls to Client.disconnect() that were queued after emitting connecting
-   * early and that will be executed on Coordinator connecting.
+   * Calls to Client.disconnect() that were queued after emitting connecting
+   * early and that will be executed on Coordinator connecting. Elements are
+   * of the form { callback, persistFeeds }.
    * @memberof FeedmeClient
    * @instance
    * @type {Array}
@@ -262,7 +507,8 @@ const FeedmeClient = function FeedmeClient(transport, options = {}) {
 
   /**
    * One timer for each reconnect that has occurred in the past options.reconnectMaxMs.
-   * So the length of this set is the reconnect count.
+   * So the length of this set is the reconnect count, which is enforced against
+   * options.reconnectMax and passed to the retry policy as the attempt number.
    *
    * When timers fire, they remove themselves from the set.
    *
@@ -276,11 +522,119 @@ const FeedmeClient = function FeedmeClient(transport, options = {}) {
    */
   this._reconnectTimers = new Set();
 
+  /**
+   * True once there has been a call to destroy().
+   * @memberof FeedmeClient
+   * @instance
+   * @type {boolean}
+   */
+  this._destroyed = false;
+
+  /**
+   * Actions invoked while not connected, if options.outbox is set.
+   * @memberof FeedmeClient
+   * @instance
+   * @type {?Outbox}
+   */
+  this._outbox = this._options.outbox
+    ? new Outbox(this._options, this._outboxExpire.bind(this))
+    : null;
+
+  /**
+   * Source of connectivity and visibility events - options.environment, if any.
+   * @memberof FeedmeClient
+   * @instance
+   * @type {?Object}
+   */
+  this._environment = this._options.environment;
+
+  /**
+   * Listener functions attached to the environment, indexed by event name.
+   * @memberof FeedmeClient
+   * @instance
+   * @type {Object}
+   */
+  this._environmentListeners = {};
+
+  /**
+   * Timer established when the environment becomes hidden, if
+   * options.hiddenDisconnectMs is set.
+   * @memberof FeedmeClient
+   * @instance
+   * @type {?number}
+   */
+  this._hiddenTimer = null;
+
+  /**
+   * True if the client disconnected or cancelled a pending connection attempt
+   * because the environment was hidden, and is to connect once it is visible.
+   * Reset when the app calls dis/connect() or nextConnectCancel().
+   * @memberof FeedmeClient
+   * @instance
+   * @type {boolean}
+   */
+  this._hiddenDisconnected = false;
+
+  /**
+   * Optimistic mutations for actions that have not been confirmed, indexed by
+   * feed serial. Elements are of the form { layers: Object[], cache: WeakMap },
+   * where layers are in invocation order and cache maps confirmed feed data to
+   * the data with the mutations applied. Layers are of the form
+   * { id, apply, settled, failed }:
+   *
+   * - settled: The action succeeded and the layer awaits the next feed action
+   * - failed: apply() threw or returned a non-object, so the layer is skipped
+   *
+   * Removed by _speculate() and _confirmLayers() when there are no layers.
+   * @memberof FeedmeClient
+   * @instance
+   * @type {Object}
+   */
+  this._speculations = {};
+
+  /**
+   * Functions that cancel action retries that are awaiting their backoff or a
+   * connection. Each is invoked with the error to call back.
+   * @memberof FeedmeClient
+   * @instance
+   * @type {Set}
+   */
+  this._actionRetries = new Set();
+
+  /**
+   * Functions invoked when the client connects or disconnects, ahead of the
+   * public events. Action retries use them to await a connection.
+   * @memberof FeedmeClient
+   * @instance
+   * @type {Set}
+   */
+  this._connectionWaiters = new Set();
+
   // Listen for Coordinator events
   Object.entries(this._handlers).forEach(([evt, handler]) => {
     this._coordinator.on(evt, handler.bind(this));
   });
 
+  // Listen for environment events
+  if (this._environment) {
+    Object.entries(this._environmentHandlers).forEach(([evt, handler]) => {
+      this._environmentListeners[evt] = handler.bind(this);
+      this._environment.on(evt, this._environmentListeners[evt]);
+    });
+    if (!this._environment.visible()) {
+      this._environmentListeners.hidden();
+    }
+  }
+
+  // Restore persisted outbox entries and submit them if already connected
+  if (this._outbox) {
+    this._outbox.load(() => {
+      if (!this._destroyed && this._outwardState === ClientState.CONNECTED) {
+        this._outboxSubmit();
+      }
+    });
+  }
+
   // Auto-connect?
   if (this._options.connect) {
     this._nextConnectMs = 0;
@@ -319,6 +673,18 @@ FeedmeClient.prototype.constructor = FeedmeClient;
  * @param {TransportError} err
  */
 
+/**
+ * @event badServerMessage
+ * @memberof FeedmeClient
+ * @param {ServerMessageError} err
+ */
+
+/**
+ * @event badClientMessage
+ * @memberof FeedmeClient
+ * @param {Object} diagnostics
+ */
+
 /**
  * Callback for action()
  * @callback ActionCallback
@@ -351,7 +717,7 @@ Object.entries(FeedState).forEach(([key, val]) => {
  * @memberof FeedmeClient
  * @instance
  * @param {?Function} callback
- * @throws {ArgumentError|StateError|TransportError}
+ * @throws {ArgumentError|StateError|TransportError|DestroyedError}
  */
 FeedmeClient.prototype.connect = function connect(callback) {
   // Check callback
@@ -359,6 +725,11 @@ FeedmeClient.prototype.connect = function connect(callback) {
     throw new ArgumentError("Callback must be a function.");
   }
 
+  // Check destroyed
+  if (this._destroyed) {
+    throw new DestroyedError("The client has been destroyed.");
+  }
+
   // Check state
   if (this._outwardState !== ClientState.DISCONNECTED) {
     throw new StateError("The client state must be disconnected.");
@@ -367,6 +738,7 @@ FeedmeClient.prototype.connect = function connect(callback) {
   // Cancel pending attempt
   this._cancelPendingConnect(); // Before connect(), in case it throws
   this._connectRetryAttempts = 0;
+  this._hiddenDisconnected = false;
 
   this._clearReconnects(); // Reconnect counters reset  when app calls dis/connect() and nextConnectCancel()
 
@@ -384,7 +756,7 @@ FeedmeClient.prototype.connect = function connect(callback) {
  * @memberof FeedmeClient
  * @instance
  * @param {?Function} callback
- * @throws {ArgumentError|StateError|TransportError}
+ * @throws {ArgumentError|StateError|TransportError|DestroyedError}
  */
 FeedmeClient.prototype.disconnect = function disconnect(callback) {
   // Check callback
@@ -392,6 +764,11 @@ FeedmeClient.prototype.disconnect = function disconnect(callback) {
     throw new ArgumentError("Callback must be a function.");
   }
 
+  // Check destroyed
+  if (this._destroyed) {
+    throw new DestroyedError("The client has been destroyed.");
+  }
+
   // Check state
   if (
     this._outwardState !== ClientState.CONNECTING &&
@@ -400,35 +777,32 @@ FeedmeClient.prototype.disconnect = function disconnect(callback) {
     throw new StateError("The client state must be connecting or connected.");
   }
 
-  this._connectRetryAttempts = 0;
-
-  this._clearReconnects(); // Reconnect counters reset  when app calls dis/connect() and nextConnectCancel()
-
-  // Callback-style or promise-style usage?
-  const { promise, innerCallback } = promiseCallback(callback);
-
-  if (this._coordinator.state === ClientState.DISCONNECTED) {
-    // Client state set to connecting early
-    // Delay Coordinator.disconnect() until after it emits connecting
-    this._queuedDisconnectCalls.push(innerCallback);
-  } else {
-    // Client is connecting/ed, so Coordinator will be connecting/ed (though perhaps not the same)
-    this._coordinator.disconnect(innerCallback); // Intentionally cascade TransportError
-  }
+  this._hiddenDisconnected = false;
 
-  return promise; // Promise or undefined
+  return this._disconnect(callback, false); // Intentionally cascade TransportError
 };
 
 /**
+ * If options.optimistic is set, then options.optimistic.apply() is used to
+ * mutate the data of matching feed objects. The mutation is rolled back if the
+ * action fails or is aborted. If the action succeeds, the mutation remains
+ * until the server reveals an action on the feed or the feed is reopened. Feed
+ * objects expose the server-confirmed data as feed.confirmedData.
+ *
+ * If options.retry is set, then failed attempts are retried after a backoff.
+ * The callback is only invoked with the result of the final attempt. If the
+ * idempotencyKeyField option is set, then every attempt and any outbox replay
+ * carries the same key in the action arguments.
  * @memberof FeedmeClient
  * @instance
  * @param {string} name
  * @param {Object} args
+ * @param {?Object} options Or callback
  * @param {?Function} callback
  * @returns {?Promise}
- * @throws {ArgumentError|StateError|TransportError}
+ * @throws {ArgumentError|StateError|TransportError|DestroyedError|OutboxError}
  */
-FeedmeClient.prototype.action = function action(name, args, callback) {
+FeedmeClient.prototype.action = function action(name, args, options, callback) {
   // Check action name (empty is spec-valid)
   if (!check.string(name)) {
     throw new ArgumentError("Action name must be a string.");
@@ -442,22 +816,130 @@ FeedmeClient.prototype.action = function action(name, args, callback) {
     throw new ArgumentError("Action arguments must be JSON-expressible.");
   }
 
-  // Check callback
-  if (callback && !check.function(callback)) {
-    throw new ArgumentError("Callback must be a function.");
+  // Check options and callback
+  const { signal, cb } = this._callOptions(options, callback);
+  const optimistic = this._optimisticOption(options);
+  const retry = this._retryOption(options);
+
+  // Check destroyed
+  if (this._destroyed) {
+    throw new DestroyedError("The client has been destroyed.");
   }
 
-  // Check state
-  if (this._outwardState !== ClientState.CONNECTED) {
+  // Check state - actions go to the outbox if enabled and not connected, or if
+  // they would otherwise overtake entries that are loading or awaiting submission
+  const queue =
+    !!this._outbox &&
+    (this._outwardState !== ClientState.CONNECTED || this._outbox.waiting());
+  if (!queue && this._outwardState !== ClientState.CONNECTED) {
     throw new StateError("The client state must be connected.");
   }
 
+  // Check outbox size
+  if (queue && this._outbox.full()) {
+    throw new OutboxError("The outbox is full.");
+  }
+
   // Callback-style or promise-style usage?
-  const { promise, innerCallback } = promiseCallback(callback);
+  const { promise, innerCallback } = promiseCallback(cb);
 
-  // The Client is connected, so the Coordinator will be connected
-  // Intentionally cascade TransportError
-  this._coordinator.action(name, args, innerCallback.bind(this));
+  // Abort immediately if the signal has already fired
+  if (signal && signal.aborted) {
+    this._coordinator.callbackError(
+      innerCallback.bind(this),
+      new AbortError("The action was aborted."),
+    );
+    return promise; // Promise or undefined
+  }
+
+  // Settle any optimistic mutation when the action completes
+  const layerId = optimistic ? uniqueId() : null;
+  let resultCallback = innerCallback;
+  if (optimistic) {
+    resultCallback = (err, ...cbArgs) => {
+      this._settleLayer(optimistic.feedNameArgs.serial(), layerId, !err);
+      innerCallback.call(this, err, ...cbArgs);
+    };
+  }
+
+  // The same idempotency key is used for every attempt
+  const { idempotencyKeyField } = this._options;
+  const sendArgs =
+    idempotencyKeyField && !(idempotencyKeyField in args)
+      ? { ...args, [idempotencyKeyField]: idempotencyKey() }
+      : args;
+
+  // Retry failed attempts unless aborted
+  let attempt = 1;
+  let aborted = false;
+  let cancelAttempt; // Aborts the attempt or retry underway
+  let onAbort;
+  const actionCallback = (err, ...cbArgs) => {
+    let ms = -1; // No retry
+    let backoffErr = null; // Thrown once the callback is invoked
+    if (
+      err &&
+      retry &&
+      !aborted &&
+      !this._destroyed &&
+      attempt < retry.attempts &&
+      retry.errors.some((errName) =>
+        [err.name, err.cause && err.cause.name].includes(errName),
+      )
+    ) {
+      try {
+        ms = this._retryBackoff(retry, attempt, err); // Negative for no retry
+      } catch (e) {
+        backoffErr = e;
+      }
+    }
+
+    if (ms >= 0) {
+      dbg("Retrying action");
+      attempt += 1;
+      cancelAttempt = this._actionRetry(
+        name,
+        sendArgs,
+        ms,
+        err,
+        actionCallback,
+      );
+      return; // Stop
+    }
+
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
+    resultCallback.call(this, err, ...cbArgs);
+    if (backoffErr) {
+      throw backoffErr;
+    }
+  };
+
+  // Submitted now or, if queued, on connect
+  cancelAttempt = this._actionSubmit(name, sendArgs, actionCallback); // Intentionally cascade TransportError
+  onAbort = () => {
+    signal.removeEventListener("abort", onAbort);
+    aborted = true;
+    cancelAttempt(new AbortError("The action was aborted."));
+  };
+
+  // Apply any optimistic mutation once the action has been submitted or queued
+  if (optimistic) {
+    this._speculate(optimistic.feedNameArgs.serial(), (layers) => {
+      layers.push({
+        id: layerId,
+        apply: optimistic.apply,
+        settled: false,
+        failed: false,
+      });
+    });
+  }
+
+  // Stop waiting for the result if the signal fires
+  if (signal) {
+    signal.addEventListener("abort", onAbort);
+  }
 
   return promise; // Promise or undefined
 };
@@ -467,25 +949,24 @@ FeedmeClient.prototype.action = function action(name, args, callback) {
  * @instance
  * @param {string} name
  * @param {Object} args
+ * @param {?Object} options Or callback
  * @param {?Function} callback
  * @returns {?Promise}
- * @throws {ArgumentError|StateError|TransportError}
+ * @throws {ArgumentError|StateError|TransportError|DestroyedError}
  */
-FeedmeClient.prototype.feed = function feed(name, args, callback) {
+FeedmeClient.prototype.feed = function feed(name, args, options, callback) {
   // Check feed name/args
   const feedNameArgs = FeedNameArgs(name, args);
   if (feedNameArgs.error()) {
     throw new ArgumentError(feedNameArgs.error());
   }
 
-  // Check callback
-  if (callback && !check.function(callback)) {
-    throw new ArgumentError("Callback must be a function.");
-  }
+  // Check options and callback
+  const { signal, cb } = this._callOptions(options, callback);
 
-  // Check callback
-  if (callback && !check.function(callback)) {
-    throw new ArgumentError("Callback must be a function.");
+  // Check destroyed
+  if (this._destroyed) {
+    throw new DestroyedError("The client has been destroyed.");
   }
 
   // Check state
@@ -494,19 +975,45 @@ FeedmeClient.prototype.feed = function feed(name, args, callback) {
   }
 
   // Callback-style or promise-style usage?
-  const { promise, innerCallback } = promiseCallback(callback);
+  const { promise, innerCallback } = promiseCallback(cb);
+
+  // Abort immediately if the signal has already fired
+  if (signal && signal.aborted) {
+    this._coordinator.callbackError(
+      innerCallback.bind(this),
+      new AbortError("The feed open was aborted."),
+    );
+    return promise; // Promise or undefined
+  }
 
   // The Client is connected, so the Coordinator will be connected
   // Intentionally cascade TransportError
-  this._coordinator.feedObjectOpen(feedNameArgs, (err, feedObjectId) => {
+  let onAbort;
+  const feedObjectId = this._coordinator.feedObjectOpen(feedNameArgs, (err) => {
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
     if (err) {
       innerCallback.call(this, err);
     } else {
       const feedObject = new FeedmeClientFeed(this, feedNameArgs, feedObjectId);
+      this._feedObjects[feedObjectId] = feedObject;
       innerCallback.call(this, null, feedObject);
     }
   });
 
+  // Abandon the feed object if the signal fires before it opens
+  if (signal) {
+    onAbort = () => {
+      signal.removeEventListener("abort", onAbort);
+      this._coordinator.feedObjectAbort(
+        feedObjectId,
+        new AbortError("The feed open was aborted."),
+      );
+    };
+    signal.addEventListener("abort", onAbort);
+  }
+
   return promise; // Promise or undefined
 };
 
@@ -514,30 +1021,132 @@ FeedmeClient.prototype.feed = function feed(name, args, callback) {
  * Permitted if there is no pending connection attempt and irrespective of state.
  * @memberof FeedmeClient
  * @instance
+ * @throws {DestroyedError}
  */
 FeedmeClient.prototype.nextConnectCancel = function nextConnectCancel() {
+  // Check destroyed
+  if (this._destroyed) {
+    throw new DestroyedError("The client has been destroyed.");
+  }
+
   this._cancelPendingConnect(); // Sets _nextConnectMs to -1
+  this._hiddenDisconnected = false;
 
   this._clearReconnects(); // Reconnect counters reset  when app calls dis/connect() and nextConnectCancel()
 };
 
-// Public properties
-
 /**
- * The Client state is generally the same as the Coordinator, but is set to
- * connecting early when an automatic (timed) connection attempt is made.
- * @name state
- * @type {ClientState}
+ * Returns an Observable of the client state.
  * @memberof FeedmeClient
  * @instance
+ * @returns {Observable}
  */
-Object.defineProperty(FeedmeClient.prototype, "state", {
+FeedmeClient.prototype.observe = function observe() {
+  return observeState(this);
+};
+
+/**
+ * Disconnects the transport if needed, cancels all timers, and detaches from
+ * the transport. Outstanding callbacks are invoked and promises rejected with
+ * a DestroyedError. Feed objects are closed without emitting and no further
+ * events are emitted. Subsequent method calls throw DestroyedError.
+ *
+ * Permitted irrespective of state.
+ * @memberof FeedmeClient
+ * @instance
+ * @throws {DestroyedError}
+ */
+FeedmeClient.prototype.destroy = function destroy() {
+  // Check destroyed
+  if (this._destroyed) {
+    throw new DestroyedError("The client has already been destroyed.");
+  }
+
+  this._cancelPendingConnect();
+
+  this._clearReconnects();
+
+  // Stop listening to the environment
+  Object.entries(this._environmentListeners).forEach(([evt, listener]) => {
+    this._environment.off(evt, listener);
+  });
+  this._environmentListeners = {};
+  this._hiddenTimerClear();
+
+  // Fail disconnect() calls that were queued while connecting early and
+  // everything outstanding on the Coordinator
+  const err = new DestroyedError("The client was destroyed.");
+  this._queuedDisconnectCalls.forEach(({ callback }) => {
+    this._coordinator.callbackError(callback, err);
+  });
+  this._queuedDisconnectCalls = [];
+  if (this._outbox) {
+    this._outbox.clear().forEach((entry) => {
+      // Callbacks for submitted entries are failed by the Coordinator
+      if (entry.callback && !entry.submitted) {
+        this._coordinator.callbackError(entry.callback, err);
+      }
+    });
+  }
+  this._actionRetries.forEach((cancel) => {
+    cancel(err);
+  });
+  this._coordinator.destroy(err);
+  this._coordinator.removeAllListeners();
+
+  // Update state
+  this._feedObjects = {};
+  this._speculations = {};
+  this._connectRetryAttempts = 0;
+  this._disconnectingError = null;
+  this._outwardState = ClientState.DISCONNECTED;
+  this._destroyed = true;
+};
+
+// Public properties
+
+/**
+ * @name destroyed
+ * @type {boolean}
+ * @memberof FeedmeClient
+ * @instance
+ */
+Object.defineProperty(FeedmeClient.prototype, "destroyed", {
+  enumerable: true,
+  get() {
+    return this._destroyed;
+  },
+});
+
+/**
+ * The Client state is generally the same as the Coordinator, but is set to
+ * connecting early when an automatic (timed) connection attempt is made.
+ * @name state
+ * @type {ClientState}
+ * @memberof FeedmeClient
+ * @instance
+ */
+Object.defineProperty(FeedmeClient.prototype, "state", {
   enumerable: true,
   get() {
     return this._outwardState;
   },
 });
 
+/**
+ * The clock used for library timers - options.clock or the default clock.
+ * @name clock
+ * @type {Object}
+ * @memberof FeedmeClient
+ * @instance
+ */
+Object.defineProperty(FeedmeClient.prototype, "clock", {
+  enumerable: true,
+  get() {
+    return this._clock;
+  },
+});
+
 /**
  * @name nextConnectMs
  * @type {number}
@@ -564,8 +1173,8 @@ FeedmeClient.prototype._handlers.connecting = function _handlers$connecting() {
   // If the app called disconnect() while the Client was pretending to be
   // connecting then disconnect the Coordinator
   // Callback arguments were saved in disconnect()
-  this._queuedDisconnectCalls.forEach((cb) => {
-    this._coordinator.disconnect(cb);
+  this._queuedDisconnectCalls.forEach(({ callback, persistFeeds }) => {
+    this._coordinator.disconnect(callback, persistFeeds);
   });
   this._queuedDisconnectCalls = [];
 
@@ -584,6 +1193,8 @@ FeedmeClient.prototype._handlers.connecting = function _handlers$connecting() {
 FeedmeClient.prototype._handlers.connect = function _handlers$connect() {
   this._outwardState = ClientState.CONNECTED;
   this._connectRetryAttempts = 0;
+  this._outboxSubmit(); // Ahead of any actions invoked by connect listeners
+  this._connectionWaitersInvoke();
   this.emit("connect");
 };
 
@@ -596,6 +1207,8 @@ FeedmeClient.prototype._handlers.connect = function _handlers$connect() {
  * @param {Object} actionData
  * @param {Object} newFeedData
  * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
  */
 FeedmeClient.prototype._handlers.feedObjectAction =
   function _handleFeedObjectAction(
@@ -604,14 +1217,36 @@ FeedmeClient.prototype._handlers.feedObjectAction =
     actionData,
     newFeedData,
     oldFeedData,
+    feedDeltas,
+    changedPaths,
   ) {
-    this._feedObjects[feedObjectId].emit(
+    // Any optimistic mutations not confirmed by the action are re-applied to
+    // the confirmed feed data
+    const feedObject = this._feedObjects[feedObjectId];
+    const feedSerial = feedObject._feedNameArgs.serial();
+    this._confirmLayers(feedSerial);
+    const newData = this._speculativeData(feedSerial, newFeedData);
+    const oldData = this._speculativeData(feedSerial, oldFeedData);
+    feedObject.emit(
       "action",
       actionName,
       actionData,
-      newFeedData,
-      oldFeedData,
+      newData,
+      oldData,
+      feedDeltas,
+      changedPaths,
     );
+
+    // Skip change events if a listener closed the feed object
+    if (feedObject.state === FeedState.OPEN) {
+      feedObject._emitChanges(
+        changedPaths,
+        newData,
+        oldData,
+        actionName,
+        actionData,
+      );
+    }
   };
 
 /**
@@ -623,6 +1258,8 @@ FeedmeClient.prototype._handlers.feedObjectAction =
  * @param {Object} actionData
  * @param {Object} newFeedData
  * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
  */
 FeedmeClient.prototype._handlers.feedObjectActionName =
   function _handlers$feedObjectActionName(
@@ -631,15 +1268,48 @@ FeedmeClient.prototype._handlers.feedObjectActionName =
     actionData,
     newFeedData,
     oldFeedData,
+    feedDeltas,
+    changedPaths,
   ) {
-    this._feedObjects[feedObjectId].emit(
+    const feedObject = this._feedObjects[feedObjectId];
+    const feedSerial = feedObject._feedNameArgs.serial();
+    feedObject.emit(
       `action:${actionName}`,
       actionData,
-      newFeedData,
-      oldFeedData,
+      this._speculativeData(feedSerial, newFeedData),
+      this._speculativeData(feedSerial, oldFeedData),
+      feedDeltas,
+      changedPaths,
     );
   };
 
+/**
+ * @memberof FeedmeClient
+ * @name _handlers#feedObjectReopening
+ * @instance
+ * @param {string} feedObjectId
+ * @param {ConnectionError} err
+ */
+FeedmeClient.prototype._handlers.feedObjectReopening =
+  function _handlers$feedObjectReopening(feedObjectId, err) {
+    this._feedObjects[feedObjectId].emit("reopening", err);
+  };
+
+/**
+ * @memberof FeedmeClient
+ * @name _handlers#feedObjectOpen
+ * @instance
+ * @param {string} feedObjectId
+ * @param {Object} feedData
+ */
+FeedmeClient.prototype._handlers.feedObjectOpen =
+  function _handlers$feedObjectOpen(feedObjectId, feedData) {
+    const feedObject = this._feedObjects[feedObjectId];
+    const feedSerial = feedObject._feedNameArgs.serial();
+    this._confirmLayers(feedSerial); // The reopened data reflects completed actions
+    feedObject.emit("open", this._speculativeData(feedSerial, feedData));
+  };
+
 /**
  * @memberof FeedmeClient
  * @name _handlers#feedObjectClose
@@ -659,6 +1329,28 @@ FeedmeClient.prototype._handlers.feedObjectClose =
     feedObject.emit("close", err);
   };
 
+/**
+ * @memberof FeedmeClient
+ * @name _handlers#badServerMessage
+ * @instance
+ * @param {ServerMessageError} err
+ */
+FeedmeClient.prototype._handlers.badServerMessage =
+  function _handlers$badServerMessage(err) {
+    this.emit("badServerMessage", err);
+  };
+
+/**
+ * @memberof FeedmeClient
+ * @name _handlers#badClientMessage
+ * @instance
+ * @param {Object} diagnostics
+ */
+FeedmeClient.prototype._handlers.badClientMessage =
+  function _handlers$badClientMessage(diagnostics) {
+    this.emit("badClientMessage", diagnostics);
+  };
+
 /**
  * @memberof FeedmeClient
  * @name _handlers#disconnecting
@@ -668,22 +1360,27 @@ FeedmeClient.prototype._handlers.feedObjectClose =
 FeedmeClient.prototype._handlers.disconnecting =
   function _handlers$disconnecting(err) {
     let nextConnectMs = -1; // No connection attempt
+    let policyErr = null; // Thrown once the state is updated
 
     // Retry following a failed connection attempt?
     if (
       err && // Not requested
       this._outwardState === ClientState.CONNECTING && // Client was connecting
       !(err instanceof HandshakeError) &&
-      this.connectRetryMs >= 0 &&
-      (this._connectRetryMaxAttempts === 0 ||
-        this._connectRetryAttempts < this._connectRetryMaxAttempts)
+      this._options.connectRetryMs >= 0 &&
+      (this._options.connectRetryMaxAttempts === 0 ||
+        this._connectRetryAttempts < this._options.connectRetryMaxAttempts)
     ) {
       this._connectRetryAttempts += 1;
-      nextConnectMs = Math.min(
-        this._options.connectRetryMs +
-          this._connectRetryAttempts * this._options.connectRetryBackoffMs,
-        this._options.connectRetryMaxMs,
-      ); // Could be zero
+      try {
+        nextConnectMs = this._retryDelay(
+          this._connectRetryAttempts,
+          err,
+          "retry",
+        ); // Could be zero, or negative for no retry
+      } catch (e) {
+        policyErr = e;
+      }
     } else {
       this._connectRetryAttempts = 0;
     }
@@ -697,11 +1394,19 @@ FeedmeClient.prototype._handlers.disconnecting =
       // Reconnect desired, up to configured limit
       if (
         this._options.reconnectMax === 0 ||
-        this._reconnectTimers.length < this._options.reconnectMax
+        this._reconnectTimers.size < this._options.reconnectMax
       ) {
         // Reconnect
         this._incrementReconnects();
-        nextConnectMs = 0;
+        try {
+          nextConnectMs = this._retryDelay(
+            this._reconnectTimers.size,
+            err,
+            "reconnect",
+          ); // Could be negative for no reconnect
+        } catch (e) {
+          policyErr = e;
+        }
       } else {
         // Limit breached - do not reconnect
         this._clearReconnects();
@@ -713,6 +1418,11 @@ FeedmeClient.prototype._handlers.disconnecting =
     this._nextConnectMs = nextConnectMs;
     this._outwardState = ClientState.DISCONNECTING;
     this.emit("disconnecting", err || null);
+
+    // The retry policy is application code
+    if (policyErr) {
+      throw policyErr;
+    }
   };
 
 /**
@@ -729,6 +1439,7 @@ FeedmeClient.prototype._handlers.disconnect = function _handlers$disconnect() {
   const err = this._disconnectingError; // May be falsy
   this._disconnectingError = null;
   this._outwardState = ClientState.DISCONNECTED;
+  this._connectionWaitersInvoke();
   this.emit("disconnect", err || null);
 };
 
@@ -761,8 +1472,13 @@ FeedmeClient.prototype._handlers.error = function _handlers$error(err) {
 FeedmeClient.prototype._schedulePendingConnect =
   function _schedulePendingConnect() {
     // Defer if ms === 0
-    if (this._nextConnectMs >= 0) {
-      this._pendingConnectTimer = setTimeout(
+    // The attempt remains pending without a timer while the environment is
+    // offline, and is scheduled immediately once it comes online
+    if (
+      this._nextConnectMs >= 0 &&
+      (!this._environment || this._environment.online())
+    ) {
+      this._pendingConnectTimer = this._clock.setTimeout(
         this._runPendingConnect.bind(this),
         this._nextConnectMs,
       );
@@ -776,7 +1492,8 @@ FeedmeClient.prototype._schedulePendingConnect =
 FeedmeClient.prototype._runPendingConnect = function _runPendingConnect() {
   this._pendingConnectTimer = null;
 
-  this._coordinator.connect(); // Intentionally cascade TransportError - will be uncaught
+  // No app callback for automatic connection attempts
+  this._coordinator.connect(() => {}); // Intentionally cascade TransportError - will be uncaught
 
   // Present connecting immediately so the app does not think it can
   // still cancel the pending connect attempt
@@ -791,25 +1508,195 @@ FeedmeClient.prototype._runPendingConnect = function _runPendingConnect() {
 FeedmeClient.prototype._cancelPendingConnect =
   function _cancelPendingConnect() {
     if (this._pendingConnectTimer) {
-      clearTimeout(this._pendingConnectTimer);
+      this._clock.clearTimeout(this._pendingConnectTimer);
       this._pendingConnectTimer = null;
     }
     this._nextConnectMs = -1;
   };
 
 /**
- * Increment the number of reconnects (i.e. length of _reconnectTimers) if
- * configured to have a limit. Schedule decrement in options.reconnectMaxMs.
+ * Disconnects the Coordinator, or queues the call if the Client is connecting
+ * early. Used by disconnect() and when the environment is hidden.
+ * @memberof FeedmeClient
+ * @instance
+ * @param {?Function} callback
+ * @param {boolean} persistFeeds Whether open feed objects survive the
+ *                               connection cycle irrespective of
+ *                               options.persistentFeeds
+ * @returns {?Promise}
+ * @throws {TransportError}
+ */
+FeedmeClient.prototype._disconnect = function _disconnect(
+  callback,
+  persistFeeds,
+) {
+  this._connectRetryAttempts = 0;
+
+  this._clearReconnects(); // Reconnect counters reset  when app calls dis/connect() and nextConnectCancel()
+
+  // Callback-style or promise-style usage?
+  const { promise, innerCallback } = promiseCallback(callback);
+
+  if (this._coordinator.state === ClientState.DISCONNECTED) {
+    // Client state set to connecting early
+    // Delay Coordinator.disconnect() until after it emits connecting
+    this._queuedDisconnectCalls.push({
+      callback: innerCallback,
+      persistFeeds,
+    });
+  } else {
+    // Client is connecting/ed, so Coordinator will be connecting/ed (though perhaps not the same)
+    this._coordinator.disconnect(innerCallback, persistFeeds); // Intentionally cascade TransportError
+  }
+
+  return promise; // Promise or undefined
+};
+
+/**
+ * Connects as soon as possible if the client is disconnected or disconnecting,
+ * replacing any pending connection attempt.
+ * @memberof FeedmeClient
+ * @instance
+ */
+FeedmeClient.prototype._connectSoon = function _connectSoon() {
+  if (this._outwardState === ClientState.DISCONNECTED) {
+    this._cancelPendingConnect();
+    this._nextConnectMs = 0;
+    this._schedulePendingConnect();
+  } else if (this._outwardState === ClientState.DISCONNECTING) {
+    this._nextConnectMs = 0; // Evaluated by the disconnect event handler
+  }
+};
+
+/**
+ * @memberof FeedmeClient
+ * @instance
+ */
+FeedmeClient.prototype._hiddenTimerClear = function _hiddenTimerClear() {
+  if (this._hiddenTimer) {
+    this._clock.clearTimeout(this._hiddenTimer);
+    this._hiddenTimer = null;
+  }
+};
+
+/**
+ * Disconnects, or cancels any pending connection attempt, once the environment
+ * has been hidden for options.hiddenDisconnectMs. Open feed objects are kept
+ * and reopened when the environment is visible again.
+ * @memberof FeedmeClient
+ * @instance
+ */
+FeedmeClient.prototype._hiddenRun = function _hiddenRun() {
+  this._hiddenTimer = null;
+
+  if (
+    this._outwardState === ClientState.CONNECTING ||
+    this._outwardState === ClientState.CONNECTED
+  ) {
+    dbg("Hidden - disconnecting");
+    this._hiddenDisconnected = true;
+    this._disconnect(() => {}, true); // Intentionally cascade TransportError - will be uncaught
+  } else if (this._nextConnectMs >= 0) {
+    dbg("Hidden - cancelling pending connection attempt");
+    this._hiddenDisconnected = true;
+    this._cancelPendingConnect();
+  }
+};
+
+// Environment event handlers
+
+FeedmeClient.prototype._environmentHandlers = {};
+
+/**
+ * Connects immediately if a connection attempt was pending.
+ * @memberof FeedmeClient
+ * @name _environmentHandlers#online
+ * @instance
+ */
+FeedmeClient.prototype._environmentHandlers.online =
+  function _environmentHandlers$online() {
+    if (this._nextConnectMs >= 0) {
+      dbg("Online - connecting");
+      this._connectSoon();
+    }
+  };
+
+/**
+ * Suspends any pending connection attempt until the environment is online.
+ * @memberof FeedmeClient
+ * @name _environmentHandlers#offline
+ * @instance
+ */
+FeedmeClient.prototype._environmentHandlers.offline =
+  function _environmentHandlers$offline() {
+    if (this._pendingConnectTimer) {
+      dbg("Offline - suspending pending connection attempt");
+      this._clock.clearTimeout(this._pendingConnectTimer);
+      this._pendingConnectTimer = null; // this._nextConnectMs retained
+    }
+  };
+
+/**
+ * @memberof FeedmeClient
+ * @name _environmentHandlers#hidden
+ * @instance
+ */
+FeedmeClient.prototype._environmentHandlers.hidden =
+  function _environmentHandlers$hidden() {
+    if (this._options.hiddenDisconnectMs > 0 && !this._hiddenTimer) {
+      this._hiddenTimer = this._clock.setTimeout(
+        this._hiddenRun.bind(this),
+        this._options.hiddenDisconnectMs,
+      );
+    }
+  };
+
+/**
+ * @memberof FeedmeClient
+ * @name _environmentHandlers#visible
+ * @instance
+ */
+FeedmeClient.prototype._environmentHandlers.visible =
+  function _environmentHandlers$visible() {
+    this._hiddenTimerClear();
+
+    if (this._hiddenDisconnected) {
+      dbg("Visible - reconnecting");
+      this._hiddenDisconnected = false;
+      this._connectSoon();
+    }
+  };
+
+/**
+ * Increment the number of reconnects (i.e. length of _reconnectTimers).
+ * Schedule decrement in options.reconnectMaxMs.
  * @memberof FeedmeClient
  * @instance
  */
 FeedmeClient.prototype._incrementReconnects = function _incrementReconnects() {
-  if (this._options.reconnectMax > 0) {
-    const timer = setTimeout(() => {
-      this._reconnectTimers.delete(timer); // Decrement length
-    }, this._options.reconnectMaxMs);
-    this._reconnectTimers.add(timer); // Increment length
+  const timer = this._clock.setTimeout(() => {
+    this._reconnectTimers.delete(timer); // Decrement length
+  }, this._options.reconnectMaxMs);
+  this._reconnectTimers.add(timer); // Increment length
+};
+
+/**
+ * Returns the delay before the next connection attempt according to the
+ * retry policy. Negative for no attempt.
+ * @memberof FeedmeClient
+ * @instance
+ * @param {number} attempt
+ * @param {Error} err
+ * @param {string} kind "retry" or "reconnect"
+ * @returns {number}
+ * @throws {ArgumentError}
+ */
+FeedmeClient.prototype._retryDelay = function _retryDelay(attempt, err, kind) {
+  const ms = this._retryPolicy(attempt, err, kind); // Intentionally cascade application errors
+  if (!check.number(ms)) {
+    throw new ArgumentError("The retry policy must return a number.");
   }
+  return ms;
 };
 
 /**
@@ -818,10 +1705,506 @@ FeedmeClient.prototype._incrementReconnects = function _incrementReconnects() {
  * @instance
  */
 FeedmeClient.prototype._clearReconnects = function _clearReconnects() {
-  this._reconnectTimers.forEach(clearTimeout);
+  this._reconnectTimers.forEach((timer) => {
+    this._clock.clearTimeout(timer);
+  });
   this._reconnectTimers.clear();
 };
 
+/**
+ * Submits outbox entries to the Coordinator in order. Stops if the client
+ * disconnects along the way, leaving the remaining entries in the outbox.
+ * Submitted entries are removed from the outbox when the action callback is
+ * invoked.
+ * @memberof FeedmeClient
+ * @instance
+ */
+FeedmeClient.prototype._outboxSubmit = function _outboxSubmit() {
+  if (!this._outbox) {
+    return; // Stop
+  }
+
+  while (this._coordinator.state === ClientState.CONNECTED) {
+    const entry = this._outbox.next();
+    if (!entry) {
+      break;
+    }
+    try {
+      entry.callbackId = this._coordinator.action(
+        entry.name,
+        entry.args,
+        (...cbArgs) => {
+          this._outbox.remove(entry);
+          if (entry.callback) {
+            entry.callback(...cbArgs);
+          }
+        },
+      );
+    } catch (e) {
+      // TransportError - the Coordinator is disconnecting and the callback will
+      // be invoked with a ConnectionError
+      dbg("Transport error submitting outbox entry");
+      break;
+    }
+  }
+};
+
+/**
+ * Invoked by the outbox when an entry expires before it is submitted.
+ * @memberof FeedmeClient
+ * @instance
+ * @param {Object} entry
+ * @param {OutboxError} err
+ */
+FeedmeClient.prototype._outboxExpire = function _outboxExpire(entry, err) {
+  if (entry.callback) {
+    this._coordinator.callbackError(entry.callback, err);
+  }
+};
+
+/**
+ * Validates the optional options and callback arguments to action() and
+ * feed(). The options argument may be omitted in favor of the callback.
+ * @memberof FeedmeClient
+ * @instance
+ * @param {?(Object|Function)} options
+ * @param {?Function} callback
+ * @returns {Object} { signal, cb }
+ * @throws {ArgumentError}
+ */
+FeedmeClient.prototype._callOptions = function _callOptions(options, callback) {
+  // Options omitted?
+  if (check.function(options)) {
+    if (callback !== undefined) {
+      throw new ArgumentError("Options must be an object.");
+    }
+    return { signal: null, cb: options };
+  }
+
+  // Check options
+  if (check.assigned(options) && !check.object(options)) {
+    throw new ArgumentError("Options must be an object.");
+  }
+
+  // Check signal - duck-typed to accommodate AbortSignal polyfills
+  const signal =
+    options && options.signal !== undefined ? options.signal : null;
+  if (
+    signal !== null &&
+    !(
+      signal &&
+      check.boolean(signal.aborted) &&
+      check.function(signal.addEventListener) &&
+      check.function(signal.removeEventListener)
+    )
+  ) {
+    throw new ArgumentError("Options signal must be an AbortSignal.");
+  }
+
+  // Check callback
+  if (callback && !check.function(callback)) {
+    throw new ArgumentError("Callback must be a function.");
+  }
+
+  return { signal, cb: callback };
+};
+
+/**
+ * Submits an action to the Coordinator if connected, otherwise adds it to the
+ * outbox. Returns a function that abandons the action, invoking the callback
+ * with the error supplied.
+ * @memberof FeedmeClient
+ * @instance
+ * @param {string} name
+ * @param {Object} args
+ * @param {Function} callback
+ * @returns {Function}
+ * @throws {TransportError|OutboxError}
+ */
+FeedmeClient.prototype._actionSubmit = function _actionSubmit(
+  name,
+  args,
+  callback,
+) {
+  if (
+    this._outwardState !== ClientState.CONNECTED ||
+    (this._outbox && this._outbox.waiting())
+  ) {
+    const entry = this._outbox.add(name, args, callback); // Intentionally cascade OutboxError
+    return (err) => {
+      if (entry.submitted) {
+        this._coordinator.actionAbort(entry.callbackId, err);
+      } else if (this._outbox.remove(entry)) {
+        this._coordinator.callbackError(callback, err);
+      }
+    };
+  }
+
+  // The Client is connected, so the Coordinator will be connected
+  const callbackId = this._coordinator.action(name, args, callback); // Intentionally cascade TransportError
+  return (err) => {
+    this._coordinator.actionAbort(callbackId, err);
+  };
+};
+
+/**
+ * Invokes and removes the functions awaiting a connect or disconnect. Waiters
+ * added while invoking are retained for the next one.
+ * @memberof FeedmeClient
+ * @instance
+ */
+FeedmeClient.prototype._connectionWaitersInvoke =
+  function _connectionWaitersInvoke() {
+    const waiters = [...this._connectionWaiters];
+    this._connectionWaiters.clear();
+    waiters.forEach((waiter) => {
+      waiter();
+    });
+  };
+
+/**
+ * Resubmits an action after a backoff. If the client is then unable to take
+ * the action, the retry waits while a connection attempt is underway or
+ * scheduled and otherwise fails with the error from the previous attempt.
+ * Returns a function that abandons the action, as for _actionSubmit().
+ * @memberof FeedmeClient
+ * @instance
+ * @param {string} name
+ * @param {Object} args
+ * @param {number} ms
+ * @param {Error} err From the previous attempt
+ * @param {Function} callback
+ * @returns {Function}
+ */
+FeedmeClient.prototype._actionRetry = function _actionRetry(
+  name,
+  args,
+  ms,
+  err,
+  callback,
+) {
+  let timer = null;
+  let waiting = false;
+  let cancelSubmit = null;
+  let submit = null; // Assigned below - stopWaiting() needs it
+
+  const stopWaiting = () => {
+    waiting = false;
+    this._connectionWaiters.delete(submit);
+  };
+  const cancel = (cancelErr) => {
+    this._actionRetries.delete(cancel);
+    if (cancelSubmit) {
+      cancelSubmit(cancelErr);
+      return; // Stop
+    }
+    this._clock.clearTimeout(timer);
+    stopWaiting();
+    this._coordinator.callbackError(callback, cancelErr);
+  };
+  submit = () => {
+    stopWaiting();
+    const canTake =
+      this._outwardState === ClientState.CONNECTED ||
+      (this._outbox && !this._outbox.full());
+    if (canTake) {
+      this._actionRetries.delete(cancel);
+      try {
+        cancelSubmit = this._actionSubmit(name, args, callback);
+      } catch (e) {
+        // TransportError - the client is disconnecting
+        this._coordinator.callbackError(
+          callback,
+          new ConnectionError("The client is disconnecting."),
+        );
+      }
+    } else if (
+      this._outwardState !== ClientState.DISCONNECTED ||
+      this._nextConnectMs >= 0
+    ) {
+      waiting = true;
+      this._connectionWaiters.add(submit);
+    } else {
+      this._actionRetries.delete(cancel);
+      this._coordinator.callbackError(callback, err);
+    }
+  };
+
+  this._actionRetries.add(cancel);
+  timer = this._clock.setTimeout(() => {
+    timer = null;
+    submit();
+  }, ms);
+
+  return (cancelErr) => {
+    if (cancelSubmit || timer !== null || waiting) {
+      cancel(cancelErr);
+    }
+  };
+};
+
+/**
+ * Validates options.retry for action(), which may be true or an object of the
+ * form { [attempts], [backoff], [errors] }. Attempts include the first and
+ * default to 3. The backoff is a delay in milliseconds or a function of the
+ * failed attempt number and error, which returns a delay or a negative number
+ * for no retry. Errors are names matched against the error and its cause, and
+ * default to ["ConnectionError"].
+ * @memberof FeedmeClient
+ * @instance
+ * @param {?(Object|Function)} options
+ * @returns {?Object} { attempts, backoff: Function, errors }
+ * @throws {ArgumentError}
+ */
+FeedmeClient.prototype._retryOption = function _retryOption(options) {
+  if (
+    !check.object(options) ||
+    options.retry === undefined ||
+    options.retry === false
+  ) {
+    return null;
+  }
+
+  const retry = options.retry === true ? {} : options.retry;
+  if (!check.object(retry)) {
+    throw new ArgumentError("The option 'retry' must be boolean or an object.");
+  }
+  const {
+    attempts = 3,
+    backoff = actionBackoff,
+    errors = ["ConnectionError"],
+  } = retry;
+  if (!check.integer(attempts) || attempts < 1) {
+    throw new ArgumentError(
+      "The option 'retry.attempts' must be a positive integer.",
+    );
+  }
+  if (!check.function(backoff) && !(check.number(backoff) && backoff >= 0)) {
+    throw new ArgumentError(
+      "The option 'retry.backoff' must be a non-negative number or a function.",
+    );
+  }
+  if (!check.array.of.nonEmptyString(errors)) {
+    throw new ArgumentError(
+      "The option 'retry.errors' must be an array of error names.",
+    );
+  }
+
+  return {
+    attempts,
+    backoff: check.function(backoff) ? backoff : () => backoff,
+    errors,
+  };
+};
+
+/**
+ * Returns the delay before retrying an action according to options.retry.
+ * Negative for no retry.
+ * @memberof FeedmeClient
+ * @instance
+ * @param {Object} retry As returned by _retryOption()
+ * @param {number} attempt The attempt that failed, from 1
+ * @param {Error} err
+ * @returns {number}
+ * @throws {ArgumentError}
+ */
+FeedmeClient.prototype._retryBackoff = function _retryBackoff(
+  retry,
+  attempt,
+  err,
+) {
+  const ms = retry.backoff(attempt, err); // Intentionally cascade application errors
+  if (!check.number(ms)) {
+    throw new ArgumentError("The option 'retry.backoff' must return a number.");
+  }
+  return ms;
+};
+
+/**
+ * Validates options.optimistic for action(), which must be of the form
+ * { feed, apply }. The feed is a feed object or any object with name and args
+ * properties.
+ * @memberof FeedmeClient
+ * @instance
+ * @param {?(Object|Function)} options
+ * @returns {?Object} { feedNameArgs, apply }
+ * @throws {ArgumentError}
+ */
+FeedmeClient.prototype._optimisticOption = function _optimisticOption(options) {
+  if (!check.object(options) || options.optimistic === undefined) {
+    return null;
+  }
+
+  const { optimistic } = options;
+  if (!check.object(optimistic) || !check.function(optimistic.apply)) {
+    throw new ArgumentError(
+      "The option 'optimistic' must be an object with an apply() function.",
+    );
+  }
+  const feedNameArgs = check.object(optimistic.feed)
+    ? FeedNameArgs(optimistic.feed.name, optimistic.feed.args)
+    : null;
+  if (!feedNameArgs || feedNameArgs.error()) {
+    throw new ArgumentError(
+      "The option 'optimistic.feed' must have a valid feed name and arguments.",
+    );
+  }
+
+  return { feedNameArgs, apply: optimistic.apply };
+};
+
+/**
+ * Returns feed data with any optimistic mutations applied, in invocation
+ * order. Results are cached so that feed objects for the same feed share a
+ * reference until the confirmed data or the mutations change.
+ *
+ * A mutation that throws or does not return an object is marked as failed and
+ * skipped from then on. The error is thrown asynchronously via the
+ * coordinator queue, in the same way as an error thrown by an app callback.
+ *
+ * @memberof FeedmeClient
+ * @instance
+ * @param {string} feedSerial
+ * @param {?Object} feedData Confirmed
+ * @returns {?Object}
+ */
+FeedmeClient.prototype._speculativeData = function _speculativeData(
+  feedSerial,
+  feedData,
+) {
+  const speculations = this._speculations[feedSerial];
+  if (!speculations || !feedData) {
+    return feedData;
+  }
+
+  if (!speculations.cache.has(feedData)) {
+    let data = feedData;
+    speculations.layers.forEach((layer, idx) => {
+      if (layer.failed) {
+        return; // Next
+      }
+
+      let err = null;
+      let nextData;
+      try {
+        nextData = layer.apply(data);
+      } catch (e) {
+        err = e;
+      }
+      if (!err && !check.object(nextData)) {
+        err = new ArgumentError("Optimistic mutations must return an object.");
+      }
+
+      if (err) {
+        dbg("Optimistic mutation failed");
+        speculations.layers[idx] = { ...layer, failed: true };
+        this._coordinator.callbackError((appErr) => {
+          throw appErr;
+        }, err);
+      } else {
+        data = deepFreeze(nextData);
+      }
+    });
+    speculations.cache.set(feedData, data);
+  }
+  return speculations.cache.get(feedData);
+};
+
+/**
+ * Modifies the optimistic mutations for a feed and emits optimistic on any
+ * feed objects whose data changes as a result.
+ * @memberof FeedmeClient
+ * @instance
+ * @param {string} feedSerial
+ * @param {Function} modify Invoked with the array of layers
+ */
+FeedmeClient.prototype._speculate = function _speculate(feedSerial, modify) {
+  const feedObjects = Object.values(this._feedObjects).filter(
+    (feedObject) => feedObject._feedNameArgs.serial() === feedSerial,
+  );
+  const oldData = feedObjects.map((feedObject) => feedObject.data);
+
+  const speculations = this._speculations[feedSerial] || { layers: [] };
+  modify(speculations.layers);
+  if (speculations.layers.length > 0) {
+    speculations.cache = new WeakMap();
+    this._speculations[feedSerial] = speculations;
+  } else {
+    delete this._speculations[feedSerial];
+  }
+
+  feedObjects.forEach((feedObject, idx) => {
+    const newData = feedObject.data;
+    if (newData !== oldData[idx]) {
+      feedObject.emit("optimistic", newData, oldData[idx]);
+    }
+  });
+};
+
+/**
+ * Settles the optimistic mutation for an action that has completed. The
+ * mutation is rolled back immediately if the action failed. Otherwise it
+ * remains until the server reveals the next action on the feed or the feed is
+ * reopened, so the feed data does not revert before the server confirms the
+ * action. Actions revealed before the result are disregarded, as they may
+ * not include this one.
+ * @memberof FeedmeClient
+ * @instance
+ * @param {string} feedSerial
+ * @param {string} layerId
+ * @param {boolean} succeeded
+ */
+FeedmeClient.prototype._settleLayer = function _settleLayer(
+  feedSerial,
+  layerId,
+  succeeded,
+) {
+  const speculations = this._speculations[feedSerial];
+  const idx = speculations
+    ? speculations.layers.findIndex((layer) => layer.id === layerId)
+    : -1;
+  if (idx < 0) {
+    return; // Stop - not present
+  }
+
+  if (succeeded) {
+    const layer = speculations.layers[idx];
+    speculations.layers[idx] = { ...layer, settled: true }; // Awaits _confirmLayers()
+    return; // Stop
+  }
+
+  this._speculate(feedSerial, (layers) => {
+    layers.splice(idx, 1);
+  });
+};
+
+/**
+ * Invoked when the server reveals an action on a feed or the feed reopens,
+ * after which the confirmed data reflects the actions that had succeeded
+ * beforehand, so their mutations are removed. Mutations for actions still
+ * awaiting a result are retained.
+ *
+ * No optimistic event is emitted, as the change is reported by the action or
+ * open event, whose old feed data is the old confirmed data with the retained
+ * mutations applied.
+ * @memberof FeedmeClient
+ * @instance
+ * @param {string} feedSerial
+ */
+FeedmeClient.prototype._confirmLayers = function _confirmLayers(feedSerial) {
+  const speculations = this._speculations[feedSerial];
+  if (!speculations || !speculations.layers.some((layer) => layer.settled)) {
+    return; // Stop
+  }
+
+  const layers = speculations.layers.filter((layer) => !layer.settled);
+  if (layers.length > 0) {
+    this._speculations[feedSerial] = { layers, cache: new WeakMap() };
+  } else {
+    delete this._speculations[feedSerial];
+  }
+};
+
 // Exports
 
 export default FeedmeClient;
@@ -0,0 +1,1412 @@
+import check from "check-types";
+import debug from "debug";
+import deepFreeze from "deep-freeze";
+import { EventEmitter } from "events";
+import FeedNameArgs from "feedme-util/feednameargs";
+import * as errors from "./errors";
+import { ClientState, FeedState } from "./states";
+import FeedmeClientFeed from "./clientfeed";
+import { observeState } from "./interop";
+import promiseCallback from "./promisecallback";
+import macrotask from "./macrotask";
+import applyDeltas from "./deltaapplier";
+
+const { ArgumentError, StateError, ConnectionError, DestroyedError } = errors;
+
+const dbg = debug("feedme-client:client-shared");
+
+// Error serialization
+
+/**
+ * Converts an error to a plain object that survives structured cloning. An
+ * error cause is serialized in the same way, so that its name is preserved.
+ * @param {Error} err
+ * @returns {Object}
+ */
+const serializeError = function serializeError(err) {
+  const serialized = {
+    name: err.name,
+    message: err.message,
+    props: {},
+    cause: err.cause instanceof Error ? serializeError(err.cause) : null,
+  };
+  Object.keys(err).forEach((key) => {
+    if (key === "cause" && serialized.cause) {
+      return; // Next
+    }
+    try {
+      serialized.props[key] = JSON.parse(JSON.stringify(err[key]));
+    } catch (e) {
+      // Not serializable - discard
+    }
+  });
+  return serialized;
+};
+
+/**
+ * Recreates an error serialized by serializeError(), using the library error
+ * class of the same name if there is one.
+ * @param {Object} serialized
+ * @returns {Error}
+ */
+const deserializeError = function deserializeError(serialized) {
+  const ErrorClass = check.function(errors[serialized.name])
+    ? errors[serialized.name]
+    : Error;
+  const err = Object.assign(
+    new ErrorClass(serialized.message),
+    serialized.props,
+  );
+  if (ErrorClass === Error) {
+    err.name = serialized.name;
+  }
+  if (serialized.cause) {
+    err.cause = deserializeError(serialized.cause);
+  }
+  return err;
+};
+
+// SharedFeed
+
+/**
+ * Feed object returned by SharedClient.feed(). Same API as FeedmeClientFeed,
+ * except that confirmedData is always the same as data, as SharedClient does
+ * not support optimistic mutations.
+ * @constructor
+ * @extends EventEmitter
+ * @param {SharedClient} client
+ * @param {number} id
+ * @param {FeedNameArgs} feedNameArgs
+ * @param {Object} data
+ */
+const SharedFeed = function SharedFeed(client, id, feedNameArgs, data) {
+  EventEmitter.call(this);
+
+  /**
+   * @memberof SharedFeed
+   * @instance
+   * @type {SharedClient}
+   */
+  this._client = client;
+
+  /**
+   * @memberof SharedFeed
+   * @instance
+   * @type {number}
+   */
+  this._id = id;
+
+  /**
+   * @memberof SharedFeed
+   * @instance
+   * @type {FeedNameArgs}
+   */
+  this._feedNameArgs = feedNameArgs;
+
+  /**
+   * @memberof SharedFeed
+   * @instance
+   * @type {?Object}
+   */
+  this._data = data;
+
+  /**
+   * OPEN, REOPENING, or CLOSED
+   * @memberof SharedFeed
+   * @instance
+   * @type {FeedState}
+   */
+  this._state = FeedState.OPEN;
+};
+
+SharedFeed.prototype = Object.create(EventEmitter.prototype);
+SharedFeed.prototype.constructor = SharedFeed;
+
+/**
+ * @memberof SharedFeed
+ * @instance
+ */
+SharedFeed.prototype._emitChanges = FeedmeClientFeed.prototype._emitChanges;
+
+/**
+ * Same as FeedmeClientFeed.
+ * @memberof SharedFeed
+ * @instance
+ * @param {(string|Array|Function)} selector
+ * @param {Object} [options]
+ * @returns {FeedSelection}
+ * @throws {ArgumentError|StateError}
+ */
+SharedFeed.prototype.select = FeedmeClientFeed.prototype.select;
+
+/**
+ * Same as FeedmeClientFeed.
+ * @memberof SharedFeed
+ * @instance
+ * @param {Function} run
+ * @returns {Function}
+ * @throws {ArgumentError}
+ */
+SharedFeed.prototype.subscribe = FeedmeClientFeed.prototype.subscribe;
+
+/**
+ * Same as FeedmeClientFeed.
+ * @memberof SharedFeed
+ * @instance
+ * @returns {ActionIterator}
+ */
+SharedFeed.prototype[Symbol.asyncIterator] =
+  FeedmeClientFeed.prototype[Symbol.asyncIterator];
+
+/**
+ * Same as FeedmeClientFeed.
+ * @memberof SharedFeed
+ * @instance
+ * @returns {Observable}
+ */
+SharedFeed.prototype.observe = FeedmeClientFeed.prototype.observe;
+
+/**
+ * The feed object is closed immediately. The leader closes the server feed if
+ * no other tab has it open.
+ * @memberof SharedFeed
+ * @instance
+ * @param {?Function} callback
+ * @returns {?Promise}
+ * @throws {ArgumentError|StateError|DestroyedError}
+ */
+SharedFeed.prototype.close = function close(callback) {
+  if (callback && !check.function(callback)) {
+    throw new ArgumentError("Callback must be a function.");
+  }
+  if (this._client._destroyed) {
+    throw new DestroyedError("The client has been destroyed.");
+  }
+  if (this._state === FeedState.CLOSED) {
+    throw new StateError("The feed object is already closed.");
+  }
+
+  const { promise, innerCallback } = promiseCallback(callback);
+
+  this._client._feedRequests.delete(this._id);
+  this._client._post({ type: "feedClose", id: this._id });
+  this._state = FeedState.CLOSED;
+  macrotask(this._client._scheduler, () => {
+    this.emit("close", null);
+    innerCallback(null);
+  });
+
+  return promise; // Promise or undefined
+};
+
+/**
+ * @name client
+ * @type {SharedClient}
+ * @memberof SharedFeed
+ * @instance
+ */
+Object.defineProperty(SharedFeed.prototype, "client", {
+  enumerable: true,
+  get() {
+    return this._client;
+  },
+});
+
+/**
+ * @name name
+ * @type {string}
+ * @memberof SharedFeed
+ * @instance
+ */
+Object.defineProperty(SharedFeed.prototype, "name", {
+  enumerable: true,
+  get() {
+    return this._feedNameArgs.name();
+  },
+});
+
+/**
+ * @name args
+ * @type {Object}
+ * @memberof SharedFeed
+ * @instance
+ */
+Object.defineProperty(SharedFeed.prototype, "args", {
+  enumerable: true,
+  get() {
+    return this._feedNameArgs.args();
+  },
+});
+
+/**
+ * @name state
+ * @type {FeedState}
+ * @memberof SharedFeed
+ * @instance
+ */
+Object.defineProperty(SharedFeed.prototype, "state", {
+  enumerable: true,
+  get() {
+    return this._state;
+  },
+});
+
+/**
+ * @name data
+ * @type {?Object}
+ * @memberof SharedFeed
+ * @instance
+ */
+Object.defineProperty(SharedFeed.prototype, "data", {
+  enumerable: true,
+  get() {
+    return this._state === FeedState.CLOSED ? null : this._data;
+  },
+});
+
+/**
+ * Optimistic mutations are not supported across tabs, so this is always the
+ * same as data.
+ * @name confirmedData
+ * @type {?Object}
+ * @memberof SharedFeed
+ * @instance
+ */
+Object.defineProperty(SharedFeed.prototype, "confirmedData", {
+  enumerable: true,
+  get() {
+    return this.data;
+  },
+});
+
+// SharedClient
+
+/**
+ * Shares one FeedmeClient among several browser tabs, so that only one server
+ * connection and one copy of each feed is maintained:
+ *
+ *   const client = new SharedClient({
+ *     createClient: () => feedmeClient({ transport, connect: true }),
+ *   });
+ *   client.on("connect", () => {
+ *     client.feed("Chat", {}).then((feed) => {});
+ *   });
+ *
+ * The tabs elect a leader using the Web Locks API. The leader creates the real
+ * client using options.createClient() and serves the actions and feeds of
+ * every tab, including its own, over a BroadcastChannel. When the leader tab
+ * closes, its lock is released and another tab becomes the leader.
+ *
+ * Calls to connect() and disconnect() are relayed to the leader's client, and
+ * the state and connection events mirror it. When the leader changes:
+ *
+ * - Actions awaiting a result are called back with a ConnectionError, as it
+ *   is unknown whether they reached the server
+ *
+ * - Open feed objects emit reopening and are reopened through the new leader,
+ *   then emit open
+ *
+ * The API is that of FeedmeClient, except that:
+ *
+ * - action() and feed() do not accept options, so there are no optimistic
+ *   mutations, retries, or abort signals, and an ArgumentError is thrown if
+ *   options are passed
+ *
+ * - There are no nextConnectMs or nextConnectCancel members, as reconnection
+ *   is managed by the leader's client
+ *
+ * Feed data is sent to other tabs in full when a feed opens or reopens. Feed
+ * actions are sent as deltas, which each tab applies to its own copy of the
+ * feed data with structural sharing.
+ *
+ * Messages between tabs are of the form { type, from, [to], ... }. Requests
+ * (hello, connect, disconnect, action, feedOpen, feedClose, bye) are served by
+ * the leader and replies (state, leader, result, feedOpened, feedAction,
+ * feedReopening, feedClosed) are addressed to one tab or, if there is no to
+ * property, broadcast. A BroadcastChannel does not deliver messages to the tab
+ * that posted them, so the leader delivers its own messages locally.
+ *
+ * @constructor
+ * @extends EventEmitter
+ * @param {Object} options
+ * @param {Function} options.createClient Returns a FeedmeClient
+ * @param {string} [options.channelName="feedme-client"] Also names the lock
+ * @param {Function} [options.createChannel] Returns a BroadcastChannel or an
+ *                                           object with the same interface
+ * @param {Object} [options.locks] Defaults to navigator.locks
+ * @param {?Function} [options.scheduler] Same form as the client option
+ * @throws {ArgumentError}
+ */
+const SharedClient = function SharedClient(options) {
+  dbg("Initializing");
+
+  // Check options
+  if (!check.object(options) || !check.function(options.createClient)) {
+    throw new ArgumentError("The option 'createClient' must be a function.");
+  }
+  const locks =
+    options.locks ||
+    (globalThis.navigator && globalThis.navigator.locks) ||
+    null;
+  if (!check.object(locks) || !check.function(locks.request)) {
+    throw new ArgumentError(
+      "The option 'locks' must be supplied where navigator.locks is not available.",
+    );
+  }
+
+  EventEmitter.call(this);
+
+  /**
+   * @memberof SharedClient
+   * @instance
+   * @type {Function}
+   */
+  this._createClient = options.createClient;
+
+  /**
+   * @memberof SharedClient
+   * @instance
+   * @type {?Function}
+   */
+  this._scheduler = options.scheduler || null;
+
+  /**
+   * Identifies this tab in messages.
+   * @memberof SharedClient
+   * @instance
+   * @type {string}
+   */
+  this._id = `${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2)}`;
+
+  /**
+   * @memberof SharedClient
+   * @instance
+   * @type {Object}
+   */
+  this._channel = (
+    options.createChannel || ((name) => new globalThis.BroadcastChannel(name))
+  )(options.channelName || "feedme-client");
+  this._channel.onmessage = (evt) => {
+    this._receive(evt.data);
+  };
+
+  /**
+   * True while this tab is the leader.
+   * @memberof SharedClient
+   * @instance
+   * @type {boolean}
+   */
+  this._leader = false;
+
+  /**
+   * The id of the leader tab, once known.
+   * @memberof SharedClient
+   * @instance
+   * @type {?string}
+   */
+  this._leaderId = null;
+
+  /**
+   * Requests made before the leader was known, which are sent once it is.
+   * @memberof SharedClient
+   * @instance
+   * @type {Array}
+   */
+  this._unsent = [];
+
+  /**
+   * The real client, if this tab is the leader.
+   * @memberof SharedClient
+   * @instance
+   * @type {?FeedmeClient}
+   */
+  this._client = null;
+
+  /**
+   * Releases the leader lock, if held or requested.
+   * @memberof SharedClient
+   * @instance
+   * @type {?Function}
+   */
+  this._releaseLock = null;
+
+  /**
+   * The state of the leader's client, as last reported.
+   * @memberof SharedClient
+   * @instance
+   * @type {ClientState}
+   */
+  this._state = ClientState.DISCONNECTED;
+
+  /**
+   * Counter used to generate action and feed ids.
+   * @memberof SharedClient
+   * @instance
+   * @type {number}
+   */
+  this._nextId = 1;
+
+  /**
+   * Callbacks for connect(), disconnect(), and action() calls awaiting a
+   * result, indexed by call id.
+   * @memberof SharedClient
+   * @instance
+   * @type {Map}
+   */
+  this._callbacks = new Map();
+
+  /**
+   * Feed requests of this tab, indexed by feed id. Elements are of the form
+   * { feedNameArgs, callback, feed }. The callback is present until the feed
+   * first opens and the feed is present thereafter.
+   * @memberof SharedClient
+   * @instance
+   * @type {Map}
+   */
+  this._feedRequests = new Map();
+
+  /**
+   * Feed objects on the real client that serve other tabs, indexed by
+   * `${tabId}:${feedId}`. Leader only.
+   * @memberof SharedClient
+   * @instance
+   * @type {Map}
+   */
+  this._hostedFeeds = new Map();
+
+  /**
+   * Feed open requests received while the real client was not connected,
+   * indexed by `${tabId}:${feedId}`. Served when the client connects. Leader
+   * only.
+   * @memberof SharedClient
+   * @instance
+   * @type {Map}
+   */
+  this._deferredFeedOpens = new Map();
+
+  /**
+   * Listener functions attached to the real client. Leader only.
+   * @memberof SharedClient
+   * @instance
+   * @type {Object}
+   */
+  this._clientListeners = {};
+
+  /**
+   * @memberof SharedClient
+   * @instance
+   * @type {boolean}
+   */
+  this._destroyed = false;
+
+  // Seek leadership - the callback runs once the lock is granted and the lock
+  // is held until the returned promise settles. The lock is released if the
+  // real client cannot be created, and the error is thrown asynchronously, as
+  // for errors thrown by application callbacks
+  Promise.resolve(
+    locks.request(
+      `${options.channelName || "feedme-client"}:leader`,
+      () =>
+        new Promise((resolve) => {
+          this._releaseLock = resolve;
+          if (this._destroyed) {
+            resolve();
+          } else {
+            this._lead(); // Intentionally cascade application errors
+          }
+        }),
+    ),
+  ).catch((err) => {
+    dbg("Leader lock failed");
+    this._releaseLock = null;
+    macrotask(this._scheduler, () => {
+      throw err;
+    });
+  });
+
+  // Ask any existing leader for the state
+  this._post({ type: "hello" });
+};
+
+SharedClient.prototype = Object.create(EventEmitter.prototype);
+SharedClient.prototype.constructor = SharedClient;
+
+/**
+ * @event connecting
+ * @memberof SharedClient
+ */
+
+/**
+ * @event connect
+ * @memberof SharedClient
+ */
+
+/**
+ * @event disconnecting
+ * @memberof SharedClient
+ * @param {?Error} err
+ */
+
+/**
+ * @event disconnect
+ * @memberof SharedClient
+ * @param {?Error} err
+ */
+
+/**
+ * Emitted when this tab becomes the leader.
+ * @event leader
+ * @memberof SharedClient
+ */
+
+// Public methods
+
+/**
+ * Asks the leader's client to connect.
+ * @memberof SharedClient
+ * @instance
+ * @param {?Function} callback
+ * @returns {?Promise}
+ * @throws {ArgumentError|DestroyedError}
+ */
+SharedClient.prototype.connect = function connect(callback) {
+  if (callback && !check.function(callback)) {
+    throw new ArgumentError("Callback must be a function.");
+  }
+  if (this._destroyed) {
+    throw new DestroyedError("The client has been destroyed.");
+  }
+
+  return this._call({ type: "connect" }, callback);
+};
+
+/**
+ * Asks the leader's client to disconnect.
+ * @memberof SharedClient
+ * @instance
+ * @param {?Function} callback
+ * @returns {?Promise}
+ * @throws {ArgumentError|DestroyedError}
+ */
+SharedClient.prototype.disconnect = function disconnect(callback) {
+  if (callback && !check.function(callback)) {
+    throw new ArgumentError("Callback must be a function.");
+  }
+  if (this._destroyed) {
+    throw new DestroyedError("The client has been destroyed.");
+  }
+
+  return this._call({ type: "disconnect" }, callback);
+};
+
+/**
+ * Options are not supported.
+ * @memberof SharedClient
+ * @instance
+ * @param {string} name
+ * @param {Object} args
+ * @param {?Function} callback
+ * @returns {?Promise}
+ * @throws {ArgumentError|StateError|DestroyedError}
+ */
+SharedClient.prototype.action = function action(name, args, ...rest) {
+  // Check arguments
+  if (!check.string(name)) {
+    throw new ArgumentError("Action name must be a string.");
+  }
+  if (!check.object(args)) {
+    throw new ArgumentError("Action arguments must be an object.");
+  }
+  const callback = this._callbackArgument(rest); // Intentionally cascade ArgumentError
+
+  this._checkUsable(); // Intentionally cascade StateError, DestroyedError
+
+  return this._call({ type: "action", name, args }, callback);
+};
+
+/**
+ * Options are not supported.
+ * @memberof SharedClient
+ * @instance
+ * @param {string} name
+ * @param {Object} args
+ * @param {?Function} callback
+ * @returns {?Promise}
+ * @throws {ArgumentError|StateError|DestroyedError}
+ */
+SharedClient.prototype.feed = function feed(name, args, ...rest) {
+  // Check arguments
+  const feedNameArgs = FeedNameArgs(name, args);
+  if (feedNameArgs.error()) {
+    throw new ArgumentError(feedNameArgs.error());
+  }
+  const callback = this._callbackArgument(rest); // Intentionally cascade ArgumentError
+
+  this._checkUsable(); // Intentionally cascade StateError, DestroyedError
+
+  const { promise, innerCallback } = promiseCallback(callback);
+
+  const id = this._nextId;
+  this._nextId += 1;
+  this._feedRequests.set(id, {
+    feedNameArgs,
+    callback: innerCallback,
+    feed: null,
+  });
+  this._post({ type: "feedOpen", id, name, args });
+
+  return promise; // Promise or undefined
+};
+
+/**
+ * Returns an Observable of the state of the leader's client.
+ * @memberof SharedClient
+ * @instance
+ * @returns {Observable}
+ */
+SharedClient.prototype.observe = function observe() {
+  return observeState(this);
+};
+
+/**
+ * Leaves the group of tabs. If this tab is the leader, then its client is
+ * destroyed and another tab becomes the leader. Outstanding callbacks are
+ * invoked with a DestroyedError. Should be called when the tab is hidden for
+ * the last time (e.g. on pagehide).
+ * @memberof SharedClient
+ * @instance
+ * @throws {DestroyedError}
+ */
+SharedClient.prototype.destroy = function destroy() {
+  dbg("Running destroy()");
+
+  if (this._destroyed) {
+    throw new DestroyedError("The client has already been destroyed.");
+  }
+
+  this._post({ type: "bye" });
+  this._destroyed = true;
+
+  if (this._leader) {
+    this._unlead();
+  }
+  if (this._releaseLock) {
+    this._releaseLock();
+  }
+  this._channel.onmessage = null;
+  this._channel.close();
+
+  // Fail everything outstanding
+  const err = new DestroyedError("The client was destroyed.");
+  this._callbacks.forEach((callback) => {
+    callback(err);
+  });
+  this._callbacks.clear();
+  this._feedRequests.forEach((request) => {
+    if (request.callback) {
+      request.callback(err);
+    }
+    if (request.feed) {
+      request.feed._state = FeedState.CLOSED;
+    }
+  });
+  this._feedRequests.clear();
+  this._state = ClientState.DISCONNECTED;
+};
+
+// Public properties
+
+/**
+ * The state of the leader's client.
+ * @name state
+ * @type {ClientState}
+ * @memberof SharedClient
+ * @instance
+ */
+Object.defineProperty(SharedClient.prototype, "state", {
+  enumerable: true,
+  get() {
+    return this._state;
+  },
+});
+
+/**
+ * @name leader
+ * @type {boolean}
+ * @memberof SharedClient
+ * @instance
+ */
+Object.defineProperty(SharedClient.prototype, "leader", {
+  enumerable: true,
+  get() {
+    return this._leader;
+  },
+});
+
+/**
+ * @name destroyed
+ * @type {boolean}
+ * @memberof SharedClient
+ * @instance
+ */
+Object.defineProperty(SharedClient.prototype, "destroyed", {
+  enumerable: true,
+  get() {
+    return this._destroyed;
+  },
+});
+
+// Message handlers - requests are served by the leader only
+
+SharedClient.prototype._requestHandlers = {};
+
+/**
+ * @name _requestHandlers#hello
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._requestHandlers.hello = function _requestHandlers$hello(
+  msg,
+) {
+  this._reply(msg.from, { type: "state", state: this._client.state });
+};
+
+/**
+ * @name _requestHandlers#connect
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._requestHandlers.connect =
+  function _requestHandlers$connect(msg) {
+    this._serveCall(msg, (reply) => {
+      this._client.connect(reply);
+    });
+  };
+
+/**
+ * @name _requestHandlers#disconnect
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._requestHandlers.disconnect =
+  function _requestHandlers$disconnect(msg) {
+    this._serveCall(msg, (reply) => {
+      this._client.disconnect(reply);
+    });
+  };
+
+/**
+ * @name _requestHandlers#action
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._requestHandlers.action =
+  function _requestHandlers$action(msg) {
+    this._serveCall(msg, (reply) => {
+      this._client.action(msg.name, msg.args, reply);
+    });
+  };
+
+/**
+ * @name _requestHandlers#feedOpen
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._requestHandlers.feedOpen =
+  function _requestHandlers$feedOpen(msg) {
+    const key = `${msg.from}:${msg.id}`;
+    if (this._client.state !== ClientState.CONNECTED) {
+      this._deferredFeedOpens.set(key, msg);
+      return; // Stop
+    }
+
+    const closed = (err) => {
+      this._hostedFeeds.delete(key);
+      this._reply(msg.from, {
+        type: "feedClosed",
+        id: msg.id,
+        err: err && serializeError(err),
+      });
+    };
+
+    try {
+      this._client.feed(msg.name, msg.args, (err, feed) => {
+        if (err) {
+          closed(err);
+          return; // Stop
+        }
+        if (this._hostedFeeds.get(key) !== null) {
+          feed.close(() => {}); // Closed by the tab or the tab left
+          return; // Stop
+        }
+
+        this._hostedFeeds.set(key, feed);
+        this._reply(msg.from, {
+          type: "feedOpened",
+          id: msg.id,
+          data: feed.data,
+        });
+        feed.on("open", (data) => {
+          this._reply(msg.from, { type: "feedOpened", id: msg.id, data });
+        });
+        feed.on(
+          "action",
+          (actionName, actionData, newData, oldData, feedDeltas, paths) => {
+            this._reply(msg.from, {
+              type: "feedAction",
+              id: msg.id,
+              actionName,
+              actionData,
+              feedDeltas,
+              changedPaths: paths,
+            });
+          },
+        );
+        feed.on("reopening", (reopenErr) => {
+          this._reply(msg.from, {
+            type: "feedReopening",
+            id: msg.id,
+            err: reopenErr && serializeError(reopenErr),
+          });
+        });
+        feed.on("close", (closeErr) => {
+          if (this._hostedFeeds.get(key) === feed) {
+            closed(closeErr);
+          }
+        });
+      });
+      this._hostedFeeds.set(key, null); // Opening
+    } catch (e) {
+      closed(e);
+    }
+  };
+
+/**
+ * @name _requestHandlers#feedClose
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._requestHandlers.feedClose =
+  function _requestHandlers$feedClose(msg) {
+    this._hostedFeedClose(`${msg.from}:${msg.id}`);
+  };
+
+/**
+ * @name _requestHandlers#bye
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._requestHandlers.bye = function _requestHandlers$bye(
+  msg,
+) {
+  [...this._hostedFeeds.keys(), ...this._deferredFeedOpens.keys()]
+    .filter((key) => key.startsWith(`${msg.from}:`))
+    .forEach((key) => {
+      this._hostedFeedClose(key);
+    });
+};
+
+SharedClient.prototype._replyHandlers = {};
+
+/**
+ * @name _replyHandlers#state
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._replyHandlers.state = function _replyHandlers$state(
+  msg,
+) {
+  if (msg.state === this._state) {
+    return; // Stop
+  }
+
+  this._state = msg.state;
+  const err = msg.err ? deserializeError(msg.err) : null;
+  switch (msg.state) {
+    case ClientState.CONNECTING:
+      this.emit("connecting");
+      break;
+    case ClientState.CONNECTED:
+      this.emit("connect");
+      break;
+    case ClientState.DISCONNECTING:
+      this.emit("disconnecting", err);
+      break;
+    default:
+      this.emit("disconnect", err);
+  }
+};
+
+/**
+ * A new leader was elected. Requests sent to the previous leader are resent
+ * or failed.
+ * @name _replyHandlers#leader
+ * @memberof SharedClient
+ * @instance
+ */
+SharedClient.prototype._replyHandlers.leader = function _replyHandlers$leader(
+  msg,
+) {
+  dbg("Leader changed");
+
+  const err = new ConnectionError("The tab holding the connection changed.");
+
+  // Requests not yet sent are unaffected
+  const unsent = this._unsent;
+  this._unsent = [];
+  this._leaderId = msg.from;
+  const unsentIds = new Set(unsent.map((unsentMsg) => unsentMsg.id));
+
+  const callbacks = [...this._callbacks].filter(([id]) => !unsentIds.has(id));
+  callbacks.forEach(([id]) => {
+    this._callbacks.delete(id);
+  });
+  callbacks.forEach(([, callback]) => {
+    callback(err);
+  });
+
+  this._feedRequests.forEach((request, id) => {
+    if (unsentIds.has(id)) {
+      return; // Next
+    }
+    if (request.feed && request.feed._state === FeedState.OPEN) {
+      request.feed._state = FeedState.REOPENING;
+      request.feed.emit("reopening", err);
+    }
+    this._post({
+      type: "feedOpen",
+      id,
+      name: request.feedNameArgs.name(),
+      args: request.feedNameArgs.args(),
+    });
+  });
+
+  unsent.forEach((unsentMsg) => {
+    this._post(unsentMsg);
+  });
+};
+
+/**
+ * @name _replyHandlers#result
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._replyHandlers.result = function _replyHandlers$result(
+  msg,
+) {
+  const callback = this._callbacks.get(msg.id);
+  if (!callback) {
+    return; // Stop
+  }
+
+  this._callbacks.delete(msg.id);
+  if (msg.err) {
+    callback(deserializeError(msg.err));
+  } else if (msg.data === undefined) {
+    callback(null); // connect() and disconnect()
+  } else {
+    callback(null, deepFreeze(msg.data));
+  }
+};
+
+/**
+ * @name _replyHandlers#feedOpened
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._replyHandlers.feedOpened =
+  function _replyHandlers$feedOpened(msg) {
+    const request = this._feedRequests.get(msg.id);
+    if (!request) {
+      return; // Stop
+    }
+
+    const data = deepFreeze(msg.data);
+    if (request.callback) {
+      const { callback } = request;
+      request.callback = null;
+      request.feed = new SharedFeed(this, msg.id, request.feedNameArgs, data);
+      callback(null, request.feed);
+    } else {
+      request.feed._data = data;
+      request.feed._state = FeedState.OPEN;
+      request.feed.emit("open", data);
+    }
+  };
+
+/**
+ * @name _replyHandlers#feedAction
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._replyHandlers.feedAction =
+  function _replyHandlers$feedAction(msg) {
+    const request = this._feedRequests.get(msg.id);
+    if (!request || !request.feed) {
+      return; // Stop
+    }
+
+    // Only the nodes on changed paths are copied and frozen - the feed data
+    // was valid on the leader, so the deltas fail only if messages were lost
+    const { feed } = request;
+    const oldData = feed._data;
+    const feedDeltas = deepFreeze(msg.feedDeltas);
+    const result = applyDeltas(oldData, feedDeltas);
+    if (!result.valid) {
+      dbg("Feed deltas failed");
+      if (feed._state === FeedState.OPEN) {
+        this._feedResync(msg.id); // Otherwise already awaiting full feed data
+      }
+      return; // Stop
+    }
+    feed._data = result.feedData;
+    const args = [
+      deepFreeze(msg.actionData),
+      feed._data,
+      oldData,
+      feedDeltas,
+      deepFreeze(msg.changedPaths),
+    ];
+    feed.emit("action", msg.actionName, ...args);
+    if (feed._state === FeedState.OPEN) {
+      feed._emitChanges(
+        msg.changedPaths,
+        feed._data,
+        oldData,
+        msg.actionName,
+        args[0],
+      );
+    }
+    feed.emit(`action:${msg.actionName}`, ...args);
+  };
+
+/**
+ * @name _replyHandlers#feedReopening
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._replyHandlers.feedReopening =
+  function _replyHandlers$feedReopening(msg) {
+    const request = this._feedRequests.get(msg.id);
+    if (!request || !request.feed) {
+      return; // Stop
+    }
+
+    request.feed._state = FeedState.REOPENING;
+    request.feed.emit("reopening", msg.err && deserializeError(msg.err));
+  };
+
+/**
+ * @name _replyHandlers#feedClosed
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._replyHandlers.feedClosed =
+  function _replyHandlers$feedClosed(msg) {
+    const request = this._feedRequests.get(msg.id);
+    if (!request) {
+      return; // Stop
+    }
+
+    this._feedRequests.delete(msg.id);
+    const err = msg.err ? deserializeError(msg.err) : null;
+    if (request.callback) {
+      request.callback(
+        err || new ConnectionError("The feed closed before it opened."),
+      );
+    } else {
+      request.feed._state = FeedState.CLOSED;
+      request.feed.emit("close", err);
+    }
+  };
+
+// Internal helper functions
+
+/**
+ * Returns the callback passed to action() or feed(), which take no options.
+ * @memberof SharedClient
+ * @instance
+ * @param {Array} rest The arguments following name and args
+ * @returns {?Function}
+ * @throws {ArgumentError}
+ */
+SharedClient.prototype._callbackArgument = function _callbackArgument(rest) {
+  if (rest.length > 1 || (rest.length === 1 && check.object(rest[0]))) {
+    throw new ArgumentError("SharedClient does not support options.");
+  }
+  const [callback] = rest;
+  if (callback && !check.function(callback)) {
+    throw new ArgumentError("Callback must be a function.");
+  }
+  return callback;
+};
+
+/**
+ * @memberof SharedClient
+ * @instance
+ * @throws {StateError|DestroyedError}
+ */
+SharedClient.prototype._checkUsable = function _checkUsable() {
+  if (this._destroyed) {
+    throw new DestroyedError("The client has been destroyed.");
+  }
+  if (this._state !== ClientState.CONNECTED) {
+    throw new StateError("The client state must be connected.");
+  }
+};
+
+/**
+ * Sends a request to the leader and awaits a result message.
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ * @param {?Function} callback
+ * @returns {?Promise}
+ */
+SharedClient.prototype._call = function _call(msg, callback) {
+  const { promise, innerCallback } = promiseCallback(callback);
+
+  const id = this._nextId;
+  this._nextId += 1;
+  this._callbacks.set(id, innerCallback);
+  this._post({ ...msg, id });
+
+  return promise; // Promise or undefined
+};
+
+/**
+ * Invokes a method on the real client and replies with the result, including
+ * any error thrown. Leader only.
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ * @param {Function} invoke Passed the callback for the method
+ */
+SharedClient.prototype._serveCall = function _serveCall(msg, invoke) {
+  const reply = (err, data) => {
+    this._reply(msg.from, {
+      type: "result",
+      id: msg.id,
+      err: err ? serializeError(err) : null,
+      data,
+    });
+  };
+
+  try {
+    invoke(reply);
+  } catch (e) {
+    reply(e);
+  }
+};
+
+/**
+ * Sends a request to the leader. Requests other than hello and bye are held
+ * until the leader is known, as they would otherwise be lost if there were no
+ * leader, or failed when the leader was announced.
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._post = function _post(msg) {
+  if (this._leaderId === null && msg.type !== "hello" && msg.type !== "bye") {
+    this._unsent.push(msg);
+    return; // Stop
+  }
+
+  const full = { ...msg, from: this._id };
+  if (this._leader) {
+    macrotask(this._scheduler, () => {
+      this._receive(full);
+    });
+  } else {
+    this._channel.postMessage(full);
+  }
+};
+
+/**
+ * Sends a reply to one tab or, if tabId is null, to all tabs. Leader only.
+ * @memberof SharedClient
+ * @instance
+ * @param {?string} tabId
+ * @param {Object} msg
+ */
+SharedClient.prototype._reply = function _reply(tabId, msg) {
+  if (!this._leader) {
+    return; // Stop - results from a client that was destroyed on leaving
+  }
+
+  const full = { ...msg, from: this._id };
+  if (tabId) {
+    full.to = tabId;
+  }
+  if (!tabId || tabId === this._id) {
+    macrotask(this._scheduler, () => {
+      this._receive(full);
+    });
+  }
+  if (tabId !== this._id) {
+    this._channel.postMessage(full);
+  }
+};
+
+/**
+ * Routes a message from the channel or from this tab.
+ * @memberof SharedClient
+ * @instance
+ * @param {Object} msg
+ */
+SharedClient.prototype._receive = function _receive(msg) {
+  if (this._destroyed || !check.object(msg)) {
+    return; // Stop
+  }
+
+  if (msg.type in this._requestHandlers) {
+    if (this._leader) {
+      this._requestHandlers[msg.type].call(this, msg);
+    }
+  } else if (msg.type in this._replyHandlers) {
+    if (msg.to && msg.to !== this._id) {
+      return; // Stop
+    }
+
+    // The first reply from an established leader reveals it
+    if (this._leaderId === null && msg.type !== "leader") {
+      this._leaderId = msg.from;
+      const unsent = this._unsent;
+      this._unsent = [];
+      unsent.forEach((unsentMsg) => {
+        this._post(unsentMsg);
+      });
+    }
+
+    this._replyHandlers[msg.type].call(this, msg);
+  } else {
+    dbg("Unrecognized message - discarding");
+  }
+};
+
+/**
+ * Becomes the leader: creates the real client, announces the change, and
+ * relays the client's state to all tabs.
+ * @memberof SharedClient
+ * @instance
+ */
+SharedClient.prototype._lead = function _lead() {
+  dbg("Becoming leader");
+
+  this._client = this._createClient(); // Intentionally cascade application errors
+  this._leader = true;
+
+  const relay = (err) => {
+    this._reply(null, {
+      type: "state",
+      state: this._client.state,
+      err: err ? serializeError(err) : null,
+    });
+  };
+  this._clientListeners = {
+    connecting: relay,
+    connect: () => {
+      relay();
+      const deferred = [...this._deferredFeedOpens.values()];
+      this._deferredFeedOpens.clear();
+      deferred.forEach((msg) => {
+        this._requestHandlers.feedOpen.call(this, msg);
+      });
+    },
+    disconnecting: relay,
+    disconnect: relay,
+  };
+  Object.entries(this._clientListeners).forEach(([evt, listener]) => {
+    this._client.on(evt, listener);
+  });
+
+  // Announce to other tabs and handle the change locally right away, so that
+  // requests made from now on are not failed by the announcement
+  this._channel.postMessage({ type: "leader", from: this._id });
+  this._replyHandlers.leader.call(this, { type: "leader", from: this._id });
+  relay();
+  this.emit("leader");
+};
+
+/**
+ * Stops serving other tabs and destroys the real client.
+ * @memberof SharedClient
+ * @instance
+ */
+SharedClient.prototype._unlead = function _unlead() {
+  dbg("Ceasing to lead");
+
+  Object.entries(this._clientListeners).forEach(([evt, listener]) => {
+    this._client.removeListener(evt, listener);
+  });
+  this._clientListeners = {};
+  this._hostedFeeds.clear();
+  this._deferredFeedOpens.clear();
+  if (!this._client.destroyed) {
+    this._client.destroy();
+  }
+  this._client = null;
+  this._leader = false;
+};
+
+/**
+ * Reopens a feed object through the leader to obtain its feed data in full.
+ * @memberof SharedClient
+ * @instance
+ * @param {number} id
+ */
+SharedClient.prototype._feedResync = function _feedResync(id) {
+  const request = this._feedRequests.get(id);
+  request.feed._state = FeedState.REOPENING;
+  request.feed.emit(
+    "reopening",
+    new ConnectionError("The feed data from the leader was inconsistent."),
+  );
+  this._post({ type: "feedClose", id });
+  this._post({
+    type: "feedOpen",
+    id,
+    name: request.feedNameArgs.name(),
+    args: request.feedNameArgs.args(),
+  });
+};
+
+/**
+ * Closes a feed object served to another tab, marks it to be closed once it
+ * opens, or discards the deferred request.
+ * @memberof SharedClient
+ * @instance
+ * @param {string} key
+ */
+SharedClient.prototype._hostedFeedClose = function _hostedFeedClose(key) {
+  this._deferredFeedOpens.delete(key);
+  if (!this._hostedFeeds.has(key)) {
+    return; // Stop
+  }
+
+  const feed = this._hostedFeeds.get(key);
+  this._hostedFeeds.delete(key); // An opening feed is closed once it opens
+  if (feed && feed.state !== FeedState.CLOSED) {
+    feed.close(() => {});
+  }
+};
+
+// Exports
+
+export default SharedClient;
@@ -0,0 +1,124 @@
+import check from "check-types";
+import SharedClient from "./client.shared";
+import { ArgumentError } from "./errors";
+
+/**
+ * Runs the client in a dedicated Web Worker, so that message parsing, delta
+ * application, hash verification, and feed data cloning are done off the main
+ * thread. In the worker script:
+ *
+ *   serveWorker(() => feedmeClient({ transport, connect: true }));
+ *
+ * And on the main thread:
+ *
+ *   const client = new WorkerClient(new Worker("feedme.worker.js"));
+ *
+ * The pair is a SharedClient with exactly two tabs, where the worker is
+ * always the leader and the main thread is always a follower, so the proxy on
+ * the main thread has the SharedClient API. That is the FeedmeClient API
+ * without action() and feed() options or nextConnectMs and
+ * nextConnectCancel. Passing options throws an ArgumentError.
+ *
+ * Feed data is passed to the main thread as a structured clone when a feed
+ * opens or reopens. Feed actions are passed as deltas, which the main thread
+ * applies with structural sharing, so only the nodes on changed paths are
+ * copied and frozen there.
+ */
+
+/**
+ * Adapts a Worker or a worker global scope to the channel interface used by
+ * SharedClient. The listener is attached using addEventListener() so that
+ * the application remains free to add its own message listeners.
+ * @param {Object} port
+ * @param {Function} close
+ * @returns {Object}
+ */
+const portChannel = (port, close) => {
+  let listener = null;
+  return {
+    postMessage(msg) {
+      port.postMessage(msg);
+    },
+    close,
+    get onmessage() {
+      return listener;
+    },
+    set onmessage(newListener) {
+      if (listener) {
+        port.removeEventListener("message", listener);
+      }
+      listener = newListener;
+      if (listener) {
+        port.addEventListener("message", listener);
+        if (check.function(port.start)) {
+          port.start(); // Required for MessagePorts when using addEventListener()
+        }
+      }
+    },
+  };
+};
+
+/**
+ * Creates the main-thread proxy. The worker is terminated when the proxy is
+ * destroyed.
+ * @param {Worker} worker
+ * @param {Object} [options]
+ * @param {?Function} [options.scheduler] Same form as the client option
+ * @returns {SharedClient}
+ * @throws {ArgumentError}
+ */
+const WorkerClient = function WorkerClient(worker, options = {}) {
+  if (
+    !worker ||
+    !check.function(worker.postMessage) ||
+    !check.function(worker.addEventListener)
+  ) {
+    throw new ArgumentError("Worker must be a Worker.");
+  }
+
+  return new SharedClient({
+    createClient: () => null, // Never the leader
+    createChannel: () =>
+      portChannel(worker, () => {
+        worker.terminate();
+      }),
+    locks: { request() {} },
+    scheduler: options.scheduler,
+  });
+};
+
+/**
+ * Serves the main-thread proxy from within the worker.
+ * @param {Function} createClient Returns a FeedmeClient
+ * @param {Object} [options]
+ * @param {Object} [options.scope] Defaults to the worker global scope
+ * @param {?Function} [options.scheduler] Same form as the client option
+ * @returns {SharedClient}
+ * @throws {ArgumentError}
+ */
+const serveWorker = function serveWorker(createClient, options = {}) {
+  const scope = options.scope || globalThis.self;
+  if (
+    !scope ||
+    !check.function(scope.postMessage) ||
+    !check.function(scope.addEventListener)
+  ) {
+    throw new ArgumentError("The option 'scope' must be a worker scope.");
+  }
+
+  return new SharedClient({
+    createClient,
+    createChannel: () => portChannel(scope, () => {}),
+    locks: {
+      request(name, fn) {
+        return fn(); // Granted immediately and held indefinitely
+      },
+    },
+    scheduler: options.scheduler,
+  });
+};
+
+// Exports
+
+export default WorkerClient;
+export { serveWorker };
@@ -1,8 +1,13 @@
 import check from "check-types";
 import debug from "debug";
 import { EventEmitter } from "events";
-import { ArgumentError } from "./errors";
+import _get from "lodash/get";
+import { ArgumentError, StateError, DestroyedError } from "./errors";
+import { FeedState } from "./states";
 import promiseCallback from "./promisecallback";
+import { pathAffected } from "./deltaapplier";
+import FeedSelection from "./feedselection";
+import { ActionIterator, observeActions } from "./interop";
 
 const dbg = debug("feedme-client:clientfeed");
 
@@ -59,6 +64,8 @@ FeedmeClientFeed.prototype.constructor = FeedmeClientFeed;
  * @param {Object} actionData
  * @param {Object} newFeedData
  * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
  */
 
 /**
@@ -67,12 +74,51 @@ FeedmeClientFeed.prototype.constructor = FeedmeClientFeed;
  * @param {Object} actionData
  * @param {Object} newFeedData
  * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
+ */
+
+/**
+ * Emitted after action when the node at the path, or any node beneath or
+ * above it, was changed by the action. The path is dot-separated and relative
+ * to the feed data root, so change:users.0.name. A listener for change: is
+ * invoked on every change.
+ * @event change:path
+ * @memberof FeedmeClientFeed
+ * @param {*} newValue Undefined if the node no longer exists
+ * @param {*} oldValue Undefined if the node did not exist
+ * @param {string} actionName
+ * @param {Object} actionData
+ */
+
+/**
+ * Emitted when the feed data changes because an optimistic mutation was
+ * applied or rolled back.
+ * @event optimistic
+ * @memberof FeedmeClientFeed
+ * @param {Object} newFeedData
+ * @param {Object} oldFeedData
+ */
+
+/**
+ * Emitted when the client disconnects if the persistentFeeds option is set.
+ * The feed object retains its data until it is reopened or closed.
+ * @event reopening
+ * @memberof FeedmeClientFeed
+ * @param {ConnectionError} err
+ */
+
+/**
+ * Emitted when a reopening feed object has been reopened on the server.
+ * @event open
+ * @memberof FeedmeClientFeed
+ * @param {Object} feedData
  */
 
 /**
  * @event close
  * @memberof FeedmeClientFeed
- * @param {?(TerminationError|ConnectionError)} err
+ * @param {?(TerminationError|ConnectionError|RejectionError)} err
  */
 
 // Public Methods
@@ -81,7 +127,7 @@ FeedmeClientFeed.prototype.constructor = FeedmeClientFeed;
  * @memberof FeedmeClientFeed
  * @instance
  * @param {?Function} callback
- * @throws {ArgumentError|StateError}
+ * @throws {ArgumentError|StateError|DestroyedError}
  */
 FeedmeClientFeed.prototype.close = function close(callback) {
   // Check callback
@@ -89,14 +135,142 @@ FeedmeClientFeed.prototype.close = function close(callback) {
     throw new ArgumentError("Callback must be a function.");
   }
 
+  // Check destroyed
+  if (this._client._destroyed) {
+    throw new DestroyedError("The client has been destroyed.");
+  }
+
   // Callback-style or promise-style usage?
   const { promise, innerCallback } = promiseCallback(callback);
 
-  this._client._coordinato.feedObjectClose(this._feedObjectId, innerCallback); // Intentionally cascade StateError
+  this._client._coordinator.feedObjectClose(this._feedObjectId, innerCallback); // Intentionally cascade StateError
 
   return promise; // Promise or undefined
 };
 
+/**
+ * Returns a FeedSelection tracking part of the feed data. The selector is a
+ * dot-separated path string, an array of object keys and array indexes, or a
+ * function mapping the feed data to a value.
+ * @memberof FeedmeClientFeed
+ * @instance
+ * @param {(string|Array|Function)} selector
+ * @param {Object} [options]
+ * @param {(string|Function)} [options.equal="reference"] "reference", "deep",
+ *                                                      or (a, b) => boolean
+ * @returns {FeedSelection}
+ * @throws {ArgumentError|StateError}
+ */
+FeedmeClientFeed.prototype.select = function select(selector, options = {}) {
+  // Check selector
+  let path = null;
+  if (check.string(selector)) {
+    path = selector === "" ? [] : selector.split(".");
+  } else if (check.array(selector)) {
+    if (!selector.every((el) => check.string(el) || check.integer(el))) {
+      throw new ArgumentError(
+        "Selector paths must contain only strings and integers.",
+      );
+    }
+    path = selector.slice();
+  } else if (!check.function(selector)) {
+    throw new ArgumentError(
+      "Selector must be a string, an array, or a function.",
+    );
+  }
+
+  // Check options
+  if (!check.object(options)) {
+    throw new ArgumentError("Options must be an object.");
+  }
+  const { equal = "reference" } = options;
+  if (equal !== "reference" && equal !== "deep" && !check.function(equal)) {
+    throw new ArgumentError(
+      "The option 'equal' must be 'reference', 'deep', or a function.",
+    );
+  }
+
+  // Check state
+  if (this.state === FeedState.CLOSED) {
+    throw new StateError("The feed object is closed.");
+  }
+
+  return new FeedSelection(
+    this,
+    path,
+    path ? FeedSelection.pathSelector(path) : selector,
+    equal,
+  );
+};
+
+/**
+ * Store contract used by Svelte and others: run is invoked immediately with
+ * the feed data and then whenever it changes, including optimistically and
+ * with null when the feed object closes. Returns a function that unsubscribes.
+ * @memberof FeedmeClientFeed
+ * @instance
+ * @param {Function} run
+ * @returns {Function}
+ * @throws {ArgumentError}
+ */
+FeedmeClientFeed.prototype.subscribe = function subscribe(run) {
+  if (!check.function(run)) {
+    throw new ArgumentError("Subscriber must be a function.");
+  }
+
+  let unsubscribe = null; // Assigned below - the close listener needs it
+  const listeners = {
+    action: (actionName, actionData, newFeedData) => {
+      run(newFeedData);
+    },
+    optimistic: (newFeedData) => {
+      run(newFeedData);
+    },
+    open: (feedData) => {
+      run(feedData);
+    },
+    close: () => {
+      unsubscribe();
+      run(null);
+    },
+  };
+  unsubscribe = () => {
+    Object.entries(listeners).forEach(([evt, listener]) => {
+      this.removeListener(evt, listener);
+    });
+  };
+
+  if (this.state !== FeedState.CLOSED) {
+    Object.entries(listeners).forEach(([evt, listener]) => {
+      this.on(evt, listener);
+    });
+  }
+  run(this.data);
+
+  return unsubscribe;
+};
+
+/**
+ * Returns an async iterator over the actions on the feed object, so that
+ * for await (const action of feed) { ... } works.
+ * @memberof FeedmeClientFeed
+ * @instance
+ * @returns {ActionIterator}
+ */
+FeedmeClientFeed.prototype[Symbol.asyncIterator] = function asyncIterator() {
+  return new ActionIterator(this);
+};
+
+/**
+ * Returns an Observable of the actions on the feed object.
+ * @memberof FeedmeClientFeed
+ * @instance
+ * @returns {Observable}
+ */
+FeedmeClientFeed.prototype.observe = function observe() {
+  return observeActions(this);
+};
+
 // Public properties
 
 /**
@@ -140,30 +314,86 @@ Object.defineProperty(FeedmeClientFeed.prototype, "args", {
 
 /**
  * @name state
- * @type {FeedState} OPEN or CLOSED
+ * @type {FeedState} OPEN, REOPENING, or CLOSED
  * @memberof FeedmeClientFeed
  * @instance
  */
 Object.defineProperty(FeedmeClientFeed.prototype, "state", {
   enumerable: true,
   get() {
-    return this._client._coordinator.feedObjectState(this._feedObjectId); // OPEN or CLOSED, no errors
+    return this._client._coordinator.feedObjectState(this._feedObjectId); // OPEN, REOPENING, or CLOSED, no errors
   },
 });
 
 /**
+ * The confirmed feed data with any optimistic mutations applied.
  * @name data
  * @type {?Object}
  * @memberof FeedmeClientFeed
  * @instance
  */
 Object.defineProperty(FeedmeClientFeed.prototype, "data", {
+  enumerable: true,
+  get() {
+    return this._client._speculativeData(
+      this._feedNameArgs.serial(),
+      this.confirmedData,
+    );
+  },
+});
+
+/**
+ * The feed data as revealed by the server.
+ * @name confirmedData
+ * @type {?Object}
+ * @memberof FeedmeClientFeed
+ * @instance
+ */
+Object.defineProperty(FeedmeClientFeed.prototype, "confirmedData", {
   enumerable: true,
   get() {
     return this._client._coordinator.feedObjectData(this._feedObjectId); // May be null, already frozen if not
   },
 });
 
+// Internal helper functions
+
+/**
+ * Emits change:path for each path listened to that was affected by a change.
+ * @memberof FeedmeClientFeed
+ * @instance
+ * @param {Array} changedPaths
+ * @param {Object} newFeedData
+ * @param {Object} oldFeedData
+ * @param {string} actionName
+ * @param {Object} actionData
+ */
+FeedmeClientFeed.prototype._emitChanges = function _emitChanges(
+  changedPaths,
+  newFeedData,
+  oldFeedData,
+  actionName,
+  actionData,
+) {
+  this.eventNames()
+    .filter((evt) => check.string(evt) && evt.startsWith("change:"))
+    .forEach((evt) => {
+      const pathString = evt.slice("change:".length);
+      const path = pathString === "" ? [] : pathString.split(".");
+
+      if (pathAffected(path, changedPaths)) {
+        const valueAt = (data) => (path.length === 0 ? data : _get(data, path));
+        this.emit(
+          evt,
+          valueAt(newFeedData),
+          valueAt(oldFeedData),
+          actionName,
+          actionData,
+        );
+      }
+    });
+};
+
 // Exports
 
 export default FeedmeClientFeed;
@@ -0,0 +1,18 @@
+/**
+ * The clock used for library timers and timestamps when the clock option is
+ * not set. Wraps the globals at call time, so environment-level fake timers
+ * continue to work.
+ *
+ * Clocks are objects with the following methods:
+ *
+ * - setTimeout(fn, ms) - returns a timer id
+ * - clearTimeout(timerId)
+ * - now() - returns milliseconds
+ *
+ * @type {Object}
+ */
+export default {
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timerId) => clearTimeout(timerId),
+  now: () => Date.now(),
+};
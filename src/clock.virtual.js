@@ -0,0 +1,126 @@
+/**
+ * Clock whose time only moves when the application advances it. Passing an
+ * instance as the clock option lets tests drive connect retries, response
+ * timeouts, and reconnect windows without real waits:
+ *
+ *   const clock = new VirtualClock();
+ *   const client = new FeedmeClient(transport, { clock });
+ *   client.connect();
+ *   clock.advance(10000); // Connect timeout fires
+ *
+ * Timers due at the same time fire in the order they were set. Library
+ * deferrals are governed by the scheduler option, not the clock.
+ *
+ * @constructor
+ * @param {number} [startMs]
+ */
+const VirtualClock = function VirtualClock(startMs = 0) {
+  /**
+   * @memberof VirtualClock
+   * @instance
+   * @type {number}
+   */
+  this._now = startMs;
+
+  /**
+   * Pending timers sorted by due time and then by id.
+   * Each element is: {id, dueMs, fn}
+   * @memberof VirtualClock
+   * @instance
+   * @type {Array}
+   */
+  this._timers = [];
+
+  /**
+   * @memberof VirtualClock
+   * @instance
+   * @type {number}
+   */
+  this._nextId = 1;
+};
+
+/**
+ * @memberof VirtualClock
+ * @instance
+ * @param {Function} fn
+ * @param {number} ms
+ * @returns {number} timerId
+ */
+VirtualClock.prototype.setTimeout = function setTimeout(fn, ms) {
+  const id = this._nextId;
+  this._nextId += 1;
+  const dueMs = this._now + Math.max(0, ms || 0);
+  let idx = this._timers.length;
+  while (idx > 0 && this._timers[idx - 1].dueMs > dueMs) {
+    idx -= 1;
+  }
+  this._timers.splice(idx, 0, { id, dueMs, fn });
+  return id;
+};
+
+/**
+ * @memberof VirtualClock
+ * @instance
+ * @param {number} timerId
+ */
+VirtualClock.prototype.clearTimeout = function clearTimeout(timerId) {
+  this._timers = this._timers.filter((timer) => timer.id !== timerId);
+};
+
+/**
+ * @memberof VirtualClock
+ * @instance
+ * @returns {number}
+ */
+VirtualClock.prototype.now = function now() {
+  return this._now;
+};
+
+/**
+ * Moves time forward, firing timers as they come due, including timers set by
+ * other timers within the interval.
+ * @memberof VirtualClock
+ * @instance
+ * @param {number} ms
+ */
+VirtualClock.prototype.advance = function advance(ms) {
+  const targetMs = this._now + ms;
+  while (this._timers.length > 0 && this._timers[0].dueMs <= targetMs) {
+    const timer = this._timers.shift();
+    this._now = timer.dueMs;
+    timer.fn();
+  }
+  this._now = targetMs;
+};
+
+/**
+ * Moves time forward to the next pending timer and fires it, along with any
+ * others due at the same time.
+ * @memberof VirtualClock
+ * @instance
+ * @returns {boolean} False if there were no pending timers
+ */
+VirtualClock.prototype.next = function next() {
+  if (this._timers.length === 0) {
+    return false;
+  }
+  this.advance(this._timers[0].dueMs - this._now);
+  return true;
+};
+
+/**
+ * @name pending
+ * @type {number}
+ * @memberof VirtualClock
+ * @instance
+ */
+Object.defineProperty(VirtualClock.prototype, "pending", {
+  enumerable: true,
+  get() {
+    return this._timers.length;
+  },
+});
+
+// Exports
+
+export default VirtualClock;
@@ -1,17 +1,18 @@
 import { EventEmitter } from "events";
-import _cloneDeep from "lodash/cloneDeep";
 import debug from "debug";
 import deepFreeze from "deep-freeze";
 import FeedNameArgs from "feedme-util/feednameargs";
 import validateServerMessage from "feedme-util/validators/server-message";
-import deltaWriter from "feedme-util/deltawriter";
 import md5Calculator from "feedme-util/md5calculator";
 import HarnessAsync from "./harness.async";
+import applyDeltas, { changedPaths } from "./deltaapplier";
+import clock from "./clock";
 import { ClientState, FeedState } from "./states";
 import {
   StateError,
   ConnectionError,
   HandshakeError,
+  LivenessError,
   ServerMessageError,
   ResponseTimeoutError,
   ViolationResponseError,
@@ -43,12 +44,21 @@ const dbg = debug("feedme-client:conversation");
  *
  * - Implements transport connect and response timeouts
  *
+ * - Monitors liveness once the handshake is complete: disconnects with a
+ *   LivenessError if nothing is received from the transport for
+ *   options.livenessTimeoutMs and, if the transport implements ping(), probes
+ *   the connection after each options.livenessProbeMs of silence
+ *
  * - Transparently handles the handshake
  *
  * - Keeps track of server feed states
  *
  * - Applies feed deltas and performs hash verification
  *
+ * - Closes and reopens a server feed when a feed action notification has an
+ *   invalid delta or a non-matching hash, rate-limited according to
+ *   options.reopenMaxAttempts and options.reopenTrailingMs
+ *
  * - Suppresses feed action notifications after a call to feedClose()
  *
  * - Internalizes the terminated feed state by continuing to present the feed as
@@ -56,6 +66,13 @@ const dbg = debug("feedme-client:conversation");
  *
  * - Incorporates all spec suggestions
  *
+ * - Applies the protocol strictness policy: if options.strictProtocol is
+ *   false, then unexpected messages that are scoped to a single action or feed
+ *   and ViolationResponse messages are reported using badServerMessage and
+ *   badClientMessage events instead of disconnecting. Messages that are not
+ *   valid JSON or violate a schema and problems with the handshake always
+ *   disconnect.
+ *
  * Although connection state does not change synchronously on method call,
  * feed state does, since there is no associated event:
  *
@@ -88,6 +105,14 @@ const Conversation = function Conversation(transport, options) {
    */
   this._options = options;
 
+  /**
+   * Source of timers and timestamps - options.clock or the real clock.
+   * @memberof Conversation
+   * @instance
+   * @type {Object}
+   */
+  this._clock = options.clock || clock;
+
   /**
    * @memberof Conversation
    * @instance
@@ -110,6 +135,16 @@ const Conversation = function Conversation(transport, options) {
    */
   this._actionCallbackIds = new Set();
 
+  /**
+   * Callback ids of actions cancelled while awaiting a response. A late
+   * ActionResponse referencing one of these is discarded rather than being
+   * treated as unexpected.
+   * @memberof Conversation
+   * @instance
+   * @type {Set}
+   */
+  this._cancelledActionCallbackIds = new Set();
+
   /**
    * Server feed states, as defined by the spec. Indexed by feed serial.
    *
@@ -141,6 +176,24 @@ const Conversation = function Conversation(transport, options) {
    */
   this._timers = {};
 
+  /**
+   * Serials of feeds that were closed due to a bad feed action and are to be
+   * reopened once FeedCloseResponse is received.
+   * @memberof Conversation
+   * @instance
+   * @type {Set}
+   */
+  this._reopenSerials = new Set();
+
+  /**
+   * Times of recent reopen attempts, used to enforce reopenMaxAttempts over
+   * reopenTrailingMs. Indexed by feed serial. Reset on disconnect.
+   * @memberof Conversation
+   * @instance
+   * @type {Object}
+   */
+  this._reopenAttempts = {};
+
   /**
    * Prototype methods bound to the instance for easy deferral.
    * @memberof Conversation
@@ -150,6 +203,9 @@ const Conversation = function Conversation(transport, options) {
   this._bound = {
     _messageHandlers: {},
     _timeoutRun: this._timeoutRun.bind(this),
+    _reopenRun: this._reopenRun.bind(this),
+    _livenessRun: this._livenessRun.bind(this),
+    _probeRun: this._probeRun.bind(this),
   };
   Object.entries(this._messageHandlers).forEach(([msgType, fn]) => {
     this._bound._messageHandlers[msgType] = fn.bind(this);
@@ -192,6 +248,21 @@ Conversation._FEED_TIMER_PREFIX = "FEED";
  */
 Conversation._ACTION_TIMER_PREFIX = "ACTION";
 
+/**
+ * @static
+ */
+Conversation._REOPEN_TIMER_PREFIX = "REOPEN";
+
+/**
+ * @static
+ */
+Conversation._LIVENESS_TIMER_NAME = "LIVENESS";
+
+/**
+ * @static
+ */
+Conversation._PROBE_TIMER_NAME = "PROBE";
+
 // Event definitions
 
 /**
@@ -260,6 +331,8 @@ Conversation._ACTION_TIMER_PREFIX = "ACTION";
  * @param {Object} actionData
  * @param {Object} newFeedData
  * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
  */
 
 /**
@@ -277,11 +350,56 @@ Conversation._ACTION_TIMER_PREFIX = "ACTION";
  * @param {Object} errorData
  */
 
+/**
+ * Emitted when a feed action notification could not be applied and the feed
+ * will be reopened. The server feed state is closing and no feedCloseSuccess
+ * event is emitted; the module reopens the feed once FeedCloseResponse is
+ * received, or later if rate-limited, and emits feedOpenSuccess or
+ * feedOpenFailure as usual.
+ * Conversation state guaranteed to be connected.
+ * Feed state guaranteed to be closing.
+ * @event feedReopening
+ * @memberof Conversation
+ * @param {FeedNameArgs} feedNameArgs
+ * @param {ServerMessageError} err
+ */
+
+/**
+ * Emitted when a feed action notification could not be applied and the feed
+ * will not be reopened. A feedCloseSuccess event is emitted once
+ * FeedCloseResponse is received.
+ * Conversation state guaranteed to be connected.
+ * Feed state guaranteed to be closing.
+ * @event feedFailure
+ * @memberof Conversation
+ * @param {FeedNameArgs} feedNameArgs
+ * @param {ServerMessageError} err
+ */
+
+/**
+ * Emitted when the server transmits a message that was discarded without
+ * disconnecting - unexpected messages if options.strictProtocol is false,
+ * and feed action notifications that could not be applied.
+ * Conversation state guaranteed to be connected.
+ * @event badServerMessage
+ * @memberof Conversation
+ * @param {ServerMessageError} err
+ */
+
+/**
+ * Emitted when the server reports that the client violated the spec and
+ * options.strictProtocol is false.
+ * Conversation state guaranteed to be connected.
+ * @event badClientMessage
+ * @memberof Conversation
+ * @param {Object} diagnostics
+ */
+
 /**
  * Conversation state guaranteed to be disconnecting.
  * @event disconnecting
  * @memberof Conversation
- * @param {?(ConnectionError|HandshakeError|ResponseTimeoutError|ServerMessageError|ViolationResponseError|TransportError)} err
+ * @param {?(ConnectionError|HandshakeError|LivenessError|ResponseTimeoutError|ServerMessageError|ViolationResponseError|TransportError)} err
  */
 
 /**
@@ -379,6 +497,33 @@ Conversation.prototype.action = function action(callbackId, name, args) {
   );
 };
 
+/**
+ * Stops waiting for the server to respond to an action. Clears the response
+ * timeout and discards the eventual ActionResponse. Calls referencing callback
+ * ids that are not pending are permitted and discarded.
+ * @memberof Conversation
+ * @instance
+ * @param {string} callbackId
+ * @throws {StateError}
+ */
+Conversation.prototype.actionCancel = function actionCancel(callbackId) {
+  dbg("Running actionCancel()");
+
+  // Check state
+  if (this._outwardState !== ClientState.CONNECTED) {
+    throw new StateError("State must be connected.");
+  }
+
+  // Discard extraneous calls
+  if (!this._actionCallbackIds.has(callbackId)) {
+    return; // Stop
+  }
+
+  this._timeoutClear(`${Conversation._ACTION_TIMER_PREFIX}-${callbackId}`);
+  this._actionCallbackIds.delete(callbackId);
+  this._cancelledActionCallbackIds.add(callbackId);
+};
+
 /**
  * Asks to open a feed on the server. Feed state synchronously becomes opening.
  * @memberof Conversation
@@ -536,6 +681,30 @@ Conversation.prototype.disconnect = function disconnect() {
   this._disconnectAndClearTimers(); // Intentionally cascade TransportError
 };
 
+/**
+ * Clears all timers and destroys HarnessAsync, which disconnects and detaches
+ * from the transport. No further events are emitted.
+ * @memberof Conversation
+ * @instance
+ * @throws {StateError}
+ */
+Conversation.prototype.destroy = function destroy() {
+  dbg("Running destroy()");
+
+  this._timeoutClear(); // All
+  this._harnessAsync.destroy(); // Intentionally cascade StateError
+  this._harnessAsync.removeAllListeners();
+
+  // Update state
+  this._actionCallbackIds.clear();
+  this._cancelledActionCallbackIds.clear();
+  this._feedStates = {};
+  this._feedData = {};
+  this._reopenSerials.clear();
+  this._reopenAttempts = {};
+  this._outwardState = ClientState.DISCONNECTED;
+};
+
 // Event handlers
 
 Conversation.prototype._handlers = {};
@@ -599,6 +768,11 @@ Conversation.prototype._handlers.connect = function _handlers$connect() {
 Conversation.prototype._handlers.message = function _handlers$message(msg) {
   dbg("Handling message");
 
+  // Any message shows that the connection is alive
+  if (this._outwardState === ClientState.CONNECTED) {
+    this._livenessReset();
+  }
+
   // Parse JSON
   let parsedMsg;
   try {
@@ -637,11 +811,24 @@ Conversation.prototype._handlers.message = function _handlers$message(msg) {
   ); // Intentionally cascade TransportError
 };
 
+/**
+ * @name _handlers#pong
+ * @memberof Conversation
+ * @instance
+ */
+Conversation.prototype._handlers.pong = function _handlers$pong() {
+  dbg("Handling pong");
+
+  if (this._outwardState === ClientState.CONNECTED) {
+    this._livenessReset();
+  }
+};
+
 /**
  * @name _handlers#disconnecting
  * @memberof Conversation
  * @instance
- * @param {?(ConnectionError|HandshakeError|ResponseTimeoutError|ServerMessageError|ViolationResponseError|TransportError)} err
+ * @param {?(ConnectionError|HandshakeError|LivenessError|ResponseTimeoutError|ServerMessageError|ViolationResponseError|TransportError)} err
  */
 Conversation.prototype._handlers.disconnecting =
   function _handlers$disconnecting(err) {
@@ -651,9 +838,13 @@ Conversation.prototype._handlers.disconnecting =
     this._timeoutClear();
 
     // Update state and emit
+    // Reopen counters are reset
     this._actionCallbackIds.clear();
+    this._cancelledActionCallbackIds.clear();
     this._feedStates = {};
     this._feedData = {};
+    this._reopenSerials.clear();
+    this._reopenAttempts = {};
     this._outwardState = ClientState.DISCONNECTING;
     this.emit("disconnecting", err); // May be null
   };
@@ -704,6 +895,13 @@ Conversation.prototype._messageHandlers.ViolationResponse =
   function _messageHandlers$ViolationResponse(msg) {
     dbg("Handling ViolationResponse");
 
+    // Report the violation if so configured
+    if (!this._options.strictProtocol) {
+      dbg("Not strict - emitting");
+      this.emit("badClientMessage", msg.Diagnostics);
+      return; // Stop
+    }
+
     // Disconnect from the server
     this._disconnectAndClearTimers(
       Object.assign(
@@ -765,6 +963,7 @@ Conversation.prototype._messageHandlers.HandshakeResponse =
 
       dbg("Success - emitting");
       this._outwardState = ClientState.CONNECTED;
+      this._livenessReset();
       this.emit("connect");
     } else {
       // Client conversation state is now Not Initiated
@@ -788,10 +987,17 @@ Conversation.prototype._messageHandlers.ActionResponse =
   function _messageHandlers$ActionResponse(msg) {
     dbg("Handling ActionResponse");
 
+    // Discard if the action was cancelled
+    if (this._cancelledActionCallbackIds.has(msg.CallbackId)) {
+      dbg("References cancelled action - discarding");
+      this._cancelledActionCallbackIds.delete(msg.CallbackId);
+      return; // Stop
+    }
+
     // Is the message expected?
     if (!this._actionCallbackIds.has(msg.CallbackId)) {
-      dbg("Unexpected - disconnecting");
-      this._disconnectAndClearTimers(
+      dbg("Unexpected - rejecting");
+      this._rejectServerMessage(
         Object.assign(
           new ServerMessageError(
             "Invalid ActionResponse: Unrecognized CallbackId.",
@@ -833,8 +1039,8 @@ Conversation.prototype._messageHandlers.FeedOpenResponse =
 
     // Is the message expected?
     if (this._feedState(feedNameArgs) !== FeedState.OPENING) {
-      dbg("Unexpected - disconnecting");
-      this._disconnectAndClearTimers(
+      dbg("Unexpected - rejecting");
+      this._rejectServerMessage(
         Object.assign(
           new ServerMessageError(
             "Invalid FeedOpenResponse: Client feed state is not Opening.",
@@ -883,8 +1089,8 @@ Conversation.prototype._messageHandlers.FeedCloseResponse =
     // Is the message expected?
     const feedState = this._feedState(feedNameArgs);
     if (feedState !== FeedState.CLOSING && feedState !== FeedState.TERMINATED) {
-      dbg("Unexpected - disconnecting");
-      this._disconnectAndClearTimers(
+      dbg("Unexpected - rejecting");
+      this._rejectServerMessage(
         Object.assign(
           new ServerMessageError(
             "Invalid FeedCloseResponse: Client feed state is not Closing or Terminated.",
@@ -899,9 +1105,27 @@ Conversation.prototype._messageHandlers.FeedCloseResponse =
     const feedSerial = feedNameArgs.serial();
     this._timeoutClear(`${Conversation._FEED_TIMER_PREFIX}-${feedSerial}`);
 
-    // Update state and emit
-    dbg("Success - emitting");
+    // Update state
     delete this._feedStates[feedSerial]; // Closed
+
+    // Reopen the feed if it was closed due to a bad feed action
+    if (this._reopenSerials.has(feedSerial)) {
+      dbg("Closed for reopen - reopening");
+      this._reopenSerials.delete(feedSerial);
+      const delayMs = this._reopenDelayMs(feedNameArgs);
+      if (delayMs === 0) {
+        this._reopenRun(feedNameArgs); // Intentionally cascade TransportError
+      } else {
+        this._timers[`${Conversation._REOPEN_TIMER_PREFIX}-${feedSerial}`] =
+          this._clock.setTimeout(() => {
+            this._bound._reopenRun(feedNameArgs);
+          }, delayMs);
+      }
+      return; // Stop
+    }
+
+    // Emit
+    dbg("Success - emitting");
     this.emit("feedCloseSuccess", feedNameArgs);
   };
 
@@ -923,8 +1147,8 @@ Conversation.prototype._messageHandlers.FeedAction =
     // Is the message expected?
     const feedState = this._feedState(feedNameArgs);
     if (feedState !== FeedState.OPEN && feedState !== FeedState.CLOSING) {
-      dbg("Unexpected - disconnecting");
-      this._disconnectAndClearTimers(
+      dbg("Unexpected - rejecting");
+      this._rejectServerMessage(
         Object.assign(
           new ServerMessageError(
             "Invalid FeedAction: Client feed state is not Open or Closing.",
@@ -945,37 +1169,35 @@ Conversation.prototype._messageHandlers.FeedAction =
     const feedSerial = feedNameArgs.serial();
     const oldData = this._feedData[feedSerial]; // No need to clone - being discarded; already frozen
 
-    // Try to apply any deltas to a clone of the feed data
-    let newData = _cloneDeep(oldData);
-    for (let i = 0; i < msg.FeedDeltas.length; i += 1) {
-      const result = deltaWriter.apply(newData, msg.FeedDeltas[i]);
-      if (!result.valid) {
-        dbg("Invalid delta - disconnecting");
-        this._disconnectAndClearTimers(
-          Object.assign(
-            new ServerMessageError(
-              "Invalid FeedAction: Invalid delta operation.",
-            ),
-            {
-              serverMessage: msg,
-              deltaViolation: result.reason, // string
-              feedDelta: msg.FeedDeltas[i], // Object
-              feedData: newData, // Object
-            },
+    // Apply any deltas, sharing unmodified nodes with the old feed data
+    const result = applyDeltas(oldData, msg.FeedDeltas);
+    if (!result.valid) {
+      dbg("Invalid delta - closing feed");
+      this._feedFail(
+        feedNameArgs,
+        Object.assign(
+          new ServerMessageError(
+            "Invalid FeedAction: Invalid delta operation.",
           ),
-        ); // Intentionally cascade TransportError
-        return; // Stop
-      }
-      newData = result.feedData;
+          {
+            serverMessage: msg,
+            deltaViolation: result.reason, // string
+            feedDelta: result.feedDelta, // Object
+            feedData: result.feedData, // Object
+          },
+        ),
+      ); // Intentionally cascade TransportError
+      return; // Stop
     }
-    newData = deepFreeze(newData);
+    const newData = result.feedData; // Frozen
 
     // Validate new feed data against the hash, if provided
     if (msg.FeedMd5) {
       const newMd5 = md5Calculator.calculate(newData);
       if (newMd5 !== msg.FeedMd5) {
-        dbg("Hash mismatch - disconnecting");
-        this._disconnectAndClearTimers(
+        dbg("Hash mismatch - closing feed");
+        this._feedFail(
+          feedNameArgs,
           Object.assign(
             new ServerMessageError(
               "Invalid FeedAction: Feed data hash verification failure.",
@@ -1000,6 +1222,8 @@ Conversation.prototype._messageHandlers.FeedAction =
       msg.ActionData,
       newData,
       oldData,
+      msg.FeedDeltas, // Already frozen
+      deepFreeze(changedPaths(msg.FeedDeltas)),
     );
   };
 
@@ -1029,8 +1253,8 @@ Conversation.prototype._messageHandlers.FeedTermination =
     // Is the message expected?
     const feedState = this._feedState(feedNameArgs);
     if (feedState !== FeedState.OPEN && feedState !== FeedState.CLOSING) {
-      dbg("Unexpected - disconnecting");
-      this._disconnectAndClearTimers(
+      dbg("Unexpected - rejecting");
+      this._rejectServerMessage(
         Object.assign(
           new ServerMessageError(
             "Invalid FeedTermination: Client feed state is not Open or Closing.",
@@ -1076,7 +1300,7 @@ Conversation.prototype._messageHandlers.FeedTermination =
  *
  * @memberof Conversation
  * @instance
- * @param {?(ConnectionError|HandshakeError|ResponseTimeoutError|ServerMessageError|ViolationResponseError|TransportError)} err
+ * @param {?(ConnectionError|HandshakeError|LivenessError|ResponseTimeoutError|ServerMessageError|ViolationResponseError|TransportError)} err
  * @throws {StateError|TransportError}
  */
 Conversation.prototype._disconnectAndClearTimers =
@@ -1087,6 +1311,123 @@ Conversation.prototype._disconnectAndClearTimers =
     this._harnessAsync.disconnect(err); // Intentionally cascade TransportError
   };
 
+/**
+ * Handles a server message that is unexpected given the state of an action or
+ * feed. Disconnects if options.strictProtocol is true, otherwise discards the
+ * message and emits badServerMessage.
+ * @memberof Conversation
+ * @instance
+ * @param {ServerMessageError} err
+ * @throws {TransportError}
+ */
+Conversation.prototype._rejectServerMessage = function _rejectServerMessage(
+  err,
+) {
+  dbg("Running _rejectServerMessage()");
+
+  if (this._options.strictProtocol) {
+    this._disconnectAndClearTimers(err); // Intentionally cascade TransportError
+  } else {
+    this.emit("badServerMessage", err);
+  }
+};
+
+/**
+ * Closes an open server feed that received a bad feed action notification and
+ * emits feedReopening if it is to be reopened, or feedFailure if not. The
+ * feed is never reopened if reopenMaxAttempts is 0, or if reopenTrailingMs is
+ * 0 and the attempts for this connection are exhausted.
+ * @memberof Conversation
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs
+ * @param {ServerMessageError} err
+ * @throws {TransportError}
+ */
+Conversation.prototype._feedFail = function _feedFail(feedNameArgs, err) {
+  dbg("Running _feedFail()");
+
+  this.feedClose(feedNameArgs); // Intentionally cascade TransportError
+
+  this.emit("badServerMessage", err);
+
+  if (this._reopenDelayMs(feedNameArgs) < 0) {
+    dbg("Not reopening - emitting");
+    this.emit("feedFailure", feedNameArgs, err);
+  } else {
+    dbg("Reopening - emitting");
+    this._reopenSerials.add(feedNameArgs.serial());
+    this.emit("feedReopening", feedNameArgs, err);
+  }
+};
+
+/**
+ * Returns the number of milliseconds until a feed may be reopened, given
+ * reopenMaxAttempts and reopenTrailingMs. Returns -1 if the feed may not be
+ * reopened on this connection.
+ * @memberof Conversation
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs
+ * @returns {number}
+ */
+Conversation.prototype._reopenDelayMs = function _reopenDelayMs(feedNameArgs) {
+  dbg("Running _reopenDelayMs()");
+
+  const { reopenMaxAttempts, reopenTrailingMs } = this._options;
+  if (reopenMaxAttempts < 0) {
+    return 0; // No limit
+  }
+  if (reopenMaxAttempts === 0) {
+    return -1; // Never
+  }
+
+  // Discard attempts that have fallen out of the trailing interval
+  const feedSerial = feedNameArgs.serial();
+  const now = this._clock.now();
+  let attempts = this._reopenAttempts[feedSerial] || [];
+  if (reopenTrailingMs > 0) {
+    attempts = attempts.filter((t) => t > now - reopenTrailingMs);
+  }
+  this._reopenAttempts[feedSerial] = attempts;
+
+  if (attempts.length < reopenMaxAttempts) {
+    return 0;
+  }
+  if (reopenTrailingMs === 0) {
+    return -1; // Counted over the duration of the connection
+  }
+
+  // Wait until enough attempts have fallen out of the trailing interval
+  return attempts[attempts.length - reopenMaxAttempts] + reopenTrailingMs - now;
+};
+
+/**
+ * Reopens a feed that was closed due to a bad feed action. Run immediately or
+ * by a reopen timer. Discarded if the feed is no longer closed (i.e. the feed
+ * was reopened by an outside call to feedOpen() while waiting).
+ * @memberof Conversation
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs
+ * @throws {TransportError}
+ */
+Conversation.prototype._reopenRun = function _reopenRun(feedNameArgs) {
+  dbg("Running _reopenRun()");
+
+  const feedSerial = feedNameArgs.serial();
+  delete this._timers[`${Conversation._REOPEN_TIMER_PREFIX}-${feedSerial}`];
+
+  // Timers are cleared on disconnect, so the Conversation is connected
+  if (this._feedState(feedNameArgs) !== FeedState.CLOSED) {
+    dbg("Feed no longer closed - discarding");
+    return; // Stop
+  }
+
+  // Attempts are only counted if limited
+  if (this._options.reopenMaxAttempts > 0) {
+    this._reopenAttempts[feedSerial].push(this._clock.now());
+  }
+  this.feedOpen(feedNameArgs); // Intentionally cascade TransportError
+};
+
 /**
  * Returns the spec-defined state of a feed. Differs from public-facing
  * feedState() in that the latter maps terminated to closing.
@@ -1120,12 +1461,9 @@ Conversation.prototype._timeoutSet = function _timeoutSet(
   dbg("Running _timeoutSet()");
 
   if (ms > 0) {
-    this._timers[name] = setTimeout(
-      this._bound._timeoutRun,
-      ms,
-      name,
-      clientMessage,
-    );
+    this._timers[name] = this._clock.setTimeout(() => {
+      this._bound._timeoutRun(name, clientMessage);
+    }, ms);
   }
 };
 
@@ -1160,6 +1498,69 @@ Conversation.prototype._timeoutRun = function _timeoutRun(name, clientMessage) {
   }
 };
 
+/**
+ * Restarts the liveness and probe timers, if so configured. Called when the
+ * handshake completes and whenever the transport shows signs of life.
+ * @memberof Conversation
+ * @instance
+ */
+Conversation.prototype._livenessReset = function _livenessReset() {
+  dbg("Running _livenessReset()");
+
+  const { livenessTimeoutMs, livenessProbeMs } = this._options;
+
+  if (livenessTimeoutMs > 0) {
+    this._timeoutClear(Conversation._LIVENESS_TIMER_NAME);
+    this._timers[Conversation._LIVENESS_TIMER_NAME] = this._clock.setTimeout(
+      this._bound._livenessRun,
+      livenessTimeoutMs,
+    );
+  }
+
+  if (livenessProbeMs > 0 && this._harnessAsync.canPing) {
+    this._timeoutClear(Conversation._PROBE_TIMER_NAME);
+    this._timers[Conversation._PROBE_TIMER_NAME] = this._clock.setTimeout(
+      this._bound._probeRun,
+      livenessProbeMs,
+    );
+  }
+};
+
+/**
+ * @memberof Conversation
+ * @instance
+ * @throws {TransportError}
+ */
+Conversation.prototype._livenessRun = function _livenessRun() {
+  dbg("Running _livenessRun()");
+
+  delete this._timers[Conversation._LIVENESS_TIMER_NAME];
+
+  dbg("Liveness timeout - disconnecting");
+  this._disconnectAndClearTimers(
+    new LivenessError(
+      "Nothing was received from the server within the configured amount of time.",
+    ),
+  ); // Intentionally cascade TransportError
+};
+
+/**
+ * Probes the connection and schedules the next probe, so that probes repeat
+ * for as long as the connection is silent.
+ * @memberof Conversation
+ * @instance
+ * @throws {TransportError}
+ */
+Conversation.prototype._probeRun = function _probeRun() {
+  dbg("Running _probeRun()");
+
+  this._timers[Conversation._PROBE_TIMER_NAME] = this._clock.setTimeout(
+    this._bound._probeRun,
+    this._options.livenessProbeMs,
+  );
+  this._harnessAsync.ping(); // Intentionally cascade TransportError
+};
+
 /**
  * @memberof Conversation
  * @instance
@@ -1171,13 +1572,13 @@ Conversation.prototype._timeoutClear = function _timeoutClear(name) {
   if (name) {
     dbg("Clearing one timer");
     if (this._timers[name]) {
-      clearTimeout(this._timers[name]);
+      this._clock.clearTimeout(this._timers[name]);
       delete this._timers[name];
     }
   } else {
     dbg("Clearing all timers");
     Object.values(this._timers).forEach((timerId) => {
-      clearTimeout(timerId);
+      this._clock.clearTimeout(timerId);
     });
     this._timers = {};
   }
@@ -1,4 +1,6 @@
 import { EventEmitter } from "events";
+import check from "check-types";
+import deepFreeze from "deep-freeze";
 import Conversation from "./conversation";
 import { ClientState, FeedState } from "./states";
 import TaskQueue from "./taskqueue";
@@ -102,11 +104,34 @@ const priorities = {
  * Internal feed object life-cycle states:
  *  OPENING - feed() not called back yet (no object actually exists yet)
  *  OPEN - feed() callback invoked
+ *  REOPENING - reopening event emitted and open event not yet emitted
  *  CLOSING - feed.close() called but close event not emitted
  *  CLOSED - close event emitted
  * Internal state can transition directly to closed from any other state.
- * External state is OPEN if internal state is OPEN or CLOSING, otherwise
- * external state is CLOSED.
+ * External state is OPEN if internal state is OPEN or CLOSING, REOPENING if
+ * internal state is REOPENING, otherwise external state is CLOSED.
+ *
+ * If options.persistentFeeds is true then open feed objects survive the
+ * connection cycle. When the Conversation disconnects they move to the
+ * reopening state instead of closing, and once a new connection has been
+ * established their server feeds are reopened and they are caught up to the
+ * master feed state with an open event. Reopening feed objects are only
+ * closed by the app, by a server rejection, or by a transport error. The same
+ * applies to a single connection cycle if disconnect() is called with
+ * persistFeeds.
+ *
+ * Feed objects also move to the reopening state when the Conversation closes
+ * and reopens a server feed after a bad feed action notification, regardless
+ * of options.persistentFeeds. If the Conversation will not reopen the server
+ * feed then its open feed objects are closed with the error.
+ *
+ * If options.feedCache is present then feed data is written to it when a
+ * server feed opens and on each feed action, and deleted when a server feed
+ * is rejected or terminated. When there is a call to feedObjectOpen() and the
+ * master feed is not open, cached feed data is retrieved. If found before the
+ * server feed opens, the feed object moves to the reopening state with the
+ * cached (stale) data and the feedObjectOpen() callback is invoked. It is then
+ * caught up with an open event like any other reopening feed object.
  *
  * Queue operations (_queueOps) are added to the queue:
  * - When there is a Conversation event (pending), and again when that event
@@ -151,7 +176,7 @@ const Coordinator = function Coordinator(transport, options) {
    * @instance
    * @type {TaskQueue}
    */
-  this._queue = new TaskQueue();
+  this._queue = new TaskQueue(options.scheduler);
 
   /**
    * @memberof Coordinator
@@ -180,6 +205,16 @@ const Coordinator = function Coordinator(transport, options) {
    */
   this._disconnectCalled = false;
 
+  /**
+   * Set by disconnect() if open feed objects are to survive the connection
+   * cycle irrespective of options.persistentFeeds. Reset with
+   * _disconnectCalled.
+   * @memberof Coordinator
+   * @instance
+   * @type {boolean}
+   */
+  this._disconnectPersistFeeds = false;
+
   // Store bound queue operation functions so you aren't constantly re-binding
   this._boundQueueOps = {};
   Object.entries(this._queueOps).forEach(([containerName, container]) => {
@@ -224,6 +259,8 @@ Coordinator.prototype.constructor = Coordinator;
  * @param {Object} actionData
  * @param {Object} newFeedData
  * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
  */
 
 /**
@@ -234,13 +271,42 @@ Coordinator.prototype.constructor = Coordinator;
  * @param {Object} actionData
  * @param {Object} newFeedData
  * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
+ */
+
+/**
+ * @event feedObjectReopening
+ * @memberof Coordinator
+ * @param {string} feedObjectId
+ * @param {ConnectionError|ServerMessageError} err
+ */
+
+/**
+ * Emitted when a reopening feed object becomes open again.
+ * @event feedObjectOpen
+ * @memberof Coordinator
+ * @param {string} feedObjectId
+ * @param {Object} feedData
  */
 
 /**
  * @event feedObjectClose
  * @memberof Coordinator
  * @param {string} feedObjectId
- * @param {?TerminationError|ConnectionError} err
+ * @param {?TerminationError|ConnectionError|RejectionError|ServerMessageError} err
+ */
+
+/**
+ * @event badServerMessage
+ * @memberof Coordinator
+ * @param {ServerMessageError} err
+ */
+
+/**
+ * @event badClientMessage
+ * @memberof Coordinator
+ * @param {Object} diagnostics
  */
 
 /**
@@ -322,9 +388,15 @@ Coordinator.prototype.connect = function connect(callback) {
  * @memberof Coordinator
  * @instance
  * @param {DisconnectCallback} callback
+ * @param {boolean} [persistFeeds=false] Whether open feed objects move to the
+ *                                       reopening state as if
+ *                                       options.persistentFeeds were set
  * @throws {StateError|TransportError}
  */
-Coordinator.prototype.disconnect = function disconnect(callback) {
+Coordinator.prototype.disconnect = function disconnect(
+  callback,
+  persistFeeds = false,
+) {
   // Check state
   if (
     this._outwardState !== ClientState.CONNECTING &&
@@ -349,6 +421,7 @@ Coordinator.prototype.disconnect = function disconnect(callback) {
 
   // Suppress some dependent invocations and and emit disconnecting event with no err
   this._disconnectCalled = true;
+  this._disconnectPersistFeeds = persistFeeds;
 };
 
 /**
@@ -357,6 +430,7 @@ Coordinator.prototype.disconnect = function disconnect(callback) {
  * @param {string} name
  * @param {Object} args
  * @param {ActionCallback} callback
+ * @returns {string} callbackId
  * @throws {StateError|TransportError}
  */
 Coordinator.prototype.action = function action(name, args, callback) {
@@ -373,6 +447,29 @@ Coordinator.prototype.action = function action(name, args, callback) {
   if (this._conversation.state === ClientState.CONNECTED) {
     this._conversation.action(callbackId, name, args); // Intentionally cascade TransportError
   }
+
+  return callbackId;
+};
+
+/**
+ * Stops waiting for an action result and invokes the action callback with err
+ * via the queue. Permitted in any state. Discarded if the callback has
+ * already been invoked or queued for invocation.
+ * @memberof Coordinator
+ * @instance
+ * @param {string} callbackId
+ * @param {AbortError} err
+ */
+Coordinator.prototype.actionAbort = function actionAbort(callbackId, err) {
+  if (!this._db.hasActionCallback(callbackId)) {
+    return; // Stop
+  }
+
+  const callback = this._db.pullActionCallback(callbackId);
+  if (this._conversation.state === ClientState.CONNECTED) {
+    this._conversation.actionCancel(callbackId);
+  }
+  this.callbackError(callback, err);
 };
 
 /**
@@ -380,6 +477,7 @@ Coordinator.prototype.action = function action(name, args, callback) {
  * @instance
  * @param {FeedNameArgs} feedNameArgs
  * @param {FeedCallback} callback
+ * @returns {string} feedObjectId
  * @throws {StateError|TransportError}
  */
 Coordinator.prototype.feedObjectOpen = function feedObjectOpen(
@@ -411,33 +509,97 @@ Coordinator.prototype.feedObjectOpen = function feedObjectOpen(
     this._boundQueueOps.appMethod.feedObjectOpen,
     feedObjectId,
   );
+
+  // Look for cached feed data if so configured and the master feed is not open
+  // The callback may be invoked synchronously or after the server feed opens
+  // - the queue operation checks feed object state
+  if (
+    this._options.feedCache &&
+    this._db.getMasterFeedState(feedNameArgs) !== FeedState.OPEN
+  ) {
+    this._options.feedCache.get(feedNameArgs.serial(), (err, feedData) => {
+      // Storage errors and misses are not reported
+      if (!err && check.object(feedData)) {
+        this._queue.add(
+          priorities.APP_FEED_OBJECT_OPEN,
+          this._boundQueueOps.appMethod.feedObjectCacheHit,
+          feedObjectId,
+          deepFreeze(feedData),
+        );
+      }
+    });
+  }
+
+  return feedObjectId;
 };
 
 /**
- * Returns outward-facing feed object state: either open or closed.
- * Returns closed if the Coordinator is disconnected - do not force the
- * app to check if the client is connected in order to access feed state.
+ * Abandons a feed object that is still opening and invokes the feedObjectOpen()
+ * callback with err via the queue. The server feed is closed if no longer
+ * desired, either now or once it opens. Permitted in any state. Discarded if
+ * the callback has already been invoked.
  * @memberof Coordinator
  * @instance
  * @param {string} feedObjectId
- * @returns {FeedState} OPEN or CLOSED
+ * @param {AbortError} err
+ * @throws {TransportError}
+ */
+Coordinator.prototype.feedObjectAbort = function feedObjectAbort(
+  feedObjectId,
+  err,
+) {
+  if (this._db.getFeedObjectState(feedObjectId) !== FeedState.OPENING) {
+    return; // Stop
+  }
+
+  const feedNameArgs = this._db.getFeedObjectNameArgs(feedObjectId);
+  const callback = this._db.getFeedObjectCallback(feedObjectId);
+  this._db.setFeedObjectClosed(feedObjectId);
+  this.callbackError(callback, err);
+
+  // Close the server feed if no longer desired and actionable
+  // If the server feed is opening then it is closed on feedOpenSuccess
+  if (
+    this._db.getDesiredServerFeedState(feedNameArgs) === FeedState.CLOSED &&
+    this._conversation.state === ClientState.CONNECTED &&
+    this._conversation.feedState(feedNameArgs) === FeedState.OPEN
+  ) {
+    this._conversation.feedClose(feedNameArgs); // Intentionally cascade TransportError
+  }
+};
+
+/**
+ * Returns outward-facing feed object state: open, reopening, or closed.
+ * Returns closed if the Coordinator is disconnected and feeds are not
+ * persistent - do not force the app to check if the client is connected in
+ * order to access feed state.
+ * @memberof Coordinator
+ * @instance
+ * @param {string} feedObjectId
+ * @returns {FeedState} OPEN, REOPENING, or CLOSED
  */
 Coordinator.prototype.feedObjectState = function _feedObjectState(
   feedObjectId,
 ) {
   const internalState = this._db.getFeedObjectState(feedObjectId);
   // Return OPEN if internal state is OPEN or CLOSING - state change is async
+  // Return REOPENING if internal state is REOPENING
   // Return CLOSED if internal state is OPENING or CLOSED
   // The former should not occur, since feedObjectId has not been shared externally yet
-  return internalState === FeedState.OPEN || internalState === FeedState.CLOSING
-    ? FeedState.OPEN
-    : FeedState.CLOSED;
+  if (internalState === FeedState.OPEN || internalState === FeedState.CLOSING) {
+    return FeedState.OPEN;
+  }
+  if (internalState === FeedState.REOPENING) {
+    return FeedState.REOPENING;
+  }
+  return FeedState.CLOSED;
 };
 
 /**
- * Returns an object only if internal feed object state is open or closing,
- * in which case outward-facing state is open. Returns null otherwise, including when
- * disconnected.
+ * Returns an object only if internal feed object state is open, reopening, or
+ * closing. Reopening feed objects return the last feed data that they
+ * received. Returns null otherwise, including when disconnected and feeds are
+ * not persistent.
  * @memberof Coordinator
  * @instance
  * @param {string} feedObjectId
@@ -445,7 +607,11 @@ Coordinator.prototype.feedObjectState = function _feedObjectState(
  */
 Coordinator.prototype.feedObjectData = function _feedObjectData(feedObjectId) {
   const internalState = this._db.getFeedObjectState(feedObjectId);
-  if (internalState !== FeedState.OPEN && internalState !== FeedState.CLOSING) {
+  if (
+    internalState !== FeedState.OPEN &&
+    internalState !== FeedState.REOPENING &&
+    internalState !== FeedState.CLOSING
+  ) {
     return null;
   }
 
@@ -453,8 +619,8 @@ Coordinator.prototype.feedObjectData = function _feedObjectData(feedObjectId) {
 };
 
 /**
- * Permited only if internal feed object state is open or closing, so that
- * outward-facing is open.
+ * Permited only if internal feed object state is open, reopening, or closing,
+ * so that outward-facing is open or reopening.
  * @memberof Coordinator
  * @instance
  * @param {string} feedObjectId
@@ -466,8 +632,12 @@ Coordinator.prototype.feedObjectClose = function _feedObjectClose(
   callback,
 ) {
   const internalState = this._db.getFeedObjectState(feedObjectId);
-  if (internalState !== FeedState.OPEN && internalState !== FeedState.CLOSING) {
-    throw new StateError("Feed object must be open.");
+  if (
+    internalState !== FeedState.OPEN &&
+    internalState !== FeedState.REOPENING &&
+    internalState !== FeedState.CLOSING
+  ) {
+    throw new StateError("Feed object must be open or reopening.");
   }
 
   // Store the callback
@@ -482,8 +652,10 @@ Coordinator.prototype.feedObjectClose = function _feedObjectClose(
   this._db.setFeedObjectClosing(feedObjectId);
 
   // Close the server feed if desired and actionable
+  // If a reopening server feed is no longer desired then it is closed once
+  // the Conversation reports that it has opened
   const feedNameArgs = this._db.getFeedObjectNameArgs(feedObjectId);
-  const desiredState = this._db.getDesiredFeedState(feedNameArgs);
+  const desiredState = this._db.getDesiredServerFeedState(feedNameArgs);
   if (
     desiredState === FeedState.CLOSED &&
     this._conversation.state === ClientState.CONNECTED &&
@@ -500,6 +672,70 @@ Coordinator.prototype.feedObjectClose = function _feedObjectClose(
   );
 };
 
+/**
+ * Invokes callback(err) asynchronously via the queue. Used by the Client to
+ * fail callbacks that never reached the Coordinator.
+ * @memberof Coordinator
+ * @instance
+ * @param {Function} callback
+ * @param {Error} err
+ */
+Coordinator.prototype.callbackError = function callbackError(callback, err) {
+  this._queue.add(
+    priorities.CONVO_EVENT_UNDERWAY,
+    this._boundQueueOps.convoUnderway.callbackError,
+    callback,
+    err,
+  );
+};
+
+/**
+ * Destroys the Conversation, which disconnects and detaches from the
+ * transport. Outstanding connect(), disconnect(), action(), and
+ * feedObjectOpen() callbacks are invoked with err via the queue. Open and
+ * reopening feed objects are closed without emitting. Closing feed objects
+ * and queued underway invocations are left to run. No further Conversation
+ * events are processed.
+ * @memberof Coordinator
+ * @instance
+ * @param {DestroyedError} err
+ * @throws {StateError}
+ */
+Coordinator.prototype.destroy = function destroy(err) {
+  // Discard Conversation events that have not been processed
+  this._queue.clear(priorities.CONVO_EVENT_PENDING);
+
+  this._conversation.destroy(); // Intentionally cascade StateError
+  this._conversation.removeAllListeners();
+
+  // Queue callbacks
+  [
+    ...this._db.pullConnectCallbacks(),
+    ...this._db.pullDisconnectCallbacks(),
+    ...this._db.pullActionCallbacks(),
+  ].forEach((callback) => {
+    this.callbackError(callback, err);
+  });
+  this._db.getFeedObjectIds(FeedState.OPENING).forEach((feedObjectId) => {
+    const callback = this._db.getFeedObjectCallback(feedObjectId);
+    this._db.setFeedObjectClosed(feedObjectId);
+    this.callbackError(callback, err);
+  });
+
+  // Close remaining feed objects
+  [
+    ...this._db.getFeedObjectIds(FeedState.OPEN),
+    ...this._db.getFeedObjectIds(FeedState.REOPENING),
+  ].forEach((feedObjectId) => {
+    this._db.setFeedObjectClosed(feedObjectId);
+  });
+  this._db.setMasterFeedClosed(); // All name/arg combos
+
+  this._outwardState = ClientState.DISCONNECTED;
+  this._disconnectCalled = false;
+  this._disconnectPersistFeeds = false;
+};
+
 // Public properties
 
 /**
@@ -564,9 +800,6 @@ Coordinator.prototype._queueOps.appMethod.feedObjectClose =
       );
     });
 
-    this._outwardState = ClientState.CONNECTED;
-    this.emit("connect");
-
     this._db.setFeedObjectClosed(feedObjectId);
     this.emit("feedObjectClose", feedObjectId); // Requested - no err
 
@@ -575,6 +808,22 @@ Coordinator.prototype._queueOps.appMethod.feedObjectClose =
 
 // PRIORITY TIER 3
 
+/**
+ * @memberof Coordinator
+ * @name _queueOps#convoUnderway#callbackError
+ * @instance
+ * @param {Function} callback
+ * @param {Error} err
+ */
+Coordinator.prototype._queueOps.convoUnderway.callbackError =
+  function convoUnderway$callbackError(callback, err) {
+    // Not suppressed by disconnect() - callback already removed from CoordinatorDb
+
+    callback(err);
+
+    return false; // Next invocation async
+  };
+
 /**
  * @memberof Coordinator
  * @name _queueOps#convoUnderway#connectConnectCallback
@@ -602,6 +851,10 @@ Coordinator.prototype._queueOps.convoUnderway.feedOpenSuccessCallback =
     // Not suppressed by disconnect() - underway invocations are atomic
 
     // Internal feed state will still be opening - app doesn't have an object to close
+    // Unless the callback was already invoked on destroy()
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.OPENING) {
+      return true; // Next invocation sync
+    }
 
     const callback = this._db.getFeedObjectCallback(feedObjectId);
     this._db.setFeedObjectOpen(feedObjectId, feedData);
@@ -622,6 +875,10 @@ Coordinator.prototype._queueOps.convoUnderway.feedOpenFailureCallback =
     // Not suppressed by disconnect() - underway invocations are atomic
 
     // Internal feed state will still be opening - app doesn't have an object to close
+    // Unless the callback was already invoked on destroy()
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.OPENING) {
+      return true; // Next invocation sync
+    }
 
     const callback = this._db.getFeedObjectCallback(feedObjectId);
     this._db.setFeedObjectClosed(feedObjectId);
@@ -630,6 +887,50 @@ Coordinator.prototype._queueOps.convoUnderway.feedOpenFailureCallback =
     return false; // Next invocation async
   };
 
+/**
+ * @memberof Coordinator
+ * @name _queueOps#convoUnderway#feedReopenSuccess
+ * @instance
+ * @param {string} feedObjectId
+ * @param {Object} feedData
+ */
+Coordinator.prototype._queueOps.convoUnderway.feedReopenSuccess =
+  function convoUnderway$feedReopenSuccess(feedObjectId, feedData) {
+    // Not suppressed by disconnect() - underway invocations are atomic
+
+    // Feed object state will be closed if app intervened with feed.close()
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.REOPENING) {
+      return true; // Next invocation sync
+    }
+
+    this._db.setFeedObjectOpen(feedObjectId, feedData);
+    this.emit("feedObjectOpen", feedObjectId, feedData);
+
+    return false; // Next invocation async
+  };
+
+/**
+ * @memberof Coordinator
+ * @name _queueOps#convoUnderway#feedReopenFailure
+ * @instance
+ * @param {string} feedObjectId
+ * @param {RejectionError} err
+ */
+Coordinator.prototype._queueOps.convoUnderway.feedReopenFailure =
+  function convoUnderway$feedReopenFailure(feedObjectId, err) {
+    // Not suppressed by disconnect() - underway invocations are atomic
+
+    // Feed object state will be closed if app intervened with feed.close()
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.REOPENING) {
+      return true; // Next invocation sync
+    }
+
+    this._db.setFeedObjectClosed(feedObjectId);
+    this.emit("feedObjectClose", feedObjectId, err);
+
+    return false; // Next invocation async
+  };
+
 /**
  * @memberof Coordinator
  * @name _queueOps#convoUnderway#feedAction
@@ -639,6 +940,8 @@ Coordinator.prototype._queueOps.convoUnderway.feedOpenFailureCallback =
  * @param {Object} actionData
  * @param {Object} newFeedData
  * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
  */
 Coordinator.prototype._queueOps.convoUnderway.feedAction =
   function convoUnderway$feedAction(
@@ -647,6 +950,8 @@ Coordinator.prototype._queueOps.convoUnderway.feedAction =
     actionData,
     newFeedData,
     oldFeedData,
+    feedDeltas,
+    changedPaths,
   ) {
     // Not suppressed by disconnect() - underway invocations are atomic
 
@@ -658,12 +963,14 @@ Coordinator.prototype._queueOps.convoUnderway.feedAction =
 
     this._db.setFeedObjectData(feedObjectId, newFeedData);
     this.emit(
-      "action",
+      "feedObjectAction",
       feedObjectId,
       actionName,
       actionData,
       newFeedData,
       oldFeedData,
+      feedDeltas,
+      changedPaths,
     );
 
     return false; // Next invocation async
@@ -678,6 +985,8 @@ Coordinator.prototype._queueOps.convoUnderway.feedAction =
  * @param {Object} actionData
  * @param {Object} newFeedData
  * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
  */
 Coordinator.prototype._queueOps.convoUnderway.feedActionName =
   function convoUnderway$feedActionNam(
@@ -686,6 +995,8 @@ Coordinator.prototype._queueOps.convoUnderway.feedActionName =
     actionData,
     newFeedData,
     oldFeedData,
+    feedDeltas,
+    changedPaths,
   ) {
     // Not suppressed by disconnect() - underway invocations are atomic
 
@@ -697,12 +1008,14 @@ Coordinator.prototype._queueOps.convoUnderway.feedActionName =
 
     // Feed object data is already updated
     this.emit(
-      `action:${actionName}`,
+      "feedObjectActionName",
       feedObjectId,
       actionName,
       actionData,
       newFeedData,
       oldFeedData,
+      feedDeltas,
+      changedPaths,
     );
 
     return false; // Next invocation async
@@ -713,14 +1026,14 @@ Coordinator.prototype._queueOps.convoUnderway.feedActionName =
  * @name _queueOps#convoUnderway#feedTermination
  * @instance
  * @param {string} feedObjectId
- * @param {TerminationError} err
+ * @param {TerminationError|ServerMessageError} err
  */
 Coordinator.prototype._queueOps.convoUnderway.feedTermination =
   function convoUnderway$feedTermination(feedObjectId, err) {
     // Not suppressed by disconnect() - underway invocations are atomic
 
     // Feed state will already be closed if app intervened with feed.close()
-    if (this._db.feedObjectState(feedObjectId) !== FeedState.OPEN) {
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.OPEN) {
       return true; // Next invocation sync
     }
 
@@ -730,6 +1043,28 @@ Coordinator.prototype._queueOps.convoUnderway.feedTermination =
     return false; // Next invocation async
   };
 
+/**
+ * @memberof Coordinator
+ * @name _queueOps#convoUnderway#feedReopening
+ * @instance
+ * @param {string} feedObjectId
+ * @param {ServerMessageError} err
+ */
+Coordinator.prototype._queueOps.convoUnderway.feedReopening =
+  function convoUnderway$feedReopening(feedObjectId, err) {
+    // Not suppressed by disconnect() - underway invocations are atomic
+
+    // Feed object state will be closed if app intervened with feed.close()
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.OPEN) {
+      return true; // Next invocation sync
+    }
+
+    this._db.setFeedObjectReopening(feedObjectId);
+    this.emit("feedObjectReopening", feedObjectId, err);
+
+    return false; // Next invocation async
+  };
+
 /**
  * @memberof Coordinator
  * @name _queueOps#convoUnderway#disconnectingActionCallback
@@ -757,6 +1092,11 @@ Coordinator.prototype._queueOps.convoUnderway.disconnectingFeedCallback =
   function convoUnderway$disconnectingFeedCallback(feedObjectId, err) {
     // State is disconnecting - disconnect() not permitted
 
+    // Callback already invoked if there was a call to destroy()
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.OPENING) {
+      return true; // Next invocation sync
+    }
+
     const callback = this._db.getFeedObjectCallback(feedObjectId);
     this._db.setFeedObjectClosed(feedObjectId);
     callback(err);
@@ -776,7 +1116,55 @@ Coordinator.prototype._queueOps.convoUnderway.disconnectingFeedClose =
     // State is disconnecting - disconnect() not permitted
 
     // Feed state will already be closed if there was a call to feedObjectClose()
-    if (this._db.feedObjectState(feedObjectId) !== FeedState.OPEN) {
+    const feedObjectState = this._db.getFeedObjectState(feedObjectId);
+    if (
+      feedObjectState !== FeedState.OPEN &&
+      feedObjectState !== FeedState.REOPENING
+    ) {
+      return true; // Next invocation sync
+    }
+
+    this._db.setFeedObjectClosed(feedObjectId);
+    this.emit("feedObjectClose", feedObjectId, err);
+
+    return false; // Next invocation async
+  };
+
+/**
+ * @memberof Coordinator
+ * @name _queueOps#convoUnderway#disconnectingFeedReopening
+ * @instance
+ * @param {string} feedObjectId
+ * @param {ConnectionError} err
+ */
+Coordinator.prototype._queueOps.convoUnderway.disconnectingFeedReopening =
+  function convoUnderway$disconnectingFeedReopening(feedObjectId, err) {
+    // State is disconnecting - disconnect() not permitted
+
+    // Feed state will already be closed if there was a call to feedObjectClose()
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.OPEN) {
+      return true; // Next invocation sync
+    }
+
+    this._db.setFeedObjectReopening(feedObjectId);
+    this.emit("feedObjectReopening", feedObjectId, err);
+
+    return false; // Next invocation async
+  };
+
+/**
+ * @memberof Coordinator
+ * @name _queueOps#convoUnderway#errorFeedClose
+ * @instance
+ * @param {string} feedObjectId
+ * @param {ConnectionError} err
+ */
+Coordinator.prototype._queueOps.convoUnderway.errorFeedClose =
+  function convoUnderway$errorFeedClose(feedObjectId, err) {
+    // State is error - disconnect() not permitted
+
+    // Feed state will already be closed if there was a call to feedObjectClose()
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.REOPENING) {
       return true; // Next invocation sync
     }
 
@@ -839,11 +1227,15 @@ Coordinator.prototype._queueOps.appMethod.feedObjectOpen =
     // - The underway event could not have been disconnecting, because a call
     //   to feedObjectOpen() would not have been permitted
     // So no need to check feed object state, just master feed state
+    // Except that the callback is invoked on destroy()
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.OPENING) {
+      return true; // Next invocation sync
+    }
 
     // If callback is not invoked here, it will be invoked on eventual
     // feedOpenSuccess/Failure or during disconnecting sequence
 
-    const feedNameArgs = this._db.feedObjectNameArgs(feedObjectId);
+    const feedNameArgs = this._db.getFeedObjectNameArgs(feedObjectId);
     if (this._db.getMasterFeedState(feedNameArgs) === FeedState.OPEN) {
       const callback = this._db.getFeedObjectCallback(feedObjectId);
       this._db.setFeedObjectOpen(
@@ -857,6 +1249,34 @@ Coordinator.prototype._queueOps.appMethod.feedObjectOpen =
     return true; // Next invocation sync
   };
 
+/**
+ * @memberof Coordinator
+ * @name _queueOps#appMethod#feedObjectCacheHit
+ * @instance
+ * @param {string} feedObjectId
+ * @param {Object} feedData Cached
+ */
+Coordinator.prototype._queueOps.appMethod.feedObjectCacheHit =
+  function appMethod$feedObjectCacheHit(feedObjectId, feedData) {
+    // Suppress if there has been a call to disconnect()
+    if (this._disconnectCalled) {
+      return true; // Next invocation sync
+    }
+
+    // The callback may already have been invoked if the server feed opened or
+    // was rejected, or the client disconnected or was destroyed
+    if (this._db.getFeedObjectState(feedObjectId) !== FeedState.OPENING) {
+      return true; // Next invocation sync
+    }
+
+    // The feed object is reopening until the server feed opens
+    const callback = this._db.getFeedObjectCallback(feedObjectId);
+    this._db.setFeedObjectReopening(feedObjectId, feedData);
+    callback(null, feedObjectId);
+
+    return false; // Next invocation async
+  };
+
 // PRIORITY TIER 5
 
 /**
@@ -899,6 +1319,10 @@ Coordinator.prototype._queueOps.convoPending.connect =
     this._outwardState = ClientState.CONNECTED;
     this.emit("connect");
 
+    // Reopen server feeds for any feed objects that survived the connection
+    // cycle - feed objects are caught up on feedOpenSuccess/Failure
+    this._reopenServerFeeds();
+
     return false; // Next invocation async
   };
 
@@ -913,7 +1337,12 @@ Coordinator.prototype._queueOps.convoPending.actionSuccess =
   function convoPending$actionSuccess(callbackId, actionData) {
     // Always update state, but suppress invocation if there has been a call to disconnect()
 
-    const callback = this._db.pullActionCallback(callbackId); // Guaranteed to exist
+    // The callback is gone if the action was aborted after the response arrived
+    if (!this._db.hasActionCallback(callbackId)) {
+      return true; // Next invocation sync
+    }
+
+    const callback = this._db.pullActionCallback(callbackId);
 
     if (this._disconnectCalled) {
       return true; // Next invocation sync
@@ -936,7 +1365,12 @@ Coordinator.prototype._queueOps.convoPending.actionFailure =
   function convoPending$actionFailure(callbackId, errorCode, errorData) {
     // Always update state, but suppress invocation if there has been a call to disconnect()
 
-    const callback = this._db.pullActionCallback(callbackId); // Guaranteed to exist
+    // The callback is gone if the action was aborted after the response arrived
+    if (!this._db.hasActionCallback(callbackId)) {
+      return true; // Next invocation sync
+    }
+
+    const callback = this._db.pullActionCallback(callbackId);
 
     if (this._disconnectCalled) {
       return true; // Next invocation sync
@@ -963,6 +1397,7 @@ Coordinator.prototype._queueOps.convoPending.feedOpenSuccess =
     // Always update state, but suppress invocation if there has been a call to disconnect()
 
     this._db.setMasterFeedOpen(feedNameArgs, feedData);
+    this._feedCacheSet(feedNameArgs, feedData);
 
     if (this._disconnectCalled) {
       return true; // Next invocation sync
@@ -980,8 +1415,27 @@ Coordinator.prototype._queueOps.convoPending.feedOpenSuccess =
         );
       });
 
-    // You know the desired state of the server feed is open, because there is no
-    // way to cancel an opening feed - don't consider closing
+    // Queue open events on reopening feed objects
+    this._db
+      .getFeedObjectIds(FeedState.REOPENING, feedNameArgs)
+      .forEach((feedObjectId) => {
+        this._queue.add(
+          priorities.CONVO_EVENT_UNDERWAY,
+          this._boundQueueOps.convoUnderway.feedReopenSuccess,
+          feedObjectId,
+          feedData,
+        );
+      });
+
+    // The app may have closed all reopening feed objects while the server feed
+    // was opening - close it if it is no longer desired
+    if (
+      this._db.getDesiredServerFeedState(feedNameArgs) === FeedState.CLOSED &&
+      this._conversation.state === ClientState.CONNECTED &&
+      this._conversation.feedState(feedNameArgs) === FeedState.OPEN
+    ) {
+      this._conversation.feedClose(feedNameArgs);
+    }
 
     return true; // Next invocation sync
   };
@@ -997,8 +1451,9 @@ Coordinator.prototype._queueOps.convoPending.feedOpenSuccess =
 Coordinator.prototype._queueOps.convoPending.feedOpenFailure =
   function convoPending$feedOpenFailure(feedNameArgs, errorCode, errorData) {
     // Always update state, but suppress invocation if there has been a call to disconnect()
+    // The master feed was never opened, so there is nothing to close
 
-    this._db.setMasterFeedClosed(feedNameArgs);
+    this._feedCacheDelete(feedNameArgs);
 
     if (this._disconnectCalled) {
       return true; // Next invocation sync
@@ -1022,6 +1477,18 @@ Coordinator.prototype._queueOps.convoPending.feedOpenFailure =
         );
       });
 
+    // Queue close events on reopening feed objects
+    this._db
+      .getFeedObjectIds(FeedState.REOPENING, feedNameArgs)
+      .forEach((feedObjectId) => {
+        this._queue.add(
+          priorities.CONVO_EVENT_UNDERWAY,
+          this._boundQueueOps.convoUnderway.feedReopenFailure,
+          feedObjectId,
+          err,
+        );
+      });
+
     // The server feed is now closed
     // Calls to feedObjectOpen() will trigger a new server open attempt
 
@@ -1038,15 +1505,23 @@ Coordinator.prototype._queueOps.convoPending.feedCloseSuccess =
   function convoPending$feedCloseSuccess(feedNameArgs) {
     // There are no outside invocations
 
-    this._db.setMasterFeedClosed(feedNameArgs);
+    // The master feed is already closed if the server feed was closed due to a
+    // bad feed action notification (feedFailure)
+    if (this._db.getMasterFeedState(feedNameArgs) === FeedState.OPEN) {
+      this._db.setMasterFeedClosed(feedNameArgs);
+    }
 
     // The server feed is now closed
     // Feed objects have already been informed as part of feedObjectClose()
     // Reopen the server feed if there has been a call to feedObjectOpen()
     // Shouldn't you do this immediately when the Convo event is received, instead
     // of when the pending event is processed? No - then you would need both
-    if (this._db.getDesiredFeedState(feedNameArgs) === FeedState.OPEN) {
-      this._conversation.feedOpen(feedNameArgs);
+    if (
+      this._db.getDesiredServerFeedState(feedNameArgs) === FeedState.OPEN &&
+      this._conversation.state === ClientState.CONNECTED &&
+      this._conversation.feedState(feedNameArgs) === FeedState.CLOSED
+    ) {
+      this._conversation.feedOpen(feedNameArgs); // Intentionally cascade TransportError
     }
 
     return true; // Next invocation sync
@@ -1061,6 +1536,8 @@ Coordinator.prototype._queueOps.convoPending.feedCloseSuccess =
  * @param {Object} actionData
  * @param {Object} newFeedData
  * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
  */
 Coordinator.prototype._queueOps.convoPending.feedAction =
   function convoPending$feedAction(
@@ -1069,10 +1546,13 @@ Coordinator.prototype._queueOps.convoPending.feedAction =
     actionData,
     newFeedData,
     oldFeedData,
+    feedDeltas,
+    changedPaths,
   ) {
     // Always update state, but suppress invocation if there has been a call to disconnect()
 
     this._db.setMasterFeedData(feedNameArgs, newFeedData);
+    this._feedCacheSet(feedNameArgs, newFeedData);
 
     if (this._disconnectCalled) {
       return true; // Next invocation sync
@@ -1090,6 +1570,8 @@ Coordinator.prototype._queueOps.convoPending.feedAction =
           actionData,
           newFeedData,
           oldFeedData,
+          feedDeltas,
+          changedPaths,
         );
         this._queue.add(
           priorities.CONVO_EVENT_UNDERWAY,
@@ -1099,6 +1581,8 @@ Coordinator.prototype._queueOps.convoPending.feedAction =
           actionData,
           newFeedData,
           oldFeedData,
+          feedDeltas,
+          changedPaths,
         );
       });
 
@@ -1118,6 +1602,7 @@ Coordinator.prototype._queueOps.convoPending.feedTermination =
     // Always update state, but suppress invocation if there has been a call to disconnect()
 
     this._db.setMasterFeedClosed(feedNameArgs);
+    this._feedCacheDelete(feedNameArgs);
 
     if (this._disconnectCalled) {
       return true; // Next invocation sync
@@ -1131,7 +1616,7 @@ Coordinator.prototype._queueOps.convoPending.feedTermination =
     // If there is a call to feedObjectOpen() while these invocations are being
     // then it will trigger an attempt to reopen the server feed
 
-    const err = new TerminationError("...");
+    const err = new TerminationError("The server terminated the feed.");
     err.serverErrorCode = errorCode;
     err.serverErrorData = errorData;
 
@@ -1150,6 +1635,114 @@ Coordinator.prototype._queueOps.convoPending.feedTermination =
     return true; // Next invocation sync
   };
 
+/**
+ * @memberof Coordinator
+ * @name _queueOps#convoPending#feedReopening
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs
+ * @param {ServerMessageError} err
+ */
+Coordinator.prototype._queueOps.convoPending.feedReopening =
+  function convoPending$feedReopening(feedNameArgs, err) {
+    // Always update state, but suppress invocation if there has been a call to disconnect()
+
+    this._db.setMasterFeedClosed(feedNameArgs);
+
+    if (this._disconnectCalled) {
+      return true; // Next invocation sync
+    }
+
+    // The Conversation reopens the server feed and emits feedOpenSuccess or
+    // feedOpenFailure, which bring the feed objects out of reopening
+
+    // Queue reopening events on any open feed objects
+    this._db
+      .getFeedObjectIds(FeedState.OPEN, feedNameArgs)
+      .forEach((feedObjectId) => {
+        this._queue.add(
+          priorities.CONVO_EVENT_UNDERWAY,
+          this._boundQueueOps.convoUnderway.feedReopening,
+          feedObjectId,
+          err,
+        );
+      });
+
+    return true; // Next invocation sync
+  };
+
+/**
+ * @memberof Coordinator
+ * @name _queueOps#convoPending#feedFailure
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs
+ * @param {ServerMessageError} err
+ */
+Coordinator.prototype._queueOps.convoPending.feedFailure =
+  function convoPending$feedFailure(feedNameArgs, err) {
+    // Always update state, but suppress invocation if there has been a call to disconnect()
+
+    this._db.setMasterFeedClosed(feedNameArgs);
+    this._feedCacheDelete(feedNameArgs);
+
+    if (this._disconnectCalled) {
+      return true; // Next invocation sync
+    }
+
+    // The Conversation emits feedCloseSuccess once the server feed is closed,
+    // which reopens it if there has been a call to feedObjectOpen()
+
+    // Queue close events on any open feed objects
+    // The feedTermination invocation closes a feed object with any error
+    this._db
+      .getFeedObjectIds(FeedState.OPEN, feedNameArgs)
+      .forEach((feedObjectId) => {
+        this._queue.add(
+          priorities.CONVO_EVENT_UNDERWAY,
+          this._boundQueueOps.convoUnderway.feedTermination,
+          feedObjectId,
+          err,
+        );
+      });
+
+    return true; // Next invocation sync
+  };
+
+/**
+ * @memberof Coordinator
+ * @name _queueOps#convoPending#badServerMessage
+ * @instance
+ * @param {ServerMessageError} err
+ */
+Coordinator.prototype._queueOps.convoPending.badServerMessage =
+  function convoPending$badServerMessage(err) {
+    // Suppress invocation if there has been a call to disconnect()
+    if (this._disconnectCalled) {
+      return true; // Next invocation sync
+    }
+
+    this.emit("badServerMessage", err);
+
+    return false; // Next invocation async
+  };
+
+/**
+ * @memberof Coordinator
+ * @name _queueOps#convoPending#badClientMessage
+ * @instance
+ * @param {Object} diagnostics
+ */
+Coordinator.prototype._queueOps.convoPending.badClientMessage =
+  function convoPending$badClientMessage(diagnostics) {
+    // Suppress invocation if there has been a call to disconnect()
+    if (this._disconnectCalled) {
+      return true; // Next invocation sync
+    }
+
+    this.emit("badClientMessage", diagnostics);
+
+    return false; // Next invocation async
+  };
+
 /**
  * @memberof Coordinator
  * @name _queueOps#convoPending#disconnecting
@@ -1163,10 +1756,14 @@ Coordinator.prototype._queueOps.convoPending.disconnecting =
 
     this._db.setMasterFeedClosed(); // All name/arg combos
 
-    const reuseErr = new ConnectionError("The client is disconnecting.");
+    // The cause lets action retries distinguish response timeouts
+    const reuseErr = Object.assign(
+      new ConnectionError("The client is disconnecting."),
+      err ? { cause: err } : {},
+    );
 
     // Queue action() callbacks
-    this._db.pullActionCallbackIds().forEach((callback) => {
+    this._db.pullActionCallbacks().forEach((callback) => {
       this._queue.add(
         priorities.CONVO_EVENT_UNDERWAY,
         this._boundQueueOps.convoUnderway.disconnectingActionCallback,
@@ -1185,15 +1782,32 @@ Coordinator.prototype._queueOps.convoPending.disconnecting =
       );
     });
 
-    // Queue feedObjectClose events
-    this._db.getFeedObjectIds(FeedState.OPEN).forEach((feedObjectId) => {
-      this._queue.add(
-        priorities.CONVO_EVENT_UNDERWAY,
-        this._boundQueueOps.convoUnderway.disconnectingFeedClose,
-        feedObjectId,
-        reuseErr,
-      );
-    });
+    // Queue feedObjectClose events, or feedObjectReopening events if feed
+    // objects survive the connection cycle
+    // Feed objects that are already reopening remain so if feed objects
+    // survive the connection cycle, otherwise they are closed
+    if (this._options.persistentFeeds || this._disconnectPersistFeeds) {
+      this._db.getFeedObjectIds(FeedState.OPEN).forEach((feedObjectId) => {
+        this._queue.add(
+          priorities.CONVO_EVENT_UNDERWAY,
+          this._boundQueueOps.convoUnderway.disconnectingFeedReopening,
+          feedObjectId,
+          reuseErr,
+        );
+      });
+    } else {
+      [
+        ...this._db.getFeedObjectIds(FeedState.OPEN),
+        ...this._db.getFeedObjectIds(FeedState.REOPENING),
+      ].forEach((feedObjectId) => {
+        this._queue.add(
+          priorities.CONVO_EVENT_UNDERWAY,
+          this._boundQueueOps.convoUnderway.disconnectingFeedClose,
+          feedObjectId,
+          reuseErr,
+        );
+      });
+    }
 
     // Determine error for connect() callback and disconnecting event
     let emitErr = err; // Could be falsy
@@ -1215,6 +1829,7 @@ Coordinator.prototype._queueOps.convoPending.disconnecting =
     // Update state and emit
     this._outwardState = ClientState.DISCONNECTING;
     this._disconnectCalled = false;
+    this._disconnectPersistFeeds = false;
     this.emit("disconnecting", emitErr || null);
 
     return false; // Next invocation async
@@ -1254,12 +1869,79 @@ Coordinator.prototype._queueOps.convoPending.error =
   function convoPending$error(err) {
     // State was disconnected - disconnect() not permitted
 
+    // Feed objects that survived the connection cycle can not be reopened
+    const reuseErr = new ConnectionError(
+      "The client experienced a transport error.",
+    );
+    this._db.getFeedObjectIds(FeedState.REOPENING).forEach((feedObjectId) => {
+      this._queue.add(
+        priorities.CONVO_EVENT_UNDERWAY,
+        this._boundQueueOps.convoUnderway.errorFeedClose,
+        feedObjectId,
+        reuseErr,
+      );
+    });
+
     this._outwardState = ClientState.ERROR;
     this.emit("error", err);
 
     return false; // Next invocation async
   };
 
+// Internal helper functions
+
+/**
+ * Opens the server feed for each feed name/arg combination that has reopening
+ * feed objects, if actionable.
+ * @memberof Coordinator
+ * @instance
+ * @throws {TransportError}
+ */
+Coordinator.prototype._reopenServerFeeds = function _reopenServerFeeds() {
+  this._db.getReopeningFeedNameArgs().forEach((feedNameArgs) => {
+    if (
+      this._conversation.state === ClientState.CONNECTED &&
+      this._conversation.feedState(feedNameArgs) === FeedState.CLOSED
+    ) {
+      this._conversation.feedOpen(feedNameArgs); // Intentionally cascade TransportError
+    }
+  });
+};
+
+/**
+ * Writes feed data to the feed cache, if so configured.
+ * @memberof Coordinator
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs
+ * @param {Object} feedData
+ */
+Coordinator.prototype._feedCacheSet = function _feedCacheSet(
+  feedNameArgs,
+  feedData,
+) {
+  if (this._options.feedCache) {
+    this._options.feedCache.set(feedNameArgs.serial(), feedData, () => {
+      // Storage errors are not reported
+    });
+  }
+};
+
+/**
+ * Deletes feed data from the feed cache, if so configured.
+ * @memberof Coordinator
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs
+ */
+Coordinator.prototype._feedCacheDelete = function _feedCacheDelete(
+  feedNameArgs,
+) {
+  if (this._options.feedCache) {
+    this._options.feedCache.delete(feedNameArgs.serial(), () => {
+      // Storage errors are not reported
+    });
+  }
+};
+
 // Exports
 
 export default Coordinator;
@@ -2,6 +2,17 @@ import _concat from "lodash/concat";
 import { FeedState } from "./states";
 import uniqueId from "./uniqueid";
 
+/**
+ * Maps feed object states to their keys in the feed object index.
+ * @type {Object}
+ */
+const indexKeys = {
+  [FeedState.OPENING]: "opening",
+  [FeedState.OPEN]: "open",
+  [FeedState.REOPENING]: "reopening",
+  [FeedState.CLOSING]: "closing",
+};
+
 /**
  * Efficient data storage and retrieval for the Coordinator. Stores action
  * callbacks while pending, master feed state/data (which may lag the
@@ -18,10 +29,11 @@ import uniqueId from "./uniqueid";
  * - closed: feed objects are either closed or they will be soon
  *
  * Feed object internal states (differ from app-facing state of open/closed)
- * - opening:  coord.feedObject(cb) was called but it has not called back; callback stored
- * - open:     coord.feedObject() callback invoked with success; feed data stored
- * - closing:  coord.feedObjectClose() was called but feedObjectClose not yet emitted; feed data stored
- * - closed:   feedObjectClose event has been emitted
+ * - opening:   coord.feedObject(cb) was called but it has not called back; callback stored
+ * - open:      coord.feedObject() callback invoked with success; feed data stored
+ * - reopening: feed object survived a connection cycle and awaits the server feed; last feed data stored
+ * - closing:   coord.feedObjectClose() was called but feedObjectClose not yet emitted; feed data stored
+ * - closed:    feedObjectClose event has been emitted
  *
  * For feed objects, you want fast:
  * - Lookups by object id
@@ -78,6 +90,7 @@ const CoordinatorDb = function CoordinatorDb() {
    * Feed object storage
    *  - If opening:   _feedObjects[objectId] = { feedNameArgs, internalState, callback}
    *  - If open:      _feedObjects[objectId] = { feedNameArgs, internalState, feedData}
+   *  - If reopening: _feedObjects[objectId] = { feedNameArgs, internalState, feedData}
    *  - If closing:   _feedObjects[objectId] = { feedNameArgs, internalState, feedData}
    *  - If closed:    (missing)
    * @memberof CoordinatorDb
@@ -96,6 +109,7 @@ const CoordinatorDb = function CoordinatorDb() {
    *   feedNameArgs,
    *   opening: Set of objectIds,
    *   open: Set of objectIds,
+   *   reopening: Set of objectIds,
    *   closing: Set of objectIds
    * }
    *
@@ -150,11 +164,12 @@ CoordinatorDb.prototype.newDisconnectCallback = function newDisconnectCallback(
  * @memberof CoordinatorDb
  * @instance
  */
-CoordinatorDb.prototype.pullConnectCallbacks = function pullConnectCallbacks() {
-  const callbacks = this._disconnectCallbacks;
-  this._disconnectCallbacks = [];
-  return callbacks;
-};
+CoordinatorDb.prototype.pullDisconnectCallbacks =
+  function pullDisconnectCallbacks() {
+    const callbacks = this._disconnectCallbacks;
+    this._disconnectCallbacks = [];
+    return callbacks;
+  };
 
 // feedObjectClose() callbacks
 
@@ -198,6 +213,19 @@ CoordinatorDb.prototype.newActionCallback = function newActionCallback(
   return callbackId;
 };
 
+/**
+ * Whether an action callback is still pending. Aborted actions are not.
+ * @memberof CoordinatorDb
+ * @instance
+ * @param {string} callbackId
+ * @returns {boolean}
+ */
+CoordinatorDb.prototype.hasActionCallback = function hasActionCallback(
+  callbackId,
+) {
+  return callbackId in this._actionCallbacks;
+};
+
 /**
  * Retrieve and remove a specific action callback function.
  * @memberof CoordinatorDb
@@ -224,7 +252,9 @@ CoordinatorDb.prototype.pullActionCallback = function pullActionCallback(
  * @returns {Array<Function>}
  */
 CoordinatorDb.prototype.pullActionCallbacks = function pullActionCallbacks() {
-  return Object.values(this._actionCallbacks); // May be empty
+  const callbacks = Object.values(this._actionCallbacks); // May be empty
+  this._actionCallbacks = {};
+  return callbacks;
 };
 
 // Master feed state/data
@@ -266,14 +296,20 @@ CoordinatorDb.prototype.setMasterFeedData = function setMasterFeedData(
 };
 
 /**
+ * Closes one master feed, or all of them if no feed name/args are specified.
  * @memberof CoordinatorDb
  * @instance
- * @param {FeedNameArgs} feedNameArgs
+ * @param {?FeedNameArgs} [feedNameArgs]
  * @throws {Error}
  */
 CoordinatorDb.prototype.setMasterFeedClosed = function setMasterFeedClosed(
   feedNameArgs = null,
 ) {
+  if (!feedNameArgs) {
+    this._masterFeedData = {};
+    return; // Stop
+  }
+
   const feedSerial = feedNameArgs.serial();
   if (!(feedSerial in this._masterFeedData)) {
     throw new Error("Feed name/arg combo is already closed.");
@@ -340,6 +376,7 @@ CoordinatorDb.prototype.newFeedObject = function newFeedObject(
       feedNameArgs,
       opening: new Set(),
       open: new Set(),
+      reopening: new Set(),
       closing: new Set(),
     };
     this._feedObjectIndex[feedSerial] = feedObjectIndex;
@@ -372,22 +409,63 @@ CoordinatorDb.prototype.setFeedObjectOpen = function setFeedObjectOpen(
 
   const feedObject = this._feedObjects[feedObjectId];
 
-  if (feedObject.internalState !== FeedState.OPENING) {
-    throw new Error("Feed object not opening.");
+  if (
+    feedObject.internalState !== FeedState.OPENING &&
+    feedObject.internalState !== FeedState.REOPENING
+  ) {
+    throw new Error("Feed object not opening or reopening.");
   }
 
-  // Update feed object
-  feedObject.internalState = FeedState.OPEN;
-  delete feedObject.callback;
-  feedObject.feedData = feedData;
-
   // Update index
   const feedObjectIndex =
     this._feedObjectIndex[feedObject.feedNameArgs.serial()];
-  feedObjectIndex.opening.delete(feedObjectId);
+  feedObjectIndex[indexKeys[feedObject.internalState]].delete(feedObjectId);
   feedObjectIndex.open.add(feedObjectId);
+
+  // Update feed object
+  feedObject.internalState = FeedState.OPEN;
+  delete feedObject.callback;
+  feedObject.feedData = feedData;
 };
 
+/**
+ * Moves an open feed object to the reopening state. The last feed data is
+ * retained until the server feed is reopened.
+ *
+ * Also moves an opening feed object to the reopening state when cached feed
+ * data is available, in which case the cached feed data is stored.
+ * @memberof CoordinatorDb
+ * @instance
+ * @param {string} feedObjectId
+ * @param {?Object} [feedData] Required if opening
+ */
+CoordinatorDb.prototype.setFeedObjectReopening =
+  function setFeedObjectReopening(feedObjectId, feedData = null) {
+    if (!(feedObjectId in this._feedObjects)) {
+      throw new Error("Feed object not found.");
+    }
+
+    const feedObject = this._feedObjects[feedObjectId];
+    const prevState = feedObject.internalState;
+
+    if (prevState !== FeedState.OPEN && prevState !== FeedState.OPENING) {
+      throw new Error("Feed object not open or opening.");
+    }
+
+    // Update feed object - leave feedData intact if open
+    feedObject.internalState = FeedState.REOPENING;
+    if (prevState === FeedState.OPENING) {
+      delete feedObject.callback;
+      feedObject.feedData = feedData;
+    }
+
+    // Update index
+    const feedObjectIndex =
+      this._feedObjectIndex[feedObject.feedNameArgs.serial()];
+    feedObjectIndex[indexKeys[prevState]].delete(feedObjectId);
+    feedObjectIndex.reopening.add(feedObjectId);
+  };
+
 /**
  * @memberof CoordinatorDb
  * @instance
@@ -425,18 +503,21 @@ CoordinatorDb.prototype.setFeedObjectClosing = function setFeedObjectClosing(
 
   const feedObject = this._feedObjects[feedObjectId];
 
-  if (feedObject.internalState !== FeedState.OPEN) {
-    throw new Error("Feed object not open.");
+  if (
+    feedObject.internalState !== FeedState.OPEN &&
+    feedObject.internalState !== FeedState.REOPENING
+  ) {
+    throw new Error("Feed object not open or reopening.");
   }
 
-  // Update feed object - leave feedData intact
-  feedObject.internalState = FeedState.CLOSING;
-
   // Update index
   const feedObjectIndex =
     this._feedObjectIndex[feedObject.feedNameArgs.serial()];
-  feedObjectIndex.open.delete(feedObjectId);
+  feedObjectIndex[indexKeys[feedObject.internalState]].delete(feedObjectId);
   feedObjectIndex.closing.add(feedObjectId);
+
+  // Update feed object - leave feedData intact
+  feedObject.internalState = FeedState.CLOSING;
 };
 
 /**
@@ -453,16 +534,18 @@ CoordinatorDb.prototype.setFeedObjectClosed = function setFeedObjectClosed(
 
   const feedObject = this._feedObjects[feedObjectId];
 
-  // Internal feed object state can move from opening, open, and closing to closed
+  // Internal feed object state can move from opening, open, reopening, and
+  // closing to closed
 
   // Update index
   const feedSerial = feedObject.feedNameArgs.serial();
   const feedObjectIndex = this._feedObjectIndex[feedSerial];
-  feedObjectIndex.closing.delete(feedObjectId);
+  feedObjectIndex[indexKeys[feedObject.internalState]].delete(feedObjectId);
   if (
-    feedObjectIndex.opening.count() +
-      feedObjectIndex.open.count() +
-      feedObjectIndex.closing.count() ===
+    feedObjectIndex.opening.size +
+      feedObjectIndex.open.size +
+      feedObjectIndex.reopening.size +
+      feedObjectIndex.closing.size ===
     0
   ) {
     delete this._feedObjectIndex[feedSerial];
@@ -540,8 +623,12 @@ CoordinatorDb.prototype.getFeedObjectData = function _getFeedObjectData(
 
   const feedObject = this._feedObjects[feedObjectId];
 
-  if (feedObject.internalState !== FeedState.OPEN) {
-    throw new Error("Feed object not open.");
+  if (
+    feedObject.internalState !== FeedState.OPEN &&
+    feedObject.internalState !== FeedState.REOPENING &&
+    feedObject.internalState !== FeedState.CLOSING
+  ) {
+    throw new Error("Feed object not open, reopening, or closing.");
   }
 
   return feedObject.feedData;
@@ -553,19 +640,21 @@ CoordinatorDb.prototype.getFeedObjectData = function _getFeedObjectData(
  * array must not be modified.
  * @memberof CoordinatorDb
  * @instance
- * @param {FeedState} state OPENING, OPEN, or CLOSING
+ * @param {FeedState} state OPENING, OPEN, REOPENING, or CLOSING
  * @param {FeedNameArgs} [feedNameArgs]
- * @returns {Array<FeedState>}
+ * @returns {Array<string>}
  */
 CoordinatorDb.prototype.getFeedObjectIds = function getFeedObjectIds(
   state,
   feedNameArgs = null,
 ) {
+  const indexKey = indexKeys[state];
+
   // One feed
   if (feedNameArgs) {
     const feedSerial = feedNameArgs.serial();
     if (feedSerial in this._feedObjectIndex) {
-      return this._feedObjectIndex[feedSerial][state].array(); // Reference
+      return Array.from(this._feedObjectIndex[feedSerial][indexKey]);
     }
     return []; // None
   }
@@ -573,15 +662,29 @@ CoordinatorDb.prototype.getFeedObjectIds = function getFeedObjectIds(
   // All feeds
   const stateArrs = [];
   Object.values(this._feedObjectIndex).forEach((obj) => {
-    stateArrs.push(obj[state].array());
+    stateArrs.push(Array.from(obj[indexKey]));
   });
   return _concat(...stateArrs);
 };
 
+/**
+ * Returns the feed name/arg combinations that have one or more feed objects
+ * in the reopening state.
+ * @memberof CoordinatorDb
+ * @instance
+ * @returns {Array<FeedNameArgs>}
+ */
+CoordinatorDb.prototype.getReopeningFeedNameArgs =
+  function getReopeningFeedNameArgs() {
+    return Object.values(this._feedObjectIndex)
+      .filter((obj) => obj.reopening.size > 0)
+      .map((obj) => obj.feedNameArgs);
+  };
+
 /**
  * Determines the desired state of the server feed based on the feed object
- * states. If one feed object is opening or open, then the server feed is
- * desired open. Otherwise, it's desired closed.
+ * states. If one feed object is opening, open, or reopening, then the server
+ * feed is desired open. Otherwise, it's desired closed.
  * @memberof CoordinatorDb
  * @instance
  * @param {FeedNameArgs} feedNameArgs
@@ -596,7 +699,12 @@ CoordinatorDb.prototype.getDesiredServerFeedState = function getDesiredState(
   }
 
   const feedObjectIndex = this._feedObjectIndex[feedSerial];
-  if (feedObjectIndex.opening.count() + feedObjectIndex.open.count() > 0) {
+  if (
+    feedObjectIndex.opening.size +
+      feedObjectIndex.open.size +
+      feedObjectIndex.reopening.size >
+    0
+  ) {
     return FeedState.OPEN;
   }
   return FeedState.CLOSED;
@@ -7,11 +7,29 @@ export default {
   connectTimeoutMs: 10000,
   disconnectTimeoutMs: 10000,
   responseTimeoutMs: 10000,
+  livenessTimeoutMs: 0,
+  livenessProbeMs: 0,
   connectRetryMs: 5000,
   connectRetryBackoffMs: 5000,
   connectRetryMaxMs: 30000,
   connectRetryMaxAttempts: 0,
+  retryPolicy: null,
   reconnect: true,
   reconnectMax: 5,
   reconnectMaxMs: 30000,
+  persistentFeeds: false,
+  reopenMaxAttempts: 3,
+  reopenTrailingMs: 60000,
+  strictProtocol: true,
+  feedCache: null,
+  idempotencyKeyField: null,
+  outbox: false,
+  outboxStorage: null,
+  outboxExpiryMs: 60000,
+  outboxMaxSize: 100,
+  scheduler: null,
+  clock: null,
+  environment: null,
+  hiddenDisconnectMs: 0,
+  trace: null,
 };
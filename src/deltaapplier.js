@@ -0,0 +1,174 @@
+import check from "check-types";
+import deltaWriter from "feedme-util/deltawriter";
+
+/**
+ * Delta operations that modify the node referenced by the path. All others
+ * modify its parent.
+ * @type {Set}
+ */
+const NODE_OPERATIONS = new Set([
+  "DeleteValue",
+  "InsertFirst",
+  "InsertLast",
+  "DeleteFirst",
+  "DeleteLast",
+]);
+
+/**
+ * Returns the child of an object or array node if it exists and is itself an
+ * object or array, using the path rules enforced by deltaWriter.
+ * @param {(Object|Array)} node
+ * @param {(string|number)} pathElement
+ * @returns {?(Object|Array)}
+ */
+const containerChild = function containerChild(node, pathElement) {
+  const exists = check.string(pathElement)
+    ? check.object(node) && pathElement in node
+    : check.array(node) && pathElement < node.length;
+  if (!exists) {
+    return null;
+  }
+  const child = node[pathElement];
+  return check.object(child) || check.array(child) ? child : null;
+};
+
+/**
+ * Delta operations that may shift the elements of the array containing the
+ * node referenced by the path, so change the array as a whole.
+ * @type {Set}
+ */
+const SIBLING_OPERATIONS = new Set(["InsertBefore", "InsertAfter"]);
+
+/**
+ * Returns the minimal list of paths that covers every change made by a
+ * sequence of feed deltas. Any node not on, above, or below one of the paths
+ * is unchanged. Paths appear in the order first changed, and a path is
+ * omitted if an ancestor is also listed.
+ * @param {Array} deltas Schema-valid
+ * @returns {Array}
+ */
+const changedPaths = function changedPaths(deltas) {
+  const paths = deltas.map((delta) => {
+    const { Path: path } = delta;
+    const inArray = path.length > 0 && check.number(path[path.length - 1]);
+    if (
+      SIBLING_OPERATIONS.has(delta.Operation) ||
+      (delta.Operation === "Delete" && inArray)
+    ) {
+      return path.slice(0, -1);
+    }
+    return path.slice();
+  });
+
+  const isPrefix = (prefix, path) =>
+    prefix.length <= path.length &&
+    prefix.every((pathElement, idx) => pathElement === path[idx]);
+
+  return paths.filter(
+    (path, idx) =>
+      !paths.some(
+        (other, otherIdx) =>
+          isPrefix(other, path) &&
+          (other.length < path.length || otherIdx < idx), // Ancestor or duplicate
+      ),
+  );
+};
+
+/**
+ * Whether the node at a path may have been changed, given the changed paths
+ * for a sequence of deltas. That is the case if the path is on, above, or
+ * below a changed path. Path elements are compared as strings, so paths
+ * parsed from dot-separated strings can be used.
+ * @param {Array} path
+ * @param {Array} paths As returned by changedPaths()
+ * @returns {boolean}
+ */
+const pathAffected = function pathAffected(path, paths) {
+  return paths.some((changedPath) => {
+    const len = Math.min(path.length, changedPath.length);
+    for (let i = 0; i < len; i += 1) {
+      if (`${path[i]}` !== `${changedPath[i]}`) {
+        return false;
+      }
+    }
+    return true;
+  });
+};
+
+/**
+ * Applies a sequence of feed deltas to frozen feed data without modifying it.
+ *
+ * Only the nodes that the deltas modify, and their ancestors, are copied. All
+ * other nodes in the returned feed data are shared with the original, so a
+ * node that is reference-equal to its counterpart in the original is
+ * unchanged. Copied nodes are frozen shallowly, since the nodes they reference
+ * are either shared (already frozen) or taken from the deep-frozen message.
+ *
+ * Delta validation is delegated to deltaWriter, which only modifies nodes
+ * that have been copied.
+ *
+ * @param {Object} feedData Deep-frozen
+ * @param {Array} deltas Schema-valid and deep-frozen
+ * @returns {Object} { valid: true, feedData: Object }
+ *                   or
+ *                   {
+ *                     valid: false,
+ *                     reason: string,
+ *                     feedDelta: Object,
+ *                     feedData: Object  Partially updated and not frozen
+ *                   }
+ */
+const applyDeltas = function applyDeltas(feedData, deltas) {
+  const copies = new Set();
+  const thaw = (node) => {
+    if (copies.has(node)) {
+      return node; // Already copied for an earlier delta
+    }
+    const copy = check.array(node) ? node.slice() : { ...node };
+    copies.add(copy);
+    return copy;
+  };
+
+  let newData = feedData;
+  for (let i = 0; i < deltas.length; i += 1) {
+    const delta = deltas[i];
+
+    // Copy the nodes along the path down to the one that will be modified,
+    // stopping early if the path is invalid (deltaWriter will reject it)
+    const depth = NODE_OPERATIONS.has(delta.Operation)
+      ? delta.Path.length
+      : delta.Path.length - 1;
+    newData = thaw(newData);
+    let node = newData;
+    for (let j = 0; j < depth; j += 1) {
+      const child = containerChild(node, delta.Path[j]);
+      if (!child) {
+        break;
+      }
+      const copy = thaw(child);
+      node[delta.Path[j]] = copy;
+      node = copy;
+    }
+
+    const result = deltaWriter.apply(newData, delta);
+    if (!result.valid) {
+      return {
+        valid: false,
+        reason: result.reason,
+        feedDelta: delta,
+        feedData: newData,
+      };
+    }
+    newData = result.feedData; // Differs on a root Set
+  }
+
+  copies.forEach((copy) => {
+    Object.freeze(copy);
+  });
+  return { valid: true, feedData: newData };
+};
+
+// Exports
+
+export default applyDeltas;
+export { changedPaths, pathAffected };
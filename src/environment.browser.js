@@ -0,0 +1,103 @@
+import { EventEmitter } from "events";
+
+/**
+ * Environment that monitors the browser's online/offline events and the
+ * document's visibilitychange event:
+ *
+ *   const environment = new BrowserEnvironment();
+ *   const client = new FeedmeClient(transport, { environment });
+ *
+ * Emits online, offline, visible, and hidden. Connectivity is taken from
+ * navigator.onLine, which may report online when the device has a network
+ * but no internet access, so the client still relies on the transport to
+ * detect failed connections.
+ *
+ * Call destroy() to stop listening once the environment is no longer needed.
+ *
+ * @constructor
+ * @extends EventEmitter
+ * @param {Object} [win] Defaults to the global window
+ * @throws {Error}
+ */
+const BrowserEnvironment = function BrowserEnvironment(
+  win = globalThis.window || null,
+) {
+  if (!win || !win.document) {
+    throw new Error("BrowserEnvironment requires a window with a document.");
+  }
+
+  EventEmitter.call(this);
+
+  /**
+   * @memberof BrowserEnvironment
+   * @instance
+   * @type {Object}
+   */
+  this._window = win;
+
+  /**
+   * Listener functions attached to the window and document, indexed by
+   * event name.
+   * @memberof BrowserEnvironment
+   * @instance
+   * @type {Object}
+   */
+  this._listeners = {
+    online: () => {
+      this.emit("online");
+    },
+    offline: () => {
+      this.emit("offline");
+    },
+    visibilitychange: () => {
+      this.emit(this.visible() ? "visible" : "hidden");
+    },
+  };
+
+  win.addEventListener("online", this._listeners.online);
+  win.addEventListener("offline", this._listeners.offline);
+  win.document.addEventListener(
+    "visibilitychange",
+    this._listeners.visibilitychange,
+  );
+};
+
+BrowserEnvironment.prototype = Object.create(EventEmitter.prototype);
+BrowserEnvironment.prototype.constructor = BrowserEnvironment;
+
+/**
+ * @memberof BrowserEnvironment
+ * @instance
+ * @returns {boolean}
+ */
+BrowserEnvironment.prototype.online = function online() {
+  const { navigator } = this._window;
+  return !navigator || navigator.onLine !== false;
+};
+
+/**
+ * @memberof BrowserEnvironment
+ * @instance
+ * @returns {boolean}
+ */
+BrowserEnvironment.prototype.visible = function visible() {
+  return this._window.document.visibilityState !== "hidden";
+};
+
+/**
+ * Detaches from the window and document.
+ * @memberof BrowserEnvironment
+ * @instance
+ */
+BrowserEnvironment.prototype.destroy = function destroy() {
+  this._window.removeEventListener("online", this._listeners.online);
+  this._window.removeEventListener("offline", this._listeners.offline);
+  this._window.document.removeEventListener(
+    "visibilitychange",
+    this._listeners.visibilitychange,
+  );
+};
+
+// Exports
+
+export default BrowserEnvironment;
@@ -0,0 +1,90 @@
+import { EventEmitter } from "events";
+
+/**
+ * Environment whose connectivity and visibility are set by the application.
+ * Serves as the environment option in Node, where there is nothing to
+ * monitor, and in tests:
+ *
+ *   const environment = new ManualEnvironment();
+ *   const client = new FeedmeClient(transport, { environment });
+ *   environment.setOnline(false); // Retries are suspended
+ *   environment.setOnline(true); // The client connects immediately
+ *
+ * Emits online, offline, visible, and hidden when the corresponding setting
+ * changes.
+ *
+ * @constructor
+ * @extends EventEmitter
+ * @param {Object} [initial]
+ * @param {boolean} [initial.online=true]
+ * @param {boolean} [initial.visible=true]
+ */
+const ManualEnvironment = function ManualEnvironment({
+  online = true,
+  visible = true,
+} = {}) {
+  EventEmitter.call(this);
+
+  /**
+   * @memberof ManualEnvironment
+   * @instance
+   * @type {boolean}
+   */
+  this._online = online;
+
+  /**
+   * @memberof ManualEnvironment
+   * @instance
+   * @type {boolean}
+   */
+  this._visible = visible;
+};
+
+ManualEnvironment.prototype = Object.create(EventEmitter.prototype);
+ManualEnvironment.prototype.constructor = ManualEnvironment;
+
+/**
+ * @memberof ManualEnvironment
+ * @instance
+ * @returns {boolean}
+ */
+ManualEnvironment.prototype.online = function online() {
+  return this._online;
+};
+
+/**
+ * @memberof ManualEnvironment
+ * @instance
+ * @returns {boolean}
+ */
+ManualEnvironment.prototype.visible = function visible() {
+  return this._visible;
+};
+
+/**
+ * @memberof ManualEnvironment
+ * @instance
+ * @param {boolean} online
+ */
+ManualEnvironment.prototype.setOnline = function setOnline(online) {
+  if (online !== this._online) {
+    this._online = online;
+    this.emit(online ? "online" : "offline");
+  }
+};
+
+/**
+ * @memberof ManualEnvironment
+ * @instance
+ * @param {boolean} visible
+ */
+ManualEnvironment.prototype.setVisible = function setVisible(visible) {
+  if (visible !== this._visible) {
+    this._visible = visible;
+    this.emit(visible ? "visible" : "hidden");
+  }
+};
+
+// Exports
+
+export default ManualEnvironment;
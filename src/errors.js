@@ -24,6 +24,13 @@ const ConnectionError = makeError("ConnectionError");
  */
 const HandshakeError = makeError("HandshakeError");
 
+/**
+ * The server went silent for longer than options.livenessTimeoutMs.
+ * @constructor
+ * @extends ConnectionError
+ */
+const LivenessError = makeError("LivenessError", ConnectionError);
+
 /**
  * @constructor
  * @extends Error
@@ -60,15 +67,37 @@ const ViolationResponseError = makeError("ViolationResponseError");
  */
 const TransportError = makeError("TransportError");
 
+/**
+ * @constructor
+ * @extends Error
+ */
+const DestroyedError = makeError("DestroyedError");
+
+/**
+ * @constructor
+ * @extends Error
+ */
+const AbortError = makeError("AbortError");
+
+/**
+ * @constructor
+ * @extends Error
+ */
+const OutboxError = makeError("OutboxError");
+
 export {
   ArgumentError,
   StateError,
   ConnectionError,
   HandshakeError,
+  LivenessError,
   ServerMessageError,
   ResponseTimeoutError,
   RejectionError,
   TerminationError,
   ViolationResponseError,
   TransportError,
+  DestroyedError,
+  AbortError,
+  OutboxError,
 };
@@ -0,0 +1,436 @@
+import debug from "debug";
+import clock from "./clock";
+import { ClientState } from "./states";
+
+const dbg = debug("feedme-client:feedregistry");
+
+/**
+ * Snapshot for feeds with no entry, and for entries whose first open attempt
+ * has not completed. Shared so that useSyncExternalStore() sees a stable
+ * value.
+ * @type {Object}
+ */
+const LOADING = Object.freeze({
+  feed: null,
+  data: null,
+  error: null,
+  loading: true,
+});
+
+// FeedEntry
+
+/**
+ * The state of one feed in a FeedRegistry. The snapshot is replaced whenever
+ * it changes.
+ * @constructor
+ * @param {FeedNameArgs} feedNameArgs Valid
+ * @param {Function} notify Invoked when the snapshot changes
+ */
+const FeedEntry = function FeedEntry(feedNameArgs, notify) {
+  /**
+   * @memberof FeedEntry
+   * @instance
+   * @type {FeedNameArgs}
+   */
+  this.feedNameArgs = feedNameArgs;
+
+  /**
+   * The number of components using the feed.
+   * @memberof FeedEntry
+   * @instance
+   * @type {number}
+   */
+  this.refs = 0;
+
+  /**
+   * @memberof FeedEntry
+   * @instance
+   * @type {?FeedmeClientFeed}
+   */
+  this.feed = null;
+
+  /**
+   * @memberof FeedEntry
+   * @instance
+   * @type {boolean}
+   */
+  this.opening = false;
+
+  /**
+   * True if the server rejected the last open attempt, in which case the feed
+   * is not reopened until the client reconnects.
+   * @memberof FeedEntry
+   * @instance
+   * @type {boolean}
+   */
+  this.rejected = false;
+
+  /**
+   * Set while the entry is released and awaiting removal.
+   * @memberof FeedEntry
+   * @instance
+   * @type {?*}
+   */
+  this.closeTimer = null;
+
+  /**
+   * Listeners attached to the feed object, indexed by event name.
+   * @memberof FeedEntry
+   * @instance
+   * @type {?Object}
+   */
+  this.listeners = null;
+
+  /**
+   * @memberof FeedEntry
+   * @instance
+   * @type {Function}
+   */
+  this.notify = notify;
+
+  /**
+   * @memberof FeedEntry
+   * @instance
+   * @type {Object} { feed, data, error, loading }
+   */
+  this.snapshot = LOADING;
+};
+
+/**
+ * Opens the feed object if the entry is referenced, the client is connected,
+ * and it is not already open or opening.
+ * @memberof FeedEntry
+ * @instance
+ * @param {(FeedmeClient|SharedClient)} client
+ */
+FeedEntry.prototype.open = function open(client) {
+  if (
+    this.refs === 0 ||
+    this.feed ||
+    this.opening ||
+    this.rejected ||
+    client.state !== ClientState.CONNECTED
+  ) {
+    return; // Stop
+  }
+
+  dbg("Opening feed");
+
+  this.opening = true;
+  try {
+    client.feed(
+      this.feedNameArgs.name(),
+      this.feedNameArgs.args(),
+      (err, feed) => {
+        this.opening = false;
+        if (err) {
+          this.rejected = err.name === "RejectionError"; // Retry others on connect
+          this.update({ feed: null, data: null, error: err });
+        } else if (this.refs === 0 && this.closeTimer === null) {
+          feed.close(() => {}); // Released while opening
+        } else {
+          this._attach(feed);
+        }
+      },
+    );
+  } catch (err) {
+    this.opening = false; // TransportError - retried on connect
+    this.update({ feed: null, data: null, error: err });
+  }
+};
+
+/**
+ * As open(), but also retries feeds that the server rejected. Invoked when the
+ * client connects.
+ * @memberof FeedEntry
+ * @instance
+ * @param {(FeedmeClient|SharedClient)} client
+ */
+FeedEntry.prototype.reopen = function reopen(client) {
+  this.rejected = false;
+  this.open(client);
+};
+
+/**
+ * Closes the feed object, if open.
+ * @memberof FeedEntry
+ * @instance
+ */
+FeedEntry.prototype.close = function close() {
+  if (!this.feed) {
+    return; // Stop
+  }
+  const { feed } = this;
+  this._detach();
+  try {
+    feed.close(() => {});
+  } catch (err) {
+    // StateError if already closing - nothing to do
+  }
+};
+
+/**
+ * Replaces the snapshot and notifies subscribers.
+ * @memberof FeedEntry
+ * @instance
+ * @param {Object} changes
+ */
+FeedEntry.prototype.update = function update(changes) {
+  this.snapshot = { ...this.snapshot, loading: false, ...changes };
+  this.notify();
+};
+
+/**
+ * Listens to a newly opened feed object and exposes it.
+ * @memberof FeedEntry
+ * @instance
+ * @param {FeedmeClientFeed} feed
+ */
+FeedEntry.prototype._attach = function _attach(feed) {
+  this.feed = feed;
+  this.listeners = {
+    action: (actionName, actionData, newFeedData) => {
+      this.update({ data: newFeedData });
+    },
+    optimistic: (newFeedData) => {
+      this.update({ data: newFeedData });
+    },
+    open: (feedData) => {
+      this.update({ data: feedData, error: null });
+    },
+    reopening: (err) => {
+      this.update({ error: err });
+    },
+    close: (err) => {
+      this._detach();
+      this.update({ feed: null, data: null, error: err || null }); // Reopened on connect
+    },
+  };
+  Object.entries(this.listeners).forEach(([evt, listener]) => {
+    feed.on(evt, listener);
+  });
+  this.update({ feed, data: feed.data, error: null });
+};
+
+/**
+ * @memberof FeedEntry
+ * @instance
+ */
+FeedEntry.prototype._detach = function _detach() {
+  Object.entries(this.listeners).forEach(([evt, listener]) => {
+    this.feed.removeListener(evt, listener);
+  });
+  this.feed = null;
+  this.listeners = null;
+};
+
+// FeedRegistry
+
+/**
+ * Reference-counted feed objects for a client, used by the React hooks.
+ *
+ * Referenced feeds are opened when the client connects and, if they close or
+ * fail to open, reopened the next time it connects. Released feeds are closed
+ * on a zero-delay timer from the client's clock, so that StrictMode's
+ * immediate unmount/remount, and components handing a feed off to one
+ * another, do not close and reopen the feed.
+ *
+ * Entries exist only while referenced or awaiting the release timer, and the
+ * registry only listens to the client while there are entries. Subscribers
+ * are held by the registry rather than the entries, so that subscribing does
+ * not create an entry and a subscription outlives the entry being replaced.
+ *
+ * @constructor
+ * @param {(FeedmeClient|SharedClient)} client
+ */
+const FeedRegistry = function FeedRegistry(client) {
+  dbg("Initializing feed registry");
+
+  /**
+   * @memberof FeedRegistry
+   * @instance
+   * @type {(FeedmeClient|SharedClient)}
+   */
+  this._client = client;
+
+  /**
+   * The client's clock, or the default clock for clients without one.
+   * @memberof FeedRegistry
+   * @instance
+   * @type {Object}
+   */
+  this._clock = client.clock || clock;
+
+  /**
+   * Entries indexed by feed serial.
+   * @memberof FeedRegistry
+   * @instance
+   * @type {Map}
+   */
+  this._entries = new Map();
+
+  /**
+   * Sets of subscriber functions indexed by feed serial. Removed when empty.
+   * @memberof FeedRegistry
+   * @instance
+   * @type {Map}
+   */
+  this._subscribers = new Map();
+
+  /**
+   * Attached to the client while there are entries.
+   * @memberof FeedRegistry
+   * @instance
+   * @type {Function}
+   */
+  this._onConnect = () => {
+    this._entries.forEach((entry) => {
+      entry.reopen(client);
+    });
+  };
+};
+
+/**
+ * Registries indexed by client, so that feed objects are shared across
+ * providers for the same client.
+ * @type {WeakMap}
+ */
+const registries = new WeakMap();
+
+/**
+ * @memberof FeedRegistry
+ * @static
+ * @param {(FeedmeClient|SharedClient)} client
+ * @returns {FeedRegistry}
+ */
+FeedRegistry.for = function for_(client) {
+  if (!registries.has(client)) {
+    registries.set(client, new FeedRegistry(client));
+  }
+  return registries.get(client);
+};
+
+/**
+ * Returns the current snapshot for a feed without creating an entry, so it
+ * is safe to call during render.
+ * @memberof FeedRegistry
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs Valid
+ * @returns {Object} { feed, data, error, loading }
+ */
+FeedRegistry.prototype.snapshot = function snapshot(feedNameArgs) {
+  const entry = this._entries.get(feedNameArgs.serial());
+  return entry ? entry.snapshot : LOADING;
+};
+
+/**
+ * Adds a reference to a feed, opening it if the client is connected.
+ * @memberof FeedRegistry
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs Valid
+ */
+FeedRegistry.prototype.acquire = function acquire(feedNameArgs) {
+  const entry = this._entry(feedNameArgs);
+  entry.refs += 1;
+  if (entry.closeTimer !== null) {
+    this._clock.clearTimeout(entry.closeTimer);
+    entry.closeTimer = null;
+  }
+  entry.open(this._client);
+};
+
+/**
+ * Removes a reference to a feed. The feed object is closed and the entry
+ * removed on a zero-delay timer if no references have been added by then.
+ * @memberof FeedRegistry
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs Valid
+ */
+FeedRegistry.prototype.release = function release(feedNameArgs) {
+  const feedSerial = feedNameArgs.serial();
+  const entry = this._entries.get(feedSerial);
+  entry.refs -= 1;
+  if (entry.refs > 0) {
+    return; // Stop
+  }
+  entry.closeTimer = this._clock.setTimeout(() => {
+    dbg("Releasing feed");
+    entry.closeTimer = null;
+    this._entries.delete(feedSerial);
+    if (this._entries.size === 0) {
+      this._client.removeListener("connect", this._onConnect);
+    }
+    entry.close(); // A feed object still opening is closed on arrival
+    this._notify(feedSerial); // Snapshot is now LOADING
+  }, 0);
+};
+
+/**
+ * Store subscription for useSyncExternalStore(). Does not create an entry.
+ * @memberof FeedRegistry
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs Valid
+ * @param {Function} onChange
+ * @returns {Function}
+ */
+FeedRegistry.prototype.subscribe = function subscribe(feedNameArgs, onChange) {
+  const feedSerial = feedNameArgs.serial();
+  if (!this._subscribers.has(feedSerial)) {
+    this._subscribers.set(feedSerial, new Set());
+  }
+  const subscribers = this._subscribers.get(feedSerial);
+  subscribers.add(onChange);
+  return () => {
+    subscribers.delete(onChange);
+    if (
+      subscribers.size === 0 &&
+      this._subscribers.get(feedSerial) === subscribers
+    ) {
+      this._subscribers.delete(feedSerial);
+    }
+  };
+};
+
+/**
+ * Returns the entry for a feed, creating it if necessary. Entries are removed
+ * once released by every component, so they are always looked up afresh. The
+ * registry listens to the client while there are entries.
+ * @memberof FeedRegistry
+ * @instance
+ * @param {FeedNameArgs} feedNameArgs Valid
+ * @returns {FeedEntry}
+ */
+FeedRegistry.prototype._entry = function _entry(feedNameArgs) {
+  const feedSerial = feedNameArgs.serial();
+  if (!this._entries.has(feedSerial)) {
+    if (this._entries.size === 0) {
+      this._client.on("connect", this._onConnect);
+    }
+    this._entries.set(
+      feedSerial,
+      new FeedEntry(feedNameArgs, () => {
+        this._notify(feedSerial);
+      }),
+    );
+  }
+  return this._entries.get(feedSerial);
+};
+
+/**
+ * Invokes the subscribers for a feed.
+ * @memberof FeedRegistry
+ * @instance
+ * @param {string} feedSerial
+ */
+FeedRegistry.prototype._notify = function _notify(feedSerial) {
+  const subscribers = this._subscribers.get(feedSerial);
+  if (subscribers) {
+    [...subscribers].forEach((onChange) => {
+      onChange();
+    });
+  }
+};
+
+// Exports
+
+export default FeedRegistry;
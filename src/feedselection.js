@@ -0,0 +1,227 @@
+import { EventEmitter } from "events";
+import _get from "lodash/get";
+import _isEqual from "lodash/isEqual";
+import debug from "debug";
+import { pathAffected } from "./deltaapplier";
+
+const dbg = debug("feedme-client:feedselection");
+
+/**
+ * Equality functions indexed by option value.
+ * @type {Object}
+ */
+const EQUALITY = {
+  reference: (a, b) => a === b,
+  deep: _isEqual,
+};
+
+/**
+ * A value selected from the data of a feed object, returned by feed.select().
+ *
+ * Path selections are only re-evaluated when an action changes the data on,
+ * above, or below the path, as reported by the changed paths for the action.
+ * Function selections are re-evaluated on every action. Both are re-evaluated
+ * when an optimistic mutation is applied or rolled back. In any case change is
+ * only emitted if the new value differs from the current one.
+ *
+ * The selection is also re-evaluated when a reopening feed object opens, and
+ * is destroyed when the feed object closes.
+ *
+ * @constructor
+ * @extends EventEmitter
+ * @param {FeedmeClientFeed} feed
+ * @param {?Array} path Null for function selections
+ * @param {Function} selectFn Maps feed data to the selected value
+ * @param {(string|Function)} equal
+ */
+const FeedSelection = function FeedSelection(feed, path, selectFn, equal) {
+  dbg("Initializing selection");
+
+  EventEmitter.call(this);
+
+  /**
+   * @memberof FeedSelection
+   * @instance
+   * @type {?FeedmeClientFeed}
+   */
+  this._feed = feed;
+
+  /**
+   * @memberof FeedSelection
+   * @instance
+   * @type {?Array}
+   */
+  this._path = path;
+
+  /**
+   * @memberof FeedSelection
+   * @instance
+   * @type {Function}
+   */
+  this._selectFn = selectFn;
+
+  /**
+   * @memberof FeedSelection
+   * @instance
+   * @type {Function}
+   */
+  this._equal = EQUALITY[equal] || equal;
+
+  /**
+   * @memberof FeedSelection
+   * @instance
+   * @type {*}
+   */
+  this._value = selectFn(feed.data);
+
+  /**
+   * Listeners attached to the feed object, indexed by event name.
+   * @memberof FeedSelection
+   * @instance
+   * @type {Object}
+   */
+  this._listeners = {
+    action: (
+      actionName,
+      actionData,
+      newFeedData,
+      oldFeedData,
+      deltas,
+      paths,
+    ) => {
+      if (!this._path || pathAffected(this._path, paths)) {
+        this._update(newFeedData);
+      }
+    },
+    optimistic: (newFeedData) => {
+      this._update(newFeedData);
+    },
+    open: (feedData) => {
+      this._update(feedData);
+    },
+    close: () => {
+      this.destroy();
+    },
+  };
+  Object.entries(this._listeners).forEach(([evt, listener]) => {
+    feed.on(evt, listener);
+  });
+};
+
+FeedSelection.prototype = Object.create(EventEmitter.prototype);
+FeedSelection.prototype.constructor = FeedSelection;
+
+/**
+ * @event change
+ * @memberof FeedSelection
+ * @param {*} newValue
+ * @param {*} oldValue
+ */
+
+/**
+ * Emitted when the selection is destroyed, including when the feed object
+ * closes.
+ * @event destroy
+ * @memberof FeedSelection
+ */
+
+// Public methods
+
+/**
+ * Stops tracking the feed data. Does nothing if already destroyed.
+ * @memberof FeedSelection
+ * @instance
+ */
+FeedSelection.prototype.destroy = function destroy() {
+  if (!this._feed) {
+    return; // Stop
+  }
+
+  dbg("Destroying selection");
+
+  Object.entries(this._listeners).forEach(([evt, listener]) => {
+    this._feed.removeListener(evt, listener);
+  });
+  this._feed = null;
+  this.emit("destroy");
+};
+
+/**
+ * Store contract used by Svelte and others: run is invoked immediately with
+ * the value and then whenever it changes. Returns a function that
+ * unsubscribes.
+ * @memberof FeedSelection
+ * @instance
+ * @param {Function} run
+ * @returns {Function}
+ */
+FeedSelection.prototype.subscribe = function subscribe(run) {
+  const listener = (newValue) => {
+    run(newValue);
+  };
+  this.on("change", listener);
+  run(this._value);
+  return () => {
+    this.removeListener("change", listener);
+  };
+};
+
+// Public properties
+
+/**
+ * The selected value, which is retained after the selection is destroyed.
+ * @name value
+ * @type {*}
+ * @memberof FeedSelection
+ * @instance
+ */
+Object.defineProperty(FeedSelection.prototype, "value", {
+  enumerable: true,
+  get() {
+    return this._value;
+  },
+});
+
+/**
+ * @name destroyed
+ * @type {boolean}
+ * @memberof FeedSelection
+ * @instance
+ */
+Object.defineProperty(FeedSelection.prototype, "destroyed", {
+  enumerable: true,
+  get() {
+    return !this._feed;
+  },
+});
+
+// Internal helper functions
+
+/**
+ * @memberof FeedSelection
+ * @instance
+ * @param {Object} feedData
+ */
+FeedSelection.prototype._update = function _update(feedData) {
+  const oldValue = this._value;
+  const newValue = this._selectFn(feedData);
+  if (!this._equal(newValue, oldValue)) {
+    this._value = newValue;
+    this.emit("change", newValue, oldValue);
+  }
+};
+
+/**
+ * Returns a function that reads the value at a path.
+ * @memberof FeedSelection
+ * @static
+ * @param {Array} path
+ * @returns {Function}
+ */
+FeedSelection.pathSelector = function pathSelector(path) {
+  return (feedData) => (path.length === 0 ? feedData : _get(feedData, path));
+};
+
+// Exports
+
+export default FeedSelection;
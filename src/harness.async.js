@@ -34,7 +34,7 @@ const dbg = debug("feedme-client:harness-async");
  *   transport and, in the latter case, ensures that the latest error argument
  *   is used with the eventual emission.
  *
- * - Suppresses connect and message events once there has been a call to
+ * - Suppresses connect, message, and pong events once there has been a call to
  *   disconnect() so that the next emission is guaranteed to be disconnecting.
  *
  * - Injects disconnect/ing events as required When there is a transport error
@@ -151,20 +151,27 @@ HarnessAsync.prototype.constructor = HarnessAsync;
  */
 
 /**
- * Followed by message or disconnecting.
+ * Followed by message, pong, or disconnecting.
  * Outward-facing state is connected.
  * @event connect
  * @memberof HarnessAsync
  */
 
 /**
- * Followed by message or disconnecting.
+ * Followed by message, pong, or disconnecting.
  * Outward-facing state is connected.
  * @event message
  * @memberof HarnessAsync
  * @param {string} message
  */
 
+/**
+ * Followed by message, pong, or disconnecting.
+ * Outward-facing state is connected.
+ * @event pong
+ * @memberof HarnessAsync
+ */
+
 /**
  * Followed by disconnect.
  * Outward-facing state is disconnecting.
@@ -209,6 +216,19 @@ Object.defineProperty(HarnessAsync.prototype, "state", {
   },
 });
 
+/**
+ * @name canPing
+ * @memberof harnessAsync
+ * @instance
+ * @type {boolean}
+ */
+Object.defineProperty(HarnessAsync.prototype, "canPing", {
+  enumerable: true,
+  get() {
+    return this._harnessSync.canPing;
+  },
+});
+
 // Public methods
 
 /**
@@ -267,6 +287,25 @@ HarnessAsync.prototype.send = function send(msg) {
   }
 };
 
+/**
+ * @memberof HarnessAsync
+ * @instance
+ * @throws {StateError|TransportError}
+ */
+HarnessAsync.prototype.ping = function ping() {
+  dbg("Running ping()");
+
+  // Check outward state
+  if (this._outwardState !== ClientState.CONNECTED) {
+    throw new StateError("State must be connected.");
+  }
+
+  // Run on HarnessSync if appropriate, as with send()
+  if (this._harnessSync.state === ClientState.CONNECTED) {
+    this._harnessSync.ping(); // Intentionally cascade StateError, TransportError
+  }
+};
+
 /**
  * @memberof HarnessAsync
  * @instance
@@ -302,6 +341,27 @@ HarnessAsync.prototype.disconnect = function disconnect(err) {
   }
 };
 
+/**
+ * Destroys HarnessSync and stops listening to it. Events that were already
+ * deferred are still emitted, so the caller should remove its listeners.
+ * @memberof HarnessAsync
+ * @instance
+ * @throws {StateError}
+ */
+HarnessAsync.prototype.destroy = function destroy() {
+  dbg("Running destroy()");
+
+  this._harnessSync.destroy(); // Intentionally cascade StateError
+  this._harnessSync.removeAllListeners();
+
+  // Update state
+  this._outwardState = ClientState.DISCONNECTED;
+  this._eventualState = ClientState.DISCONNECTED;
+  this._connectCalled = false;
+  this._disconnectCalled = false;
+  this._disconnectError = null;
+};
+
 // Event handlers
 
 HarnessAsync.prototype._handlers = {};
@@ -315,7 +375,7 @@ HarnessAsync.prototype._handlers.connecting = function _handlers$connecting() {
   dbg("Handling connecting");
 
   this._eventualState = ClientState.CONNECTING;
-  macrotask(this._bound._emitters.connecting);
+  macrotask(this._options.scheduler, this._bound._emitters.connecting);
 };
 
 /**
@@ -327,7 +387,7 @@ HarnessAsync.prototype._handlers.connect = function _handlers$connect() {
   dbg("Handling connect");
 
   this._eventualState = ClientState.CONNECTED;
-  macrotask(this._bound._emitters.connect);
+  macrotask(this._options.scheduler, this._bound._emitters.connect);
 };
 
 /**
@@ -339,7 +399,18 @@ HarnessAsync.prototype._handlers.connect = function _handlers$connect() {
 HarnessAsync.prototype._handlers.message = function _handlers$message(msg) {
   dbg("Handling message");
 
-  macrotask(this._bound._emitters.message, msg);
+  macrotask(this._options.scheduler, this._bound._emitters.message, msg);
+};
+
+/**
+ * @name _handlers#pong
+ * @memberof HarnessAsync
+ * @instance
+ */
+HarnessAsync.prototype._handlers.pong = function _handlers$pong() {
+  dbg("Handling pong");
+
+  macrotask(this._options.scheduler, this._bound._emitters.pong);
 };
 
 /**
@@ -353,7 +424,11 @@ HarnessAsync.prototype._handlers.disconnecting =
     dbg("Handling disconnecting");
 
     this._eventualState = ClientState.DISCONNECTING;
-    macrotask(this._bound._emitters.disconnecting, err);
+    macrotask(
+      this._options.scheduler,
+      this._bound._emitters.disconnecting,
+      err,
+    );
   };
 
 /**
@@ -365,7 +440,7 @@ HarnessAsync.prototype._handlers.disconnect = function _handlers$disconnect() {
   dbg("Handling disconnect");
 
   this._eventualState = ClientState.DISCONNECTED;
-  macrotask(this._bound._emitters.disconnect);
+  macrotask(this._options.scheduler, this._bound._emitters.disconnect);
 };
 
 /**
@@ -384,16 +459,20 @@ HarnessAsync.prototype._handlers.error = function _handlers$error(err) {
   ) {
     dbg("Injecting disconnecting and disconnect");
 
-    macrotask(this._bound._emitters.disconnecting, err); // TransportError
-    macrotask(this._bound._emitters.disconnect);
+    macrotask(
+      this._options.scheduler,
+      this._bound._emitters.disconnecting,
+      err,
+    ); // TransportError
+    macrotask(this._options.scheduler, this._bound._emitters.disconnect);
   } else if (this._eventualState === ClientState.DISCONNECTING) {
     dbg("Injecting disconnect");
 
-    macrotask(this._bound._emitters.disconnect);
+    macrotask(this._options.scheduler, this._bound._emitters.disconnect);
   }
 
   this._eventualState = ClientState.ERROR;
-  macrotask(this._bound._emitters.error, err);
+  macrotask(this._options.scheduler, this._bound._emitters.error, err);
 };
 
 // Private methods
@@ -442,6 +521,20 @@ HarnessAsync.prototype._emitters.message = function _emitters$message(msg) {
   }
 };
 
+/**
+ * @name _emitters#pong
+ * @memberof HarnessAsync
+ * @instance
+ */
+HarnessAsync.prototype._emitters.pong = function _emitters$pong() {
+  if (!this._disconnectCalled) {
+    dbg("Emitting pong");
+    this.emit("pong");
+  } else {
+    dbg("Suppressing pong");
+  }
+};
+
 /**
  * @name _emitters#disconnecting
  * @memberof HarnessAsync
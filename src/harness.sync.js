@@ -8,6 +8,7 @@ import {
   TransportError,
 } from "./errors";
 import { ClientState } from "./states";
+import clock from "./clock";
 
 const dbg = debug("feedme-client:harness-sync");
 
@@ -36,6 +37,9 @@ const dbg = debug("feedme-client:harness-sync");
  *    disconnectTimeoutMs of disconnecting, then the harness considers the
  *    transport to have committed an error.
  *
+ *  - Optional probes: If the transport implements ping(), then the harness
+ *    exposes it along with the transport's pong events.
+ *
  * The following transport validation checks are performed:
  *
  *  - Checks method presence on initialization
@@ -52,6 +56,10 @@ const dbg = debug("feedme-client:harness-sync");
  *
  *  - Ensures no argument with disconnecting event on call to transport.disconnect()
  *
+ * Once destroyed, the harness detaches its listeners from the transport using
+ * off(), removeListener(), or removeEventListener(), whichever is present, and
+ * ignores any further transport events.
+ *
  * @constructor
  * @extends EventEmitter
  * @param {Object} transport
@@ -79,9 +87,17 @@ const HarnessSync = function HarnessSync(transport, options) {
   }
 
   // Try to listen for transport events
+  // Listeners are retained so that they can be detached on destroy()
+  const transportListeners = {};
   Object.entries(this._handlers).forEach(([evt, fn]) => {
+    transportListeners[evt] = (...args) => {
+      if (!this._destroyed) {
+        this._traceRecord(`event:${evt}`, args[0]);
+        fn.apply(this, args);
+      }
+    };
     try {
-      transport.on(evt, fn.bind(this));
+      transport.on(evt, transportListeners[evt]);
     } catch (e) {
       throw Object.assign(
         new TransportError(
@@ -103,12 +119,34 @@ const HarnessSync = function HarnessSync(transport, options) {
    */
   this._options = options;
 
+  /**
+   * @memberof HarnessSync
+   * @instance
+   * @type {Object}
+   */
+  this._transport = transport;
+
+  /**
+   * Listener functions attached to the transport, indexed by event name.
+   * @memberof HarnessSync
+   * @instance
+   * @type {Object}
+   */
+  this._transportListeners = transportListeners;
+
+  /**
+   * @memberof HarnessSync
+   * @instance
+   * @type {boolean}
+   */
+  this._destroyed = false;
+
   /**
    * The state of the harness:
    *
    * DISCONNECTED  - no transport emissions or last emission was disconnect
    * CONNECTING    - last transport emission was connecting
-   * CONNECTED     - last transport emission was connect or message
+   * CONNECTED     - last transport emission was connect, message, or pong
    * DISCONNECTING - last transport emission was disconnecting
    * ERROR         - transport violated DEV.md
    *
@@ -119,16 +157,39 @@ const HarnessSync = function HarnessSync(transport, options) {
   this._transportState = ClientState.DISCONNECTED;
 
   /**
-   * Bound transport.connect/send/disconnect() methods. Null after an error.
+   * Recorder for transport calls and events - options.trace, if any.
    * @memberof HarnessSync
    * @instance
    * @type {?Object}
    */
-  this._transportMethods = {
-    connect: transport.connect.bind(transport),
-    send: transport.send.bind(transport),
-    disconnect: transport.disconnect.bind(transport),
-  };
+  this._trace = options.trace || null;
+
+  /**
+   * Bound transport.connect/send/disconnect() methods, plus ping() if the
+   * transport implements it. Null after an error. Calls and their returns are
+   * recorded if tracing.
+   * @memberof HarnessSync
+   * @instance
+   * @type {?Object}
+   */
+  this._transportMethods = {};
+  const methods = ["connect", "send", "disconnect"];
+  if (check.function(transport.ping)) {
+    methods.push("ping");
+  }
+  methods.forEach((method) => {
+    const bound = transport[method].bind(transport);
+    this._transportMethods[method] = !this._trace
+      ? bound
+      : (...args) => {
+          this._traceRecord(`call:${method}`, args[0]);
+          try {
+            bound(...args);
+          } finally {
+            this._traceRecord("return");
+          }
+        };
+  });
 
   /**
    * Flag used to ensure that the transport synchronously emits a connecting
@@ -161,20 +222,12 @@ const HarnessSync = function HarnessSync(transport, options) {
   this._disconnectTimeoutTimer = null;
 
   /**
-   * Reference for easy monitoring in tests (i.e. alongside all other invocations).
-   * @memberof HarnessSync
-   * @instance
-   * @type {Function}
-   */
-  this._setTimeout = setTimeout;
-
-  /**
-   * Reference for easy monitoring in tests (i.e. alongside all other invocations).
+   * Source of timers - options.clock or the real clock.
    * @memberof HarnessSync
    * @instance
-   * @type {Function}
+   * @type {Object}
    */
-  this._clearTimeout = clearTimeout;
+  this._clock = options.clock || clock;
 
   /**
    * Prototype methods bound to the instance for easy deferral.
@@ -201,20 +254,27 @@ HarnessSync.prototype.constructor = HarnessSync;
  */
 
 /**
- * Followed by message, disconnecting, or error.
+ * Followed by message, pong, disconnecting, or error.
  * State is connected.
  * @event connect
  * @memberof HarnessSync
  */
 
 /**
- * Followed by message, disconnecting, or error.
+ * Followed by message, pong, disconnecting, or error.
  * State is connected.
  * @event message
  * @memberof HarnessSync
  * @param {string} message
  */
 
+/**
+ * Followed by message, pong, disconnecting, or error.
+ * State is connected.
+ * @event pong
+ * @memberof HarnessSync
+ */
+
 /**
  * Followed by disconnect or error.
  * State is disconnecting.
@@ -255,6 +315,20 @@ Object.defineProperty(HarnessSync.prototype, "state", {
   },
 });
 
+/**
+ * Whether the transport implements ping(). False after an error.
+ * @name canPing
+ * @memberof HarnessSync
+ * @instance
+ * @type {boolean}
+ */
+Object.defineProperty(HarnessSync.prototype, "canPing", {
+  enumerable: true,
+  get() {
+    return !!this._transportMethods && "ping" in this._transportMethods;
+  },
+});
+
 // Public methods
 
 /**
@@ -329,6 +403,41 @@ HarnessSync.prototype.send = function send(msg) {
   }
 };
 
+/**
+ * Asks the transport to probe the connection. The transport emits pong if the
+ * server responds.
+ * @memberof HarnessSync
+ * @instance
+ * @throws {StateError|TransportError}
+ */
+HarnessSync.prototype.ping = function ping() {
+  dbg("Running ping()");
+
+  // Check state
+  if (this._transportState !== ClientState.CONNECTED) {
+    throw new StateError("State must be connected.");
+  }
+
+  // Check support
+  if (!this.canPing) {
+    throw new StateError("Transport does not implement ping().");
+  }
+
+  // Try to ping
+  try {
+    this._transportMethods.ping();
+  } catch (e) {
+    this._error(
+      Object.assign(
+        new TransportError(
+          "Transport threw an error on call to ping(). See transportError property.",
+        ),
+        { transportError: e },
+      ),
+    ); // Intentionally cascade TransportError
+  }
+};
+
 /**
  * @memberof HarnessSync
  * @instance
@@ -370,6 +479,60 @@ HarnessSync.prototype.disconnect = function disconnect() {
   }
 };
 
+/**
+ * Disconnects the transport if it is connecting or connected and detaches
+ * all transport listeners. The library makes no further invocations on the
+ * transport and no further events are emitted. Errors thrown by the transport
+ * are discarded, since the harness is going away.
+ * @memberof HarnessSync
+ * @instance
+ * @throws {StateError}
+ */
+HarnessSync.prototype.destroy = function destroy() {
+  dbg("Running destroy()");
+
+  // Check state
+  if (this._destroyed) {
+    throw new StateError("Already destroyed.");
+  }
+
+  this._destroyed = true; // Transport events are now ignored
+
+  // Try to detach listeners from the transport
+  const removeMethod = ["off", "removeListener", "removeEventListener"].find(
+    (methodName) => check.function(this._transport[methodName]),
+  );
+  if (removeMethod) {
+    Object.entries(this._transportListeners).forEach(([evt, listener]) => {
+      try {
+        this._transport[removeMethod](evt, listener);
+      } catch (e) {
+        dbg("Transport threw on listener removal - discarding");
+      }
+    });
+  }
+
+  // Try to disconnect the transport
+  if (
+    this._transportMethods &&
+    (this._transportState === ClientState.CONNECTING ||
+      this._transportState === ClientState.CONNECTED)
+  ) {
+    try {
+      this._transportMethods.disconnect();
+    } catch (e) {
+      dbg("Transport threw on disconnect - discarding");
+    }
+  }
+
+  // Update state
+  this._transportState = ClientState.DISCONNECTED;
+  this._transportMethods = null;
+  this._awaitingConnecting = false;
+  this._awaitingDisconnecting = false;
+  this._disconnectTimeoutClear();
+};
+
 // Event handlers
 
 HarnessSync.prototype._handlers = {};
@@ -495,6 +658,37 @@ HarnessSync.prototype._handlers.message = function _handlers$message(msg) {
   this.emit("message", msg);
 };
 
+/**
+ * @name _handlers#pong
+ * @memberof HarnessSync
+ * @instance
+ * @throws {TransportError}
+ */
+HarnessSync.prototype._handlers.pong = function _handlers$pong() {
+  dbg("Handling pong");
+
+  // Was there already an error?
+  if (this._transportState === ClientState.ERROR) {
+    this._error(
+      new TransportError(
+        "The library instance has been destroyed due to an earlier transport error.",
+      ),
+    );
+  }
+
+  // Is emission sequence valid?
+  if (this._transportState !== ClientState.CONNECTED) {
+    this._error(
+      new TransportError(
+        "Transport emitted 'pong' event when state was not connected.",
+      ),
+    ); // Intentionally cascade TransportError
+  }
+
+  // Valid
+  this.emit("pong");
+};
+
 /**
  * @name _handlers#disconnecting
  * @memberof HarnessSync
@@ -636,6 +830,28 @@ HarnessSync.prototype._error = function _error(err, throwErr = true) {
   }
 };
 
+/**
+ * Records a transport call, return, or event if tracing. The argument is a
+ * message string or, for disconnecting events, an error.
+ * @memberof HarnessSync
+ * @instance
+ * @param {string} type
+ * @param {*} [arg]
+ */
+HarnessSync.prototype._traceRecord = function _traceRecord(type, arg) {
+  if (!this._trace) {
+    return; // Stop
+  }
+
+  const entry = { t: this._clock.now(), type };
+  if (type === "call:send" || type === "event:message") {
+    entry.msg = arg;
+  } else if (type === "event:disconnecting" && arg) {
+    entry.err = { name: arg.name, message: arg.message };
+  }
+  this._trace.record(entry);
+};
+
 /**
  * @memberof HarnessSync
  * @instance
@@ -644,7 +860,7 @@ HarnessSync.prototype._disconnectTimeoutSet = function _disconnectTimeoutSet() {
   dbg("Running _disconnectTimeoutSet()");
 
   if (this._options.disconnectTimeoutMs > 0) {
-    this._disconnectTimeoutTimer = this._setTimeout(
+    this._disconnectTimeoutTimer = this._clock.setTimeout(
       this._bound._disconnectTimeoutRun,
       this._options.disconnectTimeoutMs,
     );
@@ -675,7 +891,7 @@ HarnessSync.prototype._disconnectTimeoutClear =
     dbg("Running _disconnectTimeoutClear()");
 
     if (this._disconnectTimeoutTimer) {
-      this._clearTimeout(this._disconnectTimeoutTimer);
+      this._clock.clearTimeout(this._disconnectTimeoutTimer);
       this._disconnectTimeoutTimer = null;
     }
   };
@@ -0,0 +1,351 @@
+import check from "check-types";
+import debug from "debug";
+import { FeedState } from "./states";
+
+const dbg = debug("feedme-client:interop");
+
+/**
+ * Adapters from the library's event emitters to the async iteration and
+ * Observable protocols.
+ */
+
+/**
+ * The key used by RxJS and other libraries to recognize Observables.
+ * @type {(symbol|string)}
+ */
+const observableKey =
+  (typeof Symbol === "function" && Symbol.observable) || "@@observable";
+
+/**
+ * Converts the arguments of a feed object action event to the value yielded
+ * by iterators and observables.
+ * @param {string} actionName
+ * @param {Object} actionData
+ * @param {Object} newFeedData
+ * @param {Object} oldFeedData
+ * @param {Array} feedDeltas
+ * @param {Array} changedPaths
+ * @returns {Object}
+ */
+const actionValue = (
+  actionName,
+  actionData,
+  newFeedData,
+  oldFeedData,
+  feedDeltas,
+  changedPaths,
+) => ({
+  actionName,
+  actionData,
+  newFeedData,
+  oldFeedData,
+  feedDeltas,
+  changedPaths,
+});
+
+// ActionIterator
+
+/**
+ * Async iterator over the actions on a feed object, returned by
+ * feed[Symbol.asyncIterator]().
+ *
+ * Actions are buffered from the time the iterator is created, so none are
+ * missed however slowly the consumer calls next(). When the feed object
+ * closes, the iterator finishes once the buffer is drained, or rejects with
+ * the error that closed the feed. Calling return(), for example by breaking
+ * out of a for await loop, stops listening and discards the buffer.
+ *
+ * @constructor
+ * @param {EventEmitter} feed A feed object
+ */
+const ActionIterator = function ActionIterator(feed) {
+  dbg("Initializing action iterator");
+
+  /**
+   * @memberof ActionIterator
+   * @instance
+   * @type {EventEmitter}
+   */
+  this._feed = feed;
+
+  /**
+   * Action values not yet consumed.
+   * @memberof ActionIterator
+   * @instance
+   * @type {Array}
+   */
+  this._buffer = [];
+
+  /**
+   * Settlement functions for next() calls awaiting a value, in call order.
+   * Elements are of the form { resolve, reject }.
+   * @memberof ActionIterator
+   * @instance
+   * @type {Array}
+   */
+  this._waiting = [];
+
+  /**
+   * Set once the feed object closes or return() is called. The error, if
+   * any, is surfaced once and then cleared.
+   * @memberof ActionIterator
+   * @instance
+   * @type {?Object} { err }
+   */
+  this._end = null;
+
+  /**
+   * @memberof ActionIterator
+   * @instance
+   * @type {Object}
+   */
+  this._listeners = {
+    action: (...args) => {
+      this._push(actionValue(...args));
+    },
+    close: (err) => {
+      this._finish(err || null);
+    },
+  };
+
+  if (feed.state === FeedState.CLOSED) {
+    this._end = { err: null };
+  } else {
+    Object.entries(this._listeners).forEach(([evt, listener]) => {
+      feed.on(evt, listener);
+    });
+  }
+};
+
+/**
+ * @memberof ActionIterator
+ * @instance
+ * @returns {Promise}
+ */
+ActionIterator.prototype.next = function next() {
+  if (this._buffer.length > 0) {
+    return Promise.resolve({ value: this._buffer.shift(), done: false });
+  }
+  if (this._end) {
+    const { err } = this._end;
+    if (err) {
+      this._end = { err: null };
+      return Promise.reject(err);
+    }
+    return Promise.resolve({ value: undefined, done: true });
+  }
+  return new Promise((resolve, reject) => {
+    this._waiting.push({ resolve, reject });
+  });
+};
+
+/**
+ * @memberof ActionIterator
+ * @instance
+ * @returns {Promise}
+ */
+ActionIterator.prototype.return = function return_() {
+  this._buffer = [];
+  this._finish(null);
+  return Promise.resolve({ value: undefined, done: true });
+};
+
+/**
+ * @memberof ActionIterator
+ * @instance
+ * @returns {ActionIterator}
+ */
+ActionIterator.prototype[Symbol.asyncIterator] = function asyncIterator() {
+  return this;
+};
+
+/**
+ * @memberof ActionIterator
+ * @instance
+ * @param {Object} value
+ */
+ActionIterator.prototype._push = function _push(value) {
+  if (this._waiting.length > 0) {
+    this._waiting.shift().resolve({ value, done: false });
+  } else {
+    this._buffer.push(value);
+  }
+};
+
+/**
+ * Stops listening and settles any waiting next() calls. The buffer is empty
+ * if there are any.
+ * @memberof ActionIterator
+ * @instance
+ * @param {?Error} err
+ */
+ActionIterator.prototype._finish = function _finish(err) {
+  if (this._end) {
+    return; // Stop
+  }
+
+  Object.entries(this._listeners).forEach(([evt, listener]) => {
+    this._feed.removeListener(evt, listener);
+  });
+  this._end = { err };
+
+  const waiting = this._waiting;
+  this._waiting = [];
+  waiting.forEach(({ resolve, reject }, idx) => {
+    if (idx === 0 && err) {
+      this._end = { err: null };
+      reject(err);
+    } else {
+      resolve({ value: undefined, done: true });
+    }
+  });
+};
+
+// Observable
+
+/**
+ * Minimal Observable compatible with RxJS and the TC39 proposal.
+ *
+ *   from(feed.observe()).pipe(...).subscribe(...);
+ *
+ * @constructor
+ * @param {Function} subscriber Invoked with an observer of the form
+ *                              { next, error, complete } on each subscription
+ *                              and returns a teardown function
+ */
+const Observable = function Observable(subscriber) {
+  /**
+   * @memberof Observable
+   * @instance
+   * @type {Function}
+   */
+  this._subscriber = subscriber;
+};
+
+/**
+ * Accepts an observer object or next, error, and complete functions. Returns a
+ * subscription with an unsubscribe() method and a closed property.
+ * @memberof Observable
+ * @instance
+ * @param {(Object|Function)} [observerOrNext]
+ * @param {Function} [error]
+ * @param {Function} [complete]
+ * @returns {Object}
+ */
+Observable.prototype.subscribe = function subscribe(
+  observerOrNext,
+  error,
+  complete,
+) {
+  const observer = check.object(observerOrNext)
+    ? observerOrNext
+    : { next: observerOrNext, error, complete };
+
+  let teardown = null;
+  const subscription = {
+    closed: false,
+    unsubscribe() {
+      if (!subscription.closed) {
+        subscription.closed = true;
+        if (teardown) {
+          teardown();
+        }
+      }
+    },
+  };
+
+  const notify = (method, ...args) => {
+    if (subscription.closed) {
+      return; // Stop
+    }
+    if (method !== "next") {
+      subscription.unsubscribe();
+    }
+    if (check.function(observer[method])) {
+      observer[method](...args);
+    } else if (method === "error") {
+      dbg("Unhandled observable error");
+    }
+  };
+
+  teardown = this._subscriber({
+    next: (value) => notify("next", value),
+    error: (err) => notify("error", err),
+    complete: () => notify("complete"),
+  });
+  if (subscription.closed && teardown) {
+    teardown(); // Ended during subscription
+  }
+
+  return subscription;
+};
+
+/**
+ * @memberof Observable
+ * @instance
+ * @returns {Observable}
+ */
+Observable.prototype[observableKey] = function observable() {
+  return this;
+};
+
+/**
+ * Returns an Observable of the actions on a feed object, which completes when
+ * the feed object is closed by the application and errors when it is closed
+ * by the server or a disconnect.
+ * @param {EventEmitter} feed A feed object
+ * @returns {Observable}
+ */
+const observeActions = function observeActions(feed) {
+  return new Observable((observer) => {
+    if (feed.state === FeedState.CLOSED) {
+      observer.complete();
+      return null;
+    }
+
+    const onAction = (...args) => {
+      observer.next(actionValue(...args));
+    };
+    const onClose = (err) => {
+      if (err) {
+        observer.error(err);
+      } else {
+        observer.complete();
+      }
+    };
+    feed.on("action", onAction);
+    feed.on("close", onClose);
+    return () => {
+      feed.removeListener("action", onAction);
+      feed.removeListener("close", onClose);
+    };
+  });
+};
+
+/**
+ * Returns an Observable of a client's state, which emits the current state on
+ * subscription and each new state thereafter.
+ * @param {EventEmitter} client
+ * @returns {Observable}
+ */
+const observeState = function observeState(client) {
+  return new Observable((observer) => {
+    const onChange = () => {
+      observer.next(client.state);
+    };
+    const events = ["connecting", "connect", "disconnecting", "disconnect"];
+    events.forEach((evt) => {
+      client.on(evt, onChange);
+    });
+    observer.next(client.state);
+    return () => {
+      events.forEach((evt) => {
+        client.removeListener(evt, onChange);
+      });
+    };
+  });
+};
+
+// Exports
+
+export { ActionIterator, Observable, observeActions, observeState };
@@ -1,8 +1,52 @@
+/**
+ * Defers a function using MessageChannel. Functions are run in insertion
+ * order, one per message, so each runs as a separate macrotask.
+ * @param {Function} fn
+ */
+const messageChannelDefer = (() => {
+  const { MessageChannel } = globalThis;
+  if (typeof MessageChannel !== "function") {
+    return null;
+  }
+  const fns = [];
+  let channel = null;
+  return function deferMessage(fn) {
+    if (!channel) {
+      channel = new MessageChannel();
+      channel.port1.onmessage = () => {
+        fns.shift()();
+      };
+    }
+    fns.push(fn);
+    channel.port2.postMessage(null);
+  };
+})();
+
+/**
+ * The deferral mechanism used by default. Prefers setImmediate(), which only
+ * exists in Node and some older browsers, then MessageChannel, which exists
+ * in modern browsers and workers, and finally setTimeout(), which may be
+ * clamped to a few milliseconds.
+ * @type {Function}
+ */
+const defer =
+  (typeof setImmediate === "function" && setImmediate) ||
+  messageChannelDefer ||
+  ((fn) => {
+    setTimeout(fn, 0);
+  });
+
 /**
  * Common access point for macrotask deferral.
+ *
+ * If a scheduler function is supplied then it is used in place of the default
+ * deferral mechanism. Schedulers receive a single argument-less function.
+ * @param {?Function} scheduler
  * @param {Function} fn
  * @param  {...any} args
  */
-export default function macrotask(fn, ...args) {
-  setImmediate(fn, ...args);
+export default function macrotask(scheduler, fn, ...args) {
+  (scheduler || defer)(() => {
+    fn(...args);
+  });
 }
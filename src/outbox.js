@@ -0,0 +1,381 @@
+import check from "check-types";
+import debug from "debug";
+import { OutboxError } from "./errors";
+import clock from "./clock";
+
+const dbg = debug("feedme-client:outbox");
+
+/**
+ * Holds actions invoked while the client is not connected so that they can be
+ * submitted in order once it connects.
+ *
+ * Entries are plain objects of the form { name, args, queuedAt, callback,
+ * submitted, callbackId }. The callback is null for entries restored from
+ * storage, as their results have nowhere to go. Entries are marked submitted by
+ * next() and the callbackId is set by the Client once the entry has been
+ * submitted to the Coordinator. Submitted entries remain in the outbox - and in
+ * storage - until the Client removes them when the action callback is invoked.
+ *
+ * If a storage adapter is supplied then the name, args, and queue time of each
+ * entry are persisted whenever the outbox changes, and entries persisted by a
+ * previous client are restored on load(). Writes are serialized so that a slow
+ * adapter never overwrites newer contents with older ones. Storage failures
+ * are logged and otherwise ignored - the in-memory outbox remains
+ * authoritative.
+ *
+ * Entries that remain unsubmitted for longer than outboxExpiryMs are removed
+ * and passed to the expire function along with an OutboxError.
+ * @constructor
+ * @param {Object} options Client options
+ * @param {Function} expire Invoked with (entry, err) when an entry expires
+ */
+const Outbox = function Outbox(options, expire) {
+  dbg("Initializing outbox object");
+
+  /**
+   * @memberof Outbox
+   * @instance
+   * @type {Function}
+   */
+  this._expire = expire;
+
+  /**
+   * @memberof Outbox
+   * @instance
+   * @type {?Object}
+   */
+  this._storage = options.outboxStorage;
+
+  /**
+   * 0 means never.
+   * @memberof Outbox
+   * @instance
+   * @type {number}
+   */
+  this._expiryMs = options.outboxExpiryMs;
+
+  /**
+   * 0 means unlimited.
+   * @memberof Outbox
+   * @instance
+   * @type {number}
+   */
+  this._maxSize = options.outboxMaxSize;
+
+  /**
+   * @memberof Outbox
+   * @instance
+   * @type {Object}
+   */
+  this._clock = options.clock || clock;
+
+  /**
+   * Entries in submission order.
+   * @memberof Outbox
+   * @instance
+   * @type {Array}
+   */
+  this._entries = [];
+
+  /**
+   * Expiry timers indexed by entry.
+   * @memberof Outbox
+   * @instance
+   * @type {Map}
+   */
+  this._timers = new Map();
+
+  /**
+   * True once any persisted entries have been restored. Entries are not
+   * released by next() until then, so that restored entries go first.
+   * @memberof Outbox
+   * @instance
+   * @type {boolean}
+   */
+  this._loaded = !this._storage;
+
+  /**
+   * @memberof Outbox
+   * @instance
+   * @type {boolean}
+   */
+  this._writing = false;
+
+  /**
+   * True if the outbox changed while a write was underway.
+   * @memberof Outbox
+   * @instance
+   * @type {boolean}
+   */
+  this._dirty = false;
+};
+
+/**
+ * The storage key used to persist entries.
+ * @memberof Outbox
+ * @static
+ * @type {string}
+ */
+Outbox._STORAGE_KEY = "feedme-client:outbox";
+
+// Public methods
+
+/**
+ * Restores entries persisted by a previous client, ahead of any entries added
+ * since initialization. The callback is invoked once the outbox is loaded,
+ * including when there is no storage adapter.
+ * @memberof Outbox
+ * @instance
+ * @param {Function} callback
+ */
+Outbox.prototype.load = function load(callback) {
+  dbg("Running load()");
+
+  if (this._loaded) {
+    callback();
+    return; // Stop
+  }
+
+  this._storage.get(Outbox._STORAGE_KEY, (err, value) => {
+    if (err) {
+      dbg("Storage get failed");
+      dbg(err);
+    } else if (check.array(value)) {
+      const restored = value
+        .filter(
+          (record) =>
+            check.object(record) &&
+            check.string(record.name) &&
+            check.object(record.args) &&
+            check.integer(record.queuedAt),
+        )
+        .map((record) => ({
+          name: record.name,
+          args: record.args,
+          queuedAt: record.queuedAt,
+          callback: null,
+          submitted: false,
+          callbackId: null,
+        }));
+      this._entries = restored.concat(this._entries);
+      restored.forEach((entry) => {
+        this._startTimer(entry);
+      });
+    }
+
+    this._loaded = true;
+    this._persist();
+    callback();
+  });
+};
+
+/**
+ * Only entries awaiting submission count toward the maximum size.
+ * @memberof Outbox
+ * @instance
+ * @returns {boolean}
+ */
+Outbox.prototype.full = function full() {
+  return (
+    this._maxSize > 0 &&
+    this._entries.filter((entry) => !entry.submitted).length >= this._maxSize
+  );
+};
+
+/**
+ * Returns true if the outbox has not finished loading or has entries awaiting
+ * submission, in which case new actions must be queued behind them.
+ * @memberof Outbox
+ * @instance
+ * @returns {boolean}
+ */
+Outbox.prototype.waiting = function waiting() {
+  return !this._loaded || this._entries.some((entry) => !entry.submitted);
+};
+
+/**
+ * @memberof Outbox
+ * @instance
+ * @param {string} name
+ * @param {Object} args
+ * @param {Function} callback
+ * @returns {Object} entry
+ * @throws {OutboxError}
+ */
+Outbox.prototype.add = function add(name, args, callback) {
+  dbg("Running add()");
+
+  if (this.full()) {
+    throw new OutboxError("The outbox is full.");
+  }
+
+  const entry = {
+    name,
+    args,
+    queuedAt: this._clock.now(),
+    callback,
+    submitted: false,
+    callbackId: null,
+  };
+  this._entries.push(entry);
+  this._startTimer(entry);
+  this._persist();
+
+  return entry;
+};
+
+/**
+ * Removes an entry, submitted or not, without invoking its callback.
+ * @memberof Outbox
+ * @instance
+ * @param {Object} entry
+ * @returns {boolean} False if the entry was not in the outbox
+ */
+Outbox.prototype.remove = function remove(entry) {
+  dbg("Running remove()");
+
+  const idx = this._entries.indexOf(entry);
+  if (idx < 0) {
+    return false;
+  }
+
+  this._entries.splice(idx, 1);
+  this._stopTimer(entry);
+  this._persist();
+
+  return true;
+};
+
+/**
+ * Marks the next entry awaiting submission as submitted and returns it, or
+ * returns null if there are none or the outbox has not finished loading. The
+ * entry remains in the outbox until it is removed.
+ * @memberof Outbox
+ * @instance
+ * @returns {?Object} entry
+ */
+Outbox.prototype.next = function next() {
+  dbg("Running next()");
+
+  if (!this._loaded) {
+    return null;
+  }
+
+  const entry = this._entries.find((e) => !e.submitted);
+  if (!entry) {
+    return null;
+  }
+
+  entry.submitted = true;
+  this._stopTimer(entry);
+
+  return entry;
+};
+
+/**
+ * Removes and returns all entries without invoking their callbacks.
+ * @memberof Outbox
+ * @instance
+ * @returns {Array} entries
+ */
+Outbox.prototype.clear = function clear() {
+  dbg("Running clear()");
+
+  const entries = this._entries;
+  this._entries = [];
+  entries.forEach((entry) => {
+    this._stopTimer(entry);
+  });
+  this._persist();
+
+  return entries;
+};
+
+// Internal helper functions
+
+/**
+ * @memberof Outbox
+ * @instance
+ * @param {Object} entry
+ */
+Outbox.prototype._startTimer = function _startTimer(entry) {
+  if (this._expiryMs === 0) {
+    return; // Stop
+  }
+
+  const ms = Math.max(0, entry.queuedAt + this._expiryMs - this._clock.now());
+  this._timers.set(
+    entry,
+    this._clock.setTimeout(() => {
+      dbg("Outbox entry expired");
+      this._timers.delete(entry);
+      this._entries.splice(this._entries.indexOf(entry), 1);
+      this._persist();
+      this._expire(
+        entry,
+        new OutboxError("The action expired before it could be submitted."),
+      );
+    }, ms),
+  );
+};
+
+/**
+ * @memberof Outbox
+ * @instance
+ * @param {Object} entry
+ */
+Outbox.prototype._stopTimer = function _stopTimer(entry) {
+  if (this._timers.has(entry)) {
+    this._clock.clearTimeout(this._timers.get(entry));
+    this._timers.delete(entry);
+  }
+};
+
+/**
+ * Writes the current entries to storage, if any. If a write is already
+ * underway then another is performed once it completes.
+ * @memberof Outbox
+ * @instance
+ */
+Outbox.prototype._persist = function _persist() {
+  if (!this._storage || !this._loaded) {
+    return; // Stop - entries are written once loaded
+  }
+
+  if (this._writing) {
+    this._dirty = true;
+    return; // Stop
+  }
+
+  this._writing = true;
+  this._dirty = false;
+
+  const done = (err) => {
+    if (err) {
+      dbg("Storage write failed");
+      dbg(err);
+    }
+    this._writing = false;
+    if (this._dirty) {
+      this._persist();
+    }
+  };
+
+  if (this._entries.length === 0) {
+    this._storage.delete(Outbox._STORAGE_KEY, done);
+  } else {
+    this._storage.set(
+      Outbox._STORAGE_KEY,
+      this._entries.map(({ name, args, queuedAt }) => ({
+        name,
+        args,
+        queuedAt,
+      })),
+      done,
+    );
+  }
+};
+
+// Exports
+
+export default Outbox;
@@ -0,0 +1,206 @@
+import check from "check-types";
+import FeedNameArgs from "feedme-util/feednameargs";
+import {
+  createContext,
+  createElement,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { ArgumentError, StateError } from "./errors";
+import FeedRegistry from "./feedregistry";
+
+/**
+ * React bindings. The application wraps its tree in a FeedmeProvider and uses
+ * the hooks beneath it:
+ *
+ *   createElement(FeedmeProvider, { client }, children);
+ *
+ *   const { data, error, loading } = useFeed("Chat", { room: "lobby" });
+ *   const [send, { pending }] = useAction("Message");
+ *   const state = useClientState();
+ *
+ * Feed objects are shared by all components using the same feed name and
+ * arguments, and are closed once the last of those components unmounts.
+ * Closing is deferred to a zero-delay timer so that StrictMode's immediate
+ * unmount/remount, and components handing a feed off to one another, do not
+ * close and reopen the feed.
+ */
+
+// Context, provider, and hooks
+
+/**
+ * @type {Object}
+ */
+const FeedmeContext = createContext(null);
+
+/**
+ * Makes a client available to the hooks beneath it.
+ * @param {Object} props
+ * @param {(FeedmeClient|SharedClient)} props.client
+ * @param {*} props.children
+ * @returns {Object} React element
+ * @throws {ArgumentError}
+ */
+const FeedmeProvider = function FeedmeProvider({ client, children }) {
+  if (!check.object(client) || !check.function(client.feed)) {
+    throw new ArgumentError("Client must be a Feedme client.");
+  }
+  return createElement(FeedmeContext.Provider, { value: client }, children);
+};
+
+/**
+ * Returns the client supplied by the nearest FeedmeProvider.
+ * @returns {(FeedmeClient|SharedClient)}
+ * @throws {StateError}
+ */
+const useFeedmeClient = function useFeedmeClient() {
+  const client = useContext(FeedmeContext);
+  if (!client) {
+    throw new StateError("No FeedmeProvider found.");
+  }
+  return client;
+};
+
+/**
+ * Returns the client state and re-renders when it changes.
+ * @returns {ClientState}
+ * @throws {StateError}
+ */
+const useClientState = function useClientState() {
+  const client = useFeedmeClient();
+  const subscribe = useCallback(
+    (onChange) => {
+      const subscription = client.observe().subscribe(() => {
+        onChange();
+      });
+      return () => {
+        subscription.unsubscribe();
+      };
+    },
+    [client],
+  );
+  return useSyncExternalStore(subscribe, () => client.state);
+};
+
+/**
+ * Opens a feed while the component is mounted and re-renders when the feed
+ * data changes. Returns an object of the form:
+ *
+ *   {
+ *     feed: ?FeedmeClientFeed,  Shared with other components, do not close
+ *     data: ?Object,            Retained while the feed object is reopening
+ *     error: ?Error,            Why the feed is not open or is reopening
+ *     loading: boolean          True until the first open attempt completes
+ *   }
+ *
+ * @param {string} name
+ * @param {Object} args
+ * @returns {Object}
+ * @throws {ArgumentError|StateError}
+ */
+const useFeed = function useFeed(name, args) {
+  const client = useFeedmeClient();
+
+  const feedNameArgs = FeedNameArgs(name, args);
+  if (feedNameArgs.error()) {
+    throw new ArgumentError(feedNameArgs.error());
+  }
+  const feedSerial = feedNameArgs.serial();
+
+  // Effects and the subscription depend on the serial rather than the
+  // arguments object, which is usually recreated on each render
+  const registry = FeedRegistry.for(client);
+  useEffect(() => {
+    const feedArgs = FeedNameArgs(feedSerial);
+    registry.acquire(feedArgs);
+    return () => {
+      registry.release(feedArgs);
+    };
+  }, [registry, feedSerial]);
+
+  const subscribe = useCallback(
+    (onChange) => registry.subscribe(FeedNameArgs(feedSerial), onChange),
+    [registry, feedSerial],
+  );
+  return useSyncExternalStore(subscribe, () => registry.snapshot(feedNameArgs));
+};
+
+/**
+ * Returns a function that invokes an action and the status of the most recent
+ * invocation:
+ *
+ *   const [run, { pending, error, data }] = useAction("Name");
+ *   run(actionArgs).then((actionData) => {}); // Rejects on failure
+ *
+ * The status only reflects the most recent invocation and is not updated once
+ * the component unmounts.
+ *
+ * @param {string} name
+ * @returns {Array} [run, { pending, error, data }]
+ * @throws {StateError}
+ */
+const useAction = function useAction(name) {
+  const client = useFeedmeClient();
+  const [status, setStatus] = useState({
+    pending: false,
+    error: null,
+    data: null,
+  });
+  const latest = useRef(0);
+  const mounted = useRef(false);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const run = useCallback(
+    (args) => {
+      latest.current += 1;
+      const invocation = latest.current;
+      const settle = (changes) => {
+        if (mounted.current && invocation === latest.current) {
+          setStatus({ pending: false, error: null, data: null, ...changes });
+        }
+      };
+
+      setStatus({ pending: true, error: null, data: null });
+      let promise;
+      try {
+        promise = Promise.resolve(client.action(name, args));
+      } catch (err) {
+        promise = Promise.reject(err);
+      }
+      return promise.then(
+        (actionData) => {
+          settle({ data: actionData });
+          return actionData;
+        },
+        (err) => {
+          settle({ error: err });
+          throw err;
+        },
+      );
+    },
+    [client, name],
+  );
+
+  return [run, status];
+};
+
+// Exports
+
+export {
+  FeedmeContext,
+  FeedmeProvider,
+  useFeedmeClient,
+  useClientState,
+  useFeed,
+  useAction,
+};
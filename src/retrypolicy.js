@@ -0,0 +1,113 @@
+import check from "check-types";
+
+/**
+ * Built-in policies for options.retryPolicy. Each is a factory that takes the
+ * client options and returns a policy function of the form:
+ *
+ *   policy(attempt, err, kind) => delay in milliseconds
+ *
+ * The kind is "reconnect" when an established connection has failed and
+ * "retry" when a connection attempt has failed. Reconnects are numbered from 1
+ * within the trailing options.reconnectMaxMs. Retries are numbered from 1
+ * since the last successful connection, so a failed reconnect is followed by
+ * retry 1. A negative delay means that no further attempt is made.
+ *
+ * Delays are based on options.connectRetryMs and capped at
+ * options.connectRetryMaxMs. The jittered policies spread reconnects over
+ * [0, connectRetryMs] so that clients disconnected together by a server
+ * restart do not return together.
+ */
+
+/**
+ * @param {number} minMs
+ * @param {number} maxMs
+ * @returns {number}
+ */
+const randomBetween = (minMs, maxMs) =>
+  Math.floor(minMs + Math.random() * (maxMs - minMs + 1));
+
+/**
+ * The fixed linear formula used when no retry policy is configured: reconnects
+ * are immediate and retries are backed off by connectRetryBackoffMs.
+ * @param {Object} options
+ * @returns {Function}
+ */
+const linear = (options) => (attempt, err, kind) =>
+  kind === "reconnect"
+    ? 0
+    : Math.min(
+        options.connectRetryMs + attempt * options.connectRetryBackoffMs,
+        options.connectRetryMaxMs,
+      );
+
+/**
+ * Reconnects are immediate and retries double from connectRetryMs.
+ * @param {Object} options
+ * @returns {Function}
+ */
+const exponential = (options) => (attempt, err, kind) =>
+  kind === "reconnect"
+    ? 0
+    : Math.min(
+        options.connectRetryMs * 2 ** (attempt - 1),
+        options.connectRetryMaxMs,
+      );
+
+/**
+ * A random delay of up to the exponential delay.
+ * @param {Object} options
+ * @returns {Function}
+ */
+const fullJitter = (options) => (attempt, err, kind) =>
+  randomBetween(
+    0,
+    kind === "reconnect"
+      ? options.connectRetryMs
+      : Math.min(
+          options.connectRetryMs * 2 ** (attempt - 1),
+          options.connectRetryMaxMs,
+        ),
+  );
+
+/**
+ * A random delay of between connectRetryMs and three times the previous
+ * delay. Stateful, so each client needs its own instance.
+ * @param {Object} options
+ * @returns {Function}
+ */
+const decorrelatedJitter = (options) => {
+  let prevMs = options.connectRetryMs;
+  return (attempt, err, kind) => {
+    if (kind === "reconnect" || attempt === 1) {
+      prevMs = options.connectRetryMs;
+    }
+    if (kind === "reconnect") {
+      return randomBetween(0, options.connectRetryMs);
+    }
+    prevMs = Math.min(
+      randomBetween(options.connectRetryMs, prevMs * 3),
+      options.connectRetryMaxMs,
+    );
+    return prevMs;
+  };
+};
+
+/**
+ * Built-in policies indexed by option value.
+ * @type {Object}
+ */
+const policies = { linear, exponential, fullJitter, decorrelatedJitter };
+
+/**
+ * Returns the policy function for the client options.
+ * @param {Object} options Valid options object with defaults overlaid
+ * @returns {Function}
+ */
+export default function retryPolicy(options) {
+  if (check.function(options.retryPolicy)) {
+    return options.retryPolicy;
+  }
+  return policies[options.retryPolicy || "linear"](options);
+}
+
+export { policies };
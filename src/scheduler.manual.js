@@ -0,0 +1,95 @@
+/**
+ * Scheduler that defers functions until the application drains it. Passing
+ * its schedule function as the scheduler option lets tests step through
+ * library deferrals deterministically, without waiting on the event loop:
+ *
+ *   const scheduler = new ManualScheduler();
+ *   const client = new FeedmeClient(transport, {
+ *     scheduler: scheduler.schedule,
+ *   });
+ *   client.connect();
+ *   scheduler.run();
+ *
+ * Transport events are still emitted whenever the transport emits them; only
+ * the library's own deferrals are held.
+ *
+ * @constructor
+ */
+const ManualScheduler = function ManualScheduler() {
+  /**
+   * Deferred functions in insertion order.
+   * @memberof ManualScheduler
+   * @instance
+   * @type {Array}
+   */
+  this._fns = [];
+
+  /**
+   * Bound so that it can be passed directly as the scheduler option.
+   * @memberof ManualScheduler
+   * @instance
+   * @type {Function}
+   */
+  this.schedule = this.schedule.bind(this);
+};
+
+/**
+ * @memberof ManualScheduler
+ * @instance
+ * @param {Function} fn
+ */
+ManualScheduler.prototype.schedule = function schedule(fn) {
+  this._fns.push(fn);
+};
+
+/**
+ * Runs the earliest deferred function, if any.
+ * @memberof ManualScheduler
+ * @instance
+ * @returns {boolean} False if there was nothing to run
+ */
+ManualScheduler.prototype.step = function step() {
+  if (this._fns.length === 0) {
+    return false;
+  }
+  this._fns.shift()();
+  return true;
+};
+
+/**
+ * Runs deferred functions, including any deferred along the way, until there
+ * are none left. Throws if the limit is reached, which usually indicates a
+ * library timer or transport loop that never settles.
+ * @memberof ManualScheduler
+ * @instance
+ * @param {number} [limit]
+ * @returns {number} The number of functions run
+ * @throws {Error}
+ */
+ManualScheduler.prototype.run = function run(limit = 10000) {
+  let count = 0;
+  while (this.step()) {
+    count += 1;
+    if (count >= limit && this._fns.length > 0) {
+      throw new Error("Scheduler did not drain.");
+    }
+  }
+  return count;
+};
+
+/**
+ * @name pending
+ * @type {number}
+ * @memberof ManualScheduler
+ * @instance
+ */
+Object.defineProperty(ManualScheduler.prototype, "pending", {
+  enumerable: true,
+  get() {
+    return this._fns.length;
+  },
+});
+
+// Exports
+
+export default ManualScheduler;
@@ -18,6 +18,7 @@ const FeedState = {
   OPEN: 12,
   CLOSING: 13,
   TERMINATED: 14,
+  REOPENING: 15,
 };
 
 export { ClientState, FeedState };
@@ -0,0 +1,97 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Feed cache storage adapter that keeps feed data in JSON files in a Node
+ * filesystem directory. The directory must exist. Files are named using a hash
+ * of the key, so that keys of any length are accepted.
+ *
+ * Values are written to a temporary file and then renamed, so a reader never
+ * sees a partially-written value.
+ *
+ * See storage.memory.js for the adapter interface.
+ *
+ * @constructor
+ * @param {string} dirPath
+ */
+const FsStorage = function FsStorage(dirPath) {
+  /**
+   * @memberof FsStorage
+   * @instance
+   * @type {string}
+   */
+  this._dirPath = dirPath;
+};
+
+/**
+ * @memberof FsStorage
+ * @instance
+ * @param {string} key
+ * @param {Function} callback
+ */
+FsStorage.prototype.get = function get(key, callback) {
+  fs.readFile(this._filePath(key), "utf8", (err, json) => {
+    if (err) {
+      callback(err.code === "ENOENT" ? null : err, null);
+      return; // Stop
+    }
+
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch (e) {
+      callback(e, null);
+      return; // Stop
+    }
+    callback(null, value);
+  });
+};
+
+/**
+ * @memberof FsStorage
+ * @instance
+ * @param {string} key
+ * @param {Object} value
+ * @param {Function} callback
+ */
+FsStorage.prototype.set = function set(key, value, callback) {
+  const filePath = this._filePath(key);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFile(tmpPath, JSON.stringify(value), "utf8", (writeErr) => {
+    if (writeErr) {
+      callback(writeErr);
+      return; // Stop
+    }
+    fs.rename(tmpPath, filePath, (renameErr) => {
+      callback(renameErr || null);
+    });
+  });
+};
+
+/**
+ * @memberof FsStorage
+ * @instance
+ * @param {string} key
+ * @param {Function} callback
+ */
+FsStorage.prototype.delete = function del(key, callback) {
+  fs.unlink(this._filePath(key), (err) => {
+    callback(err && err.code !== "ENOENT" ? err : null);
+  });
+};
+
+/**
+ * @memberof FsStorage
+ * @instance
+ * @param {string} key
+ * @returns {string}
+ */
+FsStorage.prototype._filePath = function _filePath(key) {
+  const hash = crypto.createHash("sha256").update(key).digest("hex");
+  return path.join(this._dirPath, `${hash}.json`);
+};
+
+// Exports
+
+export default FsStorage;
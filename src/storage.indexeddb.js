@@ -0,0 +1,195 @@
+/**
+ * Feed cache storage adapter that keeps feed data in a browser IndexedDB
+ * object store. The database is opened on first use and created if needed.
+ * Operations requested while the database is opening are run once it is open.
+ *
+ * See storage.memory.js for the adapter interface.
+ *
+ * @constructor
+ * @param {string} [dbName="feedme-client"]
+ * @param {string} [storeName="feeds"]
+ * @param {IDBFactory} [idbFactory] Defaults to the global indexedDB
+ */
+const IndexedDbStorage = function IndexedDbStorage(
+  dbName = "feedme-client",
+  storeName = "feeds",
+  idbFactory = globalThis.indexedDB || null,
+) {
+  /**
+   * @memberof IndexedDbStorage
+   * @instance
+   * @type {string}
+   */
+  this._dbName = dbName;
+
+  /**
+   * @memberof IndexedDbStorage
+   * @instance
+   * @type {string}
+   */
+  this._storeName = storeName;
+
+  /**
+   * @memberof IndexedDbStorage
+   * @instance
+   * @type {?IDBFactory}
+   */
+  this._idbFactory = idbFactory;
+
+  /**
+   * The open database, once available.
+   * @memberof IndexedDbStorage
+   * @instance
+   * @type {?IDBDatabase}
+   */
+  this._db = null;
+
+  /**
+   * Functions awaiting the database, invoked with (err, db). Null when the
+   * database is not being opened.
+   * @memberof IndexedDbStorage
+   * @instance
+   * @type {?Array<Function>}
+   */
+  this._dbWaiting = null;
+};
+
+/**
+ * @memberof IndexedDbStorage
+ * @instance
+ * @param {string} key
+ * @param {Function} callback
+ */
+IndexedDbStorage.prototype.get = function get(key, callback) {
+  this._request(
+    "readonly",
+    (store) => store.get(key),
+    (err, value) => {
+      callback(err, err || value === undefined ? null : value);
+    },
+  );
+};
+
+/**
+ * @memberof IndexedDbStorage
+ * @instance
+ * @param {string} key
+ * @param {Object} value
+ * @param {Function} callback
+ */
+IndexedDbStorage.prototype.set = function set(key, value, callback) {
+  this._request(
+    "readwrite",
+    (store) => store.put(value, key),
+    (err) => {
+      callback(err);
+    },
+  );
+};
+
+/**
+ * @memberof IndexedDbStorage
+ * @instance
+ * @param {string} key
+ * @param {Function} callback
+ */
+IndexedDbStorage.prototype.delete = function del(key, callback) {
+  this._request(
+    "readwrite",
+    (store) => store.delete(key),
+    (err) => {
+      callback(err);
+    },
+  );
+};
+
+/**
+ * Runs a single object store request in its own transaction.
+ * @memberof IndexedDbStorage
+ * @instance
+ * @param {string} mode
+ * @param {Function} makeRequest Passed the object store, returns IDBRequest
+ * @param {Function} callback Invoked with (err, result)
+ */
+IndexedDbStorage.prototype._request = function _request(
+  mode,
+  makeRequest,
+  callback,
+) {
+  this._openDb((openErr, db) => {
+    if (openErr) {
+      callback(openErr, null);
+      return; // Stop
+    }
+
+    let request;
+    try {
+      request = makeRequest(
+        db.transaction(this._storeName, mode).objectStore(this._storeName),
+      );
+    } catch (e) {
+      callback(e, null);
+      return; // Stop
+    }
+    request.onsuccess = () => {
+      callback(null, request.result);
+    };
+    request.onerror = () => {
+      callback(request.error, null);
+    };
+  });
+};
+
+/**
+ * Invokes callback(err, db) once the database is open.
+ * @memberof IndexedDbStorage
+ * @instance
+ * @param {Function} callback
+ */
+IndexedDbStorage.prototype._openDb = function _openDb(callback) {
+  if (this._db) {
+    callback(null, this._db);
+    return; // Stop
+  }
+
+  if (this._dbWaiting) {
+    this._dbWaiting.push(callback);
+    return; // Stop
+  }
+
+  if (!this._idbFactory) {
+    callback(new Error("IndexedDB is not available."), null);
+    return; // Stop
+  }
+
+  this._dbWaiting = [callback];
+  const settle = (err, db) => {
+    const waiting = this._dbWaiting;
+    this._dbWaiting = null;
+    this._db = db;
+    waiting.forEach((fn) => {
+      fn(err, db);
+    });
+  };
+
+  let request;
+  try {
+    request = this._idbFactory.open(this._dbName, 1);
+  } catch (e) {
+    settle(e, null);
+    return; // Stop
+  }
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(this._storeName);
+  };
+  request.onsuccess = () => {
+    settle(null, request.result);
+  };
+  request.onerror = () => {
+    settle(request.error, null);
+  };
+};
+
+// Exports
+
+export default IndexedDbStorage;
@@ -0,0 +1,62 @@
+/**
+ * Feed cache storage adapter that keeps feed data in memory. Useful when a
+ * single page creates and discards clients, and as a reference for writing
+ * other adapters.
+ *
+ * Storage adapters are objects with the following methods, each of which
+ * must invoke its callback exactly once:
+ *
+ * - get(key, callback) - callback(err, value) with value null if missing
+ * - set(key, value, callback) - callback(err)
+ * - delete(key, callback) - callback(err)
+ *
+ * Keys are strings and values are JSON-expressible objects.
+ *
+ * @constructor
+ */
+const MemoryStorage = function MemoryStorage() {
+  /**
+   * Values indexed by key.
+   * @memberof MemoryStorage
+   * @instance
+   * @type {Object}
+   */
+  this._values = {};
+};
+
+/**
+ * @memberof MemoryStorage
+ * @instance
+ * @param {string} key
+ * @param {Function} callback
+ */
+MemoryStorage.prototype.get = function get(key, callback) {
+  callback(null, key in this._values ? this._values[key] : null);
+};
+
+/**
+ * @memberof MemoryStorage
+ * @instance
+ * @param {string} key
+ * @param {Object} value
+ * @param {Function} callback
+ */
+MemoryStorage.prototype.set = function set(key, value, callback) {
+  this._values[key] = value; // Frozen by the library
+  callback(null);
+};
+
+/**
+ * @memberof MemoryStorage
+ * @instance
+ * @param {string} key
+ * @param {Function} callback
+ */
+MemoryStorage.prototype.delete = function del(key, callback) {
+  delete this._values[key];
+  callback(null);
+};
+
+// Exports
+
+export default MemoryStorage;
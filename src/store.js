@@ -0,0 +1,155 @@
+import check from "check-types";
+import debug from "debug";
+import { ArgumentError } from "./errors";
+
+const dbg = debug("feedme-client:store");
+
+/**
+ * Mirrors the data of a set of feed objects into an application state store,
+ * keyed as the application chooses:
+ *
+ *   const unbind = bindFeeds(store, { chat: chatFeed, users: usersFeed });
+ *
+ * Redux-style stores (with dispatch()) are sent plain actions that
+ * feedsReducer() applies. Zustand-style stores (with setState()) have the
+ * feed data set under each key directly.
+ */
+
+/**
+ * Action types indexed by feed object event, relative to the prefix.
+ * @type {Object}
+ */
+const TYPES = {
+  open: "open",
+  action: "action",
+  optimistic: "optimistic",
+  close: "close",
+};
+
+/**
+ * Binds feed objects to a store. The store is updated immediately with the
+ * current feed data and then on each open, action, optimistic, and close
+ * event.
+ *
+ * Redux actions are of the form:
+ *
+ *   {
+ *     type: "feedme/open" | "feedme/action" | "feedme/optimistic"
+ *           | "feedme/close",
+ *     key, feedData, [actionName], [actionData], [error]
+ *   }
+ *
+ * The error is reduced to { name, message } so that actions are serializable.
+ * The feed data is null on close, after which the feed object is unbound.
+ *
+ * @param {Object} store Has dispatch() or setState()
+ * @param {Object} feeds Feed objects indexed by store key
+ * @param {Object} [options]
+ * @param {string} [options.typePrefix="feedme"]
+ * @returns {Function} Unbinds the feed objects from the store
+ * @throws {ArgumentError}
+ */
+const bindFeeds = function bindFeeds(store, feeds, options = {}) {
+  // Check arguments
+  if (
+    !check.object(store) ||
+    (!check.function(store.dispatch) && !check.function(store.setState))
+  ) {
+    throw new ArgumentError(
+      "Store must have a dispatch() or setState() method.",
+    );
+  }
+  if (
+    !check.object(feeds) ||
+    !Object.values(feeds).every(
+      (feed) => check.object(feed) && check.function(feed.on),
+    )
+  ) {
+    throw new ArgumentError("Feeds must be an object of feed objects.");
+  }
+  if (!check.object(options)) {
+    throw new ArgumentError("Options must be an object.");
+  }
+  const { typePrefix = "feedme" } = options;
+  if (!check.nonEmptyString(typePrefix)) {
+    throw new ArgumentError("The option 'typePrefix' must be a string.");
+  }
+
+  dbg("Binding feeds");
+
+  // Update the store
+  const update = check.function(store.dispatch)
+    ? (kind, key, feedData, extra = {}) => {
+        store.dispatch({
+          type: `${typePrefix}/${TYPES[kind]}`,
+          key,
+          feedData,
+          ...extra,
+        });
+      }
+    : (kind, key, feedData) => {
+        store.setState({ [key]: feedData });
+      };
+
+  // Listen to each feed object
+  const unbinds = Object.entries(feeds).map(([key, feed]) => {
+    let unbind = null; // Assigned below - the close listener needs it
+    const listeners = {
+      open: (feedData) => {
+        update("open", key, feedData);
+      },
+      action: (actionName, actionData, newFeedData) => {
+        update("action", key, newFeedData, { actionName, actionData });
+      },
+      optimistic: (newFeedData) => {
+        update("optimistic", key, newFeedData);
+      },
+      close: (err) => {
+        unbind();
+        update("close", key, null, {
+          error: err ? { name: err.name, message: err.message } : null,
+        });
+      },
+    };
+    unbind = () => {
+      Object.entries(listeners).forEach(([evt, listener]) => {
+        feed.removeListener(evt, listener);
+      });
+    };
+    Object.entries(listeners).forEach(([evt, listener]) => {
+      feed.on(evt, listener);
+    });
+    update("open", key, feed.data);
+
+    return unbind;
+  });
+
+  return () => {
+    dbg("Unbinding feeds");
+    unbinds.forEach((unbind) => {
+      unbind();
+    });
+  };
+};
+
+/**
+ * Returns a Redux reducer that keeps the data of bound feed objects, indexed
+ * by store key. Combine it under any name.
+ * @param {Object} [options]
+ * @param {string} [options.typePrefix="feedme"] As passed to bindFeeds()
+ * @returns {Function}
+ */
+const feedsReducer = function feedsReducer({ typePrefix = "feedme" } = {}) {
+  const types = new Set(
+    Object.values(TYPES).map((type) => `${typePrefix}/${type}`),
+  );
+  return (state = {}, action = {}) =>
+    types.has(action.type)
+      ? { ...state, [action.key]: action.feedData }
+      : state;
+};
+
+// Exports
+
+export default bindFeeds;
+export { feedsReducer };
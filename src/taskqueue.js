@@ -12,8 +12,16 @@ import macrotask from "./macrotask";
  * Node < v12 and polyfilled promise environments).
  *
  * @constructor
+ * @param {?Function} [scheduler] Replaces the default macrotask deferral
  */
-const TaskQueue = function TaskQueue() {
+const TaskQueue = function TaskQueue(scheduler = null) {
+  /**
+   * @memberof TaskQueue
+   * @instance
+   * @type {?Function}
+   */
+  this._scheduler = scheduler;
+
   /**
    * Prioritized list of invocations to make.
    * Each element is: {priority, fn, args}
@@ -61,7 +69,24 @@ TaskQueue.prototype.add = function add(priority, fn, ...args) {
   // Defer macrotask if there isn't one already
   if (!this._deferred) {
     this._deferred = true;
-    macrotask(this._boundExecute);
+    macrotask(this._scheduler, this._boundExecute);
+  }
+};
+
+/**
+ * Removes queued invocations, either all of them or only those with the
+ * specified priority. Any deferred macrotask runs harmlessly.
+ * @memberof TaskQueue
+ * @instance
+ * @param {?number} [priority]
+ */
+TaskQueue.prototype.clear = function clear(priority = null) {
+  if (priority === null) {
+    this._queue = [];
+  } else {
+    this._queue = this._queue.filter(
+      (queueItem) => queueItem.priority !== priority,
+    );
   }
 };
 
@@ -80,6 +105,10 @@ TaskQueue.prototype._execute = function _execute() {
   let runAnother;
   let err;
   do {
+    // The queue may have been cleared since the macrotask was deferred
+    if (this._queue.length === 0) {
+      break;
+    }
     const item = this._queue.shift();
     try {
       runAnother = !!item.fn(...item.args);
@@ -91,7 +120,7 @@ TaskQueue.prototype._execute = function _execute() {
 
   // Defer another?
   if (this._queue.length > 0) {
-    macrotask(this._boundExecute);
+    macrotask(this._scheduler, this._boundExecute);
   } else {
     this._deferred = false;
   }
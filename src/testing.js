@@ -0,0 +1,662 @@
+import { EventEmitter } from "events";
+import _cloneDeep from "lodash/cloneDeep";
+import check from "check-types";
+import debug from "debug";
+import FeedNameArgs from "feedme-util/feednameargs";
+import validateClientMessage from "feedme-util/validators/client-message";
+import deltaWriter from "feedme-util/deltawriter";
+import md5Calculator from "feedme-util/md5calculator";
+import macrotask from "./macrotask";
+
+const dbg = debug("feedme-client:testing");
+
+/**
+ * Test doubles for exercising the client without a network or a real Feedme
+ * server. Each LoopbackTransport satisfies the transport requirements that
+ * HarnessSync enforces and is connected in memory to a FakeServer:
+ *
+ *   const server = new FakeServer();
+ *   server.handleFeed("Chat", (args, res) => res.success({ messages: [] }));
+ *   const client = new FeedmeClient(server.transport());
+ *
+ * Asynchronous emissions are deferred using the scheduler supplied to the
+ * FakeServer, so passing the same ManualScheduler to the server and the client
+ * makes a test fully deterministic.
+ */
+
+// LoopbackTransport
+
+/**
+ * Transport connected in memory to a FakeServer.
+ *
+ * - connect() emits connecting synchronously and then, once deferred, either
+ *   connect or (if the server is not accepting connections) disconnecting and
+ *   disconnect with an error
+ *
+ * - disconnect() emits disconnecting synchronously and disconnect once
+ *   deferred
+ *
+ * - Messages in both directions are delivered in order, once deferred, and
+ *   are discarded if the connection has since ended
+ *
+ * - ping() emits pong once deferred, unless the server is unresponsive
+ *
+ * @constructor
+ * @extends EventEmitter
+ * @param {FakeServer} server
+ */
+const LoopbackTransport = function LoopbackTransport(server) {
+  EventEmitter.call(this);
+
+  /**
+   * @memberof LoopbackTransport
+   * @instance
+   * @type {FakeServer}
+   */
+  this._server = server;
+
+  /**
+   * "disconnected", "connecting", or "connected"
+   * @memberof LoopbackTransport
+   * @instance
+   * @type {string}
+   */
+  this._state = "disconnected";
+
+  /**
+   * Incremented whenever a connection attempt begins or ends, so that deferred
+   * work belonging to an earlier connection can be discarded.
+   * @memberof LoopbackTransport
+   * @instance
+   * @type {number}
+   */
+  this._generation = 0;
+};
+
+LoopbackTransport.prototype = Object.create(EventEmitter.prototype);
+LoopbackTransport.prototype.constructor = LoopbackTransport;
+
+/**
+ * @memberof LoopbackTransport
+ * @instance
+ * @returns {string}
+ */
+LoopbackTransport.prototype.state = function state() {
+  return this._state;
+};
+
+/**
+ * @memberof LoopbackTransport
+ * @instance
+ * @throws {Error}
+ */
+LoopbackTransport.prototype.connect = function connect() {
+  if (this._state !== "disconnected") {
+    throw new Error("State must be disconnected.");
+  }
+
+  this._generation += 1;
+  const generation = this._generation;
+  this._state = "connecting";
+  this.emit("connecting");
+
+  this._server._defer(() => {
+    if (generation !== this._generation) {
+      return; // Stop - disconnected in the meantime
+    }
+    if (this._server.accepting) {
+      this._state = "connected";
+      this._server._connections.add(this);
+      this.emit("connect");
+    } else {
+      this._end(new Error("The server refused the connection."));
+    }
+  });
+};
+
+/**
+ * @memberof LoopbackTransport
+ * @instance
+ * @param {string} msg
+ * @throws {Error}
+ */
+LoopbackTransport.prototype.send = function send(msg) {
+  if (this._state !== "connected") {
+    throw new Error("State must be connected.");
+  }
+
+  const generation = this._generation;
+  this._server._defer(() => {
+    if (generation === this._generation && this._server.responsive) {
+      this._server._receive(this, msg);
+    }
+  });
+};
+
+/**
+ * @memberof LoopbackTransport
+ * @instance
+ * @throws {Error}
+ */
+LoopbackTransport.prototype.ping = function ping() {
+  if (this._state !== "connected") {
+    throw new Error("State must be connected.");
+  }
+
+  const generation = this._generation;
+  this._server._defer(() => {
+    if (generation === this._generation && this._server.responsive) {
+      this.emit("pong");
+    }
+  });
+};
+
+/**
+ * @memberof LoopbackTransport
+ * @instance
+ * @throws {Error}
+ */
+LoopbackTransport.prototype.disconnect = function disconnect() {
+  if (this._state === "disconnected") {
+    throw new Error("State must be connecting or connected.");
+  }
+
+  this._generation += 1;
+  this._state = "disconnected";
+  this._server._drop(this);
+  this.emit("disconnecting");
+
+  this._server._defer(() => {
+    this.emit("disconnect");
+  });
+};
+
+/**
+ * Ends the connection spontaneously, as if it failed.
+ * @memberof LoopbackTransport
+ * @instance
+ * @param {Error} err
+ */
+LoopbackTransport.prototype._end = function _end(err) {
+  this._generation += 1;
+  this._state = "disconnected";
+  this._server._drop(this);
+  this.emit("disconnecting", err);
+  this.emit("disconnect");
+};
+
+/**
+ * Delivers a server message to the client, once deferred, unless the
+ * connection has since ended.
+ * @memberof LoopbackTransport
+ * @instance
+ * @param {string} msg
+ * @param {number} [generation] The connection the message belongs to
+ */
+LoopbackTransport.prototype._deliver = function _deliver(
+  msg,
+  generation = this._generation,
+) {
+  this._server._defer(() => {
+    if (generation === this._generation) {
+      this.emit("message", msg);
+    }
+  });
+};
+
+// FakeServer
+
+/**
+ * Scriptable stand-in for a Feedme server.
+ *
+ * - Handshake messages receive a successful HandshakeResponse unless
+ *   handshakeSuccess is false
+ *
+ * - Action and FeedOpen messages are passed to the handler registered for the
+ *   action or feed name, which responds by calling res.success() or
+ *   res.failure(), synchronously or later. Unhandled names fail with
+ *   UNKNOWN_ACTION or UNKNOWN_FEED
+ *
+ * - FeedClose messages receive a FeedCloseResponse
+ *
+ * - Invalid client messages receive a ViolationResponse
+ *
+ * Every message received is recorded in server.received.
+ *
+ * @constructor
+ * @param {Object} [options]
+ * @param {?Function} [options.scheduler] Same form as the client option
+ */
+const FakeServer = function FakeServer(options = {}) {
+  /**
+   * @memberof FakeServer
+   * @instance
+   * @type {?Function}
+   */
+  this._scheduler = options.scheduler || null;
+
+  /**
+   * Whether transport connection attempts succeed.
+   * @memberof FakeServer
+   * @instance
+   * @type {boolean}
+   */
+  this.accepting = true;
+
+  /**
+   * Whether Handshake messages succeed.
+   * @memberof FakeServer
+   * @instance
+   * @type {boolean}
+   */
+  this.handshakeSuccess = true;
+
+  /**
+   * Whether client messages and pings reach the server. Set false to simulate
+   * a connection that has died without the transport noticing.
+   * @memberof FakeServer
+   * @instance
+   * @type {boolean}
+   */
+  this.responsive = true;
+
+  /**
+   * Parsed client messages in the order received.
+   * @memberof FakeServer
+   * @instance
+   * @type {Array}
+   */
+  this.received = [];
+
+  /**
+   * Connected transports.
+   * @memberof FakeServer
+   * @instance
+   * @type {Set}
+   */
+  this._connections = new Set();
+
+  /**
+   * Feed serials open on each connected transport.
+   * @memberof FakeServer
+   * @instance
+   * @type {Map}
+   */
+  this._openFeeds = new Map();
+
+  /**
+   * Current feed data indexed by feed serial.
+   * @memberof FakeServer
+   * @instance
+   * @type {Object}
+   */
+  this._feedData = {};
+
+  /**
+   * @memberof FakeServer
+   * @instance
+   * @type {Object}
+   */
+  this._actionHandlers = {};
+
+  /**
+   * @memberof FakeServer
+   * @instance
+   * @type {Object}
+   */
+  this._feedHandlers = {};
+};
+
+// Public methods
+
+/**
+ * Returns a new transport connected to this server.
+ * @memberof FakeServer
+ * @instance
+ * @returns {LoopbackTransport}
+ */
+FakeServer.prototype.transport = function transport() {
+  return new LoopbackTransport(this);
+};
+
+/**
+ * Registers the handler for an action name. The handler is invoked as
+ * handler(actionArgs, res) and must call res.success(actionData) or
+ * res.failure(errorCode, [errorData]) once.
+ * @memberof FakeServer
+ * @instance
+ * @param {string} name
+ * @param {Function} handler
+ */
+FakeServer.prototype.handleAction = function handleAction(name, handler) {
+  this._actionHandlers[name] = handler;
+};
+
+/**
+ * Registers the handler for a feed name. The handler is invoked as
+ * handler(feedArgs, res) and must call res.success(feedData) or
+ * res.failure(errorCode, [errorData]) once.
+ * @memberof FakeServer
+ * @instance
+ * @param {string} name
+ * @param {Function} handler
+ */
+FakeServer.prototype.handleFeed = function handleFeed(name, handler) {
+  this._feedHandlers[name] = handler;
+};
+
+/**
+ * Applies deltas to the feed data and sends a FeedAction message to every
+ * connection with the feed open. The FeedMd5 is calculated from the new feed
+ * data unless md5 is false.
+ * @memberof FakeServer
+ * @instance
+ * @param {string} feedName
+ * @param {Object} feedArgs
+ * @param {string} actionName
+ * @param {Object} actionData
+ * @param {Array} [feedDeltas]
+ * @param {boolean} [md5]
+ * @throws {Error}
+ */
+FakeServer.prototype.feedAction = function feedAction(
+  feedName,
+  feedArgs,
+  actionName,
+  actionData,
+  feedDeltas = [],
+  md5 = true,
+) {
+  const feedSerial = FeedNameArgs(feedName, feedArgs).serial();
+  if (!(feedSerial in this._feedData)) {
+    throw new Error("The feed is not open on any connection.");
+  }
+
+  let feedData = _cloneDeep(this._feedData[feedSerial]);
+  feedDeltas.forEach((delta) => {
+    const result = deltaWriter.apply(feedData, delta);
+    if (!result.valid) {
+      throw new Error(`Invalid delta: ${result.reason}`);
+    }
+    feedData = result.feedData;
+  });
+  this._feedData[feedSerial] = feedData;
+
+  const msg = {
+    MessageType: "FeedAction",
+    ActionName: actionName,
+    ActionData: actionData,
+    FeedName: feedName,
+    FeedArgs: feedArgs,
+    FeedDeltas: feedDeltas,
+  };
+  if (md5) {
+    msg.FeedMd5 = md5Calculator.calculate(feedData);
+  }
+  this._sendToFeed(feedSerial, msg);
+};
+
+/**
+ * Sends a FeedTermination message to every connection with the feed open and
+ * considers the feed closed on those connections.
+ * @memberof FakeServer
+ * @instance
+ * @param {string} feedName
+ * @param {Object} feedArgs
+ * @param {string} errorCode
+ * @param {Object} [errorData]
+ */
+FakeServer.prototype.feedTermination = function feedTermination(
+  feedName,
+  feedArgs,
+  errorCode,
+  errorData = {},
+) {
+  const feedSerial = FeedNameArgs(feedName, feedArgs).serial();
+  this._sendToFeed(feedSerial, {
+    MessageType: "FeedTermination",
+    FeedName: feedName,
+    FeedArgs: feedArgs,
+    ErrorCode: errorCode,
+    ErrorData: errorData,
+  });
+  this._openFeeds.forEach((serials) => {
+    serials.delete(feedSerial);
+  });
+  this._pruneFeedData();
+};
+
+/**
+ * Sends a message to every connection. Objects are serialized and strings
+ * are sent as-is, so invalid messages can be scripted.
+ * @memberof FakeServer
+ * @instance
+ * @param {(Object|string)} msg
+ */
+FakeServer.prototype.send = function send(msg) {
+  const str = check.string(msg) ? msg : JSON.stringify(msg);
+  this._connections.forEach((connection) => {
+    connection._deliver(str);
+  });
+};
+
+/**
+ * Ends every connection, as if the network failed.
+ * @memberof FakeServer
+ * @instance
+ * @param {Error} [err]
+ */
+FakeServer.prototype.disconnectAll = function disconnectAll(
+  err = new Error("The server ended the connection."),
+) {
+  Array.from(this._connections).forEach((connection) => {
+    const generation = connection._generation;
+    this._defer(() => {
+      if (generation === connection._generation) {
+        connection._end(err);
+      }
+    });
+  });
+};
+
+// Internal helper functions
+
+/**
+ * @memberof FakeServer
+ * @instance
+ * @param {Function} fn
+ */
+FakeServer.prototype._defer = function _defer(fn) {
+  macrotask(this._scheduler, fn);
+};
+
+/**
+ * @memberof FakeServer
+ * @instance
+ * @param {LoopbackTransport} connection
+ */
+FakeServer.prototype._drop = function _drop(connection) {
+  this._connections.delete(connection);
+  this._openFeeds.delete(connection);
+  this._pruneFeedData();
+};
+
+/**
+ * Forgets feed data for feeds that are no longer open on any connection.
+ * @memberof FakeServer
+ * @instance
+ */
+FakeServer.prototype._pruneFeedData = function _pruneFeedData() {
+  Object.keys(this._feedData).forEach((feedSerial) => {
+    const open = Array.from(this._openFeeds.values()).some((serials) =>
+      serials.has(feedSerial),
+    );
+    if (!open) {
+      delete this._feedData[feedSerial];
+    }
+  });
+};
+
+/**
+ * @memberof FakeServer
+ * @instance
+ * @param {string} feedSerial
+ * @param {Object} msg
+ */
+FakeServer.prototype._sendToFeed = function _sendToFeed(feedSerial, msg) {
+  const str = JSON.stringify(msg);
+  this._openFeeds.forEach((serials, connection) => {
+    if (serials.has(feedSerial)) {
+      connection._deliver(str);
+    }
+  });
+};
+
+/**
+ * Handles a message from a connected transport.
+ * @memberof FakeServer
+ * @instance
+ * @param {LoopbackTransport} connection
+ * @param {string} str
+ */
+FakeServer.prototype._receive = function _receive(connection, str) {
+  dbg("Received client message");
+
+  let msg;
+  try {
+    msg = JSON.parse(str);
+  } catch (e) {
+    msg = null;
+  }
+  const violation = msg ? validateClientMessage(msg) : "Invalid JSON.";
+  this.received.push(msg);
+  if (violation) {
+    connection._deliver(
+      JSON.stringify({
+        MessageType: "ViolationResponse",
+        Diagnostics: { Problem: violation, Message: str },
+      }),
+    );
+    return; // Stop
+  }
+
+  // Responses are discarded if the connection has ended in the meantime
+  const generation = connection._generation;
+  const reply = (res) => {
+    connection._deliver(JSON.stringify(res), generation);
+  };
+
+  if (msg.MessageType === "Handshake") {
+    reply(
+      this.handshakeSuccess
+        ? { MessageType: "HandshakeResponse", Success: true, Version: "0.1" }
+        : { MessageType: "HandshakeResponse", Success: false },
+    );
+  } else if (msg.MessageType === "Action") {
+    const base = { MessageType: "ActionResponse", CallbackId: msg.CallbackId };
+    this._respond(
+      this._actionHandlers[msg.ActionName],
+      msg.ActionArgs,
+      "UNKNOWN_ACTION",
+      (actionData) => {
+        reply({ ...base, Success: true, ActionData: actionData });
+      },
+      (errorCode, errorData) => {
+        reply({
+          ...base,
+          Success: false,
+          ErrorCode: errorCode,
+          ErrorData: errorData,
+        });
+      },
+    );
+  } else if (msg.MessageType === "FeedOpen") {
+    const base = {
+      MessageType: "FeedOpenResponse",
+      FeedName: msg.FeedName,
+      FeedArgs: msg.FeedArgs,
+    };
+    const feedSerial = FeedNameArgs(msg.FeedName, msg.FeedArgs).serial();
+    this._respond(
+      this._feedHandlers[msg.FeedName],
+      msg.FeedArgs,
+      "UNKNOWN_FEED",
+      (feedData) => {
+        if (generation !== connection._generation) {
+          return; // Stop - connection ended
+        }
+        if (!this._openFeeds.has(connection)) {
+          this._openFeeds.set(connection, new Set());
+        }
+        this._openFeeds.get(connection).add(feedSerial);
+        this._feedData[feedSerial] = _cloneDeep(feedData);
+        reply({ ...base, Success: true, FeedData: feedData });
+      },
+      (errorCode, errorData) => {
+        reply({
+          ...base,
+          Success: false,
+          ErrorCode: errorCode,
+          ErrorData: errorData,
+        });
+      },
+    );
+  } else {
+    // FeedClose
+    const feedSerial = FeedNameArgs(msg.FeedName, msg.FeedArgs).serial();
+    if (this._openFeeds.has(connection)) {
+      this._openFeeds.get(connection).delete(feedSerial);
+    }
+    this._pruneFeedData();
+    reply({
+      MessageType: "FeedCloseResponse",
+      FeedName: msg.FeedName,
+      FeedArgs: msg.FeedArgs,
+    });
+  }
+};
+
+/**
+ * Invokes a handler with a response object whose methods may be called once.
+ * @memberof FakeServer
+ * @instance
+ * @param {?Function} handler
+ * @param {Object} args
+ * @param {string} unknownCode Error code if there is no handler
+ * @param {Function} success
+ * @param {Function} failure
+ */
+FakeServer.prototype._respond = function _respond(
+  handler,
+  args,
+  unknownCode,
+  success,
+  failure,
+) {
+  if (!handler) {
+    failure(unknownCode, {});
+    return; // Stop
+  }
+
+  let responded = false;
+  handler(args, {
+    success(data) {
+      if (responded) {
+        throw new Error("Already responded.");
+      }
+      responded = true;
+      success(data);
+    },
+    failure(errorCode, errorData = {}) {
+      if (responded) {
+        throw new Error("Already responded.");
+      }
+      responded = true;
+      failure(errorCode, errorData);
+    },
+  });
+};
+
+// Exports
+
+export { LoopbackTransport, FakeServer };
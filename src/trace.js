@@ -0,0 +1,87 @@
+/**
+ * Records the conversation between the library and the transport so that it
+ * can be attached to a bug report and replayed using ReplayTransport. Pass an
+ * instance as the trace option:
+ *
+ *   const trace = new TraceRecorder();
+ *   const client = new FeedmeClient(transport, { trace });
+ *   ...
+ *   fs.writeFileSync("trace.json", JSON.stringify(trace));
+ *
+ * HarnessSync records one entry for each library call to a transport method,
+ * one when that call returns, and one for each transport event. Entries are
+ * of the form { t, type, [msg], [err] }, where t is the clock time and type is
+ * one of:
+ *
+ * - call:connect, call:send, call:ping, call:disconnect
+ * - return - the preceding call returned (or threw)
+ * - event:connecting, event:connect, event:message, event:pong,
+ *   event:disconnecting, event:disconnect
+ *
+ * Messages are recorded in full, so traces may contain application data.
+ *
+ * @constructor
+ * @param {number} [maxEntries] Older entries are discarded beyond this; 0 for no limit
+ */
+const TraceRecorder = function TraceRecorder(maxEntries = 10000) {
+  /**
+   * @memberof TraceRecorder
+   * @instance
+   * @type {number}
+   */
+  this._maxEntries = maxEntries;
+
+  /**
+   * @memberof TraceRecorder
+   * @instance
+   * @type {Array}
+   */
+  this.entries = [];
+};
+
+/**
+ * Trace format version, incremented on incompatible changes.
+ * @memberof TraceRecorder
+ * @static
+ * @type {number}
+ */
+TraceRecorder.VERSION = 1;
+
+/**
+ * Invoked by the library.
+ * @memberof TraceRecorder
+ * @instance
+ * @param {Object} entry
+ */
+TraceRecorder.prototype.record = function record(entry) {
+  this.entries.push(entry);
+  if (this._maxEntries > 0 && this.entries.length > this._maxEntries) {
+    this.entries.shift();
+  }
+};
+
+/**
+ * @memberof TraceRecorder
+ * @instance
+ */
+TraceRecorder.prototype.clear = function clear() {
+  this.entries = [];
+};
+
+/**
+ * Returns the portable form of the trace, which is what JSON.stringify()
+ * serializes and what ReplayTransport accepts.
+ * @memberof TraceRecorder
+ * @instance
+ * @returns {Object}
+ */
+TraceRecorder.prototype.toJSON = function toJSON() {
+  return {
+    version: TraceRecorder.VERSION,
+    entries: this.entries.slice(),
+  };
+};
+
+// Exports
+
+export default TraceRecorder;
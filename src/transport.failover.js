@@ -0,0 +1,429 @@
+import { EventEmitter } from "events";
+import check from "check-types";
+import debug from "debug";
+
+const dbg = debug("feedme-client:transport-failover");
+
+/**
+ * Transport that wraps several underlying transports, for example one for each
+ * server region, and presents them to the library as one:
+ *
+ *   const transport = new FailoverTransport([
+ *     feedmeTransportWs("wss://us.example.com"),
+ *     feedmeTransportWs("wss://eu.example.com"),
+ *   ]);
+ *   transport.on("endpoint", (idx) => console.log(`Using endpoint ${idx}`));
+ *   const client = new FeedmeClient(transport);
+ *
+ * Endpoints are tried one at a time. If a connection attempt fails then the
+ * next endpoint is tried, and the library is only informed of the failure once
+ * every endpoint has failed within a single connect() call. The library's
+ * connect timeout covers the whole rotation.
+ *
+ * Each endpoint has a health score between 0 and 1, starting at 1. A
+ * connection failure halves the score and a successful connection moves it
+ * halfway back to 1. Each rotation tries the last endpoint that connected
+ * successfully first, provided that options.sticky is set and its score is at
+ * least 0.5, and then the others in descending order of score.
+ *
+ * Messages and pongs are relayed from the active endpoint only. If the active
+ * endpoint does not implement ping() then pings are discarded.
+ *
+ * @constructor
+ * @extends EventEmitter
+ * @param {Array} transports
+ * @param {Object} [options]
+ * @param {boolean} [options.sticky=true]
+ * @throws {Error}
+ */
+const FailoverTransport = function FailoverTransport(
+  transports,
+  { sticky = true } = {},
+) {
+  if (!check.nonEmptyArray(transports)) {
+    throw new Error("Transports must be a non-empty array.");
+  }
+  transports.forEach((transport) => {
+    if (
+      !check.object(transport) ||
+      !check.function(transport.on) ||
+      !check.function(transport.state) ||
+      !check.function(transport.connect) ||
+      !check.function(transport.send) ||
+      !check.function(transport.disconnect)
+    ) {
+      throw new Error(
+        "Each transport must implement on(), state(), connect(), send(), and disconnect().",
+      );
+    }
+  });
+
+  EventEmitter.call(this);
+
+  /**
+   * @memberof FailoverTransport
+   * @instance
+   * @type {Array}
+   */
+  this._transports = transports;
+
+  /**
+   * @memberof FailoverTransport
+   * @instance
+   * @type {boolean}
+   */
+  this._sticky = sticky;
+
+  /**
+   * Health scores indexed by endpoint.
+   * @memberof FailoverTransport
+   * @instance
+   * @type {Array}
+   */
+  this._scores = transports.map(() => 1);
+
+  /**
+   * The last endpoint that connected successfully, or -1.
+   * @memberof FailoverTransport
+   * @instance
+   * @type {number}
+   */
+  this._lastGood = -1;
+
+  /**
+   * "disconnected", "connecting", or "connected"
+   * @memberof FailoverTransport
+   * @instance
+   * @type {string}
+   */
+  this._state = "disconnected";
+
+  /**
+   * The endpoint whose events are being relayed, or -1.
+   * @memberof FailoverTransport
+   * @instance
+   * @type {number}
+   */
+  this._current = -1;
+
+  /**
+   * Endpoints still to be tried in the current rotation.
+   * @memberof FailoverTransport
+   * @instance
+   * @type {Array}
+   */
+  this._remaining = [];
+
+  /**
+   * Errors from the endpoints that failed in the current rotation.
+   * @memberof FailoverTransport
+   * @instance
+   * @type {Array}
+   */
+  this._errors = [];
+
+  /**
+   * True once the library has called disconnect() and until the current
+   * endpoint emits disconnect.
+   * @memberof FailoverTransport
+   * @instance
+   * @type {boolean}
+   */
+  this._disconnectCalled = false;
+
+  // Listen for events on every endpoint - only the current one is relayed
+  transports.forEach((transport, idx) => {
+    Object.entries(this._handlers).forEach(([evt, fn]) => {
+      transport.on(evt, (...args) => {
+        if (idx === this._current) {
+          fn.apply(this, args);
+        }
+      });
+    });
+  });
+};
+
+FailoverTransport.prototype = Object.create(EventEmitter.prototype);
+FailoverTransport.prototype.constructor = FailoverTransport;
+
+/**
+ * Emitted when the transport connects, with the endpoint used.
+ * @event endpoint
+ * @memberof FailoverTransport
+ * @param {number} idx
+ */
+
+/**
+ * Emitted when a connection attempt on an endpoint fails, or when an endpoint
+ * disconnects unexpectedly.
+ * @event endpointFailure
+ * @memberof FailoverTransport
+ * @param {number} idx
+ * @param {Error} err
+ */
+
+// Public methods
+
+/**
+ * @memberof FailoverTransport
+ * @instance
+ * @returns {string}
+ */
+FailoverTransport.prototype.state = function state() {
+  return this._state;
+};
+
+/**
+ * @memberof FailoverTransport
+ * @instance
+ * @throws {Error}
+ */
+FailoverTransport.prototype.connect = function connect() {
+  dbg("Running connect()");
+
+  if (this._state !== "disconnected") {
+    throw new Error("State must be disconnected.");
+  }
+
+  this._state = "connecting";
+  this._remaining = this._rotation();
+  this._errors = [];
+  this.emit("connecting");
+  this._attempt();
+};
+
+/**
+ * @memberof FailoverTransport
+ * @instance
+ * @param {string} msg
+ * @throws {Error}
+ */
+FailoverTransport.prototype.send = function send(msg) {
+  if (this._state !== "connected") {
+    throw new Error("State must be connected.");
+  }
+
+  this._transports[this._current].send(msg);
+};
+
+/**
+ * @memberof FailoverTransport
+ * @instance
+ * @throws {Error}
+ */
+FailoverTransport.prototype.ping = function ping() {
+  if (this._state !== "connected") {
+    throw new Error("State must be connected.");
+  }
+
+  const transport = this._transports[this._current];
+  if (check.function(transport.ping)) {
+    transport.ping();
+  }
+};
+
+/**
+ * @memberof FailoverTransport
+ * @instance
+ * @throws {Error}
+ */
+FailoverTransport.prototype.disconnect = function disconnect() {
+  dbg("Running disconnect()");
+
+  if (this._state === "disconnected") {
+    throw new Error("State must be connecting or connected.");
+  }
+
+  this._state = "disconnected";
+  this._disconnectCalled = true; // Reset when the endpoint emits disconnect
+  this._remaining = [];
+  this.emit("disconnecting");
+
+  // The endpoint may already be failing, in which case its disconnect event is
+  // pending
+  const transport = this._transports[this._current];
+  if (transport.state() !== "disconnected") {
+    transport.disconnect();
+  }
+};
+
+/**
+ * The endpoint in use, or -1 if not connected.
+ * @memberof FailoverTransport
+ * @instance
+ * @returns {number}
+ */
+FailoverTransport.prototype.activeEndpoint = function activeEndpoint() {
+  return this._state === "connected" ? this._current : -1;
+};
+
+/**
+ * Health scores indexed by endpoint.
+ * @memberof FailoverTransport
+ * @instance
+ * @returns {Array}
+ */
+FailoverTransport.prototype.scores = function scores() {
+  return this._scores.slice();
+};
+
+// Endpoint event handlers - invoked for the current endpoint only
+
+FailoverTransport.prototype._handlers = {};
+
+/**
+ * The connecting event was emitted by the wrapper on connect().
+ * @name _handlers#connecting
+ * @memberof FailoverTransport
+ * @instance
+ */
+FailoverTransport.prototype._handlers.connecting =
+  function _handlers$connecting() {};
+
+/**
+ * @name _handlers#connect
+ * @memberof FailoverTransport
+ * @instance
+ */
+FailoverTransport.prototype._handlers.connect = function _handlers$connect() {
+  dbg("Endpoint connected");
+
+  if (this._disconnectCalled) {
+    return; // Stop - the endpoint is being disconnected
+  }
+
+  this._scores[this._current] = (this._scores[this._current] + 1) / 2;
+  this._lastGood = this._current;
+  this._remaining = [];
+  this._state = "connected";
+  this.emit("connect");
+  this.emit("endpoint", this._current);
+};
+
+/**
+ * @name _handlers#message
+ * @memberof FailoverTransport
+ * @instance
+ * @param {string} msg
+ */
+FailoverTransport.prototype._handlers.message = function _handlers$message(
+  msg,
+) {
+  if (this._state === "connected") {
+    this.emit("message", msg);
+  }
+};
+
+/**
+ * @name _handlers#pong
+ * @memberof FailoverTransport
+ * @instance
+ */
+FailoverTransport.prototype._handlers.pong = function _handlers$pong() {
+  if (this._state === "connected") {
+    this.emit("pong");
+  }
+};
+
+/**
+ * @name _handlers#disconnecting
+ * @memberof FailoverTransport
+ * @instance
+ * @param {?Error} err
+ */
+FailoverTransport.prototype._handlers.disconnecting =
+  function _handlers$disconnecting(err) {
+    if (this._disconnectCalled) {
+      return; // Stop - the wrapper emitted disconnecting on disconnect()
+    }
+
+    dbg("Endpoint failed");
+
+    this._scores[this._current] /= 2;
+    this.emit("endpointFailure", this._current, err);
+
+    if (this._state === "connecting") {
+      this._errors.push(err);
+      // Wait for disconnect before trying the next endpoint
+    } else {
+      this._state = "disconnected";
+      this.emit("disconnecting", err);
+    }
+  };
+
+/**
+ * @name _handlers#disconnect
+ * @memberof FailoverTransport
+ * @instance
+ */
+FailoverTransport.prototype._handlers.disconnect =
+  function _handlers$disconnect() {
+    if (this._disconnectCalled) {
+      this._disconnectCalled = false;
+      this.emit("disconnect");
+      return; // Stop
+    }
+
+    if (this._state !== "connecting") {
+      this.emit("disconnect"); // Relay the end of a failed connection
+      return; // Stop
+    }
+
+    if (this._remaining.length > 0) {
+      this._attempt();
+      return; // Stop
+    }
+
+    dbg("All endpoints failed");
+    this._state = "disconnected";
+    this.emit(
+      "disconnecting",
+      Object.assign(
+        new Error(
+          "Failed to connect to any endpoint. See the endpointErrors property.",
+        ),
+        { endpointErrors: this._errors },
+      ),
+    );
+    this.emit("disconnect");
+  };
+
+// Internal helper functions
+
+/**
+ * Returns the order in which to try the endpoints.
+ * @memberof FailoverTransport
+ * @instance
+ * @returns {Array}
+ */
+FailoverTransport.prototype._rotation = function _rotation() {
+  const order = this._transports
+    .map((transport, idx) => idx)
+    .sort((a, b) => this._scores[b] - this._scores[a] || a - b);
+
+  if (
+    this._sticky &&
+    this._lastGood >= 0 &&
+    this._scores[this._lastGood] >= 0.5
+  ) {
+    order.splice(order.indexOf(this._lastGood), 1);
+    order.unshift(this._lastGood);
+  }
+
+  return order;
+};
+
+/**
+ * Starts a connection attempt on the next endpoint in the rotation.
+ * @memberof FailoverTransport
+ * @instance
+ */
+FailoverTransport.prototype._attempt = function _attempt() {
+  this._current = this._remaining.shift();
+  dbg(`Trying endpoint ${this._current}`);
+  this._transports[this._current].connect();
+};
+
+// Exports
+
+export default FailoverTransport;
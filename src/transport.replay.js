@@ -0,0 +1,418 @@
+import { EventEmitter } from "events";
+import _isEqual from "lodash/isEqual";
+import check from "check-types";
+import debug from "debug";
+import macrotask from "./macrotask";
+
+const dbg = debug("feedme-client:transport-replay");
+
+/**
+ * Transport that plays back a trace recorded by TraceRecorder, so that a
+ * fresh client reproduces the recorded sequence of emissions:
+ *
+ *   const transport = new ReplayTransport(JSON.parse(traceJson), { clock });
+ *   const client = new FeedmeClient(transport, { clock });
+ *   client.connect(); // And any other application calls that were made
+ *
+ * The replay only covers the transport side of the conversation, so the
+ * application (or test) must repeat the calls it made on the client. Each
+ * library call on the transport is checked against the trace:
+ *
+ * - Events recorded within the call are emitted synchronously within it
+ *
+ * - Events recorded between calls are emitted in order, one per deferral,
+ *   until the trace reaches the next call
+ *
+ * - Callback ids are generated afresh by each client, so recorded ids in
+ *   outbound Action messages and inbound ActionResponse messages are mapped to
+ *   the ids used by the replaying client
+ *
+ * If a call does not match the trace then the transport emits divergence with
+ * the expected and actual entries and stops playing back events. It continues
+ * to satisfy the transport requirements so that the library does not fail.
+ *
+ * If the supplied clock has an advance() method (i.e. a VirtualClock), then it
+ * is advanced to the recorded time of each event before it is emitted, and to
+ * the recorded time of each call while awaiting it, so timeouts fire as they
+ * did when the trace was recorded.
+ *
+ * @constructor
+ * @extends EventEmitter
+ * @param {(Object|string)} trace As produced by TraceRecorder.toJSON()
+ * @param {Object} [options]
+ * @param {?Function} [options.scheduler] Same form as the client option
+ * @param {?Object} [options.clock] Same form as the client option
+ * @throws {Error}
+ */
+const ReplayTransport = function ReplayTransport(trace, options = {}) {
+  const parsed = check.string(trace) ? JSON.parse(trace) : trace;
+  if (!check.object(parsed) || !check.array(parsed.entries)) {
+    throw new Error("Trace must have an entries array.");
+  }
+
+  EventEmitter.call(this);
+
+  /**
+   * Entries not yet played back.
+   * @memberof ReplayTransport
+   * @instance
+   * @type {Array}
+   */
+  this._entries = parsed.entries.slice();
+
+  /**
+   * @memberof ReplayTransport
+   * @instance
+   * @type {?Function}
+   */
+  this._scheduler = options.scheduler || null;
+
+  /**
+   * @memberof ReplayTransport
+   * @instance
+   * @type {?Object}
+   */
+  this._clock = options.clock || null;
+
+  /**
+   * Clock time and trace time at the start of the replay.
+   * @memberof ReplayTransport
+   * @instance
+   * @type {?Object}
+   */
+  this._origin =
+    this._clock && this._entries.length > 0
+      ? { clockMs: this._clock.now(), traceMs: this._entries[0].t }
+      : null;
+
+  /**
+   * "disconnected", "connecting", or "connected"
+   * @memberof ReplayTransport
+   * @instance
+   * @type {string}
+   */
+  this._state = "disconnected";
+
+  /**
+   * Callback ids used by the replaying client, indexed by recorded id.
+   * @memberof ReplayTransport
+   * @instance
+   * @type {Object}
+   */
+  this._callbackIds = {};
+
+  /**
+   * True if a pump deferral is outstanding.
+   * @memberof ReplayTransport
+   * @instance
+   * @type {boolean}
+   */
+  this._pumping = false;
+
+  /**
+   * True once a call fails to match the trace.
+   * @memberof ReplayTransport
+   * @instance
+   * @type {boolean}
+   */
+  this.diverged = false;
+};
+
+ReplayTransport.prototype = Object.create(EventEmitter.prototype);
+ReplayTransport.prototype.constructor = ReplayTransport;
+
+/**
+ * @event divergence
+ * @memberof ReplayTransport
+ * @param {?Object} expected The next call entry in the trace, if any
+ * @param {Object} actual
+ */
+
+// Public methods
+
+/**
+ * @memberof ReplayTransport
+ * @instance
+ * @returns {string}
+ */
+ReplayTransport.prototype.state = function state() {
+  return this._state;
+};
+
+/**
+ * @memberof ReplayTransport
+ * @instance
+ */
+ReplayTransport.prototype.connect = function connect() {
+  this._call({ type: "call:connect" });
+};
+
+/**
+ * @memberof ReplayTransport
+ * @instance
+ * @param {string} msg
+ */
+ReplayTransport.prototype.send = function send(msg) {
+  this._call({ type: "call:send", msg });
+};
+
+/**
+ * @memberof ReplayTransport
+ * @instance
+ */
+ReplayTransport.prototype.ping = function ping() {
+  this._call({ type: "call:ping" });
+};
+
+/**
+ * @memberof ReplayTransport
+ * @instance
+ */
+ReplayTransport.prototype.disconnect = function disconnect() {
+  this._call({ type: "call:disconnect" });
+};
+
+/**
+ * True once every entry has been played back.
+ * @name done
+ * @type {boolean}
+ * @memberof ReplayTransport
+ * @instance
+ */
+Object.defineProperty(ReplayTransport.prototype, "done", {
+  enumerable: true,
+  get() {
+    return this._entries.length === 0;
+  },
+});
+
+// Internal helper functions
+
+/**
+ * Plays back a library call. The matching call may be preceded by events
+ * that have not yet been emitted, since the timing of calls relative to
+ * asynchronous events can vary between runs; those events stay queued.
+ * @memberof ReplayTransport
+ * @instance
+ * @param {Object} actual { type, [msg] }
+ */
+ReplayTransport.prototype._call = function _call(actual) {
+  dbg(`Library ${actual.type}`);
+
+  let idx = -1;
+  if (!this.diverged) {
+    idx = this._entries.findIndex((entry) => !entry.type.startsWith("event:"));
+    if (idx >= 0 && !this._matches(this._entries[idx], actual)) {
+      this.diverged = true;
+      this.emit("divergence", this._entries[idx], actual);
+      idx = -1;
+    } else if (idx < 0) {
+      this.diverged = true;
+      this.emit("divergence", null, actual);
+    }
+  }
+
+  if (idx < 0) {
+    this._fallback(actual);
+    return; // Stop
+  }
+
+  // Take the call and the events emitted within it
+  let end = idx + 1;
+  while (end < this._entries.length && this._entries[end].type !== "return") {
+    end += 1;
+  }
+  const within = this._entries.slice(idx + 1, end);
+  this._entries.splice(idx, end - idx + 1);
+
+  if (actual.type === "call:disconnect") {
+    this._state = "disconnected";
+  }
+  within.forEach((entry) => {
+    this._emitEntry(entry);
+  });
+
+  this._pump();
+};
+
+/**
+ * Satisfies the transport requirements once the replay has diverged.
+ * @memberof ReplayTransport
+ * @instance
+ * @param {Object} actual
+ */
+ReplayTransport.prototype._fallback = function _fallback(actual) {
+  if (actual.type === "call:connect") {
+    this._state = "connecting";
+    this.emit("connecting");
+  } else if (actual.type === "call:disconnect") {
+    this._state = "disconnected";
+    this.emit("disconnecting");
+    macrotask(this._scheduler, () => {
+      this.emit("disconnect");
+    });
+  }
+};
+
+/**
+ * Whether a library call matches a recorded call, mapping callback ids.
+ * @memberof ReplayTransport
+ * @instance
+ * @param {Object} expected
+ * @param {Object} actual
+ * @returns {boolean}
+ */
+ReplayTransport.prototype._matches = function _matches(expected, actual) {
+  if (expected.type !== actual.type) {
+    return false;
+  }
+  if (actual.type !== "call:send") {
+    return true;
+  }
+
+  let expectedMsg;
+  let actualMsg;
+  try {
+    expectedMsg = JSON.parse(expected.msg);
+    actualMsg = JSON.parse(actual.msg);
+  } catch (e) {
+    return expected.msg === actual.msg;
+  }
+
+  if (
+    expectedMsg.MessageType === "Action" &&
+    actualMsg.MessageType === "Action"
+  ) {
+    const { CallbackId: recordedId, ...expectedRest } = expectedMsg;
+    const { CallbackId: actualId, ...actualRest } = actualMsg;
+    if (!_isEqual(expectedRest, actualRest)) {
+      return false;
+    }
+    this._callbackIds[recordedId] = actualId;
+    return true;
+  }
+
+  return _isEqual(expectedMsg, actualMsg);
+};
+
+/**
+ * Emits queued events one per deferral until the next recorded call.
+ * @memberof ReplayTransport
+ * @instance
+ */
+ReplayTransport.prototype._pump = function _pump() {
+  if (this._pumping) {
+    return; // Stop
+  }
+  this._pumping = true;
+
+  macrotask(this._scheduler, () => {
+    this._pumping = false;
+    if (this.diverged || this._entries.length === 0) {
+      return; // Stop
+    }
+
+    // Wait for the library to make the next call, which may be driven by a
+    // library timer that is due by the recorded time of the call
+    if (!this._entries[0].type.startsWith("event:")) {
+      this._advanceClock(this._entries[0]);
+      return; // Stop
+    }
+
+    const entry = this._entries.shift();
+    this._advanceClock(entry);
+    this._emitEntry(entry);
+    this._pump();
+  });
+};
+
+/**
+ * @memberof ReplayTransport
+ * @instance
+ * @param {Object} entry
+ */
+ReplayTransport.prototype._advanceClock = function _advanceClock(entry) {
+  if (!this._origin || !check.function(this._clock.advance)) {
+    return; // Stop
+  }
+
+  const targetMs = this._origin.clockMs + (entry.t - this._origin.traceMs);
+  const nowMs = this._clock.now();
+  if (targetMs > nowMs) {
+    this._clock.advance(targetMs - nowMs);
+  }
+};
+
+/**
+ * @memberof ReplayTransport
+ * @instance
+ * @param {Object} entry
+ */
+ReplayTransport.prototype._emitEntry = function _emitEntry(entry) {
+  dbg(`Replaying ${entry.type}`);
+
+  switch (entry.type) {
+    case "event:connecting":
+      this._state = "connecting";
+      this.emit("connecting");
+      break;
+    case "event:connect":
+      this._state = "connected";
+      this.emit("connect");
+      break;
+    case "event:message":
+      this.emit("message", this._mapMessage(entry.msg));
+      break;
+    case "event:pong":
+      this.emit("pong");
+      break;
+    case "event:disconnecting":
+      this._state = "disconnected";
+      if (entry.err) {
+        this.emit(
+          "disconnecting",
+          Object.assign(new Error(entry.err.message), { name: entry.err.name }),
+        );
+      } else {
+        this.emit("disconnecting");
+      }
+      break;
+    case "event:disconnect":
+      this._state = "disconnected";
+      this.emit("disconnect");
+      break;
+    default:
+      dbg("Unrecognized entry - discarding");
+  }
+};
+
+/**
+ * Rewrites the callback id in recorded ActionResponse messages.
+ * @memberof ReplayTransport
+ * @instance
+ * @param {string} msg
+ * @returns {string}
+ */
+ReplayTransport.prototype._mapMessage = function _mapMessage(msg) {
+  let parsed;
+  try {
+    parsed = JSON.parse(msg);
+  } catch (e) {
+    return msg;
+  }
+  if (
+    check.object(parsed) &&
+    parsed.MessageType === "ActionResponse" &&
+    parsed.CallbackId in this._callbackIds
+  ) {
+    return JSON.stringify({
+      ...parsed,
+      CallbackId: this._callbackIds[parsed.CallbackId],
+    });
+  }
+  return msg;
+};
+
+// Exports
+
+export default ReplayTransport;